@@ -0,0 +1,376 @@
+/**
+ * 告警管理
+ * 根据后台资源采样和服务状态轮询判定告警规则，通过桌面通知和 Webhook 发送告警，
+ * 规则与通知渠道保存在 ~/.vllm_front/alert-config.json（Webhook 地址和密钥加密存储），
+ * 告警记录保存在 ~/.vllm_front/alert-history.json
+ */
+import { Notification } from 'electron'
+import sshManager from './ssh-manager'
+import dataManager from './data-manager'
+import resourceMonitor from './resource-monitor'
+import cryptoManager from './security/crypto.js'
+import {
+  ALERT_RULE_TYPES,
+  normalizeRule,
+  evaluateResourceRule,
+  ruleMatchesServer,
+  ruleMatchesService
+} from './monitor-modules/alert-rules.js'
+import { WEBHOOK_FORMATS, sendWebhook } from './monitor-modules/webhook-sender.js'
+
+// 存储模块名
+const CONFIG_MODULE = 'alert-config'
+const HISTORY_MODULE = 'alert-history'
+// 告警记录最多保留条数
+const MAX_HISTORY = 500
+// Webhook 中需要加密的字段
+const WEBHOOK_SECRET_FIELDS = ['url', 'secret']
+// 服务状态轮询间隔（秒）
+const DEFAULT_SERVICE_CHECK_INTERVAL = 60
+const MIN_SERVICE_CHECK_INTERVAL = 15
+
+class AlertManager {
+  constructor() {
+    this.config = { rules: [], webhooks: [], settings: { serviceCheckInterval: DEFAULT_SERVICE_CHECK_INTERVAL } }
+    this.history = []
+    // 正在告警的对象：`${ruleId}|${serverId}|${key}` -> 告警记录
+    this.firing = new Map()
+    // 服务状态跟踪：serviceId -> { alive, unhealthyCount }
+    this.serviceStates = new Map()
+    this.serviceTimer = null
+    this.checkingServices = false
+  }
+
+  /**
+   * 初始化：读取配置和告警记录，挂接资源采样并启动服务状态轮询
+   */
+  async init() {
+    const stored = (await dataManager.readData(CONFIG_MODULE, null)) || {}
+    this.config = this.normalizeConfig({
+      ...stored,
+      webhooks: (stored.webhooks || []).map(webhook => cryptoManager.decryptObject(webhook, WEBHOOK_SECRET_FIELDS))
+    })
+    const history = await dataManager.readData(HISTORY_MODULE, [])
+    this.history = Array.isArray(history) ? history : []
+
+    resourceMonitor.onSample((serverId, sample) => {
+      this.evaluateResourceSample(serverId, sample).catch(error => {
+        console.error('[AlertManager] 资源告警判定失败:', error.message)
+      })
+    })
+    this.scheduleServiceCheck()
+  }
+
+  /**
+   * 规范化配置
+   */
+  normalizeConfig(config) {
+    const interval = parseInt(config.settings?.serviceCheckInterval, 10) || DEFAULT_SERVICE_CHECK_INTERVAL
+    return {
+      rules: (config.rules || []).map(normalizeRule),
+      webhooks: (config.webhooks || []).map(webhook => ({
+        id: webhook.id || `webhook-${Date.now()}`,
+        name: webhook.name || '未命名渠道',
+        format: WEBHOOK_FORMATS[webhook.format] ? webhook.format : 'generic',
+        url: webhook.url || '',
+        secret: webhook.secret || '',
+        enabled: webhook.enabled !== false
+      })),
+      settings: {
+        serviceCheckInterval: Math.max(MIN_SERVICE_CHECK_INTERVAL, interval)
+      }
+    }
+  }
+
+  /**
+   * 获取告警配置
+   * @returns {Object} { rules, webhooks, settings, ruleTypes, webhookFormats }
+   */
+  getConfig() {
+    return {
+      ...this.config,
+      ruleTypes: ALERT_RULE_TYPES,
+      webhookFormats: WEBHOOK_FORMATS
+    }
+  }
+
+  /**
+   * 保存告警配置
+   * @param {Object} config - { rules, webhooks, settings }
+   * @returns {Promise<Object>} 保存后的配置
+   */
+  async saveConfig(config) {
+    const next = this.normalizeConfig(config)
+    const result = await dataManager.writeData(CONFIG_MODULE, {
+      ...next,
+      webhooks: next.webhooks.map(webhook => cryptoManager.encryptObject(webhook, WEBHOOK_SECRET_FIELDS))
+    })
+    if (result && result.success === false) {
+      throw new Error(result.error || '保存告警配置失败')
+    }
+
+    this.config = next
+    // 删除或停用的规则不再保持告警状态
+    const activeRuleIds = new Set(next.rules.filter(rule => rule.enabled).map(rule => rule.id))
+    for (const [firingKey, alert] of this.firing) {
+      if (!activeRuleIds.has(alert.ruleId)) this.firing.delete(firingKey)
+    }
+    this.scheduleServiceCheck()
+    return this.getConfig()
+  }
+
+  /**
+   * 发送测试消息
+   * @param {Object} webhook - Webhook 配置
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async testWebhook(webhook) {
+    return sendWebhook(webhook, {
+      ruleId: 'test',
+      ruleName: '测试消息',
+      type: 'test',
+      status: 'firing',
+      serverId: '',
+      serverName: 'vLLM Front',
+      target: '通知渠道',
+      message: `这是一条来自 vLLM Front 的测试消息，渠道「${webhook.name || '未命名渠道'}」配置正常`,
+      time: Date.now()
+    })
+  }
+
+  /**
+   * 获取告警记录
+   * @param {number} limit - 条数
+   * @returns {Array<Object>} 告警记录（按时间倒序）
+   */
+  getHistory(limit = MAX_HISTORY) {
+    return this.history.slice(0, limit)
+  }
+
+  /**
+   * 清空告警记录
+   */
+  async clearHistory() {
+    this.history = []
+    await dataManager.writeData(HISTORY_MODULE, this.history)
+  }
+
+  /**
+   * 获取启用的规则
+   * @param {string} scope - resource | service
+   */
+  getActiveRules(scope) {
+    return this.config.rules.filter(rule => rule.enabled && ALERT_RULE_TYPES[rule.type].scope === scope)
+  }
+
+  /**
+   * 判定一次资源采样
+   * @param {string} serverId - 服务器ID
+   * @param {Object} sample - 资源采样
+   */
+  async evaluateResourceSample(serverId, sample) {
+    for (const rule of this.getActiveRules('resource')) {
+      if (!ruleMatchesServer(rule, serverId)) continue
+      const violations = evaluateResourceRule(rule, sample)
+      await this.reconcile(rule, serverId, `${rule.id}|${serverId}|`, violations)
+    }
+  }
+
+  /**
+   * 对比当前违反规则的对象和正在告警的对象，发送新告警和恢复通知
+   * @param {Object} rule - 规则
+   * @param {string} serverId - 服务器ID
+   * @param {string} prefix - 告警键前缀（限定本次判定覆盖的范围）
+   * @param {Array<Object>} violations - 当前违反规则的对象
+   */
+  async reconcile(rule, serverId, prefix, violations) {
+    const currentKeys = new Set()
+    for (const violation of violations) {
+      const firingKey = `${prefix}${violation.key}`
+      currentKeys.add(firingKey)
+      if (this.firing.has(firingKey)) continue
+
+      const alert = await this.emit(rule, serverId, 'firing', violation)
+      this.firing.set(firingKey, alert)
+    }
+
+    for (const [firingKey, alert] of this.firing) {
+      if (!firingKey.startsWith(prefix) || currentKeys.has(firingKey)) continue
+      this.firing.delete(firingKey)
+      if (rule.notifyResolved) {
+        await this.emit(rule, serverId, 'resolved', {
+          target: alert.target,
+          value: null,
+          message: `${alert.target} 已恢复正常`
+        })
+      }
+    }
+  }
+
+  /**
+   * 记录并发送告警
+   * @param {Object} rule - 规则
+   * @param {string} serverId - 服务器ID
+   * @param {string} status - firing | resolved
+   * @param {Object} detail - { target, value, message }
+   * @returns {Promise<Object>} 告警记录
+   */
+  async emit(rule, serverId, status, detail) {
+    const server = sshManager.getServerById(serverId)
+    const alert = {
+      id: `alert-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      type: rule.type,
+      status,
+      serverId,
+      serverName: server?.name || server?.host || serverId,
+      target: detail.target,
+      message: detail.message,
+      value: detail.value,
+      threshold: ALERT_RULE_TYPES[rule.type].scope === 'resource' || rule.type === 'health_failing' ? rule.threshold : null,
+      time: Date.now(),
+      deliveries: []
+    }
+
+    if (rule.notifyDesktop && Notification.isSupported()) {
+      new Notification({
+        title: `${status === 'resolved' ? '【已恢复】' : '【告警】'}${rule.name}`,
+        body: `${alert.serverName} · ${alert.message}`
+      }).show()
+    }
+
+    for (const webhookId of rule.webhookIds) {
+      const webhook = this.config.webhooks.find(item => item.id === webhookId)
+      if (!webhook || !webhook.enabled || !webhook.url) continue
+      const result = await sendWebhook(webhook, alert)
+      alert.deliveries.push({ webhookId, name: webhook.name, success: result.success, error: result.error || null })
+      if (!result.success) {
+        console.warn(`[AlertManager] Webhook ${webhook.name} 发送失败:`, result.error)
+      }
+    }
+
+    this.history.unshift(alert)
+    if (this.history.length > MAX_HISTORY) this.history.length = MAX_HISTORY
+    try {
+      await dataManager.writeData(HISTORY_MODULE, this.history)
+    } catch (error) {
+      console.error('[AlertManager] 保存告警记录失败:', error.message)
+    }
+    return alert
+  }
+
+  /**
+   * 按需启动或停止服务状态轮询（仅在存在启用的服务类规则时轮询）
+   */
+  scheduleServiceCheck() {
+    clearTimeout(this.serviceTimer)
+    this.serviceTimer = null
+    if (this.getActiveRules('service').length === 0) {
+      this.serviceStates.clear()
+      return
+    }
+
+    this.serviceTimer = setTimeout(async () => {
+      try {
+        await this.checkServices()
+      } catch (error) {
+        console.error('[AlertManager] 服务状态检查失败:', error.message)
+      }
+      this.scheduleServiceCheck()
+    }, this.config.settings.serviceCheckInterval * 1000)
+  }
+
+  /**
+   * 检查规则覆盖的服务状态并判定服务类规则
+   */
+  async checkServices() {
+    if (this.checkingServices) return
+    this.checkingServices = true
+
+    try {
+      const rules = this.getActiveRules('service')
+      const services = await dataManager.readData('services', [])
+
+      for (const service of Array.isArray(services) ? services : []) {
+        const matchedRules = rules.filter(rule => ruleMatchesService(rule, service))
+        if (matchedRules.length === 0) continue
+        // 只检查已连接的服务器，后台轮询不主动建立连接（可能弹出验证码或主机指纹确认）
+        if (!sshManager.connections.has(service.serverId)) continue
+
+        let status
+        try {
+          status = await sshManager.checkServiceRealStatus(service.serverId, {
+            port: service.port,
+            startCommand: service.startCommand,
+            launchSpec: service.launchSpec,
+            framework: service.framework,
+            serviceId: service.supervised ? service.id : null
+          })
+        } catch (error) {
+          // 服务器不可达时无法判断服务状态，保持现有告警
+          console.warn(`[AlertManager] 检查服务 ${service.name} 失败:`, error.message)
+          continue
+        }
+
+        // 守护进程仍在运行（重启等待中）时不视为停止
+        const alive = status.processRunning || status.portListening || !!status.supervisor?.supervisorRunning
+        const previous = this.serviceStates.get(service.id)
+        const state = {
+          alive,
+          unhealthyCount: status.readiness === 'unhealthy' ? (previous?.unhealthyCount || 0) + 1 : 0,
+          // 意外停止后保持告警，直到服务重新运行
+          stopped: alive ? false : (previous?.stopped || (previous?.alive === true))
+        }
+        this.serviceStates.set(service.id, state)
+
+        for (const rule of matchedRules) {
+          const prefix = `${rule.id}|${service.serverId}|service:${service.id}|`
+          const violations = []
+          if (rule.type === 'service_stopped' && state.stopped) {
+            violations.push({
+              key: 'status',
+              target: service.name,
+              value: null,
+              message: `服务 ${service.name}（端口 ${service.port}）进程已退出`
+            })
+          } else if (rule.type === 'health_failing' && state.unhealthyCount >= rule.threshold) {
+            violations.push({
+              key: 'health',
+              target: service.name,
+              value: state.unhealthyCount,
+              message: `服务 ${service.name} 健康检查连续 ${state.unhealthyCount} 次失败`
+            })
+          }
+          await this.reconcile(rule, service.serverId, prefix, violations)
+        }
+      }
+    } finally {
+      this.checkingServices = false
+    }
+  }
+
+  /**
+   * 标记服务为主动停止，避免触发"服务意外停止"告警
+   * @param {string} serviceId - 服务ID
+   */
+  markServiceStopped(serviceId) {
+    if (!serviceId) return
+    this.serviceStates.set(serviceId, { alive: false, unhealthyCount: 0, stopped: false })
+    for (const firingKey of [...this.firing.keys()]) {
+      if (firingKey.includes(`|service:${serviceId}|`)) {
+        this.firing.delete(firingKey)
+      }
+    }
+  }
+
+  /**
+   * 停止服务状态轮询（应用退出时调用）
+   */
+  shutdown() {
+    clearTimeout(this.serviceTimer)
+    this.serviceTimer = null
+  }
+}
+
+export default new AlertManager()
@@ -0,0 +1,142 @@
+/**
+ * 压测请求的提示词来源
+ * fixed：轮流使用给定的提示词；random：按长度范围随机生成文本；
+ * dataset：从本地数据集文件读取（.jsonl/.json/.txt，支持 ShareGPT 格式和 prompt/text/messages 字段）
+ */
+import { promises as fs } from 'fs'
+import { extname } from 'path'
+
+// 数据集最多读取的提示词数
+const MAX_DATASET_PROMPTS = 10000
+// 数据集文件大小上限
+const MAX_DATASET_SIZE = 200 * 1024 * 1024
+
+// 随机文本使用的常见英文单词（大多数分词器中每个单词约一个令牌）
+const WORDS = (
+  'the of and to in is was for on that with as by at from his her they be this have an are ' +
+  'which or had one not but all were when we there can more if out so what up about into than ' +
+  'them time only new some could these two may first then do any like other how its our over ' +
+  'such years where most made after also did many before must through back much good well down ' +
+  'should because each just those people how too little state world very still own see men work ' +
+  'long get here between both life being under never day same another know while last might us ' +
+  'great old year off come since against go came right used take three'
+).split(' ')
+
+/**
+ * 生成指定单词数的随机文本（开头带随机编号，避免前缀缓存影响结果）
+ * @param {number} length - 单词数
+ * @returns {string}
+ */
+export function randomText(length) {
+  const words = [`#${Math.random().toString(36).slice(2, 10)}`]
+  for (let i = 1; i < length; i++) {
+    words.push(WORDS[Math.floor(Math.random() * WORDS.length)])
+  }
+  return words.join(' ')
+}
+
+/**
+ * 从数据集记录中取出第一轮用户消息
+ * @param {*} record - 数据集中的一条记录
+ * @returns {Array<Object>|null} messages
+ */
+function toMessages(record) {
+  if (typeof record === 'string') {
+    return record.trim() ? [{ role: 'user', content: record }] : null
+  }
+  if (!record || typeof record !== 'object') return null
+
+  // ShareGPT: { conversations: [{ from: 'human', value }] }
+  if (Array.isArray(record.conversations)) {
+    const turn = record.conversations.find((item) =>
+      ['human', 'user'].includes(item.from || item.role)
+    )
+    const content = turn?.value ?? turn?.content
+    return content ? [{ role: 'user', content }] : null
+  }
+  // OpenAI: { messages: [{ role, content }] }，保留第一条用户消息及之前的系统消息
+  if (Array.isArray(record.messages)) {
+    const index = record.messages.findIndex((item) => item.role === 'user')
+    return index === -1 ? null : record.messages.slice(0, index + 1)
+  }
+  const content = record.prompt ?? record.text ?? record.question ?? record.input
+  return typeof content === 'string' && content.trim() ? [{ role: 'user', content }] : null
+}
+
+/**
+ * 读取数据集文件
+ * @param {string} filePath - 本地文件路径
+ * @returns {Promise<Array<Array<Object>>>} 每条提示词的 messages
+ */
+export async function loadDataset(filePath) {
+  const stat = await fs.stat(filePath)
+  if (stat.size > MAX_DATASET_SIZE) {
+    throw new Error('数据集文件超过 200MB')
+  }
+  const content = await fs.readFile(filePath, 'utf-8')
+  const ext = extname(filePath).toLowerCase()
+
+  let records
+  if (ext === '.json') {
+    const parsed = JSON.parse(content)
+    records = Array.isArray(parsed) ? parsed : parsed.data || []
+  } else if (ext === '.jsonl') {
+    records = content
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line)
+        } catch {
+          return null
+        }
+      })
+  } else {
+    records = content.split('\n')
+  }
+
+  const prompts = []
+  for (const record of records) {
+    const messages = toMessages(record)
+    if (messages) prompts.push(messages)
+    if (prompts.length >= MAX_DATASET_PROMPTS) break
+  }
+  if (prompts.length === 0) {
+    throw new Error('数据集中没有可用的提示词')
+  }
+  return prompts
+}
+
+/**
+ * 创建提示词来源
+ * @param {Object} config - { promptSource, prompts, inputLength: { min, max }, datasetPath }
+ * @returns {Promise<Function>} (index) => messages
+ */
+export async function createPromptSource(config) {
+  if (config.promptSource === 'random') {
+    const min = Math.max(1, Number(config.inputLength?.min) || 1)
+    const max = Math.max(min, Number(config.inputLength?.max) || min)
+    return () => [
+      { role: 'user', content: randomText(min + Math.floor(Math.random() * (max - min + 1))) }
+    ]
+  }
+
+  if (config.promptSource === 'dataset') {
+    if (!config.datasetPath) {
+      throw new Error('请选择数据集文件')
+    }
+    const prompts = await loadDataset(config.datasetPath)
+    // 打乱顺序后轮流使用
+    for (let i = prompts.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      ;[prompts[i], prompts[j]] = [prompts[j], prompts[i]]
+    }
+    return (index) => prompts[index % prompts.length]
+  }
+
+  const prompts = (config.prompts || []).filter((prompt) => prompt && prompt.trim())
+  if (prompts.length === 0) {
+    throw new Error('请至少填写一条提示词')
+  }
+  return (index) => [{ role: 'user', content: prompts[index % prompts.length] }]
+}
@@ -0,0 +1,97 @@
+/**
+ * 压测结果统计
+ * 由每个请求的计时结果汇总出首令牌时间（TTFT）、每令牌输出时间（TPOT）、令牌间隔（ITL）、
+ * 端到端延迟的均值和分位数，以及请求吞吐量、令牌吞吐量和错误率
+ */
+
+// 统计的分位数
+const PERCENTILES = [50, 90, 99]
+
+/**
+ * 计算分位数（线性插值）
+ * @param {Array<number>} sorted - 升序排列的数值
+ * @param {number} p - 分位（0-100）
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0
+  const rank = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+/**
+ * 汇总一组数值
+ * @param {Array<number>} values - 数值
+ * @returns {Object|null} { mean, min, max, p50, p90, p99 }，没有数据时为 null
+ */
+export function summarize(values) {
+  const valid = values.filter((value) => Number.isFinite(value))
+  if (valid.length === 0) return null
+  const sorted = [...valid].sort((a, b) => a - b)
+  const result = {
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  }
+  for (const p of PERCENTILES) {
+    result[`p${p}`] = percentile(sorted, p)
+  }
+  return result
+}
+
+/**
+ * 汇总一次压测的结果
+ * @param {Array<Object>} results - 每个请求的结果 { success, ttft, latency, itls, outputTokens, promptTokens, error }
+ * @param {number} duration - 压测总耗时（毫秒）
+ * @returns {Object} 汇总指标（时间单位为毫秒，吞吐量单位为每秒）
+ */
+export function summarizeRun(results, duration) {
+  const succeeded = results.filter((result) => result.success)
+  const seconds = duration > 0 ? duration / 1000 : 0
+  const totalInputTokens = succeeded.reduce((sum, result) => sum + (result.promptTokens || 0), 0)
+  const totalOutputTokens = succeeded.reduce((sum, result) => sum + (result.outputTokens || 0), 0)
+
+  // 只有一个输出令牌的请求没有 TPOT
+  const tpots = succeeded
+    .filter((result) => result.outputTokens > 1)
+    .map((result) => (result.latency - result.ttft) / (result.outputTokens - 1))
+
+  return {
+    totalRequests: results.length,
+    successCount: succeeded.length,
+    errorCount: results.length - succeeded.length,
+    errorRate: results.length > 0 ? (results.length - succeeded.length) / results.length : 0,
+    duration,
+    totalInputTokens,
+    totalOutputTokens,
+    requestThroughput: seconds ? succeeded.length / seconds : 0,
+    outputThroughput: seconds ? totalOutputTokens / seconds : 0,
+    totalThroughput: seconds ? (totalInputTokens + totalOutputTokens) / seconds : 0,
+    ttft: summarize(succeeded.map((result) => result.ttft)),
+    tpot: summarize(tpots),
+    itl: summarize(succeeded.flatMap((result) => result.itls || [])),
+    latency: summarize(succeeded.map((result) => result.latency)),
+    outputTokens: summarize(succeeded.map((result) => result.outputTokens))
+  }
+}
+
+/**
+ * 统计错误信息（相同的错误合并计数）
+ * @param {Array<Object>} results - 每个请求的结果
+ * @param {number} limit - 最多返回的错误种类
+ * @returns {Array<Object>} [{ message, count }]
+ */
+export function collectErrors(results, limit = 10) {
+  const counts = new Map()
+  for (const result of results) {
+    if (result.success) continue
+    const message = String(result.error || '未知错误').slice(0, 300)
+    counts.set(message, (counts.get(message) || 0) + 1)
+  }
+  return [...counts.entries()]
+    .map(([message, count]) => ({ message, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+}
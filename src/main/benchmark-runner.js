@@ -0,0 +1,275 @@
+/**
+ * 模型服务压测
+ * 以固定并发向 OpenAI 兼容接口发送流式请求（基于 ModelTestHandler），统计首令牌时间、
+ * 令牌间隔、吞吐量、错误率和分位数；每次压测的配置和汇总结果保存在 ~/.vllm_front/benchmark-runs.json，
+ * 可以对比不同服务配置下的结果。同一时间只运行一个压测，避免互相干扰
+ */
+import { BrowserWindow } from 'electron'
+import dataManager from './data-manager'
+import modelTestHandler from './model-test-handler'
+import { createPromptSource } from './benchmark-modules/benchmark-prompts.js'
+import { summarizeRun, collectErrors } from './benchmark-modules/benchmark-stats.js'
+
+// 存储模块名
+const DATA_MODULE = 'benchmark-runs'
+// 最多保留的压测记录
+const MAX_RUNS = 100
+// 进度推送间隔（毫秒）
+const NOTIFY_INTERVAL = 1000
+
+// 参数范围
+const LIMITS = {
+  concurrency: [1, 512],
+  totalRequests: [1, 100000],
+  maxTokens: [1, 131072],
+  timeout: [1, 3600]
+}
+
+const DEFAULT_CONFIG = {
+  concurrency: 8,
+  totalRequests: 100,
+  maxTokens: 256,
+  temperature: 0,
+  // 忽略结束符，固定输出长度（vLLM 扩展参数）
+  ignoreEos: false,
+  // 单个请求超时（秒）
+  timeout: 300,
+  promptSource: 'random',
+  prompts: [],
+  inputLength: { min: 128, max: 512 },
+  datasetPath: ''
+}
+
+class BenchmarkRunner {
+  constructor() {
+    this.runs = null
+    // 正在运行的压测 { run, aborts: Set<Function>, cancelled }
+    this.active = null
+  }
+
+  async load() {
+    if (this.runs) return this.runs
+    const stored = await dataManager.readData(DATA_MODULE, [])
+    // 应用退出时未结束的压测视为已取消
+    this.runs = (Array.isArray(stored) ? stored : []).map((run) =>
+      run.status === 'running' ? { ...run, status: 'cancelled' } : run
+    )
+    return this.runs
+  }
+
+  async save() {
+    await dataManager.writeData(DATA_MODULE, this.runs)
+  }
+
+  /**
+   * 获取压测记录（最新的在前）
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    return this.load()
+  }
+
+  /**
+   * 开始压测
+   * @param {Object} target - 测试配置 { id, name, protocol, serverUrl, apiKey, model }
+   * @param {Object} options - 压测参数（见 DEFAULT_CONFIG）和记录名称 name
+   * @returns {Promise<Object>} 压测记录
+   */
+  async start(target, options = {}) {
+    await this.load()
+    if (this.active) {
+      throw new Error('已有压测正在运行，请等待结束或先停止')
+    }
+    if (!target?.serverUrl || !target?.model) {
+      throw new Error('测试配置缺少服务地址或模型名称')
+    }
+
+    const config = normalizeConfig(options)
+    const nextPrompt = await createPromptSource(config)
+
+    const run = {
+      id: `bench_${Date.now()}`,
+      name: options.name || `${target.name || target.model} ${new Date().toLocaleString()}`,
+      testId: target.id || null,
+      testName: target.name || '',
+      protocol: target.protocol,
+      serverUrl: target.serverUrl,
+      model: target.model,
+      config,
+      status: 'running',
+      startedAt: Date.now(),
+      finishedAt: null,
+      progress: { completed: 0, failed: 0, total: config.totalRequests, elapsed: 0 },
+      summary: null,
+      errors: []
+    }
+    this.runs.unshift(run)
+    this.runs.splice(MAX_RUNS)
+    await this.save()
+
+    this.active = { run, aborts: new Set(), cancelled: false }
+    this.execute(run, target, nextPrompt).catch((error) => {
+      console.error('[BenchmarkRunner] 压测异常:', error)
+    })
+    return run
+  }
+
+  /**
+   * 按并发数运行全部请求
+   */
+  async execute(run, target, nextPrompt) {
+    const active = this.active
+    const { config } = run
+    // Ollama 的 OpenAI 兼容接口在 /v1 下
+    const baseUrl =
+      target.protocol === 'ollama' ? `${target.serverUrl.replace(/\/+$/, '')}/v1` : target.serverUrl
+    const results = []
+    const startTime = performance.now()
+    let nextIndex = 0
+    let notifiedAt = 0
+    // 进度计数随结果累加，避免每个请求完成后遍历全部结果
+    let failed = 0
+    let outputTokens = 0
+
+    const addResult = (result) => {
+      results.push(result)
+      if (!result.success) failed++
+      outputTokens += result.outputTokens || 0
+    }
+
+    const updateProgress = (force = false) => {
+      const now = performance.now()
+      run.progress = {
+        completed: results.length,
+        failed,
+        total: config.totalRequests,
+        elapsed: now - startTime,
+        outputTokens
+      }
+      if (force || now - notifiedAt >= NOTIFY_INTERVAL) {
+        notifiedAt = now
+        this.send(run)
+      }
+    }
+
+    const worker = async () => {
+      while (!active.cancelled && nextIndex < config.totalRequests) {
+        const messages = nextPrompt(nextIndex++)
+        let abort = null
+        try {
+          const result = await modelTestHandler.benchmarkOpenAI(
+            baseUrl,
+            target.apiKey || '',
+            {
+              model: target.model,
+              messages,
+              max_tokens: config.maxTokens,
+              temperature: config.temperature,
+              ...(config.ignoreEos ? { ignore_eos: true } : {})
+            },
+            {
+              timeout: config.timeout * 1000,
+              onRequest: (fn) => {
+                abort = fn
+                active.aborts.add(fn)
+              }
+            }
+          )
+          addResult({ success: true, ...result })
+        } catch (error) {
+          // 取消时中断的请求不计入结果
+          if (!active.cancelled) {
+            addResult({ success: false, error: error.message })
+          }
+        } finally {
+          active.aborts.delete(abort)
+        }
+        updateProgress()
+      }
+    }
+
+    try {
+      const workers = Math.min(config.concurrency, config.totalRequests)
+      await Promise.all(Array.from({ length: workers }, worker))
+      run.summary = summarizeRun(results, performance.now() - startTime)
+      run.errors = collectErrors(results)
+      run.status = active.cancelled ? 'cancelled' : 'completed'
+    } catch (error) {
+      run.status = 'error'
+      run.errors = [{ message: error.message, count: 1 }]
+    } finally {
+      run.finishedAt = Date.now()
+      this.active = null
+      updateProgress(true)
+      await this.save()
+    }
+  }
+
+  /**
+   * 停止正在运行的压测，已完成的请求仍会统计
+   * @param {string} id - 压测记录ID
+   */
+  cancel(id) {
+    if (!this.active || this.active.run.id !== id) {
+      throw new Error('压测未在运行')
+    }
+    this.active.cancelled = true
+    for (const abort of this.active.aborts) {
+      abort()
+    }
+  }
+
+  /**
+   * 删除压测记录
+   * @param {string} id - 压测记录ID
+   */
+  async remove(id) {
+    await this.load()
+    if (this.active?.run.id === id) {
+      throw new Error('压测正在运行，请先停止')
+    }
+    this.runs = this.runs.filter((run) => run.id !== id)
+    await this.save()
+  }
+
+  /**
+   * 推送压测状态到所有窗口
+   */
+  send(run) {
+    for (const window of BrowserWindow.getAllWindows()) {
+      window.webContents.send('modelTest:benchmark', { ...run })
+    }
+  }
+}
+
+/**
+ * 校验压测参数并补全默认值
+ */
+function normalizeConfig(options) {
+  const config = { ...DEFAULT_CONFIG }
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      config[key] = options[key]
+    }
+  }
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const value = Math.floor(Number(config[key]))
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`参数 ${key} 应在 ${min} 到 ${max} 之间`)
+    }
+    config[key] = value
+  }
+  config.temperature = Number(config.temperature) || 0
+  config.ignoreEos = !!config.ignoreEos
+  config.prompts = Array.isArray(config.prompts) ? config.prompts.map(String) : []
+  config.inputLength = {
+    min: Number(config.inputLength?.min) || DEFAULT_CONFIG.inputLength.min,
+    max: Number(config.inputLength?.max) || DEFAULT_CONFIG.inputLength.max
+  }
+  if (!['fixed', 'random', 'dataset'].includes(config.promptSource)) {
+    throw new Error(`不支持的提示词来源: ${config.promptSource}`)
+  }
+  return config
+}
+
+export default new BenchmarkRunner()
@@ -65,6 +65,15 @@ class BaseGPUHandler {
     throw new Error('getAllGPUProcesses must be implemented by subclass')
   }
 
+  /**
+   * 获取每张显卡的实时状态
+   * @param {string} serverId - 服务器ID
+   * @returns {Promise<Array<Object>>} 显卡状态列表 {index, name, utilization, memoryUsed, memoryTotal, temperature, powerDraw, powerLimit}
+   */
+  async getGPUStats(serverId) {
+    throw new Error('getGPUStats must be implemented by subclass')
+  }
+
   /**
    * 检查进程是否占用 GPU
    * @param {string} serverId - 服务器ID
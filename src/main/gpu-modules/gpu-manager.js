@@ -119,6 +119,21 @@ class GPUManager {
     return await handler.isProcessMatchService(serverId, process, serviceConfig)
   }
 
+  /**
+   * 获取每张显卡的实时状态（利用率、显存、温度、功耗）
+   * @param {string} serverId - 服务器ID
+   * @returns {Promise<Array<Object>>} 显卡状态列表，没有支持的显卡时为空
+   */
+  async getGPUStats(serverId) {
+    const handler = await this.getGPUHandler(serverId)
+
+    if (!handler) {
+      return []
+    }
+
+    return await handler.getGPUStats(serverId)
+  }
+
   /**
    * 获取服务器的 GPU 厂商
    * @param {string} serverId - 服务器ID
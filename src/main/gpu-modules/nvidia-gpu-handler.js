@@ -213,6 +213,41 @@ class NvidiaGPUHandler extends BaseGPUHandler {
 
     return false
   }
+
+  /**
+   * 获取每张显卡的实时状态
+   * @param {string} serverId - 服务器ID
+   * @returns {Promise<Array<Object>>} 显卡状态列表（显存单位 MB，功耗单位 W）
+   */
+  async getGPUStats(serverId) {
+    const cmd = 'nvidia-smi --query-gpu=index,name,utilization.gpu,memory.used,memory.total,temperature.gpu,power.draw,power.limit --format=csv,noheader,nounits'
+    const result = await this.sshManager.execCommand(serverId, cmd)
+
+    if (!result.success || !result.stdout.trim()) {
+      return []
+    }
+
+    // 不支持的字段输出为 [N/A] 或 [Not Supported]
+    const toNumber = (value) => {
+      const number = parseFloat(value)
+      return Number.isNaN(number) ? null : number
+    }
+
+    return result.stdout.trim()
+      .split('\n')
+      .map(line => line.split(',').map(part => part.trim()))
+      .filter(parts => parts.length >= 8)
+      .map(parts => ({
+        index: parseInt(parts[0], 10),
+        name: parts[1],
+        utilization: toNumber(parts[2]),
+        memoryUsed: toNumber(parts[3]),
+        memoryTotal: toNumber(parts[4]),
+        temperature: toNumber(parts[5]),
+        powerDraw: toNumber(parts[6]),
+        powerLimit: toNumber(parts[7])
+      }))
+  }
 }
 
 export default NvidiaGPUHandler
@@ -1,10 +1,21 @@
-import { app, shell, BrowserWindow, ipcMain } from 'electron'
+import { app, shell, BrowserWindow, ipcMain, dialog } from 'electron'
 import { join } from 'path'
 import { electronApp, optimizer, is } from '@electron-toolkit/utils'
 import icon from '../../resources/icon.png?asset'
 import sshManager from './ssh-manager'
 import dataManager from './data-manager'
 import modelTestHandler from './model-test-handler'
+import benchmarkRunner from './benchmark-runner'
+import resourceMonitor from './resource-monitor'
+import alertManager from './alert-manager'
+import transferManager from './transfer-manager'
+import modelCopyManager from './model-copy-manager'
+import modelDownloadManager from './model-download-manager'
+import modelHubConfig from './model-hub-config'
+import modelInventory from './model-inventory'
+import { estimateMemoryFit } from './service-modules/memory-estimator.js'
+import { getConnectConfig } from '../renderer/src/utils/connect-config.js'
+import { readSSHConfig, listSSHConfigHosts } from './ssh-modules/ssh-config-parser.js'
 
 function createWindow() {
   // 获取主显示器的完整尺寸
@@ -74,15 +85,7 @@ async function ensureServerLoaded(serverId) {
       const existingConn = sshManager.connections.get(serverId)
       if (!existingConn && server.type !== 'localhost') {
         try {
-          await sshManager.connect({
-            serverId: server.id,
-            type: server.type || 'ssh',
-            host: server.host,
-            port: server.port,
-            username: server.username,
-            password: server.password,
-            privateKey: server.privateKey
-          })
+          await sshManager.connect(getConnectConfig(server))
         } catch (error) {
           console.error(`[ensureServerLoaded] 服务器 ${serverId} 连接失败:`, error.message)
           // 连接失败不抛出错误，继续执行（命令执行时会重试）
@@ -115,12 +118,49 @@ app.whenReady().then(() => {
 
   createWindow()
 
+  // SSH 二次验证码、主机指纹确认等提示转发到界面，由用户输入后回传
+  sshManager.setUserPrompt((channel, request) => {
+    for (const window of BrowserWindow.getAllWindows()) {
+      window.webContents.send(channel, request)
+    }
+  })
+
+  // 启动已开启的服务器资源后台采样
+  resourceMonitor.init({ ensureServerLoaded }).catch(error => {
+    console.error('[ResourceMonitor] 初始化失败:', error.message)
+  })
+
+  // 加载告警规则并开始判定
+  alertManager.init().catch(error => {
+    console.error('[AlertManager] 初始化失败:', error.message)
+  })
+
+  // 恢复上次的文件传输队列
+  transferManager.init({ ensureServerLoaded }).catch(error => {
+    console.error('[TransferManager] 初始化失败:', error.message)
+  })
+
+  // 恢复模型下载队列，继续监视服务器上运行中的下载
+  modelDownloadManager.init({ ensureServerLoaded }).catch(error => {
+    console.error('[ModelDownloadManager] 初始化失败:', error.message)
+  })
+
   app.on('activate', function () {
     // mac系统点击dock图标时创建窗口
     if (BrowserWindow.getAllWindows().length === 0) createWindow()
   })
 })
 
+// 退出前停止资源采样、告警轮询和文件传输并保存历史
+let shutdownStarted = false
+app.on('before-quit', (event) => {
+  if (shutdownStarted) return
+  event.preventDefault()
+  shutdownStarted = true
+  alertManager.shutdown()
+  Promise.allSettled([transferManager.shutdown(), resourceMonitor.shutdown()]).finally(() => app.quit())
+})
+
 // 监听所有的窗口关闭事件
 app.on('window-all-closed', () => {
   // 断开所有SSH连接
@@ -145,6 +185,45 @@ function setupIPCHandlers() {
     }
   })
 
+  // 回答 keyboard-interactive 验证（如二次验证码）
+  ipcMain.handle('ssh:keyboardInteractiveReply', async (event, requestId, answers) => {
+    return { success: sshManager.resolveUserPrompt(requestId, Array.isArray(answers) ? answers : []) }
+  })
+
+  // 回答首次连接时的主机指纹确认
+  ipcMain.handle('ssh:hostKeyReply', async (event, requestId, accepted) => {
+    return { success: sshManager.resolveUserPrompt(requestId, accepted === true) }
+  })
+
+  // 已知主机：列表
+  ipcMain.handle('ssh:listKnownHosts', async () => {
+    try {
+      return { success: true, data: await sshManager.knownHosts.list() }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 已知主机：重置（删除后下次连接重新确认指纹）
+  ipcMain.handle('ssh:removeKnownHost', async (event, id) => {
+    try {
+      const removed = await sshManager.knownHosts.remove(id)
+      return removed ? { success: true } : { success: false, error: '该主机记录不存在' }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 列出 ~/.ssh/config 中可导入的主机
+  ipcMain.handle('ssh:listConfigHosts', async (event, configPath) => {
+    try {
+      const sections = await readSSHConfig(configPath || undefined)
+      return { success: true, data: listSSHConfigHosts(sections) }
+    } catch (error) {
+      return { success: false, error: error.code === 'ENOENT' ? '未找到 SSH 配置文件' : error.message }
+    }
+  })
+
   ipcMain.handle('ssh:disconnect', async (event, serverId) => {
     try {
       await sshManager.disconnect(serverId)
@@ -275,18 +354,29 @@ function setupIPCHandlers() {
   })
 
   // 服务管理
-  ipcMain.handle('service:start', async (event, serverId, serviceConfig) => {
+  ipcMain.handle('service:start', async (event, serverId, serviceConfig, progressId) => {
     try {
-      const result = await sshManager.startService(serverId, serviceConfig)
+      const mainWindow = BrowserWindow.fromWebContents(event.sender)
+      // 等待就绪期间推送就绪状态和新增日志
+      const onProgress = progressId
+        ? (progress) => {
+            if (mainWindow && mainWindow.webContents) {
+              mainWindow.webContents.send(`service:start:progress:${progressId}`, progress)
+            }
+          }
+        : null
+      const result = await sshManager.startService(serverId, serviceConfig, onProgress)
       return { success: true, data: result }
     } catch (error) {
       return { success: false, error: error.message }
     }
   })
 
-  ipcMain.handle('service:stop', async (event, serverId, pid, startCommand) => {
+  ipcMain.handle('service:stop', async (event, serverId, pid, startCommand, serviceId, launchSpec) => {
     try {
-      const result = await sshManager.stopService(serverId, pid, startCommand)
+      // 主动停止的服务不触发"服务意外停止"告警
+      alertManager.markServiceStopped(serviceId)
+      const result = await sshManager.stopService(serverId, pid, startCommand, serviceId, launchSpec)
       return { success: true, data: result }
     } catch (error) {
       return { success: false, error: error.message }
@@ -302,6 +392,73 @@ function setupIPCHandlers() {
     }
   })
 
+  // 预览启动规格渲染出的启动命令
+  ipcMain.handle('service:renderCommand', async (event, launchSpec, envType, envName, frameworkVersion) => {
+    try {
+      const result = sshManager.previewServiceCommand(launchSpec, envType, envName, frameworkVersion)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 估算服务配置的显存占用，检查所选 GPU 能否放下模型
+  ipcMain.handle('service:estimateMemory', async (event, serverId, launchSpec) => {
+    try {
+      await ensureServerLoaded(serverId)
+      const model = await modelInventory.inspect(serverId, launchSpec.modelPath)
+      const gpuResult = await sshManager.getServerGPUs(serverId)
+      if (!gpuResult.success) {
+        throw new Error(gpuResult.error)
+      }
+      const result = estimateMemoryFit({ model, launchSpec, gpus: gpuResult.data })
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 将旧版启动命令转换为启动规格
+  ipcMain.handle('service:parseCommand', async (event, startCommand) => {
+    try {
+      const result = sshManager.convertLegacyCommand(startCommand)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 获取服务守护状态和重启历史
+  // 服务指标：采集一次并追加到历史
+  ipcMain.handle('service:scrapeMetrics', async (event, serverId, options) => {
+    try {
+      await ensureServerLoaded(serverId)
+      const point = await sshManager.scrapeServiceMetrics(serverId, options)
+      return { success: true, data: point }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 服务指标：读取历史数据点
+  ipcMain.handle('service:getMetricsHistory', async (event, serviceId) => {
+    try {
+      return { success: true, data: sshManager.getServiceMetricsHistory(serviceId) }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  ipcMain.handle('service:getSupervision', async (event, serverId, serviceId, limit) => {
+    try {
+      await ensureServerLoaded(serverId)
+      const result = await sshManager.getServiceSupervision(serverId, serviceId, limit)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
   // 日志管理
   ipcMain.handle('log:read', async (event, serverId, logPath, lines) => {
     try {
@@ -327,20 +484,42 @@ function setupIPCHandlers() {
   ipcMain.handle('framework:getVersion', async (event, serverId, framework, envType, envName) => {
     try {
       await ensureServerLoaded(serverId)
-      const version = await sshManager.getFrameworkVersion(serverId, framework, envType, envName)
+      const version = await sshManager.getCachedFrameworkVersion(serverId, framework, envType, envName, true)
       return { success: true, version }
     } catch (error) {
       return { success: false, error: error.message }
     }
   })
 
+  // 获取已注册的推理框架列表
+  ipcMain.handle('framework:list', async () => {
+    try {
+      return { success: true, data: sshManager.getFrameworks() }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 获取框架参数 Schema（按环境中安装的版本标记可用参数）
+  ipcMain.handle('framework:getParameterSchema', async (event, serverId, framework, envType, envName, executablePath) => {
+    try {
+      if (serverId) {
+        await ensureServerLoaded(serverId)
+      }
+      const schema = await sshManager.getFrameworkParameterSchema(serverId, framework, envType, envName, executablePath)
+      return { success: true, data: schema }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
   // 批量检查服务状态
   ipcMain.handle('service:checkAllStatus', async (event, services) => {
     try {
       const results = []
 
       for (const service of services) {
-        const { serverId, port, startCommand } = service
+        const { serverId, port, startCommand, supervised } = service
 
         // 先连接服务器
         const serverResult = await sshManager.connect({
@@ -348,8 +527,11 @@ function setupIPCHandlers() {
           host: service.host,
           port: service.sshPort || 22,
           username: service.username,
+          authType: service.authType,
           password: service.password,
-          privateKey: service.privateKey
+          privateKey: service.privateKey,
+          passphrase: service.passphrase,
+          jumpHosts: service.jumpHosts
         })
 
         if (!serverResult.success) {
@@ -362,7 +544,13 @@ function setupIPCHandlers() {
         }
 
         // 检查服务状态
-        const statusResult = await sshManager.checkServiceRealStatus(serverId, { port, startCommand })
+        const statusResult = await sshManager.checkServiceRealStatus(serverId, {
+          port,
+          startCommand,
+          launchSpec: service.launchSpec,
+          framework: service.framework,
+          serviceId: supervised ? service.serviceId : null
+        })
         results.push({
           serviceId: service.id,
           ...statusResult
@@ -447,13 +635,67 @@ function setupIPCHandlers() {
   ipcMain.handle('modelHub:getModels', async (event, platform, params) => {
     try {
       const { getModels } = await import('../renderer/src/api/modelHub.js')
-      const result = await getModels(platform, params)
+      const options = await modelHubConfig.getPlatformConfig(platform)
+      const result = await getModels(platform, params, options)
       return result
     } catch (error) {
       return { success: false, error: error.message }
     }
   })
 
+  // 模型市场：获取模型仓库的文件列表
+  ipcMain.handle('modelHub:getModelFiles', async (event, platform, modelId, revision) => {
+    try {
+      const { getModelFiles } = await import('../renderer/src/api/modelHub.js')
+      const options = await modelHubConfig.getPlatformConfig(platform)
+      return await getModelFiles(platform, modelId, revision, options)
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型市场：获取模型详情（模型卡片、文件列表、许可证等）
+  ipcMain.handle('modelHub:getModelDetail', async (event, platform, modelId) => {
+    try {
+      const { getModelDetail } = await import('../renderer/src/api/modelHub.js')
+      const options = await modelHubConfig.getPlatformConfig(platform)
+      return await getModelDetail(platform, modelId, options)
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型市场：检查模型访问权限（受限模型、私有模型）
+  ipcMain.handle('modelHub:checkAccess', async (event, platform, modelId) => {
+    try {
+      const { checkModelAccess } = await import('../renderer/src/api/modelHub.js')
+      const options = await modelHubConfig.getPlatformConfig(platform)
+      return await checkModelAccess(platform, modelId, options)
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型市场：获取平台访问设置（不返回令牌明文）
+  ipcMain.handle('modelHub:getHubConfig', async () => {
+    try {
+      const data = await modelHubConfig.getConfig()
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型市场：保存平台访问设置
+  ipcMain.handle('modelHub:saveHubConfig', async (event, platform, config) => {
+    try {
+      const data = await modelHubConfig.saveConfig(platform, config)
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
   // 模型市场：检测下载命令
   ipcMain.handle('modelHub:checkCommand', async (event, serverId, envType, envName, command) => {
     try {
@@ -467,21 +709,12 @@ function setupIPCHandlers() {
     }
   })
 
-  // 模型市场：开始下载
+  // 模型市场：加入下载队列
   ipcMain.handle('modelHub:startDownload', async (event, downloadConfig) => {
     try {
-      console.log('[modelHub:startDownload] 收到下载请求，downloadId:', downloadConfig.downloadId)
-
-      // 确保服务器已加载到 ssh-manager
       await ensureServerLoaded(downloadConfig.serverId)
 
-      const mainWindow = BrowserWindow.fromWebContents(event.sender)
-      console.log('[modelHub:startDownload] mainWindow:', mainWindow ? '存在' : '不存在')
-
-      const result = await sshManager.downloadModel({
-        ...downloadConfig,
-        mainWindow
-      })
+      const result = await modelDownloadManager.enqueue(downloadConfig)
       return { success: true, data: result }
     } catch (error) {
       console.error('[modelHub:startDownload] 错误:', error)
@@ -490,21 +723,116 @@ function setupIPCHandlers() {
   })
 
   // 模型市场：取消下载
-  ipcMain.handle('modelHub:cancelDownload', async (event, serverId, modelId) => {
+  ipcMain.handle('modelHub:cancelDownload', async (event, downloadId) => {
+    try {
+      await modelDownloadManager.cancel(downloadId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型市场：获取下载队列
+  ipcMain.handle('modelHub:listDownloads', async () => {
+    return { success: true, data: modelDownloadManager.list() }
+  })
+
+  // 模型市场：删除已结束的下载记录
+  ipcMain.handle('modelHub:removeDownload', async (event, downloadId) => {
+    try {
+      await modelDownloadManager.remove(downloadId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型市场：获取下载队列设置
+  ipcMain.handle('modelHub:getDownloadSettings', async () => {
+    return { success: true, data: modelDownloadManager.getSettings() }
+  })
+
+  // 模型市场：修改下载队列设置
+  ipcMain.handle('modelHub:setDownloadSettings', async (event, settings) => {
+    try {
+      const data = await modelDownloadManager.setSettings(settings)
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型市场：在服务器之间复制模型
+  ipcMain.handle('modelHub:copyModel', async (event, copyConfig) => {
+    try {
+      await ensureServerLoaded(copyConfig.sourceServerId)
+      await ensureServerLoaded(copyConfig.targetServerId)
+
+      const result = modelCopyManager.copy(copyConfig)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型市场：取消复制
+  ipcMain.handle('modelHub:cancelCopy', async (event, downloadId) => {
+    try {
+      await modelCopyManager.cancel(downloadId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型库：获取扫描目录和扫描结果
+  ipcMain.handle('modelInventory:list', async () => {
+    try {
+      const data = await modelInventory.list()
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型库：扫描服务器上的模型
+  ipcMain.handle('modelInventory:scan', async (event, serverId) => {
     try {
-      // 确保服务器已加载到 ssh-manager
       await ensureServerLoaded(serverId)
+      const data = await modelInventory.scan(serverId)
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
 
-      const result = await sshManager.cancelDownload(serverId, modelId)
-      return result
+  // 模型库：设置服务器的模型目录
+  ipcMain.handle('modelInventory:setRoots', async (event, serverId, roots) => {
+    try {
+      const data = await modelInventory.setRoots(serverId, roots)
+      return { success: true, data }
     } catch (error) {
       return { success: false, error: error.message }
     }
   })
 
   // 模型测试：测试连接
-  ipcMain.handle('modelTest:testConnection', async (event, protocol, serverUrl, apiKey, model) => {
+  // testType 为 embedding/rerank/completion 时用对应接口发送一个最小请求
+  ipcMain.handle('modelTest:testConnection', async (event, protocol, serverUrl, apiKey, model, testType) => {
     try {
+      if (testType && testType !== 'chat') {
+        const baseUrl = modelTestHandler.openAICompatibleUrl(protocol, serverUrl)
+        let data
+        if (testType === 'embedding') {
+          data = await modelTestHandler.createEmbeddings(baseUrl, apiKey, model, ['Hi'])
+        } else if (testType === 'rerank') {
+          data = await modelTestHandler.rerank(baseUrl, apiKey, model, 'Hi', ['Hi'])
+        } else {
+          data = await modelTestHandler.createCompletion(baseUrl, apiKey, model, 'Hi', { maxTokens: 5 })
+        }
+        return { success: true, data }
+      }
+
       let result
       if (protocol === 'openai') {
         result = await modelTestHandler.testOpenAIConnection(serverUrl, apiKey, model)
@@ -536,11 +864,35 @@ function setupIPCHandlers() {
     }
   })
 
+  // 进行中的聊天请求（streamId -> abort），用于停止生成
+  const activeChatRequests = new Map()
+
   // 模型测试：聊天（流式）
-  ipcMain.handle('modelTest:chat', async (event, protocol, serverUrl, apiKey, model, messages, params) => {
+  // streamId 用于区分同时进行的多个请求（对比测试），会随流式数据一起发送，也用于停止请求
+  ipcMain.handle('modelTest:chat', async (event, protocol, serverUrl, apiKey, model, messages, params, streamId) => {
     try {
       const mainWindow = BrowserWindow.fromWebContents(event.sender)
 
+      // 发送流式数据
+      const sendChunk = (data) => {
+        if (mainWindow && mainWindow.webContents) {
+          mainWindow.webContents.send('modelTest:chunk', { ...data, streamId })
+        }
+      }
+
+      // 模型返回的工具调用（随结果一起返回）
+      let toolCalls = []
+      const callbacks = {
+        onUsage: (usage) => sendChunk({ usage }),
+        onToolCalls: (calls) => {
+          toolCalls = calls
+          sendChunk({ toolCalls: calls })
+        },
+        onRequest: (abort) => {
+          if (streamId) activeChatRequests.set(streamId, abort)
+        }
+      }
+
       let result
       if (protocol === 'openai') {
         result = await modelTestHandler.chatOpenAI(
@@ -549,12 +901,8 @@ function setupIPCHandlers() {
           model,
           messages,
           params,
-          (chunk) => {
-            // 发送流式数据
-            if (mainWindow && mainWindow.webContents) {
-              mainWindow.webContents.send('modelTest:chunk', { content: chunk })
-            }
-          }
+          (chunk) => sendChunk({ content: chunk }),
+          callbacks
         )
       } else if (protocol === 'ollama') {
         result = await modelTestHandler.chatOllama(
@@ -562,18 +910,116 @@ function setupIPCHandlers() {
           model,
           messages,
           params,
-          (chunk) => {
-            // 发送流式数据
-            if (mainWindow && mainWindow.webContents) {
-              mainWindow.webContents.send('modelTest:chunk', { content: chunk })
-            }
-          }
+          (chunk) => sendChunk({ content: chunk }),
+          callbacks
         )
       } else {
         return { success: false, error: '不支持的协议' }
       }
 
-      return { success: true, data: result }
+      return { success: true, data: result, toolCalls }
+    } catch (error) {
+      return { success: false, error: error.message }
+    } finally {
+      if (streamId) activeChatRequests.delete(streamId)
+    }
+  })
+
+  // 模型测试：停止聊天请求（中断 HTTP 请求，服务端随之停止生成）
+  ipcMain.handle('modelTest:abortChat', async (event, streamId) => {
+    const abort = activeChatRequests.get(streamId)
+    if (abort) {
+      activeChatRequests.delete(streamId)
+      abort()
+    }
+    return { success: true }
+  })
+
+  // 模型测试：向量接口
+  ipcMain.handle('modelTest:embeddings', async (event, protocol, serverUrl, apiKey, model, input) => {
+    try {
+      const baseUrl = modelTestHandler.openAICompatibleUrl(protocol, serverUrl)
+      const data = await modelTestHandler.createEmbeddings(baseUrl, apiKey, model, input)
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型测试：重排序接口
+  ipcMain.handle('modelTest:rerank', async (event, protocol, serverUrl, apiKey, model, query, documents, options) => {
+    try {
+      const baseUrl = modelTestHandler.openAICompatibleUrl(protocol, serverUrl)
+      const data = await modelTestHandler.rerank(baseUrl, apiKey, model, query, documents, options)
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型测试：文本补全接口
+  ipcMain.handle('modelTest:completion', async (event, protocol, serverUrl, apiKey, model, prompt, params) => {
+    try {
+      const baseUrl = modelTestHandler.openAICompatibleUrl(protocol, serverUrl)
+      const data = await modelTestHandler.createCompletion(baseUrl, apiKey, model, prompt, params)
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型测试：开始压测
+  ipcMain.handle('modelTest:startBenchmark', async (event, target, options) => {
+    try {
+      const data = await benchmarkRunner.start(target, options)
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型测试：停止压测
+  ipcMain.handle('modelTest:cancelBenchmark', async (event, runId) => {
+    try {
+      benchmarkRunner.cancel(runId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型测试：获取压测记录
+  ipcMain.handle('modelTest:listBenchmarks', async () => {
+    try {
+      const data = await benchmarkRunner.list()
+      return { success: true, data }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型测试：删除压测记录
+  ipcMain.handle('modelTest:deleteBenchmark', async (event, runId) => {
+    try {
+      await benchmarkRunner.remove(runId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 模型测试：选择压测数据集文件
+  ipcMain.handle('modelTest:selectDataset', async (event) => {
+    try {
+      const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: '选择压测数据集',
+        properties: ['openFile'],
+        filters: [
+          { name: '数据集', extensions: ['jsonl', 'json', 'txt'] },
+          { name: '所有文件', extensions: ['*'] }
+        ]
+      })
+      return { success: true, data: result.canceled ? null : result.filePaths[0] }
     } catch (error) {
       return { success: false, error: error.message }
     }
@@ -700,6 +1146,109 @@ function setupIPCHandlers() {
     }
   })
 
+  // 文件管理：读取文本文件（在线编辑）
+  ipcMain.handle('fileManager:readTextFile', async (event, serverId, path) => {
+    try {
+      await ensureServerLoaded(serverId)
+      return await sshManager.readTextFile(serverId, path)
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 文件管理：保存文本文件
+  ipcMain.handle('fileManager:writeTextFile', async (event, serverId, path, content, options) => {
+    try {
+      await ensureServerLoaded(serverId)
+      return await sshManager.writeTextFile(serverId, path, content, options)
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 文件管理：选择本地文件或目录
+  // mode: files 上传文件（多选）、folders 上传文件夹（多选）、saveTo 下载保存目录
+  ipcMain.handle('fileManager:selectLocalPaths', async (event, mode) => {
+    try {
+      const properties = {
+        files: ['openFile', 'multiSelections'],
+        folders: ['openDirectory', 'multiSelections'],
+        saveTo: ['openDirectory', 'createDirectory']
+      }[mode]
+      if (!properties) {
+        return { success: false, error: `不支持的选择方式: ${mode}` }
+      }
+      const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: mode === 'saveTo' ? '选择保存位置' : '选择要上传的内容',
+        defaultPath: mode === 'saveTo' ? app.getPath('downloads') : undefined,
+        properties
+      })
+      return { success: true, data: result.canceled ? [] : result.filePaths }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 文件传输：上传到服务器目录
+  ipcMain.handle('transfer:upload', async (event, serverId, localPaths, remoteDir) => {
+    try {
+      const tasks = await transferManager.upload(serverId, localPaths, remoteDir)
+      return { success: true, data: tasks }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 文件传输：下载到本地目录
+  ipcMain.handle('transfer:download', async (event, serverId, remotePaths, localDir) => {
+    try {
+      const tasks = await transferManager.download(serverId, remotePaths, localDir)
+      return { success: true, data: tasks }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 文件传输：任务列表
+  ipcMain.handle('transfer:list', async (event, serverId) => {
+    return { success: true, data: transferManager.list(serverId) }
+  })
+
+  // 文件传输：暂停
+  ipcMain.handle('transfer:pause', async (event, taskId) => {
+    try {
+      transferManager.pause(taskId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 文件传输：继续
+  ipcMain.handle('transfer:resume', async (event, taskId) => {
+    try {
+      transferManager.resume(taskId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 文件传输：取消
+  ipcMain.handle('transfer:cancel', async (event, taskId) => {
+    try {
+      await transferManager.cancel(taskId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 文件传输：清除已结束的任务
+  ipcMain.handle('transfer:clearFinished', async (event, serverId) => {
+    return { success: true, data: transferManager.clearFinished(serverId) }
+  })
+
   // GPU 进程管理：获取 GPU 进程列表
   ipcMain.handle('gpu:getProcesses', async (event, serverId) => {
     try {
@@ -722,6 +1271,93 @@ function setupIPCHandlers() {
     }
   })
 
+  // 资源监控：读取采样配置
+  ipcMain.handle('monitor:getConfig', async (event, serverId) => {
+    try {
+      return { success: true, data: resourceMonitor.getConfig(serverId) }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 资源监控：更新采样配置（开启/关闭后台采样、采样间隔）
+  ipcMain.handle('monitor:setConfig', async (event, serverId, config) => {
+    try {
+      await ensureServerLoaded(serverId)
+      const result = await resourceMonitor.setConfig(serverId, config)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 资源监控：查询历史（1h / 24h / 7d）
+  ipcMain.handle('monitor:getHistory', async (event, serverId, range) => {
+    try {
+      const result = await resourceMonitor.getHistory(serverId, range)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 资源监控：立即采样一次
+  ipcMain.handle('monitor:sampleNow', async (event, serverId) => {
+    try {
+      const result = await resourceMonitor.sample(serverId)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 告警：读取规则、通知渠道和设置
+  ipcMain.handle('alert:getConfig', async () => {
+    try {
+      return { success: true, data: alertManager.getConfig() }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 告警：保存规则、通知渠道和设置
+  ipcMain.handle('alert:saveConfig', async (event, config) => {
+    try {
+      const result = await alertManager.saveConfig(config)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 告警：向通知渠道发送测试消息
+  ipcMain.handle('alert:testWebhook', async (event, webhook) => {
+    try {
+      return await alertManager.testWebhook(webhook)
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 告警：查询告警记录
+  ipcMain.handle('alert:getHistory', async (event, limit) => {
+    try {
+      return { success: true, data: alertManager.getHistory(limit) }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // 告警：清空告警记录
+  ipcMain.handle('alert:clearHistory', async () => {
+    try {
+      await alertManager.clearHistory()
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
   // GPU 进程管理：批量终止进程
   ipcMain.handle('gpu:killBatchProcesses', async (event, serverId, pids) => {
     try {
@@ -0,0 +1,431 @@
+/**
+ * 服务器间模型复制
+ * 源服务器能免密 SSH 登录目标服务器且两端都安装了 rsync 时，直接在源服务器上执行 rsync；
+ * 否则经由本应用中转（从源服务器读取、写入目标服务器，未完成的文件以 .part 结尾，重试时续传）。
+ * 复制结束后比对两端所有文件的 SHA256，
+ * 进度和日志通过 download:progress / download:log 事件推送，与模型下载共用下载任务列表
+ */
+import { BrowserWindow } from 'electron'
+import { posix } from 'path'
+import sshManager from './ssh-manager'
+import transferManager from './transfer-manager'
+import { copyRange } from './ssh-modules/sftp-fs.js'
+import { shellQuote } from './service-modules/launch-spec.js'
+
+// 中转复制时未完成文件的后缀
+const PART_SUFFIX = '.part'
+// 源服务器 SSH 登录目标服务器的超时（秒）
+const PROBE_TIMEOUT = 10
+// 校验不一致时日志中最多列出的文件数
+const MAX_REPORTED_MISMATCHES = 10
+// 命令输出只保留末尾部分（rsync 进度输出会持续很久）
+const MAX_OUTPUT_LENGTH = 64 * 1024
+
+/**
+ * 生成计算 SHA256 的命令，输出每行为「哈希  ./相对路径」
+ * 目录跟随符号链接并忽略未完成文件；macOS 没有 sha256sum 时使用 shasum
+ * @param {string} path - 模型目录或文件
+ * @param {boolean} isDirectory - 是否为目录
+ */
+function checksumCommand(path, isDirectory) {
+  const selectHash = `if command -v sha256sum >/dev/null 2>&1; then HASH=sha256sum; else HASH='shasum -a 256'; fi`
+  if (!isDirectory) {
+    return `cd ${shellQuote(posix.dirname(path))} && ${selectHash} && $HASH ${shellQuote(`./${posix.basename(path)}`)}`
+  }
+  return (
+    `cd ${shellQuote(path)} && ${selectHash} && ` +
+    `find -L . -type f ! -name '*${PART_SUFFIX}' -print0 | LC_ALL=C sort -z | xargs -0 $HASH`
+  )
+}
+
+/**
+ * 解析 sha256sum 输出
+ * @returns {Map<string, string>} 相对路径 -> 哈希
+ */
+function parseChecksums(output) {
+  const sums = new Map()
+  for (const line of output.split('\n')) {
+    // 文件名含特殊字符时 sha256sum 会在行首加反斜杠
+    const match = line.match(/^\\?([0-9a-f]{64}) [ *](\.\/.*)$/)
+    if (match) sums.set(match[2], match[1])
+  }
+  return sums
+}
+
+/**
+ * 取输出的最后一行非空内容（用于错误信息）
+ */
+function lastLine(output) {
+  const lines = output
+    .split(/[\r\n]+/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+  return lines[lines.length - 1] || ''
+}
+
+class ModelCopyManager {
+  constructor() {
+    // downloadId -> 正在进行的复制任务
+    this.jobs = new Map()
+  }
+
+  /**
+   * 开始复制（在后台执行，立即返回）
+   * @param {Object} config
+   * @param {string} config.downloadId - 下载任务ID，用于推送进度
+   * @param {string} config.sourceServerId - 源服务器ID
+   * @param {string} config.sourcePath - 源服务器上的模型目录或文件
+   * @param {string} config.targetServerId - 目标服务器ID
+   * @param {string} config.targetDir - 目标服务器上的父目录，模型复制到其下的同名目录
+   * @returns {{ targetPath: string }} 目标路径
+   */
+  copy({ downloadId, sourceServerId, sourcePath, targetServerId, targetDir }) {
+    if (this.jobs.has(downloadId)) {
+      throw new Error('该任务正在复制中')
+    }
+    if (sourceServerId === targetServerId) {
+      throw new Error('源服务器和目标服务器不能相同')
+    }
+    const source = sshManager.getServerById(sourceServerId)
+    const target = sshManager.getServerById(targetServerId)
+    if (!source || !target) {
+      throw new Error('服务器不存在')
+    }
+
+    const normalizedSource = posix.normalize(sourcePath).replace(/(.)\/+$/, '$1')
+    const name = posix.basename(normalizedSource)
+    if (!name || normalizedSource === '/') {
+      throw new Error('无效的源路径')
+    }
+
+    const job = {
+      id: downloadId,
+      sourceServerId,
+      sourcePath: normalizedSource,
+      targetServerId,
+      targetPath: posix.join(targetDir || '/', name),
+      source,
+      target,
+      isDirectory: true,
+      progress: -1,
+      // 取消控制：中转复制的中止信号、rsync 进程号、正在执行的命令
+      controller: new AbortController(),
+      pid: null,
+      stops: new Set()
+    }
+    this.jobs.set(downloadId, job)
+    this.run(job)
+    return { targetPath: job.targetPath }
+  }
+
+  /**
+   * 执行复制、校验并推送结果
+   */
+  async run(job) {
+    this.sendProgress(job, 0, 'downloading')
+    this.log(
+      job,
+      `[复制] ${job.source.name || job.source.host}:${job.sourcePath} → ${job.target.name || job.target.host}:${job.targetPath}`
+    )
+
+    try {
+      const sourceFs = await sshManager.getFileSystem(job.sourceServerId)
+      job.isDirectory = (await sourceFs.stat(job.sourcePath)).isDirectory
+
+      if (await this.canRsyncDirectly(job)) {
+        await this.copyWithRsync(job)
+      } else {
+        await this.copyThroughApp(job)
+      }
+      this.throwIfCanceled(job)
+
+      await this.verify(job)
+      this.throwIfCanceled(job)
+
+      this.log(job, '[复制] 全部完成！')
+      this.sendProgress(job, 100, 'completed')
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.log(job, '[复制] 已取消')
+        this.sendProgress(job, Math.max(job.progress, 0), 'cancelled')
+      } else {
+        console.error('[ModelCopy] 复制失败:', error)
+        this.log(job, `[错误] ${error.message}`)
+        this.sendProgress(job, Math.max(job.progress, 0), 'error')
+      }
+    } finally {
+      this.jobs.delete(job.id)
+    }
+  }
+
+  /**
+   * 检测能否在源服务器上直接 rsync 到目标服务器
+   * 需要两端都有 rsync，且源服务器能免密登录目标服务器（不自动信任未知主机密钥）
+   */
+  async canRsyncDirectly(job) {
+    if (job.target.type === 'localhost' || !job.target.host) {
+      this.log(job, '[复制] 目标为本地宿主机，经由本机中转复制')
+      return false
+    }
+
+    this.log(job, '[复制] 检测源服务器能否直接连接目标服务器...')
+    const probe = await this.runCommand(
+      job,
+      job.sourceServerId,
+      `command -v rsync >/dev/null 2>&1 || { echo '源服务器未安装 rsync' >&2; exit 127; }; ` +
+        `${this.sshCommand(job)} -o ConnectTimeout=${PROBE_TIMEOUT} ${shellQuote(this.sshDestination(job))} ` +
+        `'command -v rsync >/dev/null 2>&1 || { echo "目标服务器未安装 rsync" >&2; exit 127; }'`
+    )
+    this.throwIfCanceled(job)
+
+    if (probe.code !== 0) {
+      const reason = lastLine(probe.stderr) || `退出码 ${probe.code}`
+      this.log(job, `[复制] 无法直接复制（${reason}），经由本机中转复制`)
+      return false
+    }
+    this.log(job, '[复制] 源服务器可直接连接目标服务器，使用 rsync 复制')
+    return true
+  }
+
+  /**
+   * 源服务器上使用的 ssh 命令
+   */
+  sshCommand(job) {
+    return `ssh -p ${Number(job.target.port) || 22} -o BatchMode=yes`
+  }
+
+  /**
+   * 源服务器视角下的目标主机（user@host，IPv6 地址加方括号）
+   */
+  sshDestination(job) {
+    const host = job.target.host.includes(':') ? `[${job.target.host}]` : job.target.host
+    return job.target.username ? `${job.target.username}@${host}` : host
+  }
+
+  /**
+   * 在源服务器上执行 rsync 直接推送到目标服务器
+   */
+  async copyWithRsync(job) {
+    const targetFs = await sshManager.getFileSystem(job.targetServerId)
+    await targetFs.mkdirp(job.isDirectory ? job.targetPath : posix.dirname(job.targetPath))
+
+    // 目录以 / 结尾表示复制目录内容；-s 使远程路径不经目标服务器的 shell 解析
+    const suffix = job.isDirectory ? '/' : ''
+    const rsync = [
+      'rsync -aL -s --partial --info=progress2 --no-inc-recursive',
+      `-e ${shellQuote(this.sshCommand(job))}`,
+      shellQuote(job.sourcePath + suffix),
+      shellQuote(`${this.sshDestination(job)}:${job.targetPath}${suffix}`)
+    ].join(' ')
+
+    // 先输出进程号用于取消，再用 exec 替换为 rsync
+    const result = await this.runCommand(
+      job,
+      job.sourceServerId,
+      `echo "__PID__$$"; exec ${rsync}`,
+      (text) => {
+        const pidMatch = text.match(/__PID__(\d+)/)
+        if (pidMatch) job.pid = pidMatch[1]
+
+        const percentages = [...text.matchAll(/(\d+)%/g)]
+        if (percentages.length > 0) {
+          // 校验阶段占最后一小部分进度
+          this.sendProgress(job, Math.min(Number(percentages[percentages.length - 1][1]), 99))
+        }
+      }
+    )
+    job.pid = null
+    this.throwIfCanceled(job)
+
+    if (result.code !== 0) {
+      throw new Error(`rsync 失败（退出码 ${result.code}）: ${lastLine(result.stderr)}`)
+    }
+    this.log(job, '[复制] rsync 传输完成')
+  }
+
+  /**
+   * 经由本应用中转：逐个文件从源服务器读取并写入目标服务器
+   * 目标已存在大小相同的文件时跳过，存在 .part 文件时从已写入位置继续（结果由校验保证）
+   */
+  async copyThroughApp(job) {
+    const sourceFs = await sshManager.getFileSystem(job.sourceServerId)
+    const targetFs = await sshManager.getFileSystem(job.targetServerId)
+    if (!job.isDirectory) {
+      await targetFs.mkdirp(posix.dirname(job.targetPath))
+    }
+
+    const files = await transferManager.collectFiles(
+      sourceFs,
+      targetFs,
+      job.sourcePath,
+      job.targetPath
+    )
+    const total = files.reduce((sum, file) => sum + file.size, 0)
+    this.log(job, `[复制] 共 ${files.length} 个文件`)
+
+    let done = 0
+    const reportProgress = (bytes) => {
+      if (total > 0) this.sendProgress(job, Math.min(Math.floor((bytes * 100) / total), 99))
+    }
+
+    for (const file of files) {
+      this.throwIfCanceled(job)
+
+      const existing = await targetFs.stat(file.targetPath).catch(() => null)
+      if (existing && !existing.isDirectory && existing.size === file.size) {
+        done += file.size
+        reportProgress(done)
+        continue
+      }
+
+      const partPath = file.targetPath + PART_SUFFIX
+      const part = await targetFs.stat(partPath).catch(() => null)
+      const start = part && part.size <= file.size ? part.size : 0
+
+      let source = null
+      let target = null
+      let copied = 0
+      try {
+        source = await sourceFs.open(file.sourcePath, 'r')
+        target = await targetFs.open(partPath, start > 0 ? 'r+' : 'w')
+        copied = await copyRange({
+          source,
+          target,
+          size: file.size,
+          start,
+          signal: job.controller.signal,
+          onProgress: (bytes) => reportProgress(done + bytes)
+        })
+      } finally {
+        await Promise.all([source && source.close(), target && target.close()])
+      }
+      if (copied < file.size) return
+
+      await targetFs.rename(partPath, file.targetPath)
+      done += file.size
+      this.log(
+        job,
+        `[复制] ${posix.relative(job.sourcePath, file.sourcePath) || posix.basename(file.sourcePath)}`
+      )
+    }
+  }
+
+  /**
+   * 比对两端文件的 SHA256（只检查源中存在的文件，目标中多出的文件不影响结果）
+   */
+  async verify(job) {
+    this.log(job, '[校验] 正在计算两端文件的 SHA256，大模型可能需要几分钟...')
+    const [sourceResult, targetResult] = await Promise.all([
+      this.runCommand(job, job.sourceServerId, checksumCommand(job.sourcePath, job.isDirectory)),
+      this.runCommand(job, job.targetServerId, checksumCommand(job.targetPath, job.isDirectory))
+    ])
+    this.throwIfCanceled(job)
+
+    for (const [label, result] of [
+      ['源服务器', sourceResult],
+      ['目标服务器', targetResult]
+    ]) {
+      if (result.code !== 0) {
+        throw new Error(
+          `${label}计算校验和失败: ${lastLine(result.stderr) || `退出码 ${result.code}`}`
+        )
+      }
+    }
+
+    const sourceSums = parseChecksums(sourceResult.stdout)
+    const targetSums = parseChecksums(targetResult.stdout)
+    const mismatched = [...sourceSums]
+      .filter(([path, hash]) => targetSums.get(path) !== hash)
+      .map(([path]) => path)
+
+    if (mismatched.length > 0) {
+      mismatched.slice(0, MAX_REPORTED_MISMATCHES).forEach((path) => {
+        this.log(job, `[校验] ${targetSums.has(path) ? '内容不一致' : '目标缺少文件'}: ${path}`)
+      })
+      // 删除目标上内容不一致的文件，重试时重新完整传输
+      const targetFs = await sshManager.getFileSystem(job.targetServerId)
+      const baseDir = job.isDirectory ? job.targetPath : posix.dirname(job.targetPath)
+      for (const path of mismatched.filter((item) => targetSums.has(item))) {
+        await targetFs.unlink(posix.join(baseDir, path)).catch(() => {})
+      }
+      throw new Error(`${mismatched.length} 个文件校验不一致，已删除目标上的不一致文件，请重试复制`)
+    }
+    this.log(job, `[校验] 通过，共 ${sourceSums.size} 个文件`)
+  }
+
+  /**
+   * 在服务器上执行命令（不设超时，取消任务时停止）
+   * @param {Object} job - 复制任务
+   * @param {string} serverId - 服务器ID
+   * @param {string} command - 命令
+   * @param {Function} [onOutput] - 实时输出回调；提供时 stdout 只保留末尾部分
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  async runCommand(job, serverId, command, onOutput) {
+    await sshManager.getConnection(serverId)
+    return new Promise((resolve) => {
+      let stdout = ''
+      let stderr = ''
+      const stop = sshManager.execCommandStream(
+        serverId,
+        command,
+        (out, err) => {
+          stdout += out
+          stderr = (stderr + err).slice(-MAX_OUTPUT_LENGTH)
+          if (onOutput) {
+            stdout = stdout.slice(-MAX_OUTPUT_LENGTH)
+            onOutput(out + err)
+          }
+        },
+        (code) => {
+          job.stops.delete(stop)
+          resolve({ code, stdout, stderr })
+        }
+      )
+      job.stops.add(stop)
+    })
+  }
+
+  /**
+   * 取消复制
+   * @param {string} downloadId - 下载任务ID
+   */
+  async cancel(downloadId) {
+    const job = this.jobs.get(downloadId)
+    if (!job) {
+      throw new Error('复制任务不存在或已结束')
+    }
+    job.controller.abort()
+    if (job.pid) {
+      await sshManager.execCommand(job.sourceServerId, `kill ${job.pid}`).catch(() => {})
+    }
+    job.stops.forEach((stop) => stop())
+  }
+
+  throwIfCanceled(job) {
+    if (job.controller.signal.aborted) {
+      throw new Error('已取消')
+    }
+  }
+
+  /**
+   * 推送进度（百分比变化时才推送）
+   */
+  sendProgress(job, percentage, status) {
+    if (!status && percentage === job.progress) return
+    job.progress = percentage
+    this.send(`download:progress:${job.id}`, status ? { percentage, status } : { percentage })
+  }
+
+  log(job, log) {
+    this.send(`download:log:${job.id}`, { log })
+  }
+
+  send(channel, data) {
+    for (const window of BrowserWindow.getAllWindows()) {
+      window.webContents.send(channel, data)
+    }
+  }
+}
+
+export default new ModelCopyManager()
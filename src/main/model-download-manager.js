@@ -0,0 +1,710 @@
+/**
+ * 模型下载队列
+ * 下载命令在服务器上以脱离 SSH 会话的后台任务运行（setsid + nohup），
+ * 每个任务有独立的任务目录（启动脚本、日志、退出码），主进程定时读取新增日志和进程状态，
+ * 应用关闭或连接断开不影响下载；队列保存在 ~/.vllm_front/modelDownloads.json，
+ * 应用启动时重新接管运行中的任务。每台服务器同时运行的下载数受并发上限控制，
+ * 取消时只终止该任务的进程组。
+ * 启动前从模型仓库接口获取文件列表，下载过程中统计安装目录中的文件大小计算进度、速度和剩余时间，
+ * 获取不到文件列表时退回解析下载工具输出的百分比。
+ * 平台的访问令牌和镜像地址通过任务目录中的 env 文件传给下载命令，脚本读取后立即删除，令牌不出现在命令行和日志中
+ */
+import { BrowserWindow } from 'electron'
+import { posix } from 'path'
+import sshManager from './ssh-manager'
+import dataManager from './data-manager'
+import modelHubConfig from './model-hub-config'
+import { shellQuote } from './service-modules/launch-spec.js'
+import {
+  buildSizeListCommand,
+  parseSizeList,
+  measureProgress,
+  updateThroughput,
+  normalizeFileList
+} from './model-modules/download-progress.js'
+
+// 存储模块名
+const DATA_MODULE = 'modelDownloads'
+// 服务器上的任务目录（相对用户主目录）
+const JOB_ROOT = '.vllm_front/downloads'
+// 检查运行中任务的间隔（毫秒）
+const POLL_INTERVAL = 3000
+// 每次最多读取的日志字节数
+const MAX_LOG_CHUNK = 64 * 1024
+// 连续多少次既没有进程也没有退出码时判定任务已丢失（服务器重启等）
+const LOST_THRESHOLD = 2
+// 已结束的任务最多保留条数
+const MAX_FINISHED = 200
+
+const DEFAULT_SETTINGS = {
+  // 每台服务器同时运行的下载数
+  maxConcurrentPerServer: 2
+}
+
+// 已结束的状态
+const FINISHED_STATUSES = ['completed', 'error', 'cancelled']
+
+// 任务状态 -> 渲染进程下载记录的状态
+const TASK_STATUS = {
+  queued: 'pending',
+  starting: 'downloading',
+  running: 'downloading',
+  completed: 'completed',
+  error: 'error',
+  cancelled: 'cancelled'
+}
+
+class ModelDownloadManager {
+  constructor() {
+    this.jobs = []
+    this.settings = { ...DEFAULT_SETTINGS }
+    this.ensureServerLoaded = null
+    this.pollTimer = null
+    this.polling = false
+    // jobId -> 日志中未读完的最后一行
+    this.partialLines = new Map()
+    // jobId -> 连续检测不到进程的次数
+    this.lostCounts = new Map()
+    // jobId -> 最近一次统计的下载速度 { bytes, time, speed, eta }
+    this.throughputs = new Map()
+    // jobId -> 最近一次统计的文件状态
+    this.fileStatuses = new Map()
+  }
+
+  /**
+   * 初始化：读取上次的队列，继续监视运行中的任务并启动排队中的任务
+   * @param {Object} options
+   * @param {Function} options.ensureServerLoaded - 确保服务器已加载到 sshManager 的函数
+   */
+  async init({ ensureServerLoaded }) {
+    this.ensureServerLoaded = ensureServerLoaded
+    const stored = await dataManager.readData(DATA_MODULE, {})
+    this.settings = { ...DEFAULT_SETTINGS, ...(stored.settings || {}) }
+    this.jobs = (Array.isArray(stored.jobs) ? stored.jobs : []).map((job) => ({
+      ...job,
+      selectedFiles: job.selectedFiles || [],
+      include: job.include || [],
+      exclude: job.exclude || [],
+      // 启动过程中退出的任务没有记录 PID，重新排队（下载工具会跳过已下载的文件）
+      status: job.status === 'starting' ? 'queued' : job.status
+    }))
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL)
+    this.schedule()
+  }
+
+  save() {
+    return dataManager
+      .writeData(DATA_MODULE, { settings: this.settings, jobs: this.jobs })
+      .catch((error) => console.error('[ModelDownloadManager] 保存下载队列失败:', error))
+  }
+
+  /**
+   * 获取任务列表
+   * @returns {Array<Object>} 任务列表（附带渲染进程使用的状态）
+   */
+  list() {
+    return this.jobs.map((job) => this.toTask(job))
+  }
+
+  toTask(job) {
+    return {
+      id: job.id,
+      serverId: job.serverId,
+      status: TASK_STATUS[job.status],
+      queued: job.status === 'queued',
+      progress: job.progress,
+      downloadedBytes: job.downloadedBytes || 0,
+      totalBytes: job.totalBytes || 0,
+      pid: job.pid,
+      error: job.error,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    }
+  }
+
+  getSettings() {
+    return { ...this.settings }
+  }
+
+  /**
+   * 修改队列设置
+   * @param {Object} settings - { maxConcurrentPerServer }
+   */
+  async setSettings(settings) {
+    const limit = parseInt(settings.maxConcurrentPerServer, 10)
+    if (!(limit >= 1 && limit <= 16)) {
+      throw new Error('每台服务器的并发下载数应在 1 到 16 之间')
+    }
+    this.settings.maxConcurrentPerServer = limit
+    await this.save()
+    this.schedule()
+    return this.getSettings()
+  }
+
+  getJob(id) {
+    const job = this.jobs.find((item) => item.id === id)
+    if (!job) {
+      throw new Error('下载任务不存在')
+    }
+    return job
+  }
+
+  /**
+   * 加入下载队列（已结束的同 ID 任务重新排队）
+   * @param {Object} config - { downloadId, serverId, envType, envName, platform, modelId, installPath,
+   *   revision, selectedFiles, include, exclude }
+   * @returns {Object} 任务
+   */
+  async enqueue(config) {
+    const { downloadId, serverId, platform, modelId, installPath } = config
+    if (!downloadId || !serverId || !modelId) {
+      throw new Error('下载配置不完整')
+    }
+    if (!['modelscope', 'huggingface'].includes(platform)) {
+      throw new Error(`不支持的平台: ${platform}`)
+    }
+    if (!String(installPath || '').startsWith('/')) {
+      throw new Error('安装路径必须为绝对路径')
+    }
+
+    const existing = this.jobs.find((job) => job.id === downloadId)
+    if (existing && !FINISHED_STATUSES.includes(existing.status)) {
+      throw new Error('下载任务正在进行中')
+    }
+
+    const job = {
+      id: downloadId,
+      serverId,
+      envType: config.envType || 'system',
+      envName: config.envName || '',
+      platform,
+      modelId,
+      installPath: posix.normalize(installPath),
+      // 分支、标签或提交，为空时使用默认分支
+      revision: String(config.revision || '').trim(),
+      // 手动选择的文件，为空时按包含/排除规则（通配符）筛选
+      selectedFiles: toList(config.selectedFiles),
+      include: toList(config.include),
+      exclude: toList(config.exclude),
+      status: 'queued',
+      progress: 0,
+      // 仓库文件列表 [{ path, size }]，获取失败时为 null
+      files: null,
+      totalBytes: 0,
+      downloadedBytes: 0,
+      pid: null,
+      jobDir: null,
+      logOffset: 0,
+      error: null,
+      createdAt: existing ? existing.createdAt : Date.now(),
+      startedAt: null,
+      finishedAt: null
+    }
+    if (existing) {
+      this.jobs.splice(this.jobs.indexOf(existing), 1, job)
+    } else {
+      this.jobs.push(job)
+    }
+    this.trimFinished()
+    this.notify(job)
+    this.log(job, '[下载] 已加入下载队列')
+    await this.save()
+    this.schedule()
+    return this.toTask(job)
+  }
+
+  /**
+   * 删除已结束的任务记录
+   * @param {string} id - 任务ID
+   */
+  async remove(id) {
+    const index = this.jobs.findIndex((job) => job.id === id)
+    if (index === -1) return
+    if (!FINISHED_STATUSES.includes(this.jobs[index].status)) {
+      throw new Error('请先取消正在进行的下载')
+    }
+    this.jobs.splice(index, 1)
+    await this.save()
+  }
+
+  trimFinished() {
+    const finished = this.jobs.filter((job) => FINISHED_STATUSES.includes(job.status))
+    const excess = finished.length - MAX_FINISHED
+    if (excess > 0) {
+      const removed = new Set(finished.slice(0, excess))
+      this.jobs = this.jobs.filter((job) => !removed.has(job))
+    }
+  }
+
+  /**
+   * 按加入顺序启动排队中的任务，每台服务器不超过并发上限
+   */
+  schedule() {
+    const active = {}
+    for (const job of this.jobs) {
+      if (job.status === 'starting' || job.status === 'running') {
+        active[job.serverId] = (active[job.serverId] || 0) + 1
+      }
+    }
+    for (const job of this.jobs) {
+      if (job.status !== 'queued') continue
+      if ((active[job.serverId] || 0) >= this.settings.maxConcurrentPerServer) continue
+      active[job.serverId] = (active[job.serverId] || 0) + 1
+      this.launch(job)
+    }
+  }
+
+  /**
+   * 根据环境类型生成下载命令
+   */
+  async buildCommand(job) {
+    const { envType, envName, platform, modelId, installPath } = job
+    const model = shellQuote(modelId)
+    const target = shellQuote(installPath)
+    // 手动选择的文件作为位置参数，否则按包含/排除规则筛选
+    const selection = []
+    if (job.selectedFiles.length > 0) {
+      selection.push(...job.selectedFiles.map(shellQuote))
+    }
+    if (job.revision) {
+      selection.push(`--revision ${shellQuote(job.revision)}`)
+    }
+    if (job.selectedFiles.length === 0 && job.include.length > 0) {
+      selection.push(`--include ${job.include.map(shellQuote).join(' ')}`)
+    }
+    if (job.selectedFiles.length === 0 && job.exclude.length > 0) {
+      selection.push(`--exclude ${job.exclude.map(shellQuote).join(' ')}`)
+    }
+    const filters = selection.length > 0 ? ` ${selection.join(' ')}` : ''
+    const cliArgs =
+      platform === 'modelscope'
+        ? `download --model ${model}${filters} --local_dir ${target}`
+        : `download ${model}${filters} --local-dir ${target} --local-dir-use-symlinks False`
+
+    if (envType === 'conda' && envName) {
+      const condaBin = await sshManager.getCondaBin(job.serverId)
+      const cli = platform === 'modelscope' ? 'modelscope' : 'huggingface-cli'
+      return `${shellQuote(condaBin)} run -n ${shellQuote(envName)} --no-capture-output ${cli} ${cliArgs}`
+    }
+    if (envType === 'uv' && envName) {
+      const module = platform === 'modelscope' ? 'modelscope' : 'huggingface_hub.cli'
+      return `${shellQuote(`${envName}/bin/python`)} -m ${module} ${cliArgs}`
+    }
+    return `${platform === 'modelscope' ? 'modelscope' : 'huggingface-cli'} ${cliArgs}`
+  }
+
+  /**
+   * 在服务器上启动后台下载任务
+   * @param {Object} job - 任务
+   */
+  async launch(job) {
+    job.status = 'starting'
+    job.error = null
+    job.logOffset = 0
+    job.progress = 0
+    job.downloadedBytes = 0
+    this.partialLines.delete(job.id)
+    this.lostCounts.delete(job.id)
+    this.throughputs.delete(job.id)
+    this.fileStatuses.delete(job.id)
+    this.notify(job)
+
+    try {
+      await this.ensureServerLoaded(job.serverId)
+      const hubOptions = await modelHubConfig.getPlatformConfig(job.platform)
+      await this.checkAccess(job, hubOptions)
+      if (!job.files) {
+        await this.loadFileList(job, hubOptions)
+      }
+      const command = await this.buildCommand(job)
+      const env = await modelHubConfig.buildDownloadEnv(job.platform)
+      const homeResult = await sshManager.execCommand(job.serverId, 'printf %s "$HOME"')
+      const home = homeResult.success ? homeResult.stdout.trim() : ''
+      if (!home) {
+        throw new Error('无法获取服务器用户主目录')
+      }
+      job.jobDir = posix.join(home, JOB_ROOT, job.id)
+
+      const dir = shellQuote(job.jobDir)
+      const script = [
+        '#!/bin/sh',
+        `# 模型下载任务 ${job.id}: ${job.platform} ${job.modelId}`,
+        `if [ -f ${dir}/env ]; then . ${dir}/env; rm -f ${dir}/env; fi`,
+        `mkdir -p ${shellQuote(job.installPath)} || exit 1`,
+        command,
+        'code=$?',
+        `echo $code > ${dir}/exit.tmp && mv ${dir}/exit.tmp ${dir}/exit`,
+        ''
+      ].join('\n')
+      const prepare = await sshManager.execCommand(
+        job.serverId,
+        `mkdir -p ${dir} && chmod 700 ${dir} && rm -f ${dir}/exit ${dir}/env && : > ${dir}/log`
+      )
+      if (!prepare.success) {
+        throw new Error(`创建任务目录失败: ${prepare.stderr || prepare.stdout}`)
+      }
+      const fs = await sshManager.getFileSystem(job.serverId)
+      await fs.writeFile(posix.join(job.jobDir, 'run.sh'), Buffer.from(script, 'utf-8'))
+      if (Object.keys(env).length > 0) {
+        const envFile = Object.entries(env)
+          .map(([name, value]) => `export ${name}=${shellQuote(value)}`)
+          .join('\n')
+        await fs.writeFile(posix.join(job.jobDir, 'env'), Buffer.from(`${envFile}\n`, 'utf-8'))
+      }
+
+      // setsid 使下载进程成为独立的进程组，取消时按进程组终止；没有 setsid 时（macOS）直接后台运行
+      const detach = `cd ${dir} && if command -v setsid >/dev/null 2>&1; then nohup setsid sh run.sh >> log 2>&1 < /dev/null & else nohup sh run.sh >> log 2>&1 < /dev/null & fi; echo "__PID__$!"`
+      const result = await sshManager.execCommand(job.serverId, detach)
+      const match = (result.stdout || '').match(/__PID__(\d+)/)
+      if (!match) {
+        throw new Error(`启动下载失败: ${result.stderr || result.stdout || '未获取到进程 PID'}`)
+      }
+
+      job.pid = Number(match[1])
+      job.startedAt = Date.now()
+      this.log(job, `[下载] 已在服务器后台启动，PID ${job.pid}，日志 ${job.jobDir}/log`)
+      this.log(job, `[下载] 执行命令: ${command}`)
+      if (hubOptions.endpoint) {
+        this.log(job, `[下载] 使用接口地址: ${hubOptions.endpoint}`)
+      }
+      if (hubOptions.token) {
+        this.log(job, '[下载] 使用已配置的访问令牌')
+      }
+      if (job.status === 'cancelled') {
+        // 启动过程中已取消
+        await this.kill(job)
+        return
+      }
+      job.status = 'running'
+      this.notify(job)
+    } catch (error) {
+      if (job.status === 'cancelled') {
+        await this.finish(job, 'cancelled')
+      } else {
+        await this.finish(job, 'error', error.message)
+      }
+    } finally {
+      await this.save()
+    }
+  }
+
+  /**
+   * 检查模型访问权限，受限模型未获得授权时不启动下载；检查请求本身失败时（如镜像站不支持）继续下载
+   * @param {Object} job - 任务
+   * @param {Object} hubOptions - 平台访问配置 { endpoint, token }
+   */
+  async checkAccess(job, hubOptions) {
+    const { checkModelAccess } = await import('../renderer/src/api/modelHub.js')
+    const result = await checkModelAccess(job.platform, job.modelId, hubOptions)
+    if (!result.success) {
+      this.log(job, `[下载] 检查模型访问权限失败，继续下载: ${result.error}`)
+      return
+    }
+    if (!result.data.accessible) {
+      throw new Error(result.data.reason)
+    }
+    if (result.data.gated) {
+      this.log(job, '[下载] 受限模型，访问令牌已获得授权')
+    }
+  }
+
+  /**
+   * 从模型仓库接口获取文件列表和总大小
+   * @param {Object} job - 任务
+   * @param {Object} hubOptions - 平台访问配置 { endpoint, token }
+   */
+  async loadFileList(job, hubOptions) {
+    const { getModelFiles, filterModelFiles } = await import('../renderer/src/api/modelHub.js')
+    const result = await getModelFiles(job.platform, job.modelId, job.revision, hubOptions)
+    if (!result.success || result.data.length === 0) {
+      this.log(
+        job,
+        `[下载] 获取模型文件列表失败，将按下载工具输出显示进度: ${result.error || '文件列表为空'}`
+      )
+      return
+    }
+    const files = filterModelFiles(normalizeFileList(result.data), {
+      files: job.selectedFiles.length > 0 ? job.selectedFiles : null,
+      include: job.include,
+      exclude: job.exclude
+    })
+    if (files.length === 0) {
+      throw new Error('仓库中没有符合筛选条件的文件')
+    }
+    job.files = files
+    job.totalBytes = job.files.reduce((sum, file) => sum + file.size, 0)
+    this.log(job, `[下载] 共 ${job.files.length} 个文件，${formatSize(job.totalBytes)}`)
+  }
+
+  /**
+   * 检查所有运行中的任务（上一轮未结束时跳过）
+   */
+  async poll() {
+    if (this.polling) return
+    const running = this.jobs.filter((job) => job.status === 'running')
+    if (running.length === 0) return
+
+    this.polling = true
+    try {
+      await Promise.all(running.map((job) => this.check(job)))
+    } finally {
+      this.polling = false
+    }
+  }
+
+  /**
+   * 读取任务的新增日志和进程状态
+   * @param {Object} job - 任务
+   */
+  async check(job) {
+    const dir = job.jobDir
+    const exitFile = shellQuote(`${dir}/exit`)
+    const logFile = shellQuote(`${dir}/log`)
+    // 先读进程状态再读日志大小，进程已退出时日志一定已经写完；
+    // 只读取到 SIZE 为止的字节，日志以 __END__ 结尾，避免 execCommand 去掉末尾换行后无法解析
+    const command = [
+      `printf '__STATE__'`,
+      `if [ -f ${exitFile} ]; then cat ${exitFile}; elif kill -0 ${job.pid} 2>/dev/null; then echo running; else echo lost; fi`,
+      `SIZE=$(wc -c < ${logFile} 2>/dev/null || echo 0)`,
+      `printf '__SIZE__%s\\n' $SIZE`,
+      `printf '__FILES__\\n'`,
+      job.files ? buildSizeListCommand(job.installPath) : 'true',
+      `printf '__LOG__\\n'`,
+      `COUNT=$((SIZE - ${job.logOffset}))`,
+      `if [ $COUNT -gt ${MAX_LOG_CHUNK} ]; then COUNT=${MAX_LOG_CHUNK}; fi`,
+      `if [ $COUNT -gt 0 ]; then tail -c +${job.logOffset + 1} ${logFile} 2>/dev/null | head -c $COUNT; fi`,
+      `printf '__END__'`
+    ].join('; ')
+
+    let output
+    try {
+      await this.ensureServerLoaded(job.serverId)
+      const result = await sshManager.execCommand(job.serverId, command)
+      output = result.stdout || ''
+    } catch (error) {
+      // 连接暂时不可用，下一轮重试
+      if (!job.unreachable) {
+        job.unreachable = true
+        this.log(job, `[下载] 暂时无法连接服务器，下载仍在服务器上进行: ${error.message}`)
+      }
+      return
+    }
+    if (job.status !== 'running') return
+    if (job.unreachable) {
+      delete job.unreachable
+      this.log(job, '[下载] 已重新连接服务器')
+    }
+
+    const match = output.match(
+      /__STATE__([^\n]*)\n__SIZE__\s*(\d+)\s*\n__FILES__\n([\s\S]*?)__LOG__\n([\s\S]*)__END__$/
+    )
+    if (!match) return
+    const state = match[1].trim()
+    const size = Number(match[2])
+    if (job.files) {
+      this.updateProgress(job, parseSizeList(match[3], job.installPath))
+    }
+    this.consumeLog(job, match[4], size)
+
+    // 日志读完后再处理进程退出
+    if (job.logOffset < size) return
+    if (state === 'running') {
+      this.lostCounts.delete(job.id)
+    } else if (state === 'lost') {
+      const count = (this.lostCounts.get(job.id) || 0) + 1
+      this.lostCounts.set(job.id, count)
+      if (count >= LOST_THRESHOLD) {
+        await this.finish(job, 'error', '下载进程已不存在且没有退出码（服务器可能已重启）')
+      }
+    } else {
+      const code = parseInt(state, 10)
+      if (code === 0) {
+        await sshManager.organizeDownloadedFiles(
+          job.serverId,
+          job.modelId,
+          job.installPath,
+          (log) => this.log(job, log)
+        )
+        await this.finish(job, 'completed')
+      } else {
+        await this.finish(job, 'error', `下载失败，退出码: ${state}`)
+      }
+    }
+  }
+
+  /**
+   * 根据安装目录中的文件大小更新进度（下载完成前最多显示 99%）
+   * @param {Object} job - 任务
+   * @param {Array<Object>} entries - 安装目录中的文件
+   */
+  updateProgress(job, entries) {
+    const measured = measureProgress(job.files, entries, job.modelId)
+    const throughput = updateThroughput(
+      this.throughputs.get(job.id),
+      measured.downloadedBytes,
+      measured.totalBytes,
+      Date.now()
+    )
+    this.throughputs.set(job.id, throughput)
+    this.fileStatuses.set(job.id, measured)
+    job.downloadedBytes = measured.downloadedBytes
+    job.progress = measured.totalBytes
+      ? Math.min(Math.floor((measured.downloadedBytes / measured.totalBytes) * 100), 99)
+      : 0
+    this.notify(job)
+  }
+
+  /**
+   * 处理新增日志：进度行只推送每批的最后一行，其他行全部推送
+   */
+  consumeLog(job, chunk, size) {
+    // 服务器只返回到 size 为止、最多 MAX_LOG_CHUNK 字节，按字节数推进，不依赖解码后的文本长度
+    job.logOffset = Math.min(size, job.logOffset + MAX_LOG_CHUNK)
+    const lines = ((this.partialLines.get(job.id) || '') + chunk).split(/[\r\n]+/)
+    this.partialLines.set(job.id, lines.pop())
+
+    let lastProgressLine = null
+    for (const line of lines) {
+      const trimmed = line.trim()
+      if (!trimmed) continue
+      const progress = sshManager.parseDownloadProgress(job.platform, trimmed)
+      if (progress === null) {
+        this.log(job, trimmed)
+        continue
+      }
+      lastProgressLine = trimmed
+      // 有文件列表时按实际字节数计算进度
+      if (!job.files && progress !== job.progress) {
+        job.progress = progress
+        this.notify(job)
+      }
+    }
+    if (lastProgressLine) {
+      this.log(job, lastProgressLine)
+    }
+  }
+
+  /**
+   * 输出最后一行没有换行结尾的日志
+   */
+  flushPartialLine(job) {
+    const line = (this.partialLines.get(job.id) || '').trim()
+    this.partialLines.delete(job.id)
+    if (line) {
+      this.log(job, line)
+    }
+  }
+
+  /**
+   * 结束任务并清理服务器上的任务目录（失败时保留日志便于排查）
+   */
+  async finish(job, status, error = null) {
+    this.flushPartialLine(job)
+    job.status = status
+    job.error = error
+    job.finishedAt = Date.now()
+    if (status === 'completed') {
+      job.progress = 100
+      job.downloadedBytes = job.totalBytes
+      this.log(job, '[下载] 全部完成！')
+    } else if (error) {
+      this.log(job, `[下载] ${error}`)
+    }
+    if (job.jobDir) {
+      // 失败时保留日志，但不保留含访问令牌的 env 文件
+      const cleanup =
+        status === 'error'
+          ? `rm -f ${shellQuote(posix.join(job.jobDir, 'env'))}`
+          : `rm -rf ${shellQuote(job.jobDir)}`
+      await sshManager.execCommand(job.serverId, cleanup).catch(() => {})
+    }
+    this.lostCounts.delete(job.id)
+    this.throughputs.delete(job.id)
+    this.fileStatuses.delete(job.id)
+    this.notify(job)
+    await this.save()
+    this.schedule()
+  }
+
+  /**
+   * 取消任务：排队中的直接移出队列，运行中的终止其进程组
+   * @param {string} id - 任务ID
+   */
+  async cancel(id) {
+    const job = this.getJob(id)
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error('下载任务已结束')
+    }
+    const previous = job.status
+    job.status = 'cancelled'
+    if (previous === 'running') {
+      await this.ensureServerLoaded(job.serverId)
+      await this.kill(job)
+    } else if (previous === 'queued') {
+      await this.finish(job, 'cancelled')
+    }
+    // starting：由 launch 获取到 PID 后终止
+  }
+
+  /**
+   * 终止任务的进程组（没有 setsid 时终止脚本及其子进程）
+   */
+  async kill(job) {
+    const pid = job.pid
+    await sshManager
+      .execCommand(
+        job.serverId,
+        `kill -TERM -- -${pid} 2>/dev/null || { pkill -TERM -P ${pid} 2>/dev/null; kill -TERM ${pid} 2>/dev/null; }; true`
+      )
+      .catch(() => {})
+    this.log(job, `[下载] 已终止下载进程 ${pid}`)
+    await this.finish(job, 'cancelled')
+  }
+
+  /**
+   * 推送任务状态
+   */
+  notify(job) {
+    const throughput = this.throughputs.get(job.id)
+    const measured = this.fileStatuses.get(job.id)
+    this.send(`download:progress:${job.id}`, {
+      percentage: job.progress,
+      status: TASK_STATUS[job.status],
+      queued: job.status === 'queued',
+      downloadedBytes: job.downloadedBytes || 0,
+      totalBytes: job.totalBytes || 0,
+      speed: throughput ? throughput.speed : 0,
+      eta: throughput ? throughput.eta : null,
+      fileCount: job.files ? job.files.length : 0,
+      completedFiles: measured ? measured.completedFiles : 0,
+      files: measured ? measured.files : null
+    })
+  }
+
+  log(job, log) {
+    this.send(`download:log:${job.id}`, { log })
+  }
+
+  send(channel, data) {
+    for (const window of BrowserWindow.getAllWindows()) {
+      window.webContents.send(channel, data)
+    }
+  }
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value.map((item) => String(item).trim()).filter(Boolean) : []
+}
+
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit += 1
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 2)} ${units[unit]}`
+}
+
+export default new ModelDownloadManager()
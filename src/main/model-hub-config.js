@@ -0,0 +1,152 @@
+/**
+ * 模型平台访问配置
+ * 每个平台的访问令牌和接口地址（镜像站），保存在 ~/.vllm_front/modelHubConfig.json，访问令牌由 cryptoManager 加密。
+ * 获取模型列表、文件列表和在服务器上执行下载命令时使用，下载命令通过环境变量传入
+ */
+import dataManager from './data-manager'
+import cryptoManager from './security/crypto.js'
+
+// 存储模块名
+const DATA_MODULE = 'modelHubConfig'
+// 需要加密的字段
+const SECRET_FIELDS = ['token']
+
+export const HUB_PLATFORMS = ['modelscope', 'huggingface']
+
+// 下载工具读取的环境变量
+const ENV_NAMES = {
+  huggingface: {
+    endpoint: ['HF_ENDPOINT'],
+    // 旧版 huggingface_hub 只读取 HUGGING_FACE_HUB_TOKEN
+    token: ['HF_TOKEN', 'HUGGING_FACE_HUB_TOKEN']
+  },
+  modelscope: {
+    endpoint: ['MODELSCOPE_DOMAIN'],
+    token: ['MODELSCOPE_API_TOKEN']
+  }
+}
+
+class ModelHubConfig {
+  constructor() {
+    // platform -> { endpoint, token }，endpoint 为空时使用官方地址
+    this.config = null
+  }
+
+  async load() {
+    if (this.config) return this.config
+    const stored = (await dataManager.readData(DATA_MODULE, null)) || {}
+    this.config = {}
+    for (const platform of HUB_PLATFORMS) {
+      const item = cryptoManager.decryptObject(stored[platform] || {}, SECRET_FIELDS)
+      this.config[platform] = {
+        endpoint: typeof item.endpoint === 'string' ? item.endpoint : '',
+        token: typeof item.token === 'string' ? item.token : ''
+      }
+    }
+    return this.config
+  }
+
+  /**
+   * 获取平台的访问配置（含明文令牌，只在主进程中使用）
+   * @param {string} platform - 平台
+   * @returns {Promise<Object>} { endpoint, token }
+   */
+  async getPlatformConfig(platform) {
+    const config = await this.load()
+    return { ...(config[platform] || { endpoint: '', token: '' }) }
+  }
+
+  /**
+   * 获取配置（令牌只返回是否已设置和末尾几位）
+   * @returns {Promise<Object>} platform -> { endpoint, hasToken, tokenHint }
+   */
+  async getConfig() {
+    const config = await this.load()
+    const result = {}
+    for (const platform of HUB_PLATFORMS) {
+      const { endpoint, token } = config[platform]
+      result[platform] = {
+        endpoint,
+        hasToken: !!token,
+        tokenHint: token ? `****${token.slice(-4)}` : ''
+      }
+    }
+    return result
+  }
+
+  /**
+   * 保存平台配置
+   * @param {string} platform - 平台
+   * @param {Object} changes - { endpoint, token（为空时不修改）, clearToken }
+   * @returns {Promise<Object>} 保存后的配置（同 getConfig）
+   */
+  async saveConfig(platform, changes) {
+    if (!HUB_PLATFORMS.includes(platform)) {
+      throw new Error(`不支持的平台: ${platform}`)
+    }
+    const config = await this.load()
+    const next = { ...config[platform] }
+
+    if (changes.endpoint !== undefined) {
+      next.endpoint = normalizeEndpoint(changes.endpoint)
+    }
+    if (changes.clearToken) {
+      next.token = ''
+    } else if (changes.token && changes.token.trim()) {
+      next.token = changes.token.trim()
+    }
+
+    const updated = { ...config, [platform]: next }
+    const stored = {}
+    for (const key of HUB_PLATFORMS) {
+      stored[key] = cryptoManager.encryptObject(updated[key], SECRET_FIELDS)
+    }
+    const result = await dataManager.writeData(DATA_MODULE, stored)
+    if (result && result.success === false) {
+      throw new Error(result.error || '保存访问配置失败')
+    }
+    this.config = updated
+    return this.getConfig()
+  }
+
+  /**
+   * 生成下载命令使用的环境变量
+   * @param {string} platform - 平台
+   * @returns {Promise<Object>} 环境变量名 -> 值
+   */
+  async buildDownloadEnv(platform) {
+    const { endpoint, token } = await this.getPlatformConfig(platform)
+    const names = ENV_NAMES[platform]
+    const env = {}
+    if (!names) return env
+    if (endpoint) {
+      // ModelScope 的 MODELSCOPE_DOMAIN 只接受域名
+      const value = platform === 'modelscope' ? new URL(endpoint).host : endpoint
+      for (const name of names.endpoint) env[name] = value
+    }
+    if (token) {
+      for (const name of names.token) env[name] = token
+    }
+    return env
+  }
+}
+
+/**
+ * 校验并规范化接口地址（去掉末尾的 /）
+ */
+function normalizeEndpoint(endpoint) {
+  const value = String(endpoint || '').trim()
+  if (!value) return ''
+  let url
+  try {
+    url = new URL(value)
+  } catch {
+    throw new Error(`接口地址格式不正确: ${value}`)
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('接口地址必须以 http:// 或 https:// 开头')
+  }
+  return value.replace(/\/+$/, '')
+}
+
+export default new ModelHubConfig()
@@ -0,0 +1,374 @@
+/**
+ * 模型库
+ * 扫描服务器上的模型目录（用户配置的目录以及 HuggingFace / ModelScope 缓存），
+ * 按 config.json + 权重文件或 GGUF 文件识别模型，记录架构、参数量、精度、量化方式和占用空间；
+ * 扫描结果保存在 ~/.vllm_front/modelInventory.json
+ */
+import { posix } from 'path'
+import sshManager from './ssh-manager'
+import dataManager from './data-manager'
+import {
+  summarizeConfig,
+  readSafetensorsHeader,
+  countSafetensorsParameters,
+  dominantDtype,
+  readGgufHeader,
+  summarizeGguf,
+  parseParameterCountFromName,
+  parseQuantizationFromName
+} from './model-modules/model-metadata.js'
+
+// 存储模块名
+const DATA_MODULE = 'modelInventory'
+
+// 默认扫描的缓存目录（相对用户主目录）
+const CACHE_ROOTS = [
+  { path: '.cache/huggingface/hub', source: 'huggingface' },
+  { path: '.cache/modelscope/hub', source: 'modelscope' }
+]
+
+// 从扫描目录向下查找的最大层数
+const MAX_DEPTH = 5
+// 单台服务器最多访问的目录数，避免误把根目录设为扫描目录时长时间扫描
+const MAX_DIRECTORIES = 5000
+// 最多记录的错误条数
+const MAX_ERRORS = 20
+
+// 不进入的目录
+const SKIPPED_DIRECTORIES = new Set([
+  'blobs',
+  '.locks',
+  '.git',
+  'node_modules',
+  '__pycache__',
+  'site-packages'
+])
+
+// 权重文件
+const WEIGHT_FILE_PATTERN = /\.(safetensors|bin|pt|pth)$/
+// GGUF 分片文件中第一个以外的分片
+const GGUF_SHARD_PATTERN = /-(\d{5})-of-(\d{5})\.gguf$/
+
+/**
+ * 根据路径推断模型来源和仓库 ID
+ * HuggingFace 缓存：models--组织--名称/snapshots/版本；ModelScope 缓存：[models/]组织/名称（. 存为 ___）
+ */
+function describeLocation(path, root) {
+  const hfMatch = path.match(/\/models--([^/]+?)--([^/]+)\/snapshots\/([^/]+)/)
+  if (hfMatch) {
+    return { source: 'huggingface', repoId: `${hfMatch[1]}/${hfMatch[2]}`, revision: hfMatch[3] }
+  }
+  if (root.source === 'modelscope') {
+    const relative = posix.relative(root.path, path).replace(/^models\//, '')
+    const parts = relative.split('/')
+    if (parts.length === 2) {
+      return { source: 'modelscope', repoId: parts.join('/').replace(/___/g, '.'), revision: null }
+    }
+  }
+  return { source: 'local', repoId: null, revision: null }
+}
+
+class ModelInventory {
+  constructor() {
+    // 数据：{ roots: { serverId: string[] }, scans: { serverId: { scannedAt, models, errors } } }
+    this.data = null
+    // serverId -> 正在进行的扫描
+    this.scanning = new Map()
+  }
+
+  async load() {
+    if (!this.data) {
+      const stored = await dataManager.readData(DATA_MODULE, {})
+      this.data = { roots: stored.roots || {}, scans: stored.scans || {} }
+    }
+    return this.data
+  }
+
+  async save() {
+    await dataManager.writeData(DATA_MODULE, this.data)
+  }
+
+  /**
+   * 获取模型库（扫描目录和各服务器的扫描结果）
+   * @returns {Promise<Object>} { roots, scans }
+   */
+  async list() {
+    return this.load()
+  }
+
+  /**
+   * 设置服务器的模型目录
+   * @param {string} serverId - 服务器ID
+   * @param {string[]} roots - 绝对路径列表
+   */
+  async setRoots(serverId, roots) {
+    const data = await this.load()
+    const normalized = [
+      ...new Set((roots || []).map((root) => String(root).trim()).filter(Boolean))
+    ]
+    const invalid = normalized.find((root) => !root.startsWith('/'))
+    if (invalid) {
+      throw new Error(`模型目录必须为绝对路径: ${invalid}`)
+    }
+    data.roots[serverId] = normalized.map((root) => posix.normalize(root).replace(/(.)\/+$/, '$1'))
+    await this.save()
+    return data.roots[serverId]
+  }
+
+  /**
+   * 扫描服务器上的模型（同一服务器同时只进行一次扫描）
+   * @param {string} serverId - 服务器ID
+   * @returns {Promise<Object>} { scannedAt, models, errors }
+   */
+  scan(serverId) {
+    if (!this.scanning.has(serverId)) {
+      const task = this.runScan(serverId).finally(() => this.scanning.delete(serverId))
+      this.scanning.set(serverId, task)
+    }
+    return this.scanning.get(serverId)
+  }
+
+  /**
+   * 获取单个模型的信息，优先使用扫描结果，模型不在扫描结果中时直接解析
+   * @param {string} serverId - 服务器ID
+   * @param {string} path - 模型目录或 GGUF 文件路径
+   * @returns {Promise<Object>} 模型信息，字段同扫描结果
+   */
+  async inspect(serverId, path) {
+    const data = await this.load()
+    const target = posix.normalize(String(path || '').trim()).replace(/(.)\/+$/, '$1')
+    if (!target.startsWith('/')) {
+      throw new Error('模型路径必须为绝对路径')
+    }
+    // 旧版本的扫描结果没有 weightBytes
+    const scanned = data.scans[serverId]?.models.find((model) => model.path === target)
+    if (scanned && scanned.weightBytes) return scanned
+
+    const fs = await sshManager.getFileSystem(serverId)
+    const root = { path: posix.dirname(target), source: 'local' }
+    const stat = await fs.stat(target)
+    if (stat.isDirectory) {
+      const entries = await fs.readdir(target)
+      if (!entries.some((entry) => !entry.isDirectory && entry.name === 'config.json')) {
+        throw new Error(`${target} 下没有 config.json`)
+      }
+      return this.describeModelDirectory(fs, root, target)
+    }
+    if (!target.endsWith('.gguf')) {
+      throw new Error('模型路径应为模型目录或 GGUF 文件')
+    }
+    const dir = posix.dirname(target)
+    const siblings = (await fs.readdir(dir)).filter((entry) => !entry.isDirectory)
+    const file = siblings.find((entry) => entry.name === posix.basename(target))
+    return this.describeGgufFile(fs, root, dir, file, siblings)
+  }
+
+  async runScan(serverId) {
+    const data = await this.load()
+    const fs = await sshManager.getFileSystem(serverId)
+    const state = { fs, models: [], errors: [], visited: 0 }
+
+    const homeResult = await sshManager.execCommand(serverId, 'printf %s "$HOME"')
+    const home = homeResult.success ? homeResult.stdout.trim() : ''
+    const roots = [
+      ...(data.roots[serverId] || []).map((path) => ({ path, source: 'local' })),
+      ...(home
+        ? CACHE_ROOTS.map((root) => ({ path: posix.join(home, root.path), source: root.source }))
+        : [])
+    ]
+
+    for (const root of roots) {
+      if (!(await fs.exists(root.path))) continue
+      await this.walk(state, root, root.path, 0)
+    }
+    if (state.visited >= MAX_DIRECTORIES) {
+      this.addError(state, `目录数量超过 ${MAX_DIRECTORIES}，扫描已提前结束，请缩小模型目录范围`)
+    }
+
+    // 同一目录可能同时位于多个扫描目录下
+    const unique = new Map(state.models.map((model) => [model.path, model]))
+    const result = {
+      scannedAt: Date.now(),
+      models: [...unique.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      errors: state.errors
+    }
+    data.scans[serverId] = result
+    await this.save()
+    return result
+  }
+
+  addError(state, message) {
+    if (state.errors.length < MAX_ERRORS) state.errors.push(message)
+  }
+
+  /**
+   * 递归查找模型目录，识别为模型的目录不再向下查找
+   */
+  async walk(state, root, dir, depth) {
+    if (state.visited >= MAX_DIRECTORIES) return
+    state.visited++
+
+    let entries
+    try {
+      entries = await state.fs.readdir(dir)
+    } catch (error) {
+      this.addError(state, `${dir}: ${error.message}`)
+      return
+    }
+
+    const files = entries.filter((entry) => !entry.isDirectory)
+    const names = new Set(files.map((file) => file.name))
+    if (names.has('config.json') && files.some((file) => WEIGHT_FILE_PATTERN.test(file.name))) {
+      await this.collect(state, dir, () => this.describeModelDirectory(state.fs, root, dir))
+      return
+    }
+
+    for (const file of files) {
+      const shard = file.name.match(GGUF_SHARD_PATTERN)
+      if (!file.name.endsWith('.gguf') || (shard && shard[1] !== '00001')) continue
+      const path = posix.join(dir, file.name)
+      await this.collect(state, path, () => this.describeGgufFile(state.fs, root, dir, file, files))
+    }
+
+    if (depth >= MAX_DEPTH) return
+    for (const entry of entries) {
+      if (!entry.isDirectory || SKIPPED_DIRECTORIES.has(entry.name)) continue
+      await this.walk(state, root, posix.join(dir, entry.name), depth + 1)
+    }
+  }
+
+  /**
+   * 解析模型信息，失败时记录错误并跳过该模型
+   */
+  async collect(state, path, describe) {
+    try {
+      state.models.push(await describe())
+    } catch (error) {
+      this.addError(state, `${path}: ${error.message}`)
+    }
+  }
+
+  /**
+   * 统计目录下所有文件（含子目录）的大小
+   */
+  async measureDirectory(fs, dir) {
+    let size = 0
+    let fileCount = 0
+    let modifiedAt = 0
+    for (const entry of await fs.readdir(dir)) {
+      if (entry.isDirectory) {
+        const nested = await this.measureDirectory(fs, posix.join(dir, entry.name))
+        size += nested.size
+        fileCount += nested.fileCount
+        modifiedAt = Math.max(modifiedAt, nested.modifiedAt)
+      } else {
+        size += entry.size
+        fileCount++
+        modifiedAt = Math.max(modifiedAt, entry.mtime)
+      }
+    }
+    return { size, fileCount, modifiedAt }
+  }
+
+  /**
+   * 描述 Transformers 格式的模型目录
+   */
+  async describeModelDirectory(fs, root, dir) {
+    const location = describeLocation(dir, root)
+    const name = location.repoId ? location.repoId.split('/').pop() : posix.basename(dir)
+    const config = JSON.parse((await fs.readFile(posix.join(dir, 'config.json'))).toString('utf-8'))
+    const summary = summarizeConfig(config)
+    const { size, fileCount, modifiedAt } = await this.measureDirectory(fs, dir)
+
+    // 参数量从 safetensors 文件头统计，没有 safetensors 时按名称推断
+    const entries = await fs.readdir(dir)
+    const safetensors = entries.filter(
+      (entry) => !entry.isDirectory && entry.name.endsWith('.safetensors')
+    )
+    // 框架只加载 safetensors，没有时才加载 .bin/.pt
+    const weightFiles =
+      safetensors.length > 0
+        ? safetensors
+        : entries.filter((entry) => !entry.isDirectory && WEIGHT_FILE_PATTERN.test(entry.name))
+    let parameterCount = null
+    const dtypes = {}
+    for (const file of safetensors) {
+      const counted = countSafetensorsParameters(
+        await readSafetensorsHeader(fs, posix.join(dir, file.name)),
+        summary.bits
+      )
+      parameterCount = (parameterCount || 0) + counted.parameters
+      for (const [dtype, count] of Object.entries(counted.dtypes)) {
+        dtypes[dtype] = (dtypes[dtype] || 0) + count
+      }
+    }
+    const parameterEstimated = !parameterCount
+    if (parameterEstimated) {
+      parameterCount = parseParameterCountFromName(name)
+    }
+
+    return {
+      path: dir,
+      name,
+      ...location,
+      format: safetensors.length > 0 ? 'safetensors' : 'pytorch',
+      architecture: summary.architecture,
+      modelType: summary.modelType,
+      parameterCount,
+      parameterEstimated,
+      dtype: summary.dtype || dominantDtype(dtypes),
+      quantization: summary.quantization,
+      contextLength: summary.contextLength,
+      dimensions: summary.dimensions,
+      sizeBytes: size,
+      weightBytes: weightFiles.reduce((sum, file) => sum + file.size, 0),
+      fileCount,
+      modifiedAt
+    }
+  }
+
+  /**
+   * 描述 GGUF 模型文件（分片模型以第一个分片为模型路径，统计所有分片）
+   */
+  async describeGgufFile(fs, root, dir, file, siblings) {
+    const shard = file.name.match(GGUF_SHARD_PATTERN)
+    const prefix = shard ? file.name.slice(0, shard.index) : null
+    const parts = shard
+      ? siblings.filter(
+          (item) => item.name.startsWith(prefix) && GGUF_SHARD_PATTERN.test(item.name)
+        )
+      : [file]
+
+    let parameterCount = 0
+    let metadata = {}
+    for (const part of parts) {
+      const header = await readGgufHeader(fs, posix.join(dir, part.name))
+      parameterCount += header.parameters
+      if (part === file) metadata = header.metadata
+    }
+
+    const summary = summarizeGguf(metadata)
+    const location = describeLocation(dir, root)
+    const size = parts.reduce((sum, part) => sum + part.size, 0)
+    return {
+      path: posix.join(dir, file.name),
+      name: prefix || file.name.replace(/\.gguf$/, ''),
+      ...location,
+      format: 'gguf',
+      architecture: summary.architecture,
+      modelType: summary.modelType,
+      parameterCount,
+      parameterEstimated: false,
+      dtype: summary.dtype,
+      quantization: summary.quantization || parseQuantizationFromName(file.name),
+      contextLength: summary.contextLength,
+      dimensions: summary.dimensions,
+      sizeBytes: size,
+      weightBytes: size,
+      fileCount: parts.length,
+      modifiedAt: Math.max(...parts.map((part) => part.mtime))
+    }
+  }
+}
+
+export default new ModelInventory()
@@ -0,0 +1,148 @@
+/**
+ * 模型下载进度计算
+ * 下载前从模型仓库接口获取文件列表和大小，下载过程中定时统计安装目录中的文件大小，
+ * 与预期文件列表对比得到总进度、每个文件的状态、下载速度和剩余时间。
+ * 下载工具先写入临时文件再移动到目标位置：ModelScope 写入 ._____temp 目录，
+ * HuggingFace 写入 .cache/huggingface 下的 .incomplete 文件，临时文件的大小计入已下载字节数
+ */
+import { posix } from 'path'
+import { shellQuote } from '../service-modules/launch-spec.js'
+
+// 下载工具的临时目录（相对安装目录）
+const TEMP_DIRS = ['._____temp/', '.cache/huggingface/']
+// 临时目录中不计入下载字节数的文件
+const IGNORED_TEMP_FILE = /\.(lock|metadata)$/
+// 统计时最多列出的文件数
+const MAX_LISTED_FILES = 20000
+// 下载速度的平滑系数（新样本的权重）
+const SPEED_SMOOTHING = 0.4
+
+/**
+ * 生成列出目录下所有文件大小的命令，每行输出 "大小<TAB>路径"
+ * GNU find 使用 -printf，macOS 使用 stat -f
+ * @param {string} dir - 安装目录
+ * @returns {string} shell 命令
+ */
+export function buildSizeListCommand(dir) {
+  const target = shellQuote(dir)
+  return `if [ -d ${target} ]; then { find ${target} -type f -printf '%s\\t%p\\n' 2>/dev/null || find ${target} -type f -exec stat -f '%z%t%N' {} + 2>/dev/null; } | head -n ${MAX_LISTED_FILES}; fi`
+}
+
+/**
+ * 解析文件大小列表
+ * @param {string} output - buildSizeListCommand 的输出
+ * @param {string} dir - 安装目录
+ * @returns {Array<Object>} [{ path（相对安装目录）, size }]
+ */
+export function parseSizeList(output, dir) {
+  const prefix = dir.replace(/\/+$/, '') + '/'
+  const entries = []
+  for (const line of output.split('\n')) {
+    const tab = line.indexOf('\t')
+    if (tab <= 0) continue
+    const size = Number(line.slice(0, tab))
+    const fullPath = line.slice(tab + 1)
+    if (!Number.isFinite(size) || !fullPath.startsWith(prefix)) continue
+    entries.push({ path: fullPath.slice(prefix.length), size })
+  }
+  return entries
+}
+
+/**
+ * 对比预期文件列表和安装目录中的文件，计算下载进度
+ * @param {Array<Object>} files - 预期文件列表 [{ path, size }]
+ * @param {Array<Object>} entries - 安装目录中的文件（parseSizeList 的结果）
+ * @param {string} modelId - 模型ID（旧版 ModelScope 会下载到安装目录下以模型ID命名的子目录）
+ * @returns {Object} { downloadedBytes, totalBytes, completedFiles, files: [{ path, size, downloaded, status }] }
+ */
+export function measureProgress(files, entries, modelId) {
+  const finals = new Map()
+  const temps = []
+  for (const entry of entries) {
+    const tempDir = TEMP_DIRS.find((dir) => entry.path.startsWith(dir))
+    if (tempDir) {
+      if (!IGNORED_TEMP_FILE.test(entry.path)) temps.push(entry)
+      continue
+    }
+    const path = entry.path.startsWith(`${modelId}/`)
+      ? entry.path.slice(modelId.length + 1)
+      : entry.path
+    finals.set(path, Math.max(finals.get(path) || 0, entry.size))
+  }
+
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0)
+  let downloadedBytes = 0
+  let completedFiles = 0
+  const matchedTemps = new Set()
+
+  const details = files.map((file) => {
+    const finalSize = finals.get(file.path)
+    if (finalSize !== undefined && finalSize >= file.size) {
+      downloadedBytes += file.size
+      completedFiles += 1
+      return { path: file.path, size: file.size, downloaded: file.size, status: 'completed' }
+    }
+    // ModelScope 的临时文件保留原文件名，可以对应到具体文件
+    const temp = temps.find(
+      (entry) => entry.path === file.path || entry.path.endsWith(`/${file.path}`)
+    )
+    if (temp) matchedTemps.add(temp)
+    const downloaded = Math.min(Math.max(finalSize || 0, temp?.size || 0), file.size)
+    downloadedBytes += downloaded
+    return {
+      path: file.path,
+      size: file.size,
+      downloaded,
+      status: downloaded > 0 ? 'downloading' : 'pending'
+    }
+  })
+
+  // HuggingFace 的 .incomplete 文件名是哈希值，无法对应到具体文件，只计入总字节数
+  for (const entry of temps) {
+    if (!matchedTemps.has(entry)) downloadedBytes += entry.size
+  }
+
+  return {
+    downloadedBytes: Math.min(downloadedBytes, totalBytes),
+    totalBytes,
+    completedFiles,
+    files: details
+  }
+}
+
+/**
+ * 根据两次统计的字节数更新下载速度（指数平滑）和剩余时间
+ * @param {Object} previous - 上次的 { bytes, time, speed }，首次统计时为 null
+ * @param {number} bytes - 本次统计的已下载字节数
+ * @param {number} totalBytes - 总字节数
+ * @param {number} time - 统计时间（毫秒）
+ * @returns {Object} { bytes, time, speed（字节/秒）, eta（秒，无法估计时为 null） }
+ */
+export function updateThroughput(previous, bytes, totalBytes, time) {
+  let speed = previous?.speed || 0
+  if (previous && time > previous.time) {
+    const current = Math.max(bytes - previous.bytes, 0) / ((time - previous.time) / 1000)
+    speed = speed ? speed * (1 - SPEED_SMOOTHING) + current * SPEED_SMOOTHING : current
+  }
+  const remaining = Math.max(totalBytes - bytes, 0)
+  return {
+    bytes,
+    time,
+    speed,
+    eta: speed > 0 ? Math.round(remaining / speed) : null
+  }
+}
+
+/**
+ * 规范化仓库文件列表中的路径（去掉开头的 ./ 和 /）
+ * @param {Array<Object>} files - [{ path, size }]
+ * @returns {Array<Object>}
+ */
+export function normalizeFileList(files) {
+  return files
+    .filter((file) => file.path)
+    .map((file) => ({
+      path: posix.normalize(file.path).replace(/^(\.\/|\/)+/, ''),
+      size: Number(file.size) || 0
+    }))
+}
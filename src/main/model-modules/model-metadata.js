@@ -0,0 +1,363 @@
+/**
+ * 模型文件元数据解析
+ * 从 config.json、safetensors 文件头和 GGUF 文件头中提取架构、参数量、精度和量化方式，
+ * 文件通过文件系统接口（见 ssh-modules/sftp-fs.js）读取，只读取文件头部
+ */
+
+// safetensors 文件头大小上限（正常模型的文件头只有几 MB）
+const MAX_SAFETENSORS_HEADER = 100 * 1024 * 1024
+// 读取 GGUF 元数据时每次读取的大小
+const GGUF_READ_SIZE = 1024 * 1024
+const GGUF_MAGIC = 'GGUF'
+
+// safetensors 数据类型对应的 torch 精度名称
+const SAFETENSORS_DTYPES = {
+  BF16: 'bfloat16',
+  F16: 'float16',
+  F32: 'float32',
+  F64: 'float64',
+  F8_E4M3: 'float8_e4m3fn',
+  F8_E5M2: 'float8_e5m2'
+}
+
+// GGUF general.file_type 取值（llama.cpp 的 LLAMA_FTYPE）
+const GGUF_FILE_TYPES = {
+  0: 'F32',
+  1: 'F16',
+  2: 'Q4_0',
+  3: 'Q4_1',
+  7: 'Q8_0',
+  8: 'Q5_0',
+  9: 'Q5_1',
+  10: 'Q2_K',
+  11: 'Q3_K_S',
+  12: 'Q3_K_M',
+  13: 'Q3_K_L',
+  14: 'Q4_K_S',
+  15: 'Q4_K_M',
+  16: 'Q5_K_S',
+  17: 'Q5_K_M',
+  18: 'Q6_K',
+  19: 'IQ2_XXS',
+  20: 'IQ2_XS',
+  21: 'Q2_K_S',
+  22: 'IQ3_XS',
+  23: 'IQ3_XXS',
+  24: 'IQ1_S',
+  25: 'IQ4_NL',
+  26: 'IQ3_S',
+  27: 'IQ3_M',
+  28: 'IQ2_S',
+  29: 'IQ2_M',
+  30: 'IQ4_XS',
+  31: 'IQ1_M',
+  32: 'BF16',
+  36: 'TQ1_0',
+  37: 'TQ2_0'
+}
+
+// GGUF 元数据值类型：固定长度类型的字节数
+const GGUF_TYPE_SIZES = { 0: 1, 1: 1, 2: 2, 3: 2, 4: 4, 5: 4, 6: 4, 7: 1, 10: 8, 11: 8, 12: 8 }
+const GGUF_TYPE_STRING = 8
+const GGUF_TYPE_ARRAY = 9
+
+/**
+ * 从 config.json 提取模型信息（多模态模型的语言部分在 text_config / llm_config 中）
+ * @param {Object} config - config.json 内容
+ * @returns {Object} { architecture, modelType, dtype, quantization, bits, contextLength, dimensions }
+ */
+export function summarizeConfig(config) {
+  const text = config.text_config || config.llm_config || config.language_config || {}
+  const pick = (...keys) => {
+    for (const key of keys) {
+      if (config[key] !== undefined && config[key] !== null) return config[key]
+      if (text[key] !== undefined && text[key] !== null) return text[key]
+    }
+    return null
+  }
+  const quant = config.quantization_config || config.compression_config || text.quantization_config
+  const bits = quant ? quant.bits || quant.w_bit || quant.weight_bits || null : null
+
+  const hiddenSize = pick('hidden_size', 'n_embd', 'd_model')
+  const numAttentionHeads = pick('num_attention_heads', 'n_head')
+  return {
+    architecture: config.architectures?.[0] || text.architectures?.[0] || config.model_type || null,
+    modelType: config.model_type || null,
+    dtype: pick('torch_dtype', 'dtype'),
+    quantization: quant
+      ? [quant.quant_method || quant.format || 'unknown', bits && `${bits}bit`]
+          .filter(Boolean)
+          .join(' ')
+      : null,
+    bits,
+    contextLength: pick(
+      'max_position_embeddings',
+      'max_sequence_length',
+      'seq_length',
+      'n_positions'
+    ),
+    // 估算显存占用时使用的结构参数
+    dimensions: {
+      hiddenSize,
+      numLayers: pick('num_hidden_layers', 'n_layer', 'num_layers'),
+      numAttentionHeads,
+      numKeyValueHeads: pick('num_key_value_heads', 'multi_query_group_num') || numAttentionHeads,
+      headDim:
+        pick('head_dim') ||
+        (hiddenSize && numAttentionHeads ? Math.round(hiddenSize / numAttentionHeads) : null),
+      vocabSize: pick('vocab_size', 'padded_vocab_size')
+    }
+  }
+}
+
+/**
+ * 读取 safetensors 文件头
+ * @param {Object} fs - 文件系统接口
+ * @param {string} path - 文件路径
+ * @returns {Promise<Object>} 张量名 -> { dtype, shape }
+ */
+export async function readSafetensorsHeader(fs, path) {
+  const file = await fs.open(path, 'r')
+  try {
+    const length = Number((await file.read(0, 8)).readBigUInt64LE(0))
+    if (length <= 0 || length > MAX_SAFETENSORS_HEADER) {
+      throw new Error(`${path} 不是有效的 safetensors 文件`)
+    }
+    return JSON.parse((await file.read(8, length)).toString('utf-8'))
+  } finally {
+    await file.close()
+  }
+}
+
+/**
+ * 统计 safetensors 文件头中的参数量和各精度的参数数
+ * @param {Object} header - readSafetensorsHeader 的结果
+ * @param {number|null} bits - 量化位数，GPTQ/AWQ 的 qweight 以 int32 打包多个低位权重
+ * @returns {{ parameters: number, dtypes: Object<string, number> }}
+ */
+export function countSafetensorsParameters(header, bits) {
+  let parameters = 0
+  const dtypes = {}
+  for (const [name, tensor] of Object.entries(header)) {
+    if (name === '__metadata__' || !Array.isArray(tensor.shape)) continue
+    let count = tensor.shape.reduce((product, dim) => product * dim, 1)
+    if (bits && /^[IU]32$/.test(tensor.dtype) && name.endsWith('.qweight')) {
+      count *= 32 / bits
+    }
+    parameters += count
+    dtypes[tensor.dtype] = (dtypes[tensor.dtype] || 0) + count
+  }
+  return { parameters, dtypes }
+}
+
+/**
+ * 取参数最多的 safetensors 精度作为模型精度
+ * @param {Object<string, number>} dtypes - 精度 -> 参数数
+ * @returns {string|null} torch 精度名称
+ */
+export function dominantDtype(dtypes) {
+  const [top] = Object.entries(dtypes).sort((a, b) => b[1] - a[1])
+  return top ? SAFETENSORS_DTYPES[top[0]] || top[0].toLowerCase() : null
+}
+
+/**
+ * 顺序读取文件头的缓冲读取器
+ */
+class HeaderReader {
+  constructor(file, size) {
+    this.file = file
+    this.size = size
+    this.buffer = Buffer.alloc(0)
+    this.bufferStart = 0
+    this.position = 0
+  }
+
+  async ensure(length) {
+    const end = this.position + length
+    if (end > this.size) {
+      throw new Error('文件头不完整')
+    }
+    if (this.position >= this.bufferStart && end <= this.bufferStart + this.buffer.length) return
+
+    const readStart = Math.max(this.position, this.bufferStart + this.buffer.length)
+    const kept =
+      this.position < this.bufferStart + this.buffer.length
+        ? this.buffer.subarray(this.position - this.bufferStart)
+        : Buffer.alloc(0)
+    const readLength = Math.min(Math.max(end - readStart, GGUF_READ_SIZE), this.size - readStart)
+    this.buffer = Buffer.concat([kept, await this.file.read(readStart, readLength)])
+    this.bufferStart = this.position
+  }
+
+  async take(length) {
+    await this.ensure(length)
+    const offset = this.position - this.bufferStart
+    this.position += length
+    return this.buffer.subarray(offset, offset + length)
+  }
+
+  async u32() {
+    return (await this.take(4)).readUInt32LE(0)
+  }
+
+  async u64() {
+    return Number((await this.take(8)).readBigUInt64LE(0))
+  }
+
+  async string() {
+    return (await this.take(await this.u64())).toString('utf-8')
+  }
+
+  skip(length) {
+    this.position += length
+  }
+
+  /**
+   * 读取元数据值，数组只跳过不保存（分词表等数组很大）
+   */
+  async value(type) {
+    if (type === GGUF_TYPE_STRING) return this.string()
+    if (type === GGUF_TYPE_ARRAY) {
+      const itemType = await this.u32()
+      const count = await this.u64()
+      if (GGUF_TYPE_SIZES[itemType]) {
+        this.skip(GGUF_TYPE_SIZES[itemType] * count)
+      } else {
+        for (let i = 0; i < count; i++) await this.value(itemType)
+      }
+      return null
+    }
+
+    const data = await this.take(GGUF_TYPE_SIZES[type])
+    switch (type) {
+      case 0:
+        return data.readUInt8(0)
+      case 1:
+        return data.readInt8(0)
+      case 2:
+        return data.readUInt16LE(0)
+      case 3:
+        return data.readInt16LE(0)
+      case 4:
+        return data.readUInt32LE(0)
+      case 5:
+        return data.readInt32LE(0)
+      case 6:
+        return data.readFloatLE(0)
+      case 7:
+        return data.readUInt8(0) !== 0
+      case 10:
+        return Number(data.readBigUInt64LE(0))
+      case 11:
+        return Number(data.readBigInt64LE(0))
+      case 12:
+        return data.readDoubleLE(0)
+      default:
+        throw new Error(`未知的 GGUF 元数据类型 ${type}`)
+    }
+  }
+}
+
+/**
+ * 读取 GGUF 文件头：元数据（不含数组）和张量参数量
+ * @param {Object} fs - 文件系统接口
+ * @param {string} path - 文件路径
+ * @returns {Promise<{ metadata: Object, parameters: number }>}
+ */
+export async function readGgufHeader(fs, path) {
+  const { size } = await fs.stat(path)
+  const file = await fs.open(path, 'r')
+  try {
+    const reader = new HeaderReader(file, size)
+    if ((await reader.take(4)).toString('latin1') !== GGUF_MAGIC) {
+      throw new Error(`${path} 不是有效的 GGUF 文件`)
+    }
+    const version = await reader.u32()
+    if (version < 2) {
+      throw new Error(`不支持的 GGUF 版本 ${version}`)
+    }
+    const tensorCount = await reader.u64()
+    const metadataCount = await reader.u64()
+
+    const metadata = {}
+    for (let i = 0; i < metadataCount; i++) {
+      const key = await reader.string()
+      const value = await reader.value(await reader.u32())
+      if (value !== null) metadata[key] = value
+    }
+
+    let parameters = 0
+    for (let i = 0; i < tensorCount; i++) {
+      await reader.string()
+      const dimensionCount = await reader.u32()
+      let count = 1
+      for (let d = 0; d < dimensionCount; d++) count *= await reader.u64()
+      // 张量类型和数据偏移
+      reader.skip(12)
+      parameters += count
+    }
+    return { metadata, parameters }
+  } finally {
+    await file.close()
+  }
+}
+
+/**
+ * 从 GGUF 元数据提取模型信息
+ * @param {Object} metadata - readGgufHeader 返回的元数据
+ * @returns {Object} 与 summarizeConfig 相同结构的模型信息
+ */
+export function summarizeGguf(metadata) {
+  const arch = metadata['general.architecture'] || null
+  const key = (name) => (arch ? (metadata[`${arch}.${name}`] ?? null) : null)
+  const fileType = metadata['general.file_type']
+  const quantization =
+    fileType !== undefined ? GGUF_FILE_TYPES[fileType] || `type ${fileType}` : null
+
+  const hiddenSize = key('embedding_length')
+  const numAttentionHeads = key('attention.head_count')
+  return {
+    architecture: arch,
+    modelType: arch,
+    dtype:
+      quantization === 'F32' || quantization === 'F16' || quantization === 'BF16'
+        ? quantization.toLowerCase()
+        : null,
+    quantization,
+    bits: null,
+    contextLength: key('context_length'),
+    dimensions: {
+      hiddenSize,
+      numLayers: key('block_count'),
+      numAttentionHeads,
+      numKeyValueHeads: key('attention.head_count_kv') || numAttentionHeads,
+      headDim:
+        key('attention.key_length') ||
+        (hiddenSize && numAttentionHeads ? Math.round(hiddenSize / numAttentionHeads) : null),
+      vocabSize: key('vocab_size')
+    }
+  }
+}
+
+/**
+ * 从模型名称推断参数量（如 Qwen2.5-7B-Instruct、Mixtral-8x7B），无法推断时返回 null
+ * @param {string} name - 模型名称
+ * @returns {number|null} 参数量
+ */
+export function parseParameterCountFromName(name) {
+  const match = name.match(/(?:^|[-_.\s])(?:(\d+)x)?(\d+(?:\.\d+)?)([BM])(?=$|[-_.\s])/i)
+  if (!match) return null
+  const experts = match[1] ? Number(match[1]) : 1
+  const unit = match[3].toUpperCase() === 'B' ? 1e9 : 1e6
+  return Math.round(experts * Number(match[2]) * unit)
+}
+
+/**
+ * 从 GGUF 文件名推断量化方式（元数据缺失时使用）
+ * @param {string} fileName - 文件名
+ * @returns {string|null} 量化方式
+ */
+export function parseQuantizationFromName(fileName) {
+  const match = fileName.match(/(?:^|[-_.])((?:I?Q\d(?:_[0-9A-Z]+)*)|BF16|F16|F32)(?=[-_.])/i)
+  return match ? match[1].toUpperCase() : null
+}
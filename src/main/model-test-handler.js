@@ -154,20 +154,57 @@ class ModelTestHandler {
     }
   }
 
+  /**
+   * 转换为 OpenAI 消息格式
+   * 消息中的 images（图片 data URL）转为 content 数组中的 image_url 片段
+   */
+  toOpenAIMessages(messages) {
+    return messages.map(({ images, ...message }) => {
+      if (!images?.length) return message
+      return {
+        ...message,
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...images.map((url) => ({ type: 'image_url', image_url: { url } }))
+        ]
+      }
+    })
+  }
+
+  /**
+   * 转换为 Ollama 消息格式
+   * 消息中的 images（图片 data URL）转为不带前缀的 base64
+   */
+  toOllamaMessages(messages) {
+    return messages.map(({ images, ...message }) => {
+      if (!images?.length) return message
+      return { ...message, images: images.map((url) => url.replace(/^data:[^,]*;base64,/, '')) }
+    })
+  }
+
   /**
    * OpenAI 协议 - 聊天请求
+   * params.tools 为 OpenAI 格式的工具定义，params.toolChoice 对应 tool_choice
+   * @param {Object} callbacks - { onUsage, onToolCalls, onRequest }，onToolCalls 收到目前为止拼接好的全部工具调用，
+   *   onRequest 接收 abort 函数，调用后中断请求并返回已收到的内容
    */
-  async chatOpenAI(serverUrl, apiKey, model, messages, params, onDataCallback) {
+  async chatOpenAI(serverUrl, apiKey, model, messages, params, onDataCallback, callbacks = {}) {
+    const { onUsage, onToolCalls, onRequest } = callbacks
     const url = this.normalizeUrl(`${serverUrl}/chat/completions`)
+    const stream = params.stream ?? true
+    const hasTools = Array.isArray(params.tools) && params.tools.length > 0
     const body = JSON.stringify({
       model: model,
-      messages: messages,
+      messages: this.toOpenAIMessages(messages),
       temperature: params.temperature ?? 0.7,
       max_tokens: params.maxTokens ?? 2000,
       top_p: params.topP ?? 1.0,
       frequency_penalty: params.frequencyPenalty ?? 0,
       presence_penalty: params.presencePenalty ?? 0,
-      stream: params.stream ?? true
+      stream,
+      // 需要令牌统计时让服务在最后一个数据块中返回 usage
+      ...(stream && params.includeUsage ? { stream_options: { include_usage: true } } : {}),
+      ...(hasTools ? { tools: params.tools, tool_choice: params.toolChoice ?? 'auto' } : {})
     })
 
     const headers = {
@@ -202,6 +239,16 @@ class ModelTestHandler {
 
       let fullContent = ''
       let buffer = ''
+      // 流式返回的工具调用按 index 分片，需要拼接
+      const toolCalls = []
+
+      if (onRequest) {
+        onRequest(() => {
+          clearTimer()
+          request.abort()
+          resolve(fullContent)
+        })
+      }
 
       request.on('response', (response) => {
         clearTimer()
@@ -236,6 +283,17 @@ class ModelTestHandler {
                   fullContent += content
                   if (onDataCallback) onDataCallback(content)
                 }
+                const toolCallDeltas = parsed.choices[0]?.delta?.tool_calls
+                if (Array.isArray(toolCallDeltas) && toolCallDeltas.length > 0) {
+                  this.mergeToolCallDeltas(toolCalls, toolCallDeltas)
+                  if (onToolCalls) onToolCalls(toolCalls)
+                }
+                if (parsed.usage && onUsage) {
+                  onUsage({
+                    promptTokens: parsed.usage.prompt_tokens,
+                    completionTokens: parsed.usage.completion_tokens
+                  })
+                }
               } catch (e) {
                 // 忽略解析错误
               }
@@ -266,6 +324,284 @@ class ModelTestHandler {
     })
   }
 
+  /**
+   * 合并流式返回的工具调用分片
+   * 第一个分片带 id、type 和函数名，后续分片只追加 arguments
+   * @param {Array<Object>} toolCalls - 已拼接的工具调用（原地修改）
+   * @param {Array<Object>} deltas - 本次数据块中的 delta.tool_calls
+   */
+  mergeToolCallDeltas(toolCalls, deltas) {
+    for (const delta of deltas) {
+      const index = delta.index ?? toolCalls.length
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } }
+      }
+      const call = toolCalls[index]
+      if (delta.id) call.id = delta.id
+      if (delta.type) call.type = delta.type
+      if (delta.function?.name) call.function.name += delta.function.name
+      if (delta.function?.arguments) call.function.arguments += delta.function.arguments
+    }
+  }
+
+  /**
+   * OpenAI 协议 - 压测请求
+   * 发送一次流式请求并记录时间：首个令牌时间、各数据块之间的间隔和总耗时，
+   * 令牌数优先使用服务端返回的 usage（stream_options.include_usage），否则按数据块计数
+   * @param {string} serverUrl - 服务地址
+   * @param {string} apiKey - API Key
+   * @param {Object} body - 请求体（stream 固定为 true）
+   * @param {Object} options - { timeout, onRequest（接收 abort 函数，用于取消） }
+   * @returns {Promise<Object>} { ttft, latency, itls, outputTokens, promptTokens }（毫秒）
+   */
+  async benchmarkOpenAI(serverUrl, apiKey, body, options = {}) {
+    const url = this.normalizeUrl(`${serverUrl}/chat/completions`)
+    const payload = JSON.stringify({
+      ...body,
+      stream: true,
+      stream_options: { include_usage: true }
+    })
+
+    const headers = {
+      'Content-Type': 'application/json'
+    }
+
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`
+    }
+
+    return new Promise((resolve, reject) => {
+      const timeout = options.timeout ?? 300000
+      const startTime = performance.now()
+      let firstTokenTime = null
+      let lastTokenTime = null
+      let chunkCount = 0
+      let usage = null
+      let buffer = ''
+      let settled = false
+      const itls = []
+
+      const request = net.request({
+        method: 'POST',
+        url: url,
+        headers: headers
+      })
+
+      const fail = (error) => {
+        if (settled) return
+        settled = true
+        clearTimeout(timeoutTimer)
+        reject(error)
+      }
+
+      const timeoutTimer = setTimeout(() => {
+        request.abort()
+        fail(new Error('Request timeout'))
+      }, timeout)
+
+      if (options.onRequest) {
+        options.onRequest(() => {
+          request.abort()
+          fail(new Error('已取消'))
+        })
+      }
+
+      const handleLine = (line) => {
+        if (!line.startsWith('data: ')) return
+        const data = line.slice(6).trim()
+        if (data === '[DONE]') return
+
+        let parsed
+        try {
+          parsed = JSON.parse(data)
+        } catch {
+          return
+        }
+        if (parsed.error) {
+          fail(new Error(parsed.error.message || JSON.stringify(parsed.error)))
+          return
+        }
+        if (parsed.usage) {
+          usage = parsed.usage
+        }
+        const delta = parsed.choices?.[0]?.delta
+        // 推理模型的思考内容同样计入输出
+        if (delta && (delta.content || delta.reasoning_content)) {
+          const now = performance.now()
+          if (firstTokenTime === null) {
+            firstTokenTime = now
+          } else {
+            itls.push(now - lastTokenTime)
+          }
+          lastTokenTime = now
+          chunkCount += 1
+        }
+      }
+
+      request.on('response', (response) => {
+        if (response.statusCode !== 200) {
+          let errorData = ''
+          response.on('data', (chunk) => {
+            errorData += chunk.toString()
+          })
+          response.on('end', () => {
+            fail(new Error(`HTTP ${response.statusCode}: ${errorData.slice(0, 500)}`))
+          })
+          return
+        }
+
+        response.on('data', (chunk) => {
+          buffer += chunk.toString()
+          const lines = buffer.split('\n')
+          buffer = lines.pop() || ''
+          lines.forEach(handleLine)
+        })
+
+        response.on('end', () => {
+          if (buffer) handleLine(buffer)
+          if (settled) return
+          if (firstTokenTime === null) {
+            fail(new Error('响应中没有输出内容'))
+            return
+          }
+          settled = true
+          clearTimeout(timeoutTimer)
+          resolve({
+            ttft: firstTokenTime - startTime,
+            latency: performance.now() - startTime,
+            itls,
+            outputTokens: usage?.completion_tokens || chunkCount,
+            promptTokens: usage?.prompt_tokens || 0
+          })
+        })
+
+        response.on('error', fail)
+      })
+
+      request.on('error', fail)
+
+      request.write(payload)
+      request.end()
+    })
+  }
+
+  /**
+   * OpenAI 兼容接口地址（Ollama 的兼容接口在 /v1 下）
+   */
+  openAICompatibleUrl(protocol, serverUrl) {
+    return protocol === 'ollama' ? `${serverUrl.replace(/\/+$/, '')}/v1` : serverUrl
+  }
+
+  /**
+   * 发送 JSON POST 请求并解析响应
+   * @returns {Promise<Object>} { data, latency }，latency 为请求耗时（毫秒）
+   */
+  async postJSON(url, apiKey, body) {
+    const headers = {
+      'Content-Type': 'application/json'
+    }
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`
+    }
+
+    const startTime = Date.now()
+    const response = await this.request(url, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(body)
+    })
+    return { data: JSON.parse(response.data), latency: Date.now() - startTime }
+  }
+
+  /**
+   * 向量接口 /embeddings
+   * @param {Array<string>} input - 文本列表
+   * @returns {Promise<Object>} { embeddings: number[][], usage, latency }
+   */
+  async createEmbeddings(serverUrl, apiKey, model, input) {
+    const { data, latency } = await this.postJSON(`${serverUrl}/embeddings`, apiKey, {
+      model: model,
+      input: input,
+      encoding_format: 'float'
+    })
+    const embeddings = [...(data.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding)
+    return { embeddings, usage: data.usage || null, latency }
+  }
+
+  /**
+   * 重排序接口：/rerank（Jina/Cohere 格式）或 /score（vLLM 句对打分）
+   * @param {Object} options - { endpoint: 'rerank' | 'score', topN }
+   * @returns {Promise<Object>} { results: [{ index, document, score }]（按分数从高到低）, usage, latency }
+   */
+  async rerank(serverUrl, apiKey, model, query, documents, options = {}) {
+    let results
+    let response
+    if (options.endpoint === 'score') {
+      response = await this.postJSON(`${serverUrl}/score`, apiKey, {
+        model: model,
+        text_1: query,
+        text_2: documents
+      })
+      results = (response.data.data || []).map((item) => ({ index: item.index, score: item.score }))
+    } else {
+      response = await this.postJSON(`${serverUrl}/rerank`, apiKey, {
+        model: model,
+        query: query,
+        documents: documents,
+        ...(options.topN ? { top_n: options.topN } : {})
+      })
+      results = (response.data.results || []).map((item) => ({
+        index: item.index,
+        score: item.relevance_score ?? item.score
+      }))
+    }
+
+    return {
+      results: results
+        .map((item) => ({ ...item, document: documents[item.index] }))
+        .sort((a, b) => b.score - a.score),
+      usage: response.data.usage || null,
+      latency: response.latency
+    }
+  }
+
+  /**
+   * 文本补全接口 /completions（非流式，可返回每个令牌的 logprobs）
+   * @param {Object} params - { maxTokens, temperature, topP, logprobs（候选数，0 表示不返回） }
+   * @returns {Promise<Object>} { text, finishReason, tokens, usage, latency }，
+   *   tokens 为每个输出令牌 [{ token, logprob, top: [{ token, logprob }] }]
+   */
+  async createCompletion(serverUrl, apiKey, model, prompt, params = {}) {
+    const { data, latency } = await this.postJSON(`${serverUrl}/completions`, apiKey, {
+      model: model,
+      prompt: prompt,
+      max_tokens: params.maxTokens ?? 128,
+      temperature: params.temperature ?? 0.7,
+      top_p: params.topP ?? 1.0,
+      ...(params.logprobs > 0 ? { logprobs: params.logprobs } : {}),
+      stream: false
+    })
+
+    const choice = data.choices?.[0] || {}
+    const logprobs = choice.logprobs
+    const tokens = (logprobs?.tokens || []).map((token, index) => ({
+      token,
+      logprob: logprobs.token_logprobs?.[index] ?? null,
+      top: Object.entries(logprobs.top_logprobs?.[index] || {})
+        .map(([candidate, logprob]) => ({ token: candidate, logprob }))
+        .sort((a, b) => b.logprob - a.logprob)
+    }))
+    return {
+      text: choice.text || '',
+      finishReason: choice.finish_reason || null,
+      tokens,
+      usage: data.usage || null,
+      latency
+    }
+  }
+
   /**
    * Ollama 协议 - 测试连接
    */
@@ -312,11 +648,12 @@ class ModelTestHandler {
   /**
    * Ollama 协议 - 聊天请求
    */
-  async chatOllama(serverUrl, model, messages, params, onDataCallback) {
+  async chatOllama(serverUrl, model, messages, params, onDataCallback, callbacks = {}) {
+    const { onUsage, onRequest } = callbacks
     const url = this.normalizeUrl(`${serverUrl}/api/chat`)
     const body = JSON.stringify({
       model: model,
-      messages: messages,
+      messages: this.toOllamaMessages(messages),
       stream: params.stream ?? true,
       options: {
         temperature: params.temperature ?? 0.7,
@@ -352,6 +689,14 @@ class ModelTestHandler {
       let fullContent = ''
       let buffer = ''
 
+      if (onRequest) {
+        onRequest(() => {
+          clearTimer()
+          request.abort()
+          resolve(fullContent)
+        })
+      }
+
       request.on('response', (response) => {
         clearTimer()
 
@@ -382,6 +727,13 @@ class ModelTestHandler {
                 fullContent += content
                 if (onDataCallback) onDataCallback(content)
               }
+              // 最后一个数据块带有令牌统计
+              if (parsed.done && onUsage) {
+                onUsage({
+                  promptTokens: parsed.prompt_eval_count,
+                  completionTokens: parsed.eval_count
+                })
+              }
             } catch (e) {
               // 忽略解析错误
             }
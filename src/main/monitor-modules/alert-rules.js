@@ -0,0 +1,102 @@
+/**
+ * 告警规则定义与判定
+ * 资源类规则基于后台资源采样判定，服务类规则基于服务状态轮询判定
+ */
+
+// 规则类型：scope 为 resource（按服务器采样判定）或 service（按服务状态判定）
+export const ALERT_RULE_TYPES = {
+  gpu_temperature: { label: 'GPU 温度过高', scope: 'resource', unit: '°C', defaultThreshold: 85 },
+  gpu_memory: { label: 'GPU 显存占用过高', scope: 'resource', unit: '%', defaultThreshold: 95 },
+  disk_free: { label: '磁盘剩余空间不足', scope: 'resource', unit: 'GB', defaultThreshold: 20 },
+  service_stopped: { label: '服务意外停止', scope: 'service', unit: '', defaultThreshold: 0 },
+  health_failing: { label: '健康检查连续失败', scope: 'service', unit: '次', defaultThreshold: 3 }
+}
+
+const GB = 1024 * 1024 * 1024
+
+/**
+ * 规范化规则配置
+ * @param {Object} rule - 规则
+ * @returns {Object} 补全默认值后的规则
+ */
+export function normalizeRule(rule) {
+  const type = ALERT_RULE_TYPES[rule.type] ? rule.type : 'gpu_temperature'
+  const threshold = Number(rule.threshold)
+  return {
+    id: rule.id || `rule-${Date.now()}`,
+    name: rule.name || ALERT_RULE_TYPES[type].label,
+    type,
+    enabled: rule.enabled !== false,
+    serverId: rule.serverId || '',
+    serviceId: rule.serviceId || '',
+    threshold: Number.isFinite(threshold) ? threshold : ALERT_RULE_TYPES[type].defaultThreshold,
+    notifyDesktop: rule.notifyDesktop !== false,
+    notifyResolved: rule.notifyResolved !== false,
+    webhookIds: Array.isArray(rule.webhookIds) ? rule.webhookIds : []
+  }
+}
+
+/**
+ * 判定资源类规则
+ * @param {Object} rule - 规则
+ * @param {Object} sample - 资源采样（见 resource-monitor）
+ * @returns {Array<{key: string, target: string, value: number, message: string}>} 当前违反规则的对象
+ */
+export function evaluateResourceRule(rule, sample) {
+  const violations = []
+
+  if (rule.type === 'gpu_temperature') {
+    for (const gpu of sample.gpus || []) {
+      if (typeof gpu.temperature === 'number' && gpu.temperature > rule.threshold) {
+        violations.push({
+          key: `gpu:${gpu.index}`,
+          target: `GPU ${gpu.index}`,
+          value: gpu.temperature,
+          message: `GPU ${gpu.index} 温度 ${gpu.temperature}°C，超过阈值 ${rule.threshold}°C`
+        })
+      }
+    }
+  } else if (rule.type === 'gpu_memory') {
+    for (const gpu of sample.gpus || []) {
+      if (!gpu.memoryTotal || typeof gpu.memoryUsed !== 'number') continue
+      const percent = Math.round((gpu.memoryUsed / gpu.memoryTotal) * 1000) / 10
+      if (percent > rule.threshold) {
+        violations.push({
+          key: `gpu:${gpu.index}`,
+          target: `GPU ${gpu.index}`,
+          value: percent,
+          message: `GPU ${gpu.index} 显存占用 ${percent}%，超过阈值 ${rule.threshold}%`
+        })
+      }
+    }
+  } else if (rule.type === 'disk_free') {
+    if (typeof sample.diskTotal === 'number' && typeof sample.diskUsed === 'number') {
+      const freeGB = Math.round(((sample.diskTotal - sample.diskUsed) / GB) * 10) / 10
+      if (freeGB < rule.threshold) {
+        violations.push({
+          key: 'disk:/',
+          target: '根分区',
+          value: freeGB,
+          message: `根分区剩余 ${freeGB} GB，低于阈值 ${rule.threshold} GB`
+        })
+      }
+    }
+  }
+
+  return violations
+}
+
+/**
+ * 判断规则是否适用于指定服务器
+ */
+export function ruleMatchesServer(rule, serverId) {
+  return !rule.serverId || rule.serverId === serverId
+}
+
+/**
+ * 判断规则是否适用于指定服务
+ */
+export function ruleMatchesService(rule, service) {
+  if (rule.serviceId) return rule.serviceId === service.id
+  return ruleMatchesServer(rule, service.serverId)
+}
@@ -0,0 +1,146 @@
+/**
+ * 服务器资源历史
+ * 按分辨率分层保存采样数据：原始采样保留 1 小时，5 分钟均值保留 24 小时，30 分钟均值保留 7 天，
+ * 每台服务器的数据量保持在数百个点以内，便于持久化和绘图
+ */
+
+const HOUR = 3600 * 1000
+const DAY = 24 * HOUR
+
+// 分层定义：step 为聚合粒度（0 表示原始采样），retention 为保留时长
+const TIERS = [
+  { key: 'raw', step: 0, retention: HOUR },
+  { key: 'm5', step: 5 * 60 * 1000, retention: DAY },
+  { key: 'm30', step: 30 * 60 * 1000, retention: 7 * DAY }
+]
+
+// 查询范围对应的分层
+export const HISTORY_RANGES = {
+  '1h': { tier: 'raw', duration: HOUR },
+  '24h': { tier: 'm5', duration: DAY },
+  '7d': { tier: 'm30', duration: 7 * DAY }
+}
+
+/**
+ * 计算数值字段的平均值（忽略空值）
+ */
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number' && !Number.isNaN(value))
+  if (numbers.length === 0) return null
+  return Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 10) / 10
+}
+
+/**
+ * 合并一组采样为一个数据点：数值字段取平均，显卡按 index 分别取平均
+ * @param {Array<Object>} samples - 采样列表
+ * @param {number} timestamp - 数据点时间
+ * @returns {Object} 数据点
+ */
+export function aggregateSamples(samples, timestamp) {
+  const last = samples[samples.length - 1]
+  const point = { timestamp }
+
+  for (const key of Object.keys(last)) {
+    if (key === 'timestamp' || key === 'gpus') continue
+    point[key] = typeof last[key] === 'number' || last[key] === null
+      ? average(samples.map(sample => sample[key]))
+      : last[key]
+  }
+
+  const gpuMap = new Map()
+  for (const sample of samples) {
+    for (const gpu of sample.gpus || []) {
+      if (!gpuMap.has(gpu.index)) gpuMap.set(gpu.index, [])
+      gpuMap.get(gpu.index).push(gpu)
+    }
+  }
+  point.gpus = [...gpuMap.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, list]) => {
+      const gpu = { index, name: list[list.length - 1].name }
+      for (const key of Object.keys(list[list.length - 1])) {
+        if (key === 'index' || key === 'name') continue
+        gpu[key] = average(list.map(item => item[key]))
+      }
+      return gpu
+    })
+
+  return point
+}
+
+export default class ResourceHistory {
+  constructor(data = null) {
+    // 各分层已完成的数据点
+    this.tiers = {}
+    // 聚合分层中当前未结束时间段的采样
+    this.pending = {}
+    for (const tier of TIERS) {
+      this.tiers[tier.key] = Array.isArray(data?.tiers?.[tier.key]) ? data.tiers[tier.key] : []
+      this.pending[tier.key] = Array.isArray(data?.pending?.[tier.key]) ? data.pending[tier.key] : []
+    }
+  }
+
+  /**
+   * 追加一次采样
+   * @param {Object} sample - 采样数据（必须包含 timestamp）
+   */
+  add(sample) {
+    for (const tier of TIERS) {
+      const points = this.tiers[tier.key]
+
+      if (tier.step === 0) {
+        points.push(sample)
+      } else {
+        const pending = this.pending[tier.key]
+        const bucketStart = Math.floor(sample.timestamp / tier.step) * tier.step
+        // 进入新的时间段时，把上一段的采样聚合为一个数据点
+        if (pending.length > 0 && Math.floor(pending[0].timestamp / tier.step) * tier.step !== bucketStart) {
+          const previousStart = Math.floor(pending[0].timestamp / tier.step) * tier.step
+          points.push(aggregateSamples(pending, previousStart))
+          pending.length = 0
+        }
+        pending.push(sample)
+      }
+
+      // 清理超出保留时长的数据点
+      const cutoff = sample.timestamp - tier.retention
+      const firstKept = points.findIndex(point => point.timestamp >= cutoff)
+      if (firstKept > 0) points.splice(0, firstKept)
+      else if (firstKept === -1) points.length = 0
+    }
+  }
+
+  /**
+   * 查询指定范围的数据点
+   * @param {string} range - 查询范围（1h / 24h / 7d）
+   * @returns {Array<Object>} 数据点列表（按时间升序，包含当前未结束时间段的均值）
+   */
+  getRange(range) {
+    const config = HISTORY_RANGES[range] || HISTORY_RANGES['1h']
+    const tier = TIERS.find(item => item.key === config.tier)
+    const cutoff = Date.now() - config.duration
+    const points = this.tiers[tier.key].filter(point => point.timestamp >= cutoff)
+
+    const pending = this.pending[tier.key]
+    if (tier.step > 0 && pending.length > 0) {
+      points.push(aggregateSamples(pending, Math.floor(pending[0].timestamp / tier.step) * tier.step))
+    }
+    return points
+  }
+
+  /**
+   * 获取最近一次采样
+   * @returns {Object|null}
+   */
+  getLatest() {
+    const raw = this.tiers.raw
+    return raw.length > 0 ? raw[raw.length - 1] : null
+  }
+
+  /**
+   * 转换为可持久化的数据
+   */
+  toJSON() {
+    return { tiers: this.tiers, pending: this.pending }
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * 告警 Webhook 发送
+ * 支持通用 JSON、钉钉、飞书和企业微信机器人格式，钉钉和飞书支持加签
+ */
+import { createHmac } from 'crypto'
+
+// 支持的格式
+export const WEBHOOK_FORMATS = {
+  generic: '通用 JSON',
+  dingtalk: '钉钉机器人',
+  feishu: '飞书机器人',
+  wecom: '企业微信机器人'
+}
+
+// 请求超时（毫秒）
+const REQUEST_TIMEOUT = 10000
+
+/**
+ * 生成告警的标题和正文
+ * @param {Object} alert - 告警记录
+ * @returns {{ title: string, lines: string[] }}
+ */
+function describeAlert(alert) {
+  const prefix = alert.status === 'resolved' ? '【已恢复】' : '【告警】'
+  return {
+    title: `${prefix}${alert.ruleName}`,
+    lines: [
+      `服务器：${alert.serverName || alert.serverId || '-'}`,
+      `对象：${alert.target || '-'}`,
+      `详情：${alert.message}`,
+      `时间：${new Date(alert.time).toLocaleString()}`
+    ]
+  }
+}
+
+/**
+ * 构建钉钉加签后的地址
+ */
+function signDingTalkUrl(url, secret) {
+  const timestamp = Date.now()
+  const sign = createHmac('sha256', secret).update(`${timestamp}\n${secret}`).digest('base64')
+  const separator = url.includes('?') ? '&' : '?'
+  return `${url}${separator}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`
+}
+
+/**
+ * 按格式构建请求地址和请求体
+ * @param {Object} webhook - Webhook 配置 { format, url, secret }
+ * @param {Object} alert - 告警记录
+ * @returns {{ url: string, body: Object }}
+ */
+export function buildWebhookRequest(webhook, alert) {
+  const { title, lines } = describeAlert(alert)
+
+  switch (webhook.format) {
+    case 'dingtalk':
+      return {
+        url: webhook.secret ? signDingTalkUrl(webhook.url, webhook.secret) : webhook.url,
+        body: {
+          msgtype: 'markdown',
+          markdown: { title, text: `### ${title}\n\n${lines.map(line => `- ${line}`).join('\n')}` }
+        }
+      }
+
+    case 'feishu': {
+      const body = {
+        msg_type: 'text',
+        content: { text: `${title}\n${lines.join('\n')}` }
+      }
+      if (webhook.secret) {
+        // 飞书加签：以 timestamp + "\n" + secret 为密钥对空字符串计算 HmacSHA256
+        const timestamp = Math.floor(Date.now() / 1000)
+        body.timestamp = String(timestamp)
+        body.sign = createHmac('sha256', `${timestamp}\n${webhook.secret}`).update('').digest('base64')
+      }
+      return { url: webhook.url, body }
+    }
+
+    case 'wecom':
+      return {
+        url: webhook.url,
+        body: {
+          msgtype: 'markdown',
+          markdown: { content: `**${title}**\n${lines.map(line => `> ${line}`).join('\n')}` }
+        }
+      }
+
+    default:
+      return {
+        url: webhook.url,
+        body: {
+          title,
+          status: alert.status,
+          rule: { id: alert.ruleId, name: alert.ruleName, type: alert.type },
+          serverId: alert.serverId,
+          serverName: alert.serverName,
+          target: alert.target,
+          message: alert.message,
+          value: alert.value,
+          threshold: alert.threshold,
+          time: new Date(alert.time).toISOString()
+        }
+      }
+  }
+}
+
+/**
+ * 判断机器人接口的业务返回是否成功（钉钉、企业微信返回 errcode，飞书返回 code）
+ */
+function checkResponseBody(format, text) {
+  if (format === 'generic') return null
+  try {
+    const data = JSON.parse(text)
+    const code = data.errcode ?? data.code ?? data.StatusCode ?? 0
+    if (code !== 0) {
+      return data.errmsg || data.msg || data.StatusMessage || `错误码 ${code}`
+    }
+  } catch {
+    // 非 JSON 响应按 HTTP 状态判断
+  }
+  return null
+}
+
+/**
+ * 发送告警到 Webhook
+ * @param {Object} webhook - Webhook 配置
+ * @param {Object} alert - 告警记录
+ * @returns {Promise<{success: boolean, error?: string}>} 发送结果
+ */
+export async function sendWebhook(webhook, alert) {
+  try {
+    const { url, body } = buildWebhookRequest(webhook, alert)
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    })
+    const text = await response.text()
+
+    if (!response.ok) {
+      return { success: false, error: `HTTP ${response.status}: ${text.slice(0, 200)}` }
+    }
+    const bodyError = checkResponseBody(webhook.format, text)
+    if (bodyError) {
+      return { success: false, error: bodyError }
+    }
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.name === 'TimeoutError' ? '请求超时' : error.message }
+  }
+}
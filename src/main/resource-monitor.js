@@ -0,0 +1,306 @@
+/**
+ * 服务器资源监控
+ * 在主进程后台定时采集 CPU、内存、磁盘和每张显卡的利用率、显存、温度、功耗，
+ * 历史数据按服务器保存在 ~/.vllm_front/resource-history-<serverId>.json
+ */
+import sshManager from './ssh-manager'
+import dataManager from './data-manager'
+import ResourceHistory from './monitor-modules/resource-history.js'
+
+// 配置存储模块名
+const CONFIG_MODULE = 'resource-monitor'
+// 默认与最小采样间隔（秒）
+const DEFAULT_INTERVAL = 60
+const MIN_INTERVAL = 10
+// 每采样多少次写一次磁盘
+const SAVE_EVERY = 5
+
+// 输出分隔标记
+const SECTION_MARK = '__VLLM_FRONT_RES__'
+
+class ResourceMonitor {
+  constructor() {
+    // serverId -> { enabled, intervalSeconds }
+    this.config = {}
+    // serverId -> ResourceHistory
+    this.histories = new Map()
+    // serverId -> 定时器
+    this.timers = new Map()
+    // serverId -> 上一次的 CPU 计数（用于计算区间利用率）
+    this.cpuCounters = new Map()
+    // serverId -> { lastSampleAt, lastError, unsaved }
+    this.states = new Map()
+    // 采样完成后的回调（如告警判定）
+    this.sampleListeners = []
+    this.ensureServerLoaded = null
+  }
+
+  /**
+   * 注册采样回调
+   * @param {Function} listener - (serverId, sample) => void
+   */
+  onSample(listener) {
+    this.sampleListeners.push(listener)
+  }
+
+  /**
+   * 初始化：读取配置并启动已开启的采样任务
+   * @param {Object} options
+   * @param {Function} options.ensureServerLoaded - 确保服务器已加载到 sshManager 的函数
+   */
+  async init({ ensureServerLoaded }) {
+    this.ensureServerLoaded = ensureServerLoaded
+    this.config = (await dataManager.readData(CONFIG_MODULE, {})) || {}
+
+    for (const [serverId, config] of Object.entries(this.config)) {
+      if (config.enabled) {
+        this.schedule(serverId, 0)
+      }
+    }
+  }
+
+  /**
+   * 获取服务器的采样配置和状态
+   * @param {string} serverId - 服务器ID
+   * @returns {Object} { enabled, intervalSeconds, lastSampleAt, lastError }
+   */
+  getConfig(serverId) {
+    const config = this.config[serverId] || {}
+    const state = this.states.get(serverId) || {}
+    return {
+      enabled: !!config.enabled,
+      intervalSeconds: config.intervalSeconds || DEFAULT_INTERVAL,
+      lastSampleAt: state.lastSampleAt || null,
+      lastError: state.lastError || null
+    }
+  }
+
+  /**
+   * 更新服务器的采样配置
+   * @param {string} serverId - 服务器ID
+   * @param {Object} updates - { enabled, intervalSeconds }
+   * @returns {Promise<Object>} 更新后的配置
+   */
+  async setConfig(serverId, updates) {
+    const current = this.config[serverId] || { enabled: false, intervalSeconds: DEFAULT_INTERVAL }
+    const next = { ...current, ...updates }
+    next.intervalSeconds = Math.max(MIN_INTERVAL, parseInt(next.intervalSeconds, 10) || DEFAULT_INTERVAL)
+    this.config[serverId] = next
+
+    const result = await dataManager.writeData(CONFIG_MODULE, this.config)
+    if (result && result.success === false) {
+      throw new Error(result.error || '保存监控配置失败')
+    }
+
+    this.unschedule(serverId)
+    if (next.enabled) {
+      this.schedule(serverId, 0)
+    } else {
+      await this.flush(serverId)
+    }
+    return this.getConfig(serverId)
+  }
+
+  /**
+   * 安排下一次采样（上一次完成后再计时，避免慢连接上的采样重叠）
+   */
+  schedule(serverId, delay) {
+    const timer = setTimeout(async () => {
+      try {
+        await this.sample(serverId)
+      } catch (error) {
+        console.warn(`[ResourceMonitor] 服务器 ${serverId} 采样失败:`, error.message)
+      }
+      // 采样期间可能已关闭
+      if (this.timers.get(serverId) === timer) {
+        const intervalSeconds = this.config[serverId]?.intervalSeconds || DEFAULT_INTERVAL
+        this.schedule(serverId, intervalSeconds * 1000)
+      }
+    }, delay)
+    this.timers.set(serverId, timer)
+  }
+
+  /**
+   * 取消采样任务
+   */
+  unschedule(serverId) {
+    const timer = this.timers.get(serverId)
+    if (timer) {
+      clearTimeout(timer)
+      this.timers.delete(serverId)
+    }
+  }
+
+  /**
+   * 获取服务器的历史对象（首次访问时从磁盘加载）
+   * @returns {Promise<ResourceHistory>}
+   */
+  async getHistoryStore(serverId) {
+    if (!this.histories.has(serverId)) {
+      const data = await dataManager.readData(`resource-history-${serverId}`, null)
+      this.histories.set(serverId, new ResourceHistory(data))
+    }
+    return this.histories.get(serverId)
+  }
+
+  /**
+   * 查询历史数据
+   * @param {string} serverId - 服务器ID
+   * @param {string} range - 查询范围（1h / 24h / 7d）
+   * @returns {Promise<Array<Object>>} 数据点列表
+   */
+  async getHistory(serverId, range) {
+    const history = await this.getHistoryStore(serverId)
+    return history.getRange(range)
+  }
+
+  /**
+   * 采集一次并写入历史
+   * @param {string} serverId - 服务器ID
+   * @returns {Promise<Object>} 采样数据
+   */
+  async sample(serverId) {
+    const state = this.states.get(serverId) || { unsaved: 0 }
+    this.states.set(serverId, state)
+
+    try {
+      if (this.ensureServerLoaded) {
+        await this.ensureServerLoaded(serverId)
+      }
+      const sample = await this.collect(serverId)
+      const history = await this.getHistoryStore(serverId)
+      history.add(sample)
+
+      for (const listener of this.sampleListeners) {
+        try {
+          listener(serverId, sample)
+        } catch (error) {
+          console.error('[ResourceMonitor] 采样回调执行失败:', error.message)
+        }
+      }
+
+      state.lastSampleAt = sample.timestamp
+      state.lastError = null
+      state.unsaved += 1
+      if (state.unsaved >= SAVE_EVERY) {
+        await this.flush(serverId)
+      }
+      return sample
+    } catch (error) {
+      state.lastError = error.message
+      throw error
+    }
+  }
+
+  /**
+   * 采集 CPU、内存、磁盘和显卡状态
+   * @param {string} serverId - 服务器ID
+   * @returns {Promise<Object>} 采样数据（内存、磁盘单位字节，显存单位 MB）
+   */
+  async collect(serverId) {
+    const command = [
+      `echo ${SECTION_MARK}cpu`, 'head -1 /proc/stat',
+      `echo ${SECTION_MARK}mem`, "grep -E '^(MemTotal|MemAvailable):' /proc/meminfo",
+      `echo ${SECTION_MARK}disk`, 'df -P -B1 / | tail -1',
+      `echo ${SECTION_MARK}load`, 'cat /proc/loadavg'
+    ].join('; ')
+
+    const result = await sshManager.execCommand(serverId, command)
+    const sections = {}
+    for (const part of (result.stdout || '').split(SECTION_MARK).slice(1)) {
+      const newline = part.indexOf('\n')
+      const name = newline >= 0 ? part.substring(0, newline).trim() : part.trim()
+      sections[name] = newline >= 0 ? part.substring(newline + 1).trim() : ''
+    }
+
+    const sample = {
+      timestamp: Date.now(),
+      cpu: this.parseCpu(serverId, sections.cpu),
+      load1: null,
+      memPercent: null,
+      memUsed: null,
+      memTotal: null,
+      diskPercent: null,
+      diskUsed: null,
+      diskTotal: null,
+      gpus: []
+    }
+
+    // 内存（/proc/meminfo 单位为 kB）
+    const memTotal = (sections.mem || '').match(/MemTotal:\s+(\d+)/)
+    const memAvailable = (sections.mem || '').match(/MemAvailable:\s+(\d+)/)
+    if (memTotal && memAvailable) {
+      sample.memTotal = parseInt(memTotal[1], 10) * 1024
+      sample.memUsed = sample.memTotal - parseInt(memAvailable[1], 10) * 1024
+      sample.memPercent = Math.round((sample.memUsed / sample.memTotal) * 1000) / 10
+    }
+
+    // 根分区磁盘
+    const diskParts = (sections.disk || '').split(/\s+/)
+    if (diskParts.length >= 4 && !Number.isNaN(parseInt(diskParts[1], 10))) {
+      sample.diskTotal = parseInt(diskParts[1], 10)
+      sample.diskUsed = parseInt(diskParts[2], 10)
+      sample.diskPercent = sample.diskTotal > 0 ? Math.round((sample.diskUsed / sample.diskTotal) * 1000) / 10 : null
+    }
+
+    const load = parseFloat((sections.load || '').split(/\s+/)[0])
+    sample.load1 = Number.isNaN(load) ? null : load
+
+    try {
+      sample.gpus = await sshManager.gpuManager.getGPUStats(serverId)
+    } catch (error) {
+      console.warn(`[ResourceMonitor] 服务器 ${serverId} 显卡采样失败:`, error.message)
+    }
+
+    return sample
+  }
+
+  /**
+   * 根据两次 /proc/stat 计数计算 CPU 利用率（首次采样没有上一次计数，返回 null）
+   * @returns {number|null} 利用率百分比
+   */
+  parseCpu(serverId, line) {
+    const values = (line || '').trim().split(/\s+/).slice(1).map(value => parseInt(value, 10))
+    if (values.length < 4 || values.some(Number.isNaN)) return null
+
+    // user nice system idle iowait irq softirq steal
+    const idle = values[3] + (values[4] || 0)
+    const total = values.slice(0, 8).reduce((sum, value) => sum + value, 0)
+    const previous = this.cpuCounters.get(serverId)
+    this.cpuCounters.set(serverId, { idle, total })
+
+    if (!previous || total <= previous.total) return null
+    const usage = 1 - (idle - previous.idle) / (total - previous.total)
+    return Math.round(Math.min(Math.max(usage, 0), 1) * 1000) / 10
+  }
+
+  /**
+   * 将历史写入磁盘
+   * @param {string} serverId - 服务器ID
+   */
+  async flush(serverId) {
+    const history = this.histories.get(serverId)
+    const state = this.states.get(serverId)
+    if (!history || !state || !state.unsaved) return
+    state.unsaved = 0
+    await dataManager.writeData(`resource-history-${serverId}`, history.toJSON())
+  }
+
+  /**
+   * 停止所有采样并保存历史（应用退出时调用）
+   */
+  async shutdown() {
+    for (const serverId of [...this.timers.keys()]) {
+      this.unschedule(serverId)
+    }
+    for (const serverId of this.histories.keys()) {
+      try {
+        await this.flush(serverId)
+      } catch (error) {
+        console.error(`[ResourceMonitor] 保存服务器 ${serverId} 历史失败:`, error.message)
+      }
+    }
+  }
+}
+
+export default new ResourceMonitor()
@@ -7,6 +7,9 @@ import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypt
 import { app } from 'electron'
 import * as os from 'os'
 
+// 服务器配置（及其跳板机）中需要加密的字段
+const SERVER_SECRET_FIELDS = ['password', 'privateKey', 'passphrase']
+
 class CryptoManager {
   constructor() {
     this.algorithm = 'aes-256-gcm'
@@ -167,7 +170,11 @@ class CryptoManager {
    * @returns {Object} 加密后的服务器配置
    */
   encryptServerConfig(server) {
-    return this.encryptObject(server, ['password', 'privateKey'])
+    const encrypted = this.encryptObject(server, SERVER_SECRET_FIELDS)
+    if (Array.isArray(encrypted.jumpHosts)) {
+      encrypted.jumpHosts = encrypted.jumpHosts.map(hop => this.encryptObject(hop, SERVER_SECRET_FIELDS))
+    }
+    return encrypted
   }
 
   /**
@@ -176,7 +183,11 @@ class CryptoManager {
    * @returns {Object} 解密后的服务器配置
    */
   decryptServerConfig(server) {
-    return this.decryptObject(server, ['password', 'privateKey'])
+    const decrypted = this.decryptObject(server, SERVER_SECRET_FIELDS)
+    if (Array.isArray(decrypted.jumpHosts)) {
+      decrypted.jumpHosts = decrypted.jumpHosts.map(hop => this.decryptObject(hop, SERVER_SECRET_FIELDS))
+    }
+    return decrypted
   }
 
   /**
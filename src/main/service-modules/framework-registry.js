@@ -0,0 +1,244 @@
+/**
+ * 推理框架插件注册表
+ * 描述每个受管框架的启动方式、端口参数、健康检查接口、进程特征和版本查询方式，
+ * 服务启动、状态检测、停止、版本查询、升级以及渲染进程的服务表单都以此为准
+ */
+
+/**
+ * 框架插件字段：
+ * - id / label / description: 标识和显示信息
+ * - runtime: python（通过 Python 环境中的命令或模块启动）| binary（独立可执行文件）
+ * - executable: 可执行文件名；module: 以 python -m 方式启动的模块名（优先于 executable）
+ * - subcommand: 可执行文件后的子命令
+ * - modelFlag: 模型参数名，null 表示模型路径作为位置参数；requiresModel 为 false 时不需要模型路径
+ * - portFlag / hostFlag / servedNameFlag / parallelFlag: 托管参数名，null 表示不支持
+ * - listenEnv: 不支持监听参数的框架通过环境变量指定监听地址
+ * - defaultPort / defaultArgs: 新建服务时的默认值
+ * - healthEndpoint / modelsEndpoint: 健康检查和模型列表接口
+ * - metricsEndpoint: Prometheus 指标接口，null 表示不支持；metricsFlag: 需要额外开启指标的启动参数
+ * - processPattern: 用于 pgrep -f 匹配服务进程的关键字
+ * - packageName: pip 包名（用于版本查询和升级）；versionCommand / versionPattern: 非 pip 框架的版本查询
+ * - repoUrl: 源码仓库（从分支升级时使用）；upgradeHint: 不支持自动升级时的说明
+ * - memory: 显存估算使用的参数，null 表示不支持估算
+ *   - contextFlag: 最大上下文长度参数；kvCacheDtypeFlag: KV Cache 精度参数
+ *   - utilizationFlag / defaultUtilization: 显存比例参数及其默认值
+ *   - utilizationMode: total（占总显存的比例，含权重）| free（加载权重后剩余显存中 KV Cache 的比例）| none
+ */
+const FRAMEWORK_PLUGINS = [
+  {
+    id: 'vllm',
+    label: 'vLLM',
+    description: '高吞吐 LLM 推理引擎，OpenAI 兼容接口',
+    runtime: 'python',
+    executable: 'vllm',
+    subcommand: ['serve'],
+    modelFlag: null,
+    requiresModel: true,
+    portFlag: 'port',
+    hostFlag: 'host',
+    servedNameFlag: 'served-model-name',
+    parallelFlag: 'tensor-parallel-size',
+    memory: {
+      contextFlag: 'max-model-len',
+      kvCacheDtypeFlag: 'kv-cache-dtype',
+      utilizationFlag: 'gpu-memory-utilization',
+      defaultUtilization: 0.9,
+      utilizationMode: 'total'
+    },
+    defaultPort: 8000,
+    defaultArgs: {
+      dtype: 'half',
+      'gpu-memory-utilization': 0.9
+    },
+    healthEndpoint: '/health',
+    modelsEndpoint: '/v1/models',
+    metricsEndpoint: '/metrics',
+    metricsFlag: null,
+    processPattern: 'vllm',
+    packageName: 'vllm',
+    repoUrl: 'https://github.com/vllm-project/vllm.git'
+  },
+  {
+    id: 'lmdeploy',
+    label: 'LMDeploy',
+    description: 'TurboMind / PyTorch 双后端推理引擎',
+    runtime: 'python',
+    executable: 'lmdeploy',
+    subcommand: ['serve', 'api_server'],
+    modelFlag: null,
+    requiresModel: true,
+    portFlag: 'server-port',
+    hostFlag: 'server-name',
+    servedNameFlag: 'model-name',
+    parallelFlag: 'tp',
+    memory: {
+      contextFlag: 'session-len',
+      kvCacheDtypeFlag: null,
+      utilizationFlag: 'cache-max-entry-count',
+      defaultUtilization: 0.8,
+      utilizationMode: 'free'
+    },
+    defaultPort: 23333,
+    defaultArgs: {
+      'log-level': 'INFO',
+      dtype: 'auto',
+      backend: 'pytorch'
+    },
+    healthEndpoint: '/health',
+    modelsEndpoint: '/v1/models',
+    metricsEndpoint: '/metrics',
+    metricsFlag: 'enable-metrics',
+    processPattern: 'lmdeploy',
+    packageName: 'lmdeploy',
+    repoUrl: 'https://github.com/InternLM/lmdeploy.git'
+  },
+  {
+    id: 'sglang',
+    label: 'SGLang',
+    description: 'RadixAttention 前缀缓存推理引擎',
+    runtime: 'python',
+    module: 'sglang.launch_server',
+    subcommand: [],
+    modelFlag: 'model-path',
+    requiresModel: true,
+    portFlag: 'port',
+    hostFlag: 'host',
+    servedNameFlag: 'served-model-name',
+    parallelFlag: 'tp-size',
+    memory: {
+      contextFlag: 'context-length',
+      kvCacheDtypeFlag: 'kv-cache-dtype',
+      utilizationFlag: 'mem-fraction-static',
+      defaultUtilization: 0.88,
+      utilizationMode: 'total'
+    },
+    defaultPort: 30000,
+    defaultArgs: {},
+    healthEndpoint: '/health',
+    modelsEndpoint: '/v1/models',
+    metricsEndpoint: '/metrics',
+    metricsFlag: 'enable-metrics',
+    processPattern: 'sglang.launch_server',
+    packageName: 'sglang',
+    repoUrl: 'https://github.com/sgl-project/sglang.git'
+  },
+  {
+    id: 'llama.cpp',
+    label: 'llama.cpp',
+    description: 'llama-server，适合 GGUF 量化模型',
+    runtime: 'binary',
+    executable: 'llama-server',
+    subcommand: [],
+    modelFlag: 'model',
+    requiresModel: true,
+    portFlag: 'port',
+    hostFlag: 'host',
+    servedNameFlag: 'alias',
+    parallelFlag: null,
+    memory: {
+      contextFlag: 'ctx-size',
+      kvCacheDtypeFlag: null,
+      utilizationFlag: null,
+      defaultUtilization: 1,
+      utilizationMode: 'none'
+    },
+    defaultPort: 8080,
+    defaultArgs: {
+      'n-gpu-layers': 999,
+      'ctx-size': 4096
+    },
+    healthEndpoint: '/health',
+    modelsEndpoint: '/v1/models',
+    metricsEndpoint: '/metrics',
+    metricsFlag: 'metrics',
+    processPattern: 'llama-server',
+    versionCommand: '--version',
+    versionPattern: /version:\s*(\d+)/,
+    upgradeHint: 'llama.cpp 需要重新编译或下载新版本的 llama-server'
+  },
+  {
+    id: 'ollama',
+    label: 'Ollama',
+    description: 'ollama serve，模型通过 ollama pull 管理',
+    runtime: 'binary',
+    executable: 'ollama',
+    subcommand: ['serve'],
+    modelFlag: null,
+    requiresModel: false,
+    portFlag: null,
+    hostFlag: null,
+    servedNameFlag: null,
+    parallelFlag: null,
+    memory: null,
+    listenEnv: 'OLLAMA_HOST',
+    defaultPort: 11434,
+    defaultArgs: {},
+    healthEndpoint: '/api/version',
+    modelsEndpoint: '/api/tags',
+    metricsEndpoint: null,
+    metricsFlag: null,
+    processPattern: 'ollama serve',
+    versionCommand: '--version',
+    versionPattern: /version\s+is\s+([\d.]+)/,
+    upgradeHint: 'Ollama 请在服务器上重新执行官方安装脚本升级'
+  }
+]
+
+const pluginMap = new Map(FRAMEWORK_PLUGINS.map(plugin => [plugin.id, plugin]))
+
+/**
+ * 获取框架插件
+ * @param {string} id - 框架ID
+ * @returns {Object|null} 框架插件
+ */
+export function getFramework(id) {
+  return pluginMap.get(id) || null
+}
+
+/**
+ * 判断框架是否已注册
+ * @param {string} id - 框架ID
+ * @returns {boolean}
+ */
+export function hasFramework(id) {
+  return pluginMap.has(id)
+}
+
+/**
+ * 获取所有已注册框架的进程匹配关键字
+ * @returns {string[]} 关键字列表
+ */
+export function getAllProcessPatterns() {
+  return FRAMEWORK_PLUGINS.map(plugin => plugin.processPattern)
+}
+
+/**
+ * 列出所有框架（可序列化，供渲染进程使用）
+ * @returns {Array<Object>} 框架描述列表
+ */
+export function listFrameworks() {
+  return FRAMEWORK_PLUGINS.map(plugin => ({
+    id: plugin.id,
+    label: plugin.label,
+    description: plugin.description,
+    runtime: plugin.runtime,
+    executable: plugin.module ? `python -m ${plugin.module}` : plugin.executable,
+    requiresModel: plugin.requiresModel,
+    portFlag: plugin.portFlag,
+    hostFlag: plugin.hostFlag,
+    servedNameFlag: plugin.servedNameFlag,
+    parallelFlag: plugin.parallelFlag,
+    supportsMemoryEstimate: !!plugin.memory,
+    listenEnv: plugin.listenEnv || null,
+    defaultPort: plugin.defaultPort,
+    defaultArgs: { ...plugin.defaultArgs },
+    healthEndpoint: plugin.healthEndpoint,
+    modelsEndpoint: plugin.modelsEndpoint,
+    metricsEndpoint: plugin.metricsEndpoint,
+    metricsFlag: plugin.metricsFlag,
+    packageName: plugin.packageName || null,
+    repoUrl: plugin.repoUrl || null,
+    upgradable: !!plugin.packageName,
+    upgradeHint: plugin.upgradeHint || null
+  }))
+}
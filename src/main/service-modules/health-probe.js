@@ -0,0 +1,238 @@
+/**
+ * 服务健康探测模块
+ * 通过框架的健康检查接口和模型列表接口判断服务是否就绪：
+ * 优先在目标主机上用 curl 访问 127.0.0.1（经 SSH 连接执行），主机没有 curl 时由主进程直接访问
+ */
+
+import http from 'http'
+import { getFramework } from './framework-registry.js'
+
+// 服务就绪状态
+export const READINESS = {
+  STOPPED: 'stopped', // 进程不存在
+  STARTING: 'starting', // 进程已启动，端口尚未监听（初始化、加载权重）
+  LOADING: 'loading', // 端口已监听，健康检查返回加载中或模型列表为空
+  READY: 'ready', // 健康检查通过且模型列表可用
+  UNHEALTHY: 'unhealthy' // 端口已监听但健康检查失败或超时
+}
+
+// 单次请求超时（秒）
+const PROBE_TIMEOUT_SECONDS = 5
+
+// 输出分隔标记
+const SECTION_MARK = '__VLLM_FRONT_PROBE__'
+
+/**
+ * 计算探测地址：监听所有地址时访问本机回环地址
+ * @param {string} host - 服务监听地址
+ * @returns {string} 探测地址
+ */
+function resolveProbeHost(host) {
+  return !host || host === '0.0.0.0' || host === '::' ? '127.0.0.1' : host
+}
+
+/**
+ * 从模型列表响应中提取模型ID（兼容 OpenAI /v1/models 和 Ollama /api/tags）
+ * @param {string} body - 响应内容
+ * @returns {string[]|null} 模型ID列表，无法解析时返回 null
+ */
+function parseModels(body) {
+  try {
+    const data = JSON.parse(body)
+    if (Array.isArray(data.data)) {
+      return data.data.map(item => item.id).filter(Boolean)
+    }
+    if (Array.isArray(data.models)) {
+      return data.models.map(item => item.name || item.model).filter(Boolean)
+    }
+  } catch {
+    // 非 JSON 响应
+  }
+  return null
+}
+
+export default class ServiceHealthProbe {
+  constructor(sshManager) {
+    this.sshManager = sshManager
+  }
+
+  /**
+   * 获取框架的探测接口（旧版服务按 vLLM 处理）
+   * @param {string} framework - 框架名称
+   * @returns {{ healthEndpoint: string, modelsEndpoint: string, allowEmptyModels: boolean }}
+   */
+  getEndpoints(framework) {
+    const plugin = getFramework(framework) || getFramework('vllm')
+    return {
+      healthEndpoint: plugin.healthEndpoint,
+      modelsEndpoint: plugin.modelsEndpoint,
+      // 不绑定模型的框架（Ollama）按需加载模型，模型列表可以为空
+      allowEmptyModels: !plugin.requiresModel
+    }
+  }
+
+  /**
+   * 在目标主机上通过 curl 探测
+   * @returns {Promise<Object|null>} 探测结果，主机没有 curl 时返回 null
+   */
+  async probeViaShell(serverId, host, port, endpoints) {
+    const base = `http://${host}:${port}`
+    const curl = `curl -s -m ${PROBE_TIMEOUT_SECONDS}`
+    const command = [
+      'if ! command -v curl >/dev/null 2>&1; then echo __NO_CURL__; exit 0; fi',
+      `${curl} -o /dev/null -w '%{http_code}' ${base}${endpoints.healthEndpoint}`,
+      `echo ${SECTION_MARK}`,
+      `${curl} -w '\\n%{http_code}' ${base}${endpoints.modelsEndpoint}`
+    ].join('; ')
+
+    const result = await this.sshManager.execCommand(serverId, command)
+    const output = result.stdout || ''
+    if (output.includes('__NO_CURL__')) {
+      return null
+    }
+
+    const [healthPart = '', modelsPart = ''] = output.split(SECTION_MARK)
+    const modelsLines = modelsPart.trim().split('\n')
+    const modelsCode = parseInt(modelsLines.pop(), 10) || 0
+    return {
+      via: 'ssh',
+      healthCode: parseInt(healthPart.trim(), 10) || 0,
+      modelsCode,
+      models: modelsCode === 200 ? parseModels(modelsLines.join('\n')) : null
+    }
+  }
+
+  /**
+   * 由主进程直接发起 HTTP 请求
+   * @returns {Promise<{code: number, body: string}>} 状态码（连接失败为 0）和响应内容
+   */
+  request(host, port, path, maxBytes = 1024 * 1024) {
+    return new Promise(resolve => {
+      const req = http.get({ host, port, path, timeout: PROBE_TIMEOUT_SECONDS * 1000 }, res => {
+        let body = ''
+        res.setEncoding('utf8')
+        res.on('data', chunk => {
+          // 限制读取大小
+          if (body.length < maxBytes) body += chunk
+        })
+        res.on('end', () => resolve({ code: res.statusCode, body }))
+      })
+      req.on('timeout', () => req.destroy())
+      req.on('error', () => resolve({ code: 0, body: '' }))
+    })
+  }
+
+  /**
+   * 计算主进程直接访问时的地址：远程服务器上的回环地址替换为服务器地址
+   */
+  getDirectHost(serverId, listenHost) {
+    const server = this.sshManager.getServerById(serverId)
+    if (listenHost === '127.0.0.1' && server && server.type !== 'localhost') {
+      return server.host
+    }
+    return listenHost
+  }
+
+  /**
+   * 由主进程直接探测（需要服务端口对本机可达）
+   */
+  async probeDirect(serverId, listenHost, port, endpoints) {
+    const host = this.getDirectHost(serverId, listenHost)
+    const health = await this.request(host, port, endpoints.healthEndpoint)
+    const models = await this.request(host, port, endpoints.modelsEndpoint)
+    return {
+      via: 'direct',
+      healthCode: health.code,
+      modelsCode: models.code,
+      models: models.code === 200 ? parseModels(models.body) : null
+    }
+  }
+
+  /**
+   * 探测服务健康检查接口和模型列表接口
+   * @param {string} serverId - 服务器ID
+   * @param {Object} options - 探测选项
+   * @param {number} options.port - 服务端口
+   * @param {string} options.host - 服务监听地址（0.0.0.0 或为空时访问 127.0.0.1）
+   * @param {string} options.framework - 框架名称
+   * @returns {Promise<{via: string, healthCode: number, modelsCode: number, models: string[]|null}>} 探测结果
+   */
+  async probe(serverId, { port, host, framework }) {
+    const endpoints = this.getEndpoints(framework)
+    const probeHost = resolveProbeHost(host)
+    try {
+      const result = await this.probeViaShell(serverId, probeHost, port, endpoints)
+      if (result) {
+        return { ...result, ...endpoints }
+      }
+    } catch (error) {
+      console.warn('[HealthProbe] 远程探测失败，改为直接访问:', error.message)
+    }
+    return { ...(await this.probeDirect(serverId, probeHost, port, endpoints)), ...endpoints }
+  }
+
+  /**
+   * 读取服务的任意 HTTP 接口（用于指标采集），访问方式与健康探测相同
+   * @param {string} serverId - 服务器ID
+   * @param {Object} options - 请求选项
+   * @param {number} options.port - 服务端口
+   * @param {string} options.host - 服务监听地址
+   * @param {string} options.path - 接口路径
+   * @param {number} options.maxBytes - 最大读取字节数
+   * @returns {Promise<{code: number, body: string}>} 状态码（连接失败为 0）和响应内容
+   */
+  async fetchEndpoint(serverId, { port, host, path, maxBytes = 4 * 1024 * 1024 }) {
+    const probeHost = resolveProbeHost(host)
+    const url = `http://${probeHost}:${port}${path}`
+    const command = [
+      'if ! command -v curl >/dev/null 2>&1; then echo __NO_CURL__; exit 0; fi',
+      `curl -s -m ${PROBE_TIMEOUT_SECONDS} -w '\n%{http_code}' ${url} | tail -c ${maxBytes}`
+    ].join('; ')
+
+    try {
+      const result = await this.sshManager.execCommand(serverId, command)
+      const output = result.stdout || ''
+      if (!output.includes('__NO_CURL__')) {
+        const lines = output.replace(/\n$/, '').split('\n')
+        const code = parseInt(lines.pop(), 10) || 0
+        return { code, body: lines.join('\n') }
+      }
+    } catch (error) {
+      console.warn('[HealthProbe] 远程请求失败，改为直接访问:', error.message)
+    }
+    return this.request(this.getDirectHost(serverId, probeHost), port, path, maxBytes)
+  }
+
+  /**
+   * 综合进程、端口和接口探测结果判断就绪状态
+   * @param {Object} status - 检测结果
+   * @param {boolean} status.processRunning - 是否找到服务进程
+   * @param {boolean} status.portListening - 端口是否在监听
+   * @param {Object} status.probe - 接口探测结果（端口未监听时为 null）
+   * @returns {string} 就绪状态，见 READINESS
+   */
+  static classify({ processRunning, portListening, probe }) {
+    if (!processRunning) {
+      return READINESS.STOPPED
+    }
+    if (!portListening || !probe) {
+      return READINESS.STARTING
+    }
+    // 503 表示服务仍在加载模型（llama-server、SGLang 等）
+    if (probe.healthCode === 503) {
+      return READINESS.LOADING
+    }
+    // 端口已监听但请求超时或返回错误，说明服务卡死或引擎异常
+    if (probe.healthCode < 200 || probe.healthCode >= 300) {
+      return READINESS.UNHEALTHY
+    }
+    if (probe.modelsCode !== 200) {
+      return probe.modelsCode === 503 ? READINESS.LOADING : READINESS.UNHEALTHY
+    }
+    // 模型列表为空说明模型还未加载完成
+    if (Array.isArray(probe.models) && probe.models.length === 0 && !probe.allowEmptyModels) {
+      return READINESS.LOADING
+    }
+    return READINESS.READY
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * 服务启动规格模块
+ * 模型服务以结构化规格保存（框架、模型路径、GPU、端口、环境变量、框架参数），
+ * 由主进程根据环境类型渲染出最终的启动命令，避免对用户命令做正则拆解；
+ * 各框架的命令行约定见 framework-registry
+ */
+
+import { getFramework, hasFramework } from './framework-registry.js'
+
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+const ARG_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/
+
+/**
+ * 对 shell 参数做单引号转义（简单安全的值保持原样，便于阅读）
+ * @param {string|number} value - 参数值
+ * @returns {string} 转义后的参数
+ */
+export function shellQuote(value) {
+  const str = String(value)
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(str)) {
+    return str
+  }
+  return `'${str.replace(/'/g, `'\\''`)}'`
+}
+
+/**
+ * 转义 shell 中的路径：开头的 ~/ 或 $HOME/ 展开为 $HOME，其余部分按字面量引用
+ * @param {string} path - 路径
+ * @returns {string} 可直接写入 shell 的路径
+ */
+export function quotePath(path) {
+  const match = String(path).match(/^(?:~|\$HOME)(\/.*)?$/)
+  if (match) {
+    return match[1] ? `"$HOME"${shellQuote(match[1])}` : '"$HOME"'
+  }
+  return shellQuote(path)
+}
+
+/**
+ * 去掉参数名前的 -- 前缀
+ * @param {string} name - 参数名
+ * @returns {string} 规范化的参数名
+ */
+export function normalizeArgName(name) {
+  return String(name || '').trim().replace(/^-+/, '')
+}
+
+/**
+ * 规范化启动规格，填充默认值
+ * @param {Object} spec - 启动规格
+ * @returns {Object} 规范化后的启动规格
+ */
+export function normalizeLaunchSpec(spec = {}) {
+  const framework = hasFramework(spec.framework) ? spec.framework : 'vllm'
+
+  const args = {}
+  for (const [name, value] of Object.entries(spec.args || {})) {
+    const argName = normalizeArgName(name)
+    if (argName) {
+      args[argName] = value
+    }
+  }
+
+  return {
+    framework,
+    modelPath: String(spec.modelPath || '').trim(),
+    modelName: String(spec.modelName || '').trim(),
+    host: String(spec.host || '0.0.0.0').trim(),
+    port: parseInt(spec.port, 10) || null,
+    executablePath: String(spec.executablePath || '').trim(),
+    gpuIds: (spec.gpuIds || []).map(id => String(id).trim()).filter(id => id !== ''),
+    envVars: (spec.envVars || [])
+      .map(item => ({ key: String(item.key || '').trim(), value: item.value == null ? '' : String(item.value) }))
+      .filter(item => item.key),
+    args
+  }
+}
+
+/**
+ * 校验启动规格
+ * @param {Object} spec - 已规范化的启动规格
+ * @returns {{ valid: boolean, message?: string }} 校验结果
+ */
+export function validateLaunchSpec(spec) {
+  const launcher = getFramework(spec.framework)
+  if (!launcher) {
+    return { valid: false, message: `不支持的框架: ${spec.framework}` }
+  }
+  if (launcher.requiresModel && !spec.modelPath) {
+    return { valid: false, message: '模型路径不能为空' }
+  }
+  if (!spec.port || spec.port < 1 || spec.port > 65535) {
+    return { valid: false, message: '服务端口必须在 1-65535 之间' }
+  }
+  for (const { key } of spec.envVars) {
+    if (!ENV_KEY_PATTERN.test(key)) {
+      return { valid: false, message: `环境变量名不合法: ${key}` }
+    }
+    if (key === 'CUDA_VISIBLE_DEVICES') {
+      return { valid: false, message: 'CUDA_VISIBLE_DEVICES 请通过 GPU 选择配置' }
+    }
+    if (key === launcher.listenEnv) {
+      return { valid: false, message: `${key} 请通过表单中的"监听地址"和"服务端口"配置` }
+    }
+  }
+
+  const managedFlags = {}
+  if (launcher.portFlag) managedFlags[launcher.portFlag] = '服务端口'
+  if (launcher.hostFlag) managedFlags[launcher.hostFlag] = '监听地址'
+  if (launcher.servedNameFlag) managedFlags[launcher.servedNameFlag] = '模型名称'
+  if (launcher.modelFlag) managedFlags[launcher.modelFlag] = '模型路径'
+  for (const name of Object.keys(spec.args)) {
+    if (!ARG_NAME_PATTERN.test(name)) {
+      return { valid: false, message: `参数名不合法: ${name}` }
+    }
+    if (managedFlags[name]) {
+      return { valid: false, message: `--${name} 请通过表单中的"${managedFlags[name]}"配置` }
+    }
+  }
+  return { valid: true }
+}
+
+/**
+ * 生成框架参数列表（按参数分组，未转义）
+ * @param {Object} spec - 已规范化的启动规格
+ * @returns {Array<Array<string>>} 参数分组，例如 [['--port', '8000'], ['--enforce-eager']]
+ */
+export function buildFrameworkArgGroups(spec) {
+  const launcher = getFramework(spec.framework)
+  const groups = []
+  const pushArg = (name, value) => {
+    if (value === null || value === undefined || value === '' || value === false) return
+    if (value === true) {
+      groups.push([`--${name}`])
+    } else if (Array.isArray(value)) {
+      const values = value.filter(v => v !== null && v !== undefined && v !== '').map(String)
+      if (values.length > 0) groups.push([`--${name}`, ...values])
+    } else {
+      groups.push([`--${name}`, String(value)])
+    }
+  }
+
+  if (launcher.modelFlag) {
+    pushArg(launcher.modelFlag, spec.modelPath)
+  }
+  // 并行度默认跟随所选 GPU 数量，用户显式配置时以用户为准
+  if (launcher.parallelFlag && !(launcher.parallelFlag in spec.args)) {
+    pushArg(launcher.parallelFlag, Math.max(spec.gpuIds.length, 1))
+  }
+  for (const [name, value] of Object.entries(spec.args)) {
+    pushArg(name, value)
+  }
+  if (launcher.hostFlag) pushArg(launcher.hostFlag, spec.host)
+  if (launcher.portFlag) pushArg(launcher.portFlag, spec.port)
+  if (launcher.servedNameFlag) pushArg(launcher.servedNameFlag, spec.modelName)
+
+  return groups
+}
+
+/**
+ * 根据环境类型解析框架可执行文件
+ * @param {string} framework - 框架名称
+ * @param {string} envType - 环境类型 (conda | uv | system)
+ * @param {string} envName - 环境名称（conda）或 Python 路径/虚拟环境目录（uv、system）
+ * @param {string} condaBin - conda 可执行文件路径
+ * @param {string} executablePath - 用户指定的可执行文件路径（仅独立可执行文件的框架）
+ * @returns {string} 可执行命令前缀
+ */
+export function resolveExecutable(framework, envType, envName, condaBin = 'conda', executablePath = '') {
+  const { runtime, executable, module } = getFramework(framework)
+  const condaRun = `${shellQuote(condaBin)} run -n ${shellQuote(envName)} --no-capture-output`
+  // envName 可能是 Python 解释器路径，也可能是虚拟环境目录
+  const isPythonPath = /\/python[\d.]*$/.test(envName || '')
+  const binDir = isPythonPath
+    ? envName.substring(0, envName.lastIndexOf('/'))
+    : `${(envName || '').replace(/\/+$/, '')}/bin`
+  const isEnvPath = (envType === 'uv' || envType === 'system') && envName
+
+  if (runtime === 'binary' && executablePath) {
+    return shellQuote(executablePath)
+  }
+
+  if (module) {
+    if (envType === 'conda' && envName) {
+      return `${condaRun} python -m ${module}`
+    }
+    if (isEnvPath) {
+      return `${shellQuote(isPythonPath ? envName : `${binDir}/python`)} -m ${module}`
+    }
+    return `python3 -m ${module}`
+  }
+
+  if (envType === 'conda' && envName) {
+    return `${condaRun} ${executable}`
+  }
+
+  // 独立可执行文件不随 Python 环境安装，未指定路径时从 PATH 中查找
+  if (isEnvPath && runtime === 'python') {
+    return shellQuote(`${binDir}/${executable}`)
+  }
+
+  return executable
+}
+
+/**
+ * 渲染完整的前台启动命令
+ * @param {Object} spec - 启动规格
+ * @param {Object} options - 渲染选项
+ * @param {string} options.envType - 环境类型
+ * @param {string} options.envName - 环境名称
+ * @param {string} options.condaBin - conda 可执行文件路径
+ * @param {boolean} options.pretty - 是否按参数换行（用于预览）
+ * @returns {string} 启动命令（不含日志重定向和后台运行符）
+ */
+export function renderLaunchCommand(spec, { envType, envName, condaBin, pretty = false } = {}) {
+  const normalized = normalizeLaunchSpec(spec)
+  const launcher = getFramework(normalized.framework)
+
+  const exports = []
+  if (normalized.gpuIds.length > 0) {
+    exports.push(`CUDA_VISIBLE_DEVICES=${normalized.gpuIds.map(shellQuote).join(',')}`)
+  }
+  if (launcher.listenEnv) {
+    exports.push(`${launcher.listenEnv}=${shellQuote(`${normalized.host}:${normalized.port}`)}`)
+  }
+  for (const { key, value } of normalized.envVars) {
+    exports.push(`${key}=${shellQuote(value)}`)
+  }
+
+  const head = [
+    resolveExecutable(normalized.framework, envType, envName, condaBin, normalized.executablePath),
+    ...launcher.subcommand
+  ]
+  // 模型路径作为位置参数的框架
+  if (!launcher.modelFlag && launcher.requiresModel) {
+    head.push(shellQuote(normalized.modelPath))
+  }
+  const args = buildFrameworkArgGroups(normalized).map(group => group.map(shellQuote).join(' '))
+
+  const separator = pretty ? ' \\\n  ' : ' '
+  const command = [head.join(' '), ...args].join(separator)
+  return exports.length > 0 ? `export ${exports.join(' ')} && ${command}` : command
+}
+
+/**
+ * 获取用于识别服务进程的特征
+ * @param {Object} spec - 启动规格
+ * @returns {{ port: number, portFlag: string|null, modelPath: string, processPattern: string }} 进程特征
+ */
+export function getProcessSignature(spec) {
+  const normalized = normalizeLaunchSpec(spec)
+  const launcher = getFramework(normalized.framework)
+  return {
+    port: normalized.port,
+    // 通过环境变量指定端口的框架，命令行中没有端口参数
+    portFlag: launcher.portFlag ? `--${launcher.portFlag}` : null,
+    modelPath: launcher.requiresModel ? normalized.modelPath : '',
+    processPattern: launcher.processPattern
+  }
+}
+
+/**
+ * 将旧版自由文本启动命令转换为启动规格（仅用于一次性迁移旧数据）
+ * @param {string} startCommand - 旧版启动命令
+ * @returns {{ spec: Object, logPath: string }} 转换结果
+ */
+export function parseLegacyCommand(startCommand = '') {
+  const command = startCommand.replace(/\\\s*\n/g, ' ')
+  const framework = /lmdeploy\s+serve\s+api_server/.test(command) ? 'lmdeploy' : 'vllm'
+  const launcher = getFramework(framework)
+
+  const gpuMatch = command.match(/CUDA_VISIBLE_DEVICES=([\d,]+)/)
+  const logMatch = command.match(/>\s*(\S+)\s*2>&1/)
+
+  const entryPattern = framework === 'vllm' ? /vllm\s+serve\s+(.*)$/ : /lmdeploy\s+serve\s+api_server\s+(.*)$/
+  const entryMatch = command.match(entryPattern)
+  const rest = entryMatch ? entryMatch[1].replace(/\s*(>|2>&1|&\s*$).*$/, '') : ''
+  const tokens = rest.split(/\s+/).filter(Boolean)
+
+  const spec = {
+    framework,
+    modelPath: tokens[0] && !tokens[0].startsWith('--') ? tokens.shift() : '',
+    modelName: '',
+    host: '0.0.0.0',
+    port: null,
+    executablePath: '',
+    gpuIds: gpuMatch ? gpuMatch[1].split(',').filter(Boolean) : [],
+    envVars: [],
+    args: {}
+  }
+
+  while (tokens.length > 0) {
+    const token = tokens.shift()
+    if (!token.startsWith('--')) continue
+    const name = normalizeArgName(token)
+    const values = []
+    while (tokens.length > 0 && !tokens[0].startsWith('--')) {
+      values.push(tokens.shift())
+    }
+    let value = true
+    if (values.length === 1) {
+      value = /^-?\d+(\.\d+)?$/.test(values[0]) ? Number(values[0]) : values[0]
+    } else if (values.length > 1) {
+      value = values
+    }
+
+    if (name === launcher.portFlag) {
+      spec.port = parseInt(value, 10) || null
+    } else if (name === launcher.hostFlag) {
+      spec.host = String(value)
+    } else if (name === launcher.servedNameFlag) {
+      spec.modelName = String(value)
+    } else if (name === launcher.parallelFlag && Number(value) === Math.max(spec.gpuIds.length, 1)) {
+      // 与 GPU 数量一致的并行度由规格自动生成
+    } else {
+      spec.args[name] = value
+    }
+  }
+
+  return { spec: normalizeLaunchSpec(spec), logPath: logMatch ? logMatch[1] : '' }
+}
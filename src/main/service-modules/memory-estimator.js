@@ -0,0 +1,253 @@
+/**
+ * 显存估算模块
+ * 根据模型结构和 GPU 显存估算服务能否启动：权重按张量并行均分到每张卡，
+ * 显存预算扣除权重和运行时开销后用于 KV Cache，KV Cache 容纳不下最大上下文长度时
+ * 框架会在加载完权重后才报错退出，因此在启动前给出提示和推荐的张量并行度
+ */
+
+import { getFramework } from './framework-registry.js'
+import { normalizeLaunchSpec } from './launch-spec.js'
+
+const GIB = 1024 ** 3
+
+// 每张卡的运行时开销（CUDA 上下文、激活值、CUDA Graph），按经验取值
+const RUNTIME_OVERHEAD = 1.5 * GIB
+
+// 推荐张量并行度时尝试的取值
+const PARALLEL_CANDIDATES = [1, 2, 4, 8, 16]
+
+// 精度名称 -> 每个元素的字节数
+const DTYPE_BYTES = {
+  float32: 4,
+  float: 4,
+  fp32: 4,
+  f32: 4,
+  float16: 2,
+  half: 2,
+  fp16: 2,
+  f16: 2,
+  bfloat16: 2,
+  bf16: 2,
+  float8: 1,
+  fp8: 1,
+  int8: 1
+}
+
+function dtypeBytes(dtype) {
+  if (!dtype) return null
+  const name = String(dtype)
+    .toLowerCase()
+    .replace(/^torch\./, '')
+  return DTYPE_BYTES[name] || (name.startsWith('fp8') ? 1 : null)
+}
+
+/**
+ * 估算权重占用的显存
+ * 量化模型和 GGUF 按权重文件大小加载；其他模型按 dtype 参数换算，
+ * dtype 为 auto 时 float32 权重会以 float16 加载
+ * @param {Object} model - 模型信息（见 model-inventory）
+ * @param {string} dtype - 框架的 dtype 参数
+ * @returns {number} 字节数
+ */
+export function estimateWeightBytes(model, dtype) {
+  const fileBytes = model.weightBytes || model.sizeBytes || 0
+  if (model.quantization || model.format === 'gguf') return fileBytes
+
+  const stored = dtypeBytes(model.dtype)
+  const requested = dtype && dtype !== 'auto' ? dtypeBytes(dtype) : null
+  const target = requested || (stored === 4 ? 2 : stored) || 2
+  if (fileBytes && stored) return Math.round((fileBytes * target) / stored)
+  if (model.parameterCount) return model.parameterCount * target
+  return fileBytes
+}
+
+/**
+ * 计算每张卡上每个 token 的 KV Cache 字节数
+ * 张量并行按 KV 头切分（头数少于并行度时每张卡保留一份），按层切分时平均分到各卡
+ * @returns {number|null} 缺少结构参数时返回 null
+ */
+function kvBytesPerToken(dimensions, parallel, splitByLayer, kvBytes) {
+  const { numLayers, numKeyValueHeads, headDim } = dimensions || {}
+  if (!numLayers || !numKeyValueHeads || !headDim) return null
+  const full = 2 * numLayers * numKeyValueHeads * headDim * kvBytes
+  if (splitByLayer) return full / parallel
+  return 2 * numLayers * Math.ceil(numKeyValueHeads / parallel) * headDim * kvBytes
+}
+
+/**
+ * 计算一组 GPU 上的显存分配
+ * @returns {Object} { gpus, kvCapacityTokens, issues }
+ */
+function evaluate(context, gpus) {
+  const { memory, utilization, weightBytes, contextLength, splitByLayer } = context
+  const parallel = gpus.length
+  const weightsPerGpu = weightBytes / parallel
+  const perToken = kvBytesPerToken(context.dimensions, parallel, splitByLayer, context.kvBytes)
+  const issues = []
+
+  const details = gpus.map((gpu) => {
+    const total = gpu.memoryTotal || 0
+    const available = gpu.memoryAvailable ?? total
+    let budget = available
+    let kvBudget = available - weightsPerGpu - RUNTIME_OVERHEAD
+    if (memory.utilizationMode === 'total') {
+      budget = total * utilization
+      kvBudget = budget - weightsPerGpu - RUNTIME_OVERHEAD
+      if (available < budget) {
+        issues.push({
+          level: 'error',
+          message: `GPU ${gpu.id} 空闲显存 ${formatGiB(available)} 小于显存占用比例要求的 ${formatGiB(budget)}，其他进程占用了 ${formatGiB(total - available)}`
+        })
+      }
+    } else if (memory.utilizationMode === 'free') {
+      kvBudget *= utilization
+    }
+    if (weightsPerGpu + RUNTIME_OVERHEAD > budget) {
+      issues.push({
+        level: 'error',
+        message: `GPU ${gpu.id} 可用显存 ${formatGiB(budget)} 放不下每张卡 ${formatGiB(weightsPerGpu)} 的权重和约 ${formatGiB(RUNTIME_OVERHEAD)} 的运行时开销`
+      })
+    }
+    return {
+      id: String(gpu.id),
+      name: gpu.name,
+      memoryTotal: total,
+      memoryAvailable: available,
+      budget,
+      weightBytes: weightsPerGpu,
+      kvBudget: Math.max(kvBudget, 0)
+    }
+  })
+
+  const kvBudget = Math.min(...details.map((gpu) => gpu.kvBudget))
+  const kvCapacityTokens = perToken ? Math.floor(kvBudget / perToken) : null
+  if (perToken && contextLength && kvCapacityTokens < contextLength) {
+    issues.push({
+      level: 'error',
+      message: `KV Cache 只能容纳 ${kvCapacityTokens} 个 token，小于最大上下文长度 ${contextLength}`
+    })
+  }
+
+  return { gpus: details, kvBytesPerToken: perToken, kvCapacityTokens, issues }
+}
+
+/**
+ * 在服务器的 GPU 中寻找能放下模型的最小并行度（优先使用空闲显存多的卡）
+ * @returns {Object|null} { tensorParallelSize, gpuIds, kvCapacityTokens }
+ */
+function recommend(context, gpus) {
+  const sorted = [...gpus].sort((a, b) => (b.memoryAvailable || 0) - (a.memoryAvailable || 0))
+  const heads = context.dimensions?.numAttentionHeads
+  const candidates = context.splitByLayer
+    ? gpus.map((gpu, index) => index + 1)
+    : PARALLEL_CANDIDATES.filter((size) => !heads || heads % size === 0)
+
+  for (const size of candidates) {
+    if (size > gpus.length) break
+    const chosen = sorted.slice(0, size)
+    const result = evaluate(context, chosen)
+    if (!result.issues.some((issue) => issue.level === 'error')) {
+      return {
+        tensorParallelSize: size,
+        gpuIds: chosen.map((gpu) => String(gpu.id)).sort((a, b) => Number(a) - Number(b)),
+        kvCapacityTokens: result.kvCapacityTokens
+      }
+    }
+  }
+  return null
+}
+
+function formatGiB(bytes) {
+  return `${(bytes / GIB).toFixed(1)} GiB`
+}
+
+/**
+ * 估算服务配置能否放进所选 GPU
+ * @param {Object} options
+ * @param {Object} options.model - 模型信息（见 model-inventory）
+ * @param {Object} options.launchSpec - 启动规格
+ * @param {Array<Object>} options.gpus - 服务器 GPU 列表（getServerGPUs 的结果）
+ * @returns {Object} 估算结果，fits 为 false 时 issues 中包含原因
+ */
+export function estimateMemoryFit({ model, launchSpec, gpus }) {
+  const spec = normalizeLaunchSpec(launchSpec)
+  const framework = getFramework(spec.framework)
+  const memory = framework.memory
+  if (!memory) {
+    throw new Error(`${framework.label} 不支持显存估算`)
+  }
+  if (!gpus || gpus.length === 0) {
+    throw new Error('服务器上没有可用的 GPU')
+  }
+
+  const args = spec.args
+  const kvCacheDtype = memory.kvCacheDtypeFlag ? args[memory.kvCacheDtypeFlag] : null
+  const context = {
+    memory,
+    utilization:
+      (memory.utilizationFlag && Number(args[memory.utilizationFlag])) || memory.defaultUtilization,
+    contextLength: Number(args[memory.contextFlag]) || model.contextLength || null,
+    dimensions: model.dimensions,
+    weightBytes: estimateWeightBytes(model, args.dtype),
+    kvBytes: kvCacheDtype && kvCacheDtype !== 'auto' ? dtypeBytes(kvCacheDtype) || 2 : 2,
+    // 没有张量并行参数的框架（llama.cpp）按层切分到所有可见 GPU
+    splitByLayer: !framework.parallelFlag
+  }
+
+  const issues = []
+  let selected = spec.gpuIds.length
+    ? gpus.filter((gpu) => spec.gpuIds.includes(String(gpu.id)))
+    : gpus
+  if (framework.parallelFlag) {
+    const parallel = Number(args[framework.parallelFlag]) || Math.max(spec.gpuIds.length, 1)
+    if (parallel > selected.length) {
+      issues.push({
+        level: 'error',
+        message: `张量并行度 ${parallel} 大于可用的 GPU 数量 ${selected.length}`
+      })
+    } else {
+      selected = selected.slice(0, parallel)
+    }
+  }
+  if (!kvBytesPerToken(context.dimensions, 1, false, 2)) {
+    issues.push({ level: 'warning', message: '模型配置缺少层数或注意力头信息，无法估算 KV Cache' })
+  }
+  if (!context.contextLength) {
+    issues.push({
+      level: 'warning',
+      message: '未设置最大上下文长度，模型配置中也没有，未检查 KV Cache 容量'
+    })
+  }
+
+  const result = selected.length > 0 ? evaluate(context, selected) : null
+  if (result) issues.push(...result.issues)
+  const fits = !issues.some((issue) => issue.level === 'error')
+
+  return {
+    framework: framework.id,
+    model: {
+      path: model.path,
+      name: model.name,
+      parameterCount: model.parameterCount,
+      dtype: model.dtype,
+      quantization: model.quantization
+    },
+    weightBytes: context.weightBytes,
+    runtimeOverhead: RUNTIME_OVERHEAD,
+    utilization: context.utilization,
+    utilizationMode: memory.utilizationMode,
+    contextLength: context.contextLength,
+    tensorParallelSize: selected.length,
+    gpus: result ? result.gpus : [],
+    kvBytesPerToken: result ? result.kvBytesPerToken : null,
+    kvCapacityTokens: result ? result.kvCapacityTokens : null,
+    // 按最大上下文长度计算可同时处理的请求数
+    maxConcurrency:
+      result?.kvCapacityTokens && context.contextLength
+        ? Math.floor((result.kvCapacityTokens / context.contextLength) * 10) / 10
+        : null,
+    issues,
+    fits,
+    recommendation: fits ? null : recommend(context, gpus)
+  }
+}
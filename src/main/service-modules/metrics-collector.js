@@ -0,0 +1,86 @@
+/**
+ * 服务指标采集模块
+ * 定时读取服务的 Prometheus /metrics 接口，计算吞吐量和延迟分位数，
+ * 并在内存中为每个服务保留最近的监控数据点
+ */
+
+import { getFramework } from './framework-registry.js'
+import { parsePrometheusText, extractSnapshot, computeMetricsPoint, hasMetricsMapping } from './metrics-parser.js'
+
+// 每个服务保留的数据点数量（5 秒间隔约 1 小时）
+const MAX_POINTS = 720
+
+export default class ServiceMetricsCollector {
+  constructor(sshManager) {
+    this.sshManager = sshManager
+    // serviceId -> { snapshot, points }
+    this.states = new Map()
+  }
+
+  /**
+   * 采集一次服务指标并追加到历史
+   * @param {string} serverId - 服务器ID
+   * @param {Object} options - 采集选项
+   * @param {string} options.serviceId - 服务ID（历史数据的键）
+   * @param {number} options.port - 服务端口
+   * @param {string} options.host - 服务监听地址
+   * @param {string} options.framework - 框架名称
+   * @returns {Promise<Object>} 本次数据点
+   */
+  async scrape(serverId, { serviceId, port, host, framework }) {
+    const plugin = getFramework(framework) || getFramework('vllm')
+    if (!plugin.metricsEndpoint || !hasMetricsMapping(plugin.id)) {
+      throw new Error(`${plugin.label} 不提供 Prometheus 指标接口`)
+    }
+
+    const response = await this.sshManager.healthProbe.fetchEndpoint(serverId, {
+      port,
+      host,
+      path: plugin.metricsEndpoint
+    })
+
+    if (response.code === 0) {
+      throw new Error(`无法连接指标接口 ${plugin.metricsEndpoint}，请确认服务正在运行`)
+    }
+    if (response.code !== 200) {
+      const hint = plugin.metricsFlag ? `，${plugin.label} 需要在启动参数中开启 --${plugin.metricsFlag}` : ''
+      throw new Error(`指标接口返回 HTTP ${response.code}${hint}`)
+    }
+
+    const samples = parsePrometheusText(response.body)
+    if (samples.size === 0) {
+      throw new Error('指标接口没有返回有效数据')
+    }
+
+    const snapshot = extractSnapshot(plugin.id, samples)
+    const state = this.states.get(serviceId) || { snapshot: null, points: [] }
+    const point = computeMetricsPoint(state.snapshot, snapshot)
+
+    state.snapshot = snapshot
+    state.points.push(point)
+    if (state.points.length > MAX_POINTS) {
+      state.points.splice(0, state.points.length - MAX_POINTS)
+    }
+    this.states.set(serviceId, state)
+
+    return point
+  }
+
+  /**
+   * 获取服务的历史数据点
+   * @param {string} serviceId - 服务ID
+   * @returns {Array<Object>} 数据点列表（按时间升序）
+   */
+  getHistory(serviceId) {
+    const state = this.states.get(serviceId)
+    return state ? [...state.points] : []
+  }
+
+  /**
+   * 清除服务的历史数据（服务重启后计数器归零）
+   * @param {string} serviceId - 服务ID
+   */
+  clear(serviceId) {
+    this.states.delete(serviceId)
+  }
+}
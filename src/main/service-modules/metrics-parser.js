@@ -0,0 +1,298 @@
+/**
+ * Prometheus 指标解析模块
+ * 解析 /metrics 文本格式，按框架提取队列、KV Cache、Token 计数和延迟直方图，
+ * 并根据相邻两次采样计算吞吐量和延迟分位数
+ */
+
+/**
+ * 各框架的指标名称，按顺序取第一个存在的指标（兼容不同版本的命名）
+ * - running / waiting: 运行中和排队中的请求数（gauge）
+ * - cacheUsage: KV Cache 使用率（gauge，0~1，多个引擎时取最大值）
+ * - promptTokens / generationTokens: 累计 Token 数（counter）
+ * - ttft / tpot / e2e: 首 Token 延迟、每 Token 延迟、端到端延迟（histogram，单位秒）
+ */
+const METRIC_NAMES = {
+  vllm: {
+    running: ['vllm:num_requests_running'],
+    waiting: ['vllm:num_requests_waiting'],
+    cacheUsage: ['vllm:kv_cache_usage_perc', 'vllm:gpu_cache_usage_perc'],
+    promptTokens: ['vllm:prompt_tokens_total'],
+    generationTokens: ['vllm:generation_tokens_total'],
+    ttft: ['vllm:time_to_first_token_seconds'],
+    tpot: ['vllm:inter_token_latency_seconds', 'vllm:time_per_output_token_seconds'],
+    e2e: ['vllm:e2e_request_latency_seconds']
+  },
+  lmdeploy: {
+    running: ['lmdeploy:num_requests_running'],
+    waiting: ['lmdeploy:num_requests_waiting'],
+    cacheUsage: ['lmdeploy:gpu_cache_usage_perc', 'lmdeploy:kv_cache_usage_perc'],
+    promptTokens: ['lmdeploy:prompt_tokens_total'],
+    generationTokens: ['lmdeploy:generation_tokens_total'],
+    ttft: ['lmdeploy:time_to_first_token_seconds'],
+    tpot: ['lmdeploy:time_per_output_token_seconds', 'lmdeploy:inter_token_latency_seconds'],
+    e2e: ['lmdeploy:e2e_request_latency_seconds']
+  },
+  sglang: {
+    running: ['sglang:num_running_reqs'],
+    waiting: ['sglang:num_queue_reqs'],
+    cacheUsage: ['sglang:token_usage'],
+    promptTokens: ['sglang:prompt_tokens_total'],
+    generationTokens: ['sglang:generation_tokens_total'],
+    ttft: ['sglang:time_to_first_token_seconds'],
+    tpot: ['sglang:inter_token_latency_seconds', 'sglang:time_per_output_token_seconds'],
+    e2e: ['sglang:e2e_request_latency_seconds']
+  },
+  'llama.cpp': {
+    running: ['llamacpp:requests_processing'],
+    waiting: ['llamacpp:requests_deferred'],
+    cacheUsage: ['llamacpp:kv_cache_usage_ratio'],
+    promptTokens: ['llamacpp:prompt_tokens_total'],
+    generationTokens: ['llamacpp:tokens_predicted_total'],
+    ttft: [],
+    tpot: [],
+    e2e: []
+  }
+}
+
+// 延迟分位数
+const QUANTILES = [0.5, 0.95, 0.99]
+
+/**
+ * 判断框架是否支持指标采集
+ * @param {string} framework - 框架名称
+ * @returns {boolean}
+ */
+export function hasMetricsMapping(framework) {
+  return Object.prototype.hasOwnProperty.call(METRIC_NAMES, framework)
+}
+
+/**
+ * 解析标签部分，例如 {model_name="a",le="0.5"}
+ * @param {string} text - 花括号内的内容
+ * @returns {Object} 标签键值
+ */
+function parseLabels(text) {
+  const labels = {}
+  const pattern = /([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\]|\\.)*)"/g
+  let match
+  while ((match = pattern.exec(text)) !== null) {
+    labels[match[1]] = match[2].replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1')
+  }
+  return labels
+}
+
+/**
+ * 解析样本值（支持 NaN、+Inf、-Inf）
+ * @param {string} text - 数值文本
+ * @returns {number}
+ */
+function parseValue(text) {
+  if (text === '+Inf' || text === 'Inf') return Infinity
+  if (text === '-Inf') return -Infinity
+  return parseFloat(text)
+}
+
+/**
+ * 解析 Prometheus 文本格式
+ * @param {string} text - /metrics 响应内容
+ * @returns {Map<string, Array<{labels: Object, value: number}>>} 样本名称 -> 样本列表
+ */
+export function parsePrometheusText(text) {
+  const samples = new Map()
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim()
+    if (!line || line.startsWith('#')) continue
+
+    let name
+    let labels = {}
+    let rest
+    const braceIndex = line.indexOf('{')
+    const spaceIndex = line.search(/\s/)
+    if (braceIndex >= 0 && (spaceIndex < 0 || braceIndex < spaceIndex)) {
+      const closeIndex = line.lastIndexOf('}')
+      if (closeIndex < braceIndex) continue
+      name = line.substring(0, braceIndex)
+      labels = parseLabels(line.substring(braceIndex + 1, closeIndex))
+      rest = line.substring(closeIndex + 1).trim()
+    } else {
+      if (spaceIndex < 0) continue
+      name = line.substring(0, spaceIndex)
+      rest = line.substring(spaceIndex + 1).trim()
+    }
+
+    // 样本值后可能跟时间戳
+    const value = parseValue(rest.split(/\s+/)[0])
+    if (Number.isNaN(value)) continue
+
+    if (!samples.has(name)) {
+      samples.set(name, [])
+    }
+    samples.get(name).push({ labels, value })
+  }
+
+  return samples
+}
+
+/**
+ * 取第一个存在的指标并对所有标签求和（多模型、多引擎时合并）
+ * @returns {number|null} 指标值，不存在时返回 null
+ */
+function sumFirst(samples, names) {
+  for (const name of names) {
+    const list = samples.get(name)
+    if (list && list.length > 0) {
+      return list.reduce((total, sample) => total + sample.value, 0)
+    }
+  }
+  return null
+}
+
+/**
+ * 取第一个存在的指标中所有标签的最大值，用于使用率这类比例 gauge（多引擎、多 DP rank 时求和会超过 100%）
+ * @returns {number|null} 指标值，不存在时返回 null
+ */
+function maxFirst(samples, names) {
+  for (const name of names) {
+    const list = samples.get(name)
+    if (list && list.length > 0) {
+      return Math.max(...list.map((sample) => sample.value))
+    }
+  }
+  return null
+}
+
+/**
+ * 取第一个存在的直方图，按 le 合并所有标签的桶
+ * @returns {{buckets: Array<[number, number]>, sum: number, count: number}|null} 直方图
+ */
+function readHistogram(samples, names) {
+  for (const name of names) {
+    const bucketSamples = samples.get(`${name}_bucket`)
+    if (!bucketSamples || bucketSamples.length === 0) continue
+
+    const bucketMap = new Map()
+    for (const sample of bucketSamples) {
+      const le = parseValue(sample.labels.le)
+      if (Number.isNaN(le)) continue
+      bucketMap.set(le, (bucketMap.get(le) || 0) + sample.value)
+    }
+    const buckets = [...bucketMap.entries()].sort((a, b) => a[0] - b[0])
+
+    return {
+      buckets,
+      sum: sumFirst(samples, [`${name}_sum`]) || 0,
+      count: sumFirst(samples, [`${name}_count`]) || 0
+    }
+  }
+  return null
+}
+
+/**
+ * 从解析结果中提取框架指标快照
+ * @param {string} framework - 框架名称
+ * @param {Map} samples - parsePrometheusText 的结果
+ * @returns {Object} 指标快照（计数器为累计值）
+ */
+export function extractSnapshot(framework, samples) {
+  const names = METRIC_NAMES[framework] || METRIC_NAMES.vllm
+  return {
+    timestamp: Date.now(),
+    running: sumFirst(samples, names.running),
+    waiting: sumFirst(samples, names.waiting),
+    cacheUsage: maxFirst(samples, names.cacheUsage),
+    promptTokens: sumFirst(samples, names.promptTokens),
+    generationTokens: sumFirst(samples, names.generationTokens),
+    ttft: readHistogram(samples, names.ttft),
+    tpot: readHistogram(samples, names.tpot),
+    e2e: readHistogram(samples, names.e2e)
+  }
+}
+
+/**
+ * 计算两个直方图之间的增量（服务重启导致计数回退时返回 null）
+ */
+function diffHistogram(prev, curr) {
+  if (!prev || !curr || curr.count < prev.count) return null
+  const prevMap = new Map(prev.buckets)
+  return {
+    buckets: curr.buckets.map(([le, value]) => [le, value - (prevMap.get(le) || 0)]),
+    sum: curr.sum - prev.sum,
+    count: curr.count - prev.count
+  }
+}
+
+/**
+ * 按累计桶线性插值计算分位数（与 PromQL histogram_quantile 一致）
+ * @param {number} quantile - 分位数（0~1）
+ * @param {Array<[number, number]>} buckets - 按 le 升序的累计桶
+ * @returns {number|null} 分位值，没有样本时返回 null
+ */
+export function histogramQuantile(quantile, buckets) {
+  if (!buckets || buckets.length === 0) return null
+  const total = buckets[buckets.length - 1][1]
+  if (!(total > 0)) return null
+
+  const rank = quantile * total
+  let prevLe = 0
+  let prevCount = 0
+  for (const [le, count] of buckets) {
+    if (count >= rank) {
+      // 落在 +Inf 桶时返回上一个有限边界
+      if (le === Infinity) return prevLe
+      if (count === prevCount) return le
+      return prevLe + (le - prevLe) * ((rank - prevCount) / (count - prevCount))
+    }
+    prevLe = le
+    prevCount = count
+  }
+  return prevLe
+}
+
+/**
+ * 计算延迟分位数（毫秒）
+ */
+function latencyPercentiles(histogram) {
+  const result = {}
+  for (const q of QUANTILES) {
+    const value = histogram ? histogramQuantile(q, histogram.buckets) : null
+    result[`p${Math.round(q * 100)}`] = value === null ? null : Math.round(value * 1000 * 10) / 10
+  }
+  return result
+}
+
+/**
+ * 计算计数器速率（每秒），计数回退时返回 null
+ */
+function rate(prev, curr, seconds) {
+  if (prev === null || curr === null || prev === undefined || curr === undefined) return null
+  if (curr < prev || seconds <= 0) return null
+  return Math.round(((curr - prev) / seconds) * 10) / 10
+}
+
+/**
+ * 根据相邻两次采样计算一个监控数据点
+ * 吞吐量为区间内的平均速率，延迟分位数为区间内完成请求的分布
+ * @param {Object|null} prev - 上一次快照
+ * @param {Object} curr - 本次快照
+ * @returns {Object} 数据点
+ */
+export function computeMetricsPoint(prev, curr) {
+  const seconds = prev ? (curr.timestamp - prev.timestamp) / 1000 : 0
+  const ttftDelta = prev ? diffHistogram(prev.ttft, curr.ttft) : null
+  const tpotDelta = prev ? diffHistogram(prev.tpot, curr.tpot) : null
+  const e2eDelta = prev ? diffHistogram(prev.e2e, curr.e2e) : null
+
+  return {
+    timestamp: curr.timestamp,
+    running: curr.running,
+    waiting: curr.waiting,
+    cacheUsage: curr.cacheUsage === null ? null : Math.round(curr.cacheUsage * 1000) / 10,
+    promptThroughput: prev ? rate(prev.promptTokens, curr.promptTokens, seconds) : null,
+    generationThroughput: prev ? rate(prev.generationTokens, curr.generationTokens, seconds) : null,
+    requestsFinished: e2eDelta ? e2eDelta.count : null,
+    ttft: latencyPercentiles(ttftDelta),
+    tpot: latencyPercentiles(tpotDelta),
+    e2e: latencyPercentiles(e2eDelta)
+  }
+}
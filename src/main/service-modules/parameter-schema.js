@@ -0,0 +1,337 @@
+/**
+ * 推理框架参数 Schema
+ * 按框架维护常用启动参数的类型、取值范围和引入/移除版本，
+ * 根据服务器上安装的框架版本筛选可用参数，并在启动前校验参数
+ */
+
+// 参数分组
+export const PARAMETER_GROUPS = [
+  { key: 'model', label: '模型加载' },
+  { key: 'parallel', label: '并行与显存' },
+  { key: 'scheduler', label: '调度与缓存' },
+  { key: 'quantization', label: '量化' },
+  { key: 'lora', label: 'LoRA' },
+  { key: 'chat', label: '对话模板与工具调用' },
+  { key: 'server', label: '服务与日志' }
+]
+
+/**
+ * 参数定义字段：
+ * - name: 参数名（不含 --）
+ * - type: string | integer | number | boolean | enum | list
+ * - group: 所属分组
+ * - label: 显示名称
+ * - description: 说明
+ * - options: enum 可选值
+ * - min / max / step: 数值范围
+ * - since: 引入版本（含）
+ * - removed: 移除版本（含），该版本及之后不可用
+ * - backend: 仅在指定后端下生效（LMDeploy）
+ */
+export const PARAMETER_SCHEMAS = {
+  vllm: {
+    label: 'vLLM',
+    minVersion: '0.5.0',
+    params: [
+      { name: 'dtype', type: 'enum', group: 'model', label: '数据类型', options: ['auto', 'half', 'float16', 'bfloat16', 'float', 'float32'], description: '模型权重和激活的数据类型' },
+      { name: 'max-model-len', type: 'integer', group: 'model', label: '最大上下文长度', min: 1, description: '默认使用模型配置中的长度' },
+      { name: 'trust-remote-code', type: 'boolean', group: 'model', label: '信任远程代码', description: '加载自定义模型结构时需要开启' },
+      { name: 'tokenizer', type: 'string', group: 'model', label: '分词器路径', description: '默认与模型路径相同' },
+      { name: 'revision', type: 'string', group: 'model', label: '模型版本', description: '分支名、标签名或 commit id' },
+      { name: 'load-format', type: 'enum', group: 'model', label: '权重格式', options: ['auto', 'pt', 'safetensors', 'npcache', 'dummy', 'bitsandbytes', 'gguf'] },
+      { name: 'download-dir', type: 'string', group: 'model', label: '下载目录' },
+      { name: 'seed', type: 'integer', group: 'model', label: '随机种子', min: 0 },
+      { name: 'limit-mm-per-prompt', type: 'string', group: 'model', label: '多模态输入上限', since: '0.5.1', description: '例如 image=4，每个请求最多 4 张图片' },
+
+      { name: 'tensor-parallel-size', type: 'integer', group: 'parallel', label: '张量并行度', min: 1, description: '未设置时跟随所选 GPU 数量' },
+      { name: 'pipeline-parallel-size', type: 'integer', group: 'parallel', label: '流水线并行度', min: 1, since: '0.5.1' },
+      { name: 'gpu-memory-utilization', type: 'number', group: 'parallel', label: '显存占用比例', min: 0.05, max: 1, step: 0.05 },
+      { name: 'swap-space', type: 'number', group: 'parallel', label: 'CPU 交换空间 (GiB)', min: 0 },
+      { name: 'cpu-offload-gb', type: 'number', group: 'parallel', label: 'CPU 卸载 (GiB)', min: 0, since: '0.5.3' },
+      { name: 'enforce-eager', type: 'boolean', group: 'parallel', label: '禁用 CUDA Graph', description: '节省显存，但会降低推理速度' },
+
+      { name: 'max-num-seqs', type: 'integer', group: 'scheduler', label: '最大并发序列数', min: 1 },
+      { name: 'max-num-batched-tokens', type: 'integer', group: 'scheduler', label: '单批最大 Token 数', min: 1 },
+      { name: 'block-size', type: 'enum', group: 'scheduler', label: 'KV 块大小', options: ['8', '16', '32'] },
+      { name: 'kv-cache-dtype', type: 'enum', group: 'scheduler', label: 'KV Cache 类型', options: ['auto', 'fp8', 'fp8_e4m3', 'fp8_e5m2'] },
+      { name: 'enable-prefix-caching', type: 'boolean', group: 'scheduler', label: '前缀缓存' },
+      { name: 'enable-chunked-prefill', type: 'boolean', group: 'scheduler', label: '分块预填充' },
+
+      { name: 'quantization', type: 'enum', group: 'quantization', label: '量化方法', options: ['awq', 'awq_marlin', 'gptq', 'gptq_marlin', 'fp8', 'bitsandbytes', 'gguf', 'compressed-tensors', 'marlin'], description: '默认从模型配置中自动识别' },
+
+      { name: 'enable-lora', type: 'boolean', group: 'lora', label: '启用 LoRA' },
+      { name: 'lora-modules', type: 'list', group: 'lora', label: 'LoRA 模块', description: '格式 name=path，可添加多个' },
+      { name: 'max-loras', type: 'integer', group: 'lora', label: '最大 LoRA 数', min: 1 },
+      { name: 'max-lora-rank', type: 'integer', group: 'lora', label: '最大 LoRA Rank', min: 1 },
+
+      { name: 'chat-template', type: 'string', group: 'chat', label: '对话模板', description: '模板文件路径或模板字符串' },
+      { name: 'enable-auto-tool-choice', type: 'boolean', group: 'chat', label: '自动工具调用', since: '0.6.0' },
+      { name: 'tool-call-parser', type: 'enum', group: 'chat', label: '工具调用解析器', options: ['hermes', 'mistral', 'llama3_json', 'internlm', 'jamba', 'granite', 'pythonic'], since: '0.6.0' },
+      { name: 'enable-reasoning', type: 'boolean', group: 'chat', label: '启用推理内容', since: '0.7.1', removed: '0.10.0', description: '0.10.0 起只需配置推理解析器' },
+      { name: 'reasoning-parser', type: 'enum', group: 'chat', label: '推理解析器', options: ['deepseek_r1', 'qwen3', 'granite'], since: '0.7.1' },
+
+      { name: 'api-key', type: 'string', group: 'server', label: 'API Key', description: '调用接口时需要携带该 Key' },
+      { name: 'disable-log-stats', type: 'boolean', group: 'server', label: '关闭统计日志' },
+      { name: 'disable-log-requests', type: 'boolean', group: 'server', label: '关闭请求日志' },
+      { name: 'uvicorn-log-level', type: 'enum', group: 'server', label: 'Uvicorn 日志级别', options: ['debug', 'info', 'warning', 'error', 'critical', 'trace'] }
+    ]
+  },
+  lmdeploy: {
+    label: 'LMDeploy',
+    minVersion: '0.4.0',
+    params: [
+      { name: 'backend', type: 'enum', group: 'model', label: '推理后端', options: ['turbomind', 'pytorch'] },
+      { name: 'dtype', type: 'enum', group: 'model', label: '数据类型', options: ['auto', 'float16', 'bfloat16'], since: '0.6.0' },
+      { name: 'model-format', type: 'enum', group: 'model', label: '权重格式', options: ['hf', 'llama', 'awq', 'gptq'] },
+      { name: 'session-len', type: 'integer', group: 'model', label: '最大会话长度', min: 1, description: '默认使用模型配置中的长度' },
+      { name: 'revision', type: 'string', group: 'model', label: '模型版本' },
+      { name: 'download-dir', type: 'string', group: 'model', label: '下载目录' },
+
+      { name: 'tp', type: 'integer', group: 'parallel', label: '张量并行度', min: 1, description: '未设置时跟随所选 GPU 数量' },
+      { name: 'cache-max-entry-count', type: 'number', group: 'parallel', label: 'KV Cache 显存比例', min: 0.01, max: 1, step: 0.05 },
+      { name: 'eager-mode', type: 'boolean', group: 'parallel', label: '禁用 CUDA Graph', since: '0.6.0', backend: 'pytorch' },
+
+      { name: 'max-batch-size', type: 'integer', group: 'scheduler', label: '最大批大小', min: 1 },
+      { name: 'max-prefill-token-num', type: 'integer', group: 'scheduler', label: '单次预填充 Token 数', min: 1 },
+      { name: 'cache-block-seq-len', type: 'integer', group: 'scheduler', label: 'KV 块长度', min: 1 },
+      { name: 'enable-prefix-caching', type: 'boolean', group: 'scheduler', label: '前缀缓存' },
+
+      { name: 'quant-policy', type: 'enum', group: 'quantization', label: 'KV Cache 量化', options: ['0', '4', '8'], description: '4 为 int4，8 为 int8' },
+
+      { name: 'adapters', type: 'list', group: 'lora', label: 'LoRA 适配器', description: '格式 name=path，可添加多个', backend: 'pytorch' },
+
+      { name: 'chat-template', type: 'string', group: 'chat', label: '对话模板', description: '模板名称或 JSON 配置文件路径' },
+      { name: 'tool-call-parser', type: 'enum', group: 'chat', label: '工具调用解析器', options: ['internlm', 'qwen', 'llama3'], since: '0.6.0' },
+      { name: 'reasoning-parser', type: 'enum', group: 'chat', label: '推理解析器', options: ['deepseek-r1', 'qwen-qwq'], since: '0.7.1' },
+
+      { name: 'api-keys', type: 'list', group: 'server', label: 'API Keys' },
+      { name: 'allow-origins', type: 'list', group: 'server', label: '允许跨域来源' },
+      { name: 'log-level', type: 'enum', group: 'server', label: '日志级别', options: ['CRITICAL', 'ERROR', 'WARNING', 'INFO', 'DEBUG'] },
+      { name: 'enable-metrics', type: 'boolean', group: 'server', label: '开启 Prometheus 指标', since: '0.9.0' }
+    ]
+  },
+  sglang: {
+    label: 'SGLang',
+    minVersion: '0.3.0',
+    params: [
+      { name: 'dtype', type: 'enum', group: 'model', label: '数据类型', options: ['auto', 'half', 'float16', 'bfloat16', 'float', 'float32'] },
+      { name: 'context-length', type: 'integer', group: 'model', label: '最大上下文长度', min: 1, description: '默认使用模型配置中的长度' },
+      { name: 'trust-remote-code', type: 'boolean', group: 'model', label: '信任远程代码' },
+      { name: 'tokenizer-path', type: 'string', group: 'model', label: '分词器路径' },
+      { name: 'load-format', type: 'enum', group: 'model', label: '权重格式', options: ['auto', 'pt', 'safetensors', 'npcache', 'dummy', 'gguf', 'bitsandbytes'] },
+      { name: 'random-seed', type: 'integer', group: 'model', label: '随机种子', min: 0 },
+
+      { name: 'tp-size', type: 'integer', group: 'parallel', label: '张量并行度', min: 1, description: '未设置时跟随所选 GPU 数量' },
+      { name: 'dp-size', type: 'integer', group: 'parallel', label: '数据并行度', min: 1 },
+      { name: 'mem-fraction-static', type: 'number', group: 'parallel', label: '静态显存比例', min: 0.05, max: 1, step: 0.05, description: '模型权重和 KV Cache 占用的显存比例' },
+      { name: 'disable-cuda-graph', type: 'boolean', group: 'parallel', label: '禁用 CUDA Graph' },
+
+      { name: 'max-running-requests', type: 'integer', group: 'scheduler', label: '最大并发请求数', min: 1 },
+      { name: 'chunked-prefill-size', type: 'integer', group: 'scheduler', label: '分块预填充大小', min: -1, description: '-1 表示关闭分块预填充' },
+      { name: 'kv-cache-dtype', type: 'enum', group: 'scheduler', label: 'KV Cache 类型', options: ['auto', 'fp8_e4m3', 'fp8_e5m2'] },
+      { name: 'disable-radix-cache', type: 'boolean', group: 'scheduler', label: '关闭前缀缓存' },
+      { name: 'enable-torch-compile', type: 'boolean', group: 'scheduler', label: 'torch.compile 优化' },
+
+      { name: 'quantization', type: 'enum', group: 'quantization', label: '量化方法', options: ['awq', 'awq_marlin', 'gptq', 'gptq_marlin', 'fp8', 'bitsandbytes', 'gguf', 'marlin'] },
+
+      { name: 'lora-paths', type: 'list', group: 'lora', label: 'LoRA 路径', description: '格式 name=path，可添加多个' },
+      { name: 'max-loras-per-batch', type: 'integer', group: 'lora', label: '单批最大 LoRA 数', min: 1 },
+
+      { name: 'chat-template', type: 'string', group: 'chat', label: '对话模板' },
+      { name: 'tool-call-parser', type: 'enum', group: 'chat', label: '工具调用解析器', options: ['qwen25', 'mistral', 'llama3', 'deepseekv3', 'pythonic'], since: '0.4.1' },
+      { name: 'reasoning-parser', type: 'enum', group: 'chat', label: '推理解析器', options: ['deepseek-r1', 'qwen3'], since: '0.4.4' },
+
+      { name: 'api-key', type: 'string', group: 'server', label: 'API Key' },
+      { name: 'log-level', type: 'enum', group: 'server', label: '日志级别', options: ['debug', 'info', 'warning', 'error', 'critical'] },
+      { name: 'enable-metrics', type: 'boolean', group: 'server', label: '开启 Prometheus 指标' }
+    ]
+  },
+  'llama.cpp': {
+    label: 'llama.cpp',
+    // llama.cpp 以构建号作为版本号
+    minVersion: '3000',
+    params: [
+      { name: 'ctx-size', type: 'integer', group: 'model', label: '上下文长度', min: 0, description: '0 表示使用模型配置中的长度' },
+      { name: 'mmproj', type: 'string', group: 'model', label: '多模态投影文件', description: '视觉模型的 mmproj GGUF 文件路径' },
+      { name: 'no-mmap', type: 'boolean', group: 'model', label: '禁用 mmap' },
+      { name: 'mlock', type: 'boolean', group: 'model', label: '锁定内存' },
+      { name: 'threads', type: 'integer', group: 'model', label: 'CPU 线程数', min: 1 },
+
+      { name: 'n-gpu-layers', type: 'integer', group: 'parallel', label: 'GPU 层数', min: 0, description: '999 表示全部加载到 GPU' },
+      { name: 'split-mode', type: 'enum', group: 'parallel', label: '多卡切分方式', options: ['none', 'layer', 'row'] },
+      { name: 'tensor-split', type: 'string', group: 'parallel', label: '多卡切分比例', description: '例如 3,1' },
+      { name: 'main-gpu', type: 'integer', group: 'parallel', label: '主 GPU', min: 0 },
+
+      { name: 'parallel', type: 'integer', group: 'scheduler', label: '并发槽位数', min: 1 },
+      { name: 'batch-size', type: 'integer', group: 'scheduler', label: '逻辑批大小', min: 1 },
+      { name: 'ubatch-size', type: 'integer', group: 'scheduler', label: '物理批大小', min: 1 },
+      { name: 'cont-batching', type: 'boolean', group: 'scheduler', label: '连续批处理' },
+      { name: 'cache-type-k', type: 'enum', group: 'quantization', label: 'K Cache 类型', options: ['f16', 'bf16', 'q8_0', 'q5_1', 'q5_0', 'q4_1', 'q4_0'] },
+      { name: 'cache-type-v', type: 'enum', group: 'quantization', label: 'V Cache 类型', options: ['f16', 'bf16', 'q8_0', 'q5_1', 'q5_0', 'q4_1', 'q4_0'] },
+
+      { name: 'lora', type: 'list', group: 'lora', label: 'LoRA 文件', description: 'LoRA 适配器 GGUF 文件路径' },
+
+      { name: 'chat-template', type: 'string', group: 'chat', label: '内置对话模板', description: '例如 chatml、llama3' },
+      { name: 'jinja', type: 'boolean', group: 'chat', label: '使用 Jinja 模板', description: '工具调用需要开启' },
+      { name: 'embeddings', type: 'boolean', group: 'chat', label: '嵌入接口' },
+      { name: 'reranking', type: 'boolean', group: 'chat', label: '重排序接口' },
+
+      { name: 'api-key', type: 'string', group: 'server', label: 'API Key' },
+      { name: 'metrics', type: 'boolean', group: 'server', label: '开启 Prometheus 指标' }
+    ]
+  },
+  ollama: {
+    label: 'Ollama',
+    minVersion: '0.1.0',
+    // ollama serve 没有命令行参数，通过环境变量（如 OLLAMA_MODELS、OLLAMA_KEEP_ALIVE）配置
+    params: []
+  }
+}
+
+/**
+ * 解析版本号为数字数组，忽略 post/dev/本地版本后缀，例如 0.6.3.post1 -> [0, 6, 3]
+ * @param {string} version - 版本号
+ * @returns {number[]|null} 版本号数组，无法解析时返回 null
+ */
+export function parseVersion(version) {
+  const match = String(version || '').trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/)
+  if (!match) return null
+  return [match[1], match[2], match[3]].map(part => parseInt(part || '0', 10))
+}
+
+/**
+ * 比较两个版本号
+ * @returns {number} a < b 返回负数，相等返回 0，a > b 返回正数
+ */
+export function compareVersions(a, b) {
+  const va = parseVersion(a) || [0, 0, 0]
+  const vb = parseVersion(b) || [0, 0, 0]
+  for (let i = 0; i < 3; i++) {
+    if (va[i] !== vb[i]) return va[i] - vb[i]
+  }
+  return 0
+}
+
+/**
+ * 判断参数在指定版本中是否可用
+ * @param {Object} param - 参数定义
+ * @param {string} version - 已安装版本（无法识别时视为全部可用）
+ * @returns {{ available: boolean, reason?: string }} 可用性
+ */
+function checkParamAvailability(param, version) {
+  if (!parseVersion(version)) {
+    return { available: true }
+  }
+  if (param.since && compareVersions(version, param.since) < 0) {
+    return { available: false, reason: `${param.since} 起支持` }
+  }
+  if (param.removed && compareVersions(version, param.removed) >= 0) {
+    return { available: false, reason: `${param.removed} 起已移除` }
+  }
+  return { available: true }
+}
+
+/**
+ * 获取指定框架版本的参数 Schema
+ * @param {string} framework - 框架名称
+ * @param {string} version - 已安装版本
+ * @returns {Object|null} { framework, label, version, versionKnown, outdated, groups, params }
+ */
+export function getParameterSchema(framework, version) {
+  const schema = PARAMETER_SCHEMAS[framework]
+  if (!schema) return null
+
+  const versionKnown = !!parseVersion(version)
+  return {
+    framework,
+    label: schema.label,
+    version: versionKnown ? version : null,
+    versionKnown,
+    outdated: versionKnown && compareVersions(version, schema.minVersion) < 0,
+    minVersion: schema.minVersion,
+    groups: PARAMETER_GROUPS.filter(group => schema.params.some(param => param.group === group.key)),
+    params: schema.params.map(param => ({ ...param, ...checkParamAvailability(param, version) }))
+  }
+}
+
+/**
+ * 校验单个参数值
+ * @param {Object} param - 参数定义
+ * @param {*} value - 参数值
+ * @returns {string|null} 错误信息
+ */
+function validateParamValue(param, value) {
+  if (value === null || value === undefined || value === '' || value === false) {
+    return null
+  }
+
+  switch (param.type) {
+    case 'boolean':
+      return value === true ? null : '应为开关类型'
+    case 'integer':
+    case 'number': {
+      const num = Number(value)
+      if (!Number.isFinite(num)) return '应为数值'
+      if (param.type === 'integer' && !Number.isInteger(num)) return '应为整数'
+      if (param.min !== undefined && num < param.min) return `不能小于 ${param.min}`
+      if (param.max !== undefined && num > param.max) return `不能大于 ${param.max}`
+      return null
+    }
+    case 'enum':
+      // 枚举值允许自定义（新版本可能新增取值），仅在校验警告中提示
+      return null
+    case 'list':
+      return Array.isArray(value) || typeof value === 'string' ? null : '应为多值列表'
+    default:
+      return typeof value === 'object' ? '应为文本' : null
+  }
+}
+
+/**
+ * 按已安装版本校验框架参数
+ * @param {string} framework - 框架名称
+ * @param {string} version - 已安装版本
+ * @param {Object} args - 框架参数 map
+ * @param {Object} options - 校验选项
+ * @param {string} options.backend - LMDeploy 后端（未设置时取 args.backend）
+ * @returns {Array<{name: string, level: string, message: string}>} 问题列表（error 会阻止启动）
+ */
+export function validateFrameworkArgs(framework, version, args = {}, { backend } = {}) {
+  const schema = getParameterSchema(framework, version)
+  if (!schema) return []
+
+  const issues = []
+  const paramMap = new Map(schema.params.map(param => [param.name, param]))
+  const activeBackend = backend || args.backend
+
+  for (const [name, value] of Object.entries(args)) {
+    if (value === null || value === undefined || value === '' || value === false) continue
+
+    const param = paramMap.get(name)
+    if (!param) {
+      issues.push({ name, level: 'warning', message: `--${name} 不在 ${schema.label} 参数表中，请确认参数名正确` })
+      continue
+    }
+    if (!param.available) {
+      issues.push({
+        name,
+        level: 'error',
+        message: `当前安装的 ${schema.label} ${schema.version} 不支持 --${name}（${param.reason}）`
+      })
+      continue
+    }
+    const error = validateParamValue(param, value)
+    if (error) {
+      issues.push({ name, level: 'error', message: `--${name} ${error}` })
+      continue
+    }
+    if (param.type === 'enum' && !param.options.includes(String(value))) {
+      issues.push({ name, level: 'warning', message: `--${name} 的取值 ${value} 不在常用取值中` })
+    }
+    if (param.backend && activeBackend && param.backend !== activeBackend) {
+      issues.push({ name, level: 'warning', message: `--${name} 仅在 ${param.backend} 后端下生效` })
+    }
+  }
+
+  return issues
+}
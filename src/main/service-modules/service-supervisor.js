@@ -0,0 +1,339 @@
+/**
+ * 服务守护模块
+ * 在目标主机上为每个模型服务生成守护脚本（带 PID 文件），
+ * 由守护脚本负责拉起服务进程并按重启策略自动重启
+ */
+
+import { shellQuote, quotePath } from './launch-spec.js'
+
+// 重启策略默认值
+export const DEFAULT_RESTART_POLICY = {
+  policy: 'on-failure', // never | on-failure | always
+  maxRetries: 5, // 0 表示不限制
+  backoffSeconds: 5, // 首次重启等待时间
+  maxBackoffSeconds: 300 // 退避等待上限
+}
+
+// 服务稳定运行超过该时长（秒）后，重置重试计数和退避时间
+const STABLE_RUN_SECONDS = 600
+
+// 重启历史保留的最大条数
+const MAX_HISTORY_LINES = 200
+
+export default class ServiceSupervisor {
+  constructor(sshManager) {
+    this.sshManager = sshManager
+  }
+
+  /**
+   * 规范化重启策略配置
+   * @param {Object} restartPolicy - 用户配置的重启策略
+   * @returns {Object} 规范化后的重启策略
+   */
+  normalizePolicy(restartPolicy = {}) {
+    const policy = ['never', 'on-failure', 'always'].includes(restartPolicy.policy)
+      ? restartPolicy.policy
+      : DEFAULT_RESTART_POLICY.policy
+    const toInt = (value, fallback, min) => {
+      const parsed = parseInt(value, 10)
+      return Number.isFinite(parsed) && parsed >= min ? parsed : fallback
+    }
+    const backoffSeconds = toInt(restartPolicy.backoffSeconds, DEFAULT_RESTART_POLICY.backoffSeconds, 1)
+    return {
+      policy,
+      maxRetries: toInt(restartPolicy.maxRetries, DEFAULT_RESTART_POLICY.maxRetries, 0),
+      backoffSeconds,
+      maxBackoffSeconds: Math.max(
+        backoffSeconds,
+        toInt(restartPolicy.maxBackoffSeconds, DEFAULT_RESTART_POLICY.maxBackoffSeconds, 1)
+      )
+    }
+  }
+
+  /**
+   * 获取服务在主机上的守护状态目录
+   * @param {string} serviceId - 服务ID
+   * @returns {string} 状态目录（相对 $HOME）
+   */
+  getStateDir(serviceId) {
+    const safeId = String(serviceId).replace(/[^a-zA-Z0-9_-]/g, '_')
+    return `$HOME/.vllm_front/supervisor/${safeId}`
+  }
+
+  /**
+   * 生成守护脚本内容
+   * @param {Object} options - 脚本参数
+   * @param {string} options.stateDir - 状态目录
+   * @param {string} options.logPath - 服务日志路径
+   * @param {Object} options.restartPolicy - 已规范化的重启策略
+   * @param {boolean} options.loginShell - 是否以登录 shell 运行服务命令（conda 需要）
+   * @returns {string} 守护脚本
+   */
+  buildSupervisorScript({ stateDir, logPath, restartPolicy, loginShell }) {
+    const { policy, maxRetries, backoffSeconds, maxBackoffSeconds } = restartPolicy
+
+    return `#!/usr/bin/env bash
+# 由 VLLM 管理工具生成的服务守护脚本，请勿手动修改
+STATE_DIR=${quotePath(stateDir)}
+LOG_PATH=${quotePath(logPath)}
+POLICY=${shellQuote(policy)}
+MAX_RETRIES=${maxRetries}
+BACKOFF=${backoffSeconds}
+MAX_BACKOFF=${maxBackoffSeconds}
+STABLE_SECONDS=${STABLE_RUN_SECONDS}
+RUN_SHELL="bash${loginShell ? ' -l' : ''}"
+
+child=0
+stopping=0
+retries=0
+delay=$BACKOFF
+
+echo $$ > "$STATE_DIR/supervisor.pid"
+
+record() {
+  # 参数: 事件 退出码 运行秒数 重试次数 等待秒数
+  printf '{"time":%s,"event":"%s","exitCode":%s,"uptime":%s,"attempt":%s,"delay":%s}\\n' \\
+    "$(date +%s)" "$1" "$2" "$3" "$4" "$5" >> "$STATE_DIR/history.jsonl"
+  tail -n ${MAX_HISTORY_LINES} "$STATE_DIR/history.jsonl" > "$STATE_DIR/history.tmp" 2>/dev/null \\
+    && mv "$STATE_DIR/history.tmp" "$STATE_DIR/history.jsonl"
+}
+
+kill_child() {
+  if [ "$child" -gt 0 ] && kill -0 "$child" 2>/dev/null; then
+    kill -TERM -- "-$child" 2>/dev/null || kill -TERM "$child" 2>/dev/null
+    for _ in 1 2 3 4 5 6 7 8 9 10; do
+      kill -0 "$child" 2>/dev/null || break
+      sleep 1
+    done
+    kill -KILL -- "-$child" 2>/dev/null || kill -KILL "$child" 2>/dev/null
+  fi
+}
+
+on_stop() {
+  stopping=1
+  kill_child
+  record stopped 0 0 "$retries" 0
+  echo stopped > "$STATE_DIR/state"
+  rm -f "$STATE_DIR/supervisor.pid" "$STATE_DIR/child.pid"
+  exit 0
+}
+trap on_stop TERM INT
+
+while true; do
+  started=$(date +%s)
+  if command -v setsid > /dev/null 2>&1; then
+    setsid $RUN_SHELL "$STATE_DIR/run.sh" >> "$LOG_PATH" 2>&1 &
+  else
+    $RUN_SHELL "$STATE_DIR/run.sh" >> "$LOG_PATH" 2>&1 &
+  fi
+  child=$!
+  echo "$child" > "$STATE_DIR/child.pid"
+  echo running > "$STATE_DIR/state"
+  record started 0 0 "$retries" 0
+
+  wait "$child"
+  code=$?
+  [ "$stopping" = 1 ] && break
+  rm -f "$STATE_DIR/child.pid"
+  uptime=$(( $(date +%s) - started ))
+
+  # 稳定运行一段时间后重置重试计数
+  if [ "$uptime" -ge "$STABLE_SECONDS" ]; then
+    retries=0
+    delay=$BACKOFF
+  fi
+
+  if [ "$POLICY" = "never" ] || { [ "$POLICY" = "on-failure" ] && [ "$code" -eq 0 ]; }; then
+    record exited "$code" "$uptime" "$retries" 0
+    echo exited > "$STATE_DIR/state"
+    break
+  fi
+
+  if [ "$MAX_RETRIES" -gt 0 ] && [ "$retries" -ge "$MAX_RETRIES" ]; then
+    record gave-up "$code" "$uptime" "$retries" 0
+    echo failed > "$STATE_DIR/state"
+    break
+  fi
+
+  retries=$(( retries + 1 ))
+  record restarting "$code" "$uptime" "$retries" "$delay"
+  echo backoff > "$STATE_DIR/state"
+  echo "[supervisor] $(date '+%F %T') 服务退出(code=$code)，$delay 秒后第 $retries 次重启" >> "$LOG_PATH"
+  sleep "$delay" &
+  wait $!
+  [ "$stopping" = 1 ] && break
+  delay=$(( delay * 2 ))
+  [ "$delay" -gt "$MAX_BACKOFF" ] && delay=$MAX_BACKOFF
+done
+
+rm -f "$STATE_DIR/supervisor.pid" "$STATE_DIR/child.pid"
+`
+  }
+
+  /**
+   * 以 base64 方式写入远程文件，避免引号转义问题
+   * @param {string} serverId - 服务器ID
+   * @param {string} filePath - 文件路径
+   * @param {string} content - 文件内容
+   */
+  async writeRemoteFile(serverId, filePath, content) {
+    const encoded = Buffer.from(content, 'utf-8').toString('base64')
+    const result = await this.sshManager.execCommand(
+      serverId,
+      `echo '${encoded}' | base64 -d > "${filePath}" && chmod +x "${filePath}"`
+    )
+    if (!result.success) {
+      throw new Error(`写入守护脚本失败: ${result.stderr || filePath}`)
+    }
+  }
+
+  /**
+   * 通过守护脚本启动服务
+   * @param {string} serverId - 服务器ID
+   * @param {Object} options - 启动参数
+   * @param {string} options.serviceId - 服务ID
+   * @param {string} options.command - 前台运行的服务命令（不含重定向和 &）
+   * @param {string} options.logPath - 服务日志路径
+   * @param {Object} options.restartPolicy - 重启策略
+   * @param {boolean} options.loginShell - 是否以登录 shell 运行服务命令
+   * @returns {Promise<Object>} 守护进程状态
+   */
+  async start(serverId, { serviceId, command, logPath, restartPolicy, loginShell = false }) {
+    if (!serviceId) {
+      throw new Error('启用进程守护需要提供服务ID')
+    }
+
+    const current = await this.getStatus(serverId, serviceId)
+    if (current.supervisorRunning) {
+      throw new Error(`服务已由守护进程管理 (PID: ${current.supervisorPid})，请先停止`)
+    }
+
+    const stateDir = this.getStateDir(serviceId)
+    const mkdirResult = await this.sshManager.execCommand(serverId, `mkdir -p "${stateDir}"`)
+    if (!mkdirResult.success) {
+      throw new Error(`创建守护目录失败: ${mkdirResult.stderr}`)
+    }
+
+    const policy = this.normalizePolicy(restartPolicy)
+    await this.writeRemoteFile(
+      serverId,
+      `${stateDir}/run.sh`,
+      `#!/usr/bin/env bash\n${command}\n`
+    )
+    await this.writeRemoteFile(
+      serverId,
+      `${stateDir}/supervise.sh`,
+      this.buildSupervisorScript({ stateDir, logPath, restartPolicy: policy, loginShell })
+    )
+
+    const launchResult = await this.sshManager.execCommand(
+      serverId,
+      `nohup bash "${stateDir}/supervise.sh" > /dev/null 2>&1 < /dev/null &`
+    )
+    if (!launchResult.success) {
+      throw new Error(`启动守护进程失败: ${launchResult.stderr}`)
+    }
+
+    // 等待守护进程写入 PID 文件
+    await new Promise(resolve => setTimeout(resolve, 1000))
+    return await this.getStatus(serverId, serviceId)
+  }
+
+  /**
+   * 停止守护进程及其管理的服务进程
+   * @param {string} serverId - 服务器ID
+   * @param {string} serviceId - 服务ID
+   * @returns {Promise<boolean>} 是否存在并停止了守护进程
+   */
+  async stop(serverId, serviceId) {
+    const status = await this.getStatus(serverId, serviceId)
+    if (!status.supervisorRunning) {
+      return false
+    }
+
+    // 守护脚本收到 TERM 后会先结束子进程组再退出
+    await this.sshManager.execCommand(serverId, `kill -TERM ${status.supervisorPid}`)
+
+    for (let i = 0; i < 15; i++) {
+      await new Promise(resolve => setTimeout(resolve, 1000))
+      const check = await this.sshManager.execCommand(serverId, `kill -0 ${status.supervisorPid} 2>/dev/null && echo alive`)
+      if (!check.stdout.includes('alive')) {
+        return true
+      }
+    }
+
+    // 守护进程未能按时退出，强制结束
+    await this.sshManager.execCommand(serverId, `kill -9 ${status.supervisorPid} 2>/dev/null`)
+    if (status.childPid) {
+      await this.sshManager.execCommand(serverId, `kill -9 -- -${status.childPid} 2>/dev/null || kill -9 ${status.childPid} 2>/dev/null`)
+    }
+    return true
+  }
+
+  /**
+   * 获取守护进程状态
+   * @param {string} serverId - 服务器ID
+   * @param {string} serviceId - 服务ID
+   * @returns {Promise<Object>} 守护状态
+   */
+  async getStatus(serverId, serviceId) {
+    const stateDir = this.getStateDir(serviceId)
+    const command = [
+      `d="${stateDir}"`,
+      'sp=$(cat "$d/supervisor.pid" 2>/dev/null)',
+      'cp=$(cat "$d/child.pid" 2>/dev/null)',
+      'echo "supervisor=$sp"',
+      'echo "child=$cp"',
+      'echo "state=$(cat "$d/state" 2>/dev/null)"',
+      '[ -n "$sp" ] && kill -0 "$sp" 2>/dev/null && echo "supervisorAlive=1"',
+      '[ -n "$cp" ] && kill -0 "$cp" 2>/dev/null && echo "childAlive=1"',
+      'true'
+    ].join('; ')
+
+    const result = await this.sshManager.execCommand(serverId, command)
+    const values = {}
+    for (const line of (result.stdout || '').split('\n')) {
+      const index = line.indexOf('=')
+      if (index > 0) {
+        values[line.slice(0, index).trim()] = line.slice(index + 1).trim()
+      }
+    }
+
+    const supervisorRunning = values.supervisorAlive === '1'
+    const childRunning = values.childAlive === '1'
+    return {
+      supervisorRunning,
+      supervisorPid: supervisorRunning ? parseInt(values.supervisor, 10) : null,
+      childRunning,
+      childPid: childRunning ? parseInt(values.child, 10) : null,
+      state: values.state || (supervisorRunning ? 'running' : 'stopped')
+    }
+  }
+
+  /**
+   * 读取服务的重启历史
+   * @param {string} serverId - 服务器ID
+   * @param {string} serviceId - 服务ID
+   * @param {number} limit - 读取的最大条数
+   * @returns {Promise<Array<Object>>} 重启历史（时间倒序）
+   */
+  async getHistory(serverId, serviceId, limit = 50) {
+    const stateDir = this.getStateDir(serviceId)
+    const result = await this.sshManager.execCommand(
+      serverId,
+      `tail -n ${limit} "${stateDir}/history.jsonl" 2>/dev/null || true`
+    )
+
+    const history = []
+    for (const line of (result.stdout || '').split('\n')) {
+      if (!line.trim()) continue
+      try {
+        const entry = JSON.parse(line)
+        history.push({ ...entry, time: entry.time * 1000 })
+      } catch {
+        // 跳过损坏的行
+      }
+    }
+    return history.reverse()
+  }
+}
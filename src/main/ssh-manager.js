@@ -7,6 +7,7 @@
 import { Client } from 'ssh2'
 import { exec } from 'child_process'
 import { promisify } from 'util'
+import { createHash } from 'crypto'
 
 const execAsync = promisify(exec)
 
@@ -23,9 +24,59 @@ import SystemDetector from './ssh-modules/system-detector.js';
 // 导入 GPU 管理器
 import GPUManager from './gpu-modules/gpu-manager.js';
 
+// 导入服务守护模块
+import ServiceSupervisor from './service-modules/service-supervisor.js';
+import ServiceHealthProbe, { READINESS } from './service-modules/health-probe.js';
+import ServiceMetricsCollector from './service-modules/metrics-collector.js';
+import {
+  normalizeLaunchSpec,
+  validateLaunchSpec,
+  renderLaunchCommand,
+  getProcessSignature,
+  parseLegacyCommand,
+  resolveExecutable,
+  quotePath
+} from './service-modules/launch-spec.js';
+import { getFramework, listFrameworks } from './service-modules/framework-registry.js';
+import { getParameterSchema, validateFrameworkArgs } from './service-modules/parameter-schema.js';
+import { openSSHConnection } from './ssh-modules/ssh-connector.js';
+import { getConnectConfig } from '../renderer/src/utils/connect-config.js';
+import KnownHostsStore, { describeHostKey } from './ssh-modules/known-hosts.js';
+import { openSftp, createSftpFs, createLocalFs } from './ssh-modules/sftp-fs.js';
+
+// 在线编辑的文本文件大小上限（字节）
+const MAX_EDIT_FILE_SIZE = 2 * 1024 * 1024
+
+// 等待服务就绪的默认超时时间（秒）和轮询间隔（毫秒）
+const DEFAULT_READINESS_TIMEOUT = 600
+const READINESS_POLL_INTERVAL = 5000
+
+/**
+ * 按 UTF-8 解码文本，含 NUL 字节或非法编码时视为二进制文件
+ * @param {Buffer} buffer - 文件内容
+ * @returns {string|null} 文本内容，二进制文件返回 null
+ */
+function decodeTextBuffer(buffer) {
+  if (buffer.subarray(0, 8192).includes(0)) return null
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 计算内容摘要，用于检测编辑期间的修改（mtime 精度只有秒）
+ */
+function hashBuffer(buffer) {
+  return createHash('sha256').update(buffer).digest('hex')
+}
+
 class SSHManager {
   constructor() {
     this.connections = new Map() // serverId -> connection
+    this.sftpSessions = new Map() // serverId -> { conn, fs: Promise }（SFTP 会话随连接复用）
+    this.pendingConnections = new Map() // serverId -> 正在建立的连接 Promise（并发调用共用，避免重复弹出验证提示）
     this.servers = new Map() // serverId -> server config (包含 type 和 osType)
     this.systemDetector = new SystemDetector(this);
     this.parsers = {
@@ -35,8 +86,124 @@ class SSHManager {
     };
     // GPU 管理器
     this.gpuManager = new GPUManager(this);
+    // 服务守护
+    this.serviceSupervisor = new ServiceSupervisor(this);
+    // 服务健康探测
+    this.healthProbe = new ServiceHealthProbe(this);
+    // 服务指标采集
+    this.metricsCollector = new ServiceMetricsCollector(this);
     // 缓存服务器系统类型，避免重复检测
     this.serverSystemCache = new Map();
+    // 缓存环境中的框架版本（serverId|framework|envType|envName|executablePath -> version），升级框架后清除
+    this.frameworkVersionCache = new Map();
+    // 需要用户参与的连接提示（二次验证码、主机指纹确认）：由主进程入口设置，转发到界面
+    this.userPrompt = null;
+    // 等待用户回答的提示（requestId -> resolve）
+    this.pendingUserPrompts = new Map();
+    // 已知主机密钥
+    this.knownHosts = new KnownHostsStore();
+    // 正在等待确认的主机指纹（host:port|fingerprint -> Promise），同一主机并发连接时只提示一次
+    this.pendingHostKeyConfirms = new Map();
+  }
+
+  /**
+   * 设置连接提示的发送函数
+   * @param {Function} sender - (channel, request) => void，request 包含 requestId
+   */
+  setUserPrompt(sender) {
+    this.userPrompt = sender
+  }
+
+  /**
+   * 向界面发送提示并等待用户回答，超时或未设置发送函数时返回默认值
+   * @param {string} channel - 提示类型（IPC 事件名）
+   * @param {Object} request - 提示内容
+   * @param {any} fallback - 默认回答
+   * @returns {Promise<any>} 用户回答
+   */
+  requestUserInput(channel, request, fallback) {
+    if (!this.userPrompt) {
+      return Promise.resolve(fallback)
+    }
+    const requestId = `prompt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    return new Promise((resolve) => {
+      // 略短于连接就绪超时，超时后按默认值继续
+      const timer = setTimeout(() => {
+        this.pendingUserPrompts.delete(requestId)
+        resolve(fallback)
+      }, 110000)
+      this.pendingUserPrompts.set(requestId, (answer) => {
+        clearTimeout(timer)
+        this.pendingUserPrompts.delete(requestId)
+        resolve(answer ?? fallback)
+      })
+      this.userPrompt(channel, { requestId, ...request })
+    })
+  }
+
+  /**
+   * 提交用户对提示的回答
+   * @param {string} requestId - 请求ID
+   * @param {any} answer - 回答，null 表示取消
+   * @returns {boolean} 请求是否仍在等待
+   */
+  resolveUserPrompt(requestId, answer) {
+    const resolve = this.pendingUserPrompts.get(requestId)
+    if (!resolve) return false
+    resolve(answer)
+    return true
+  }
+
+  /**
+   * 请求用户回答 keyboard-interactive 验证（如二次验证码），超时或取消时返回空回答
+   * @param {string} serverId - 服务器ID
+   * @param {Object} request - { host, username, name, instructions, prompts }
+   * @returns {Promise<string[]>} 回答列表
+   */
+  async requestKeyboardInteractive(serverId, request) {
+    const answers = await this.requestUserInput('ssh:keyboardInteractive', { serverId, ...request }, [])
+    return Array.isArray(answers) ? answers : []
+  }
+
+  /**
+   * 校验主机密钥：已知且一致时通过；首次连接请用户确认指纹；密钥变化时阻止连接
+   * @param {string} serverId - 服务器ID
+   * @param {Object} target - { host, port }
+   * @param {Buffer} key - 服务器公钥
+   */
+  async verifyHostKey(serverId, { host, port }, key) {
+    const hostKey = describeHostKey(key)
+    const result = await this.knownHosts.check(host, port, hostKey)
+
+    if (result.status === 'trusted') return
+
+    if (result.status === 'changed') {
+      throw new Error(
+        `主机 ${host}:${port} 的密钥与已保存的不一致（已保存 ${result.entry.keyType} ${result.entry.fingerprint}，` +
+        `当前 ${hostKey.keyType} ${hostKey.fingerprint}），可能存在中间人攻击，已阻止连接。` +
+        '如确认服务器已重装或更换了密钥，请在「环境管理 → 已知主机」中重置该主机后重新连接'
+      )
+    }
+
+    const confirmKey = `${host}:${port}|${hostKey.fingerprint}`
+    if (!this.pendingHostKeyConfirms.has(confirmKey)) {
+      const confirm = this.requestUserInput('ssh:hostKeyConfirm', {
+        serverId,
+        host,
+        port,
+        keyType: hostKey.keyType,
+        fingerprint: hostKey.fingerprint
+      }, false).finally(() => {
+        this.pendingHostKeyConfirms.delete(confirmKey)
+      })
+      this.pendingHostKeyConfirms.set(confirmKey, confirm)
+    }
+
+    const accepted = await this.pendingHostKeyConfirms.get(confirmKey)
+    if (accepted !== true) {
+      throw new Error(`未确认主机 ${host}:${port} 的指纹（${hostKey.fingerprint}），已取消连接`)
+    }
+    await this.knownHosts.trust(host, port, hostKey)
   }
 
   /**
@@ -506,12 +673,15 @@ class SSHManager {
    * @param {string} config.host - 服务器地址 (SSH 类型)
    * @param {number} config.port - SSH端口 (SSH 类型)
    * @param {string} config.username - 用户名 (SSH 类型)
+   * @param {string} config.authType - 认证方式: 'password' | 'privateKey' | 'agent'（旧配置按是否有私钥推断）
    * @param {string} config.password - 密码 (SSH 类型)
-   * @param {string} config.privateKey - 私钥内容 (SSH 类型)
+   * @param {string} config.privateKey - 私钥内容或私钥文件路径 (SSH 类型)
+   * @param {string} config.passphrase - 加密私钥的密码
+   * @param {Array<Object>} config.jumpHosts - 跳板机链，按连接顺序排列，每项字段同上
    * @returns {Promise<Object>} 连接结果
    */
   async connect(config) {
-    const { serverId, type, host, port = 22, username, password, privateKey } = config
+    const { serverId, type } = config
 
     // 存储服务器配置
     this.addServer(config)
@@ -537,41 +707,43 @@ class SSHManager {
       return { success: true, message: '本地宿主机已就绪' }
     }
 
-    // SSH 类型执行现有连接逻辑
-    return new Promise((resolve, reject) => {
-      const conn = new Client()
+    // 同一服务器正在连接时（例如后台采样和界面同时触发），等待同一个连接结果
+    let pending = this.pendingConnections.get(serverId)
+    if (!pending) {
+      pending = this.openConnection(config).finally(() => {
+        this.pendingConnections.delete(serverId)
+      })
+      this.pendingConnections.set(serverId, pending)
+    }
+    return pending
+  }
 
-      const sshConfig = {
-        host,
-        port,
-        username,
-        readyTimeout: 30000
-      }
+  /**
+   * 建立 SSH 连接：直连或经由跳板机逐跳转发
+   * @param {Object} config - SSH配置（同 connect）
+   * @returns {Promise<Object>} 连接结果
+   */
+  async openConnection(config) {
+    const { serverId } = config
+    let conn
+    try {
+      conn = await openSSHConnection(config, {
+        onKeyboardInteractive: (request) => this.requestKeyboardInteractive(serverId, request),
+        verifyHostKey: (target, key) => this.verifyHostKey(serverId, target, key)
+      })
+    } catch (error) {
+      console.error(`[SSH Manager] SSH连接失败: ${serverId}`, error.message)
+      throw new Error(`SSH连接失败: ${error.message}`)
+    }
 
-      // 根据认证方式配置
-      if (privateKey) {
-        sshConfig.privateKey = privateKey
-      } else if (password) {
-        sshConfig.password = password
-      } else {
-        reject(new Error('需要提供密码或私钥'))
-        return
+    this.connections.set(serverId, conn)
+    conn.on('close', () => {
+      if (this.connections.get(serverId) === conn) {
+        this.connections.delete(serverId)
       }
-
-      conn
-        .on('ready', () => {
-          this.connections.set(serverId, conn)
-          resolve({ success: true, message: '连接成功' })
-        })
-        .on('error', (err) => {
-          console.error(`[SSH Manager] SSH连接失败: ${serverId}`, err.message)
-          reject(new Error(`SSH连接失败: ${err.message}`))
-        })
-        .on('close', () => {
-          this.connections.delete(serverId)
-        })
-        .connect(sshConfig)
     })
+    const hops = (config.jumpHosts || []).filter(hop => hop && hop.host).length
+    return { success: true, message: hops > 0 ? `连接成功（经由 ${hops} 个跳板机）` : '连接成功' }
   }
 
   /**
@@ -586,51 +758,79 @@ class SSHManager {
         conn.end()
       }
       this.connections.delete(serverId)
+      this.sftpSessions.delete(serverId)
       // 清理系统类型缓存
       this.serverSystemCache.delete(serverId)
     }
   }
 
   /**
-   * 执行命令（支持 localhost 和 ssh 类型）
+   * 获取服务器连接，连接不存在时自动建立
    * @param {string} serverId - 服务器ID
-   * @param {string} command - 要执行的命令
-   * @returns {Promise<Object>} 执行结果
+   * @returns {Promise<Object>} ssh2 连接，localhost 类型为 { type: 'localhost' }
    */
-  async execCommand(serverId, command) {
+  async getConnection(serverId) {
     let conn = this.connections.get(serverId)
+    if (conn) return conn
 
-    // 如果连接不存在，尝试自动建立连接
-    if (!conn) {
-      const server = this.getServerById(serverId)
+    const server = this.getServerById(serverId)
 
-      if (!server) {
-        throw new Error(`服务器 ${serverId} 不存在`)
-      }
+    if (!server) {
+      throw new Error(`服务器 ${serverId} 不存在`)
+    }
 
-      if (server.type === 'localhost') {
-        // localhost 类型自动建立连接
-        conn = { type: 'localhost' }
-        this.connections.set(serverId, conn)
-      } else {
-        // SSH 类型：尝试自动建立连接
-        const connectResult = await this.connect({
-          serverId: server.id,
-          type: server.type || 'ssh',
-          host: server.host,
-          port: server.port,
-          username: server.username,
-          password: server.password,
-          privateKey: server.privateKey
-        })
+    if (server.type === 'localhost') {
+      // localhost 类型自动建立连接
+      conn = { type: 'localhost' }
+      this.connections.set(serverId, conn)
+      return conn
+    }
 
-        if (!connectResult.success) {
-          throw new Error(`自动连接失败: ${connectResult.error}`)
-        }
+    // SSH 类型：尝试自动建立连接
+    const connectResult = await this.connect(getConnectConfig(server))
 
-        conn = this.connections.get(serverId)
+    if (!connectResult.success) {
+      throw new Error(`自动连接失败: ${connectResult.error}`)
+    }
+
+    return this.connections.get(serverId)
+  }
+
+  /**
+   * 获取服务器的文件系统接口（远程服务器使用 SFTP，localhost 使用本地文件系统）
+   * @param {string} serverId - 服务器ID
+   * @returns {Promise<Object>} 文件系统接口，见 ssh-modules/sftp-fs.js
+   */
+  async getFileSystem(serverId) {
+    const conn = await this.getConnection(serverId)
+    if (conn.type === 'localhost') return createLocalFs()
+
+    let session = this.sftpSessions.get(serverId)
+    if (!session || session.conn !== conn) {
+      const dropSession = () => {
+        if (this.sftpSessions.get(serverId) === session) this.sftpSessions.delete(serverId)
       }
+      session = {
+        conn,
+        fs: openSftp(conn).then((sftp) => {
+          sftp.on('close', dropSession)
+          return createSftpFs(sftp)
+        })
+      }
+      session.fs.catch(dropSession)
+      this.sftpSessions.set(serverId, session)
     }
+    return session.fs
+  }
+
+  /**
+   * 执行命令（支持 localhost 和 ssh 类型）
+   * @param {string} serverId - 服务器ID
+   * @param {string} command - 要执行的命令
+   * @returns {Promise<Object>} 执行结果
+   */
+  async execCommand(serverId, command) {
+    const conn = await this.getConnection(serverId)
 
     // localhost 类型使用本地命令执行
     if (conn.type === 'localhost') {
@@ -745,18 +945,20 @@ class SSHManager {
             onData(output, '')
           }
         })
-        .stderr.on('data', (data) => {
-          const error = data.toString()
-          if (onData) {
-            onData('', error)
-          }
-        })
+        // 退出码随通道本身的 close 事件返回（stderr 的 close 事件不带参数）
         .on('close', (code, signal) => {
           if (onClose) {
             onClose(code, signal)
           }
         })
 
+      stream.stderr.on('data', (data) => {
+        const error = data.toString()
+        if (onData) {
+          onData('', error)
+        }
+      })
+
       // 添加停止回调
       stopCallbacks.push(() => {
         stream.close()
@@ -1227,17 +1429,129 @@ class SSHManager {
   }
 
   /**
-   * 启动模型服务
+   * 查找 conda 可执行文件
    * @param {string} serverId - 服务器ID
-   * @param {Object} serviceConfig - 服务配置
+   * @returns {Promise<string>} conda 可执行文件路径
    */
-  async startService(serverId, serviceConfig) {
-    const { envType, envName, startCommand, logPath, serviceName } = serviceConfig
+  async getCondaBin(serverId) {
+    // 使用统一的 findCondaPath 方法查找 conda
+    const condaPath = await this.findCondaPath(serverId)
 
-    // 创建日志目录（如果不存在）
-    const logDir = logPath.substring(0, logPath.lastIndexOf('/'))
-    await this.execCommand(serverId, `mkdir -p ${logDir}`)
+    if (!condaPath) {
+      throw new Error('未找到 conda 安装，请确保 conda 已正确安装')
+    }
+
+    return condaPath.endsWith('conda') ? condaPath : `${condaPath}/conda`
+  }
+
+  /**
+   * 根据结构化启动规格生成前台运行的服务命令
+   * @param {string} serverId - 服务器ID
+   * @param {Object} launchSpec - 启动规格
+   * @param {string} envType - 环境类型
+   * @param {string} envName - 环境名称
+   * @returns {Promise<{serviceCommand: string, port: number}>} 服务命令和端口
+   */
+  async buildServiceCommandFromSpec(serverId, launchSpec, envType, envName) {
+    const spec = normalizeLaunchSpec(launchSpec)
+    const validation = validateLaunchSpec(spec)
+    if (!validation.valid) {
+      throw new Error(`启动配置无效: ${validation.message}`)
+    }
+
+    // 按已安装的框架版本校验参数，避免进程启动后才因参数不存在而退出
+    const version = await this.getCachedFrameworkVersion(
+      serverId,
+      spec.framework,
+      envType,
+      envName,
+      false,
+      spec.executablePath
+    )
+    const errors = validateFrameworkArgs(spec.framework, version, spec.args).filter(issue => issue.level === 'error')
+    if (errors.length > 0) {
+      throw new Error(`启动参数无效: ${errors.map(issue => issue.message).join('；')}`)
+    }
 
+    const condaBin = envType === 'conda' && envName ? await this.getCondaBin(serverId) : undefined
+    return {
+      serviceCommand: renderLaunchCommand(spec, { envType, envName, condaBin }),
+      port: spec.port
+    }
+  }
+
+  /**
+   * 预览启动规格渲染出的命令（不访问服务器，conda 路径以 conda 代替）
+   * @param {Object} launchSpec - 启动规格
+   * @param {string} envType - 环境类型
+   * @param {string} envName - 环境名称
+   * @param {string} frameworkVersion - 已安装的框架版本（用于校验参数，可为空）
+   * @returns {{command: string, spec: Object, valid: boolean, message?: string, issues: Array}} 预览结果
+   */
+  previewServiceCommand(launchSpec, envType, envName, frameworkVersion) {
+    const spec = normalizeLaunchSpec(launchSpec)
+    const issues = validateFrameworkArgs(spec.framework, frameworkVersion, spec.args)
+    let validation = validateLaunchSpec(spec)
+    const firstError = issues.find(issue => issue.level === 'error')
+    if (validation.valid && firstError) {
+      validation = { valid: false, message: firstError.message }
+    }
+
+    return {
+      ...validation,
+      issues,
+      spec,
+      defaultArgs: getFramework(spec.framework).defaultArgs,
+      command: renderLaunchCommand(spec, { envType, envName, pretty: true })
+    }
+  }
+
+  /**
+   * 获取已注册的推理框架列表
+   * @returns {Array<Object>} 框架描述列表
+   */
+  getFrameworks() {
+    return listFrameworks()
+  }
+
+  /**
+   * 获取框架参数 Schema（按环境中安装的版本标记可用参数）
+   * @param {string} serverId - 服务器ID，为空时返回不区分版本的 Schema
+   * @param {string} framework - 框架名称
+   * @param {string} envType - 环境类型
+   * @param {string} envName - 环境名称
+   * @param {string} executablePath - 用户指定的可执行文件路径（仅独立可执行文件的框架）
+   * @returns {Promise<Object>} 参数 Schema
+   */
+  async getFrameworkParameterSchema(serverId, framework, envType, envName, executablePath = '') {
+    const version = serverId
+      ? await this.getCachedFrameworkVersion(serverId, framework, envType, envName, false, executablePath)
+      : null
+    const schema = getParameterSchema(framework, version)
+    if (!schema) {
+      throw new Error(`不支持的框架: ${framework}`)
+    }
+    return schema
+  }
+
+  /**
+   * 将旧版启动命令转换为启动规格
+   * @param {string} startCommand - 旧版启动命令
+   * @returns {{spec: Object, logPath: string}} 转换结果
+   */
+  convertLegacyCommand(startCommand) {
+    return parseLegacyCommand(startCommand)
+  }
+
+  /**
+   * 从旧版自由文本启动命令生成前台运行的服务命令（兼容未迁移的服务）
+   * @param {string} serverId - 服务器ID
+   * @param {string} startCommand - 用户填写的启动命令
+   * @param {string} envType - 环境类型
+   * @param {string} envName - 环境名称
+   * @returns {Promise<{serviceCommand: string, port: number}>} 服务命令和端口
+   */
+  async buildServiceCommandFromLegacy(serverId, startCommand, envType, envName) {
     // 从用户的启动命令中提取纯净的vllm/lmdeploy命令
     // 去掉 export CUDA_VISIBLE_DEVICES、conda run、nohup、日志重定向等
     let cleanCommand = startCommand
@@ -1272,53 +1586,95 @@ class SSHManager {
       }
     }
 
-    if (port) {
-      // 检查端口是否被占用
-      const portCheckResult = await this.execCommand(serverId, `netstat -tuln 2>/dev/null | grep :${port}\\s || ss -tuln | grep :${port}\\s || lsof -i :${port} 2>/dev/null`)
-
-      if (portCheckResult.success && portCheckResult.stdout.trim()) {
-        throw new Error(`端口 ${port} 已被占用，请使用其他端口或停止占用该端口的进程`)
-      }
-    }
-
     // 提取 GPU 设置
     const gpuMatch = startCommand.match(/CUDA_VISIBLE_DEVICES=(\d+(?:,\d+)*)/)
     const gpuEnvVar = gpuMatch ? `export CUDA_VISIBLE_DEVICES=${gpuMatch[1]} && ` : ''
 
-    // 构建完整的启动命令
     // 对于 conda，需要先初始化 conda 环境
-    let fullCommand = ''
+    let serviceCommand = ''
     if (envType === 'conda' && envName) {
-      // 使用统一的 findCondaPath 方法查找 conda
-      const condaPath = await this.findCondaPath(serverId)
-
-      if (!condaPath) {
-        throw new Error('未找到 conda 安装，请确保 conda 已正确安装')
-      }
-
-      const condaBin = condaPath.endsWith('conda') ? condaPath : `${condaPath}/conda`
+      const condaBin = await this.getCondaBin(serverId)
       console.log(`[startService] 使用 conda 路径: ${condaBin}`)
 
       // 在指定的 conda 环境中启动服务
-      fullCommand = `bash -l -c "${gpuEnvVar}${condaBin} run -n ${envName} --no-capture-output ${cleanCommand} > ${logPath} 2>&1 &"`
+      serviceCommand = `${gpuEnvVar}${condaBin} run -n ${envName} --no-capture-output ${cleanCommand}`
     } else if (envType === 'uv' && envName) {
       // UV 环境使用虚拟环境的 python
-      fullCommand = `bash -c "${gpuEnvVar}${envName}/bin/python -m ${cleanCommand} > ${logPath} 2>&1 &"`
+      serviceCommand = `${gpuEnvVar}${envName}/bin/python -m ${cleanCommand}`
     } else {
       // 没有指定环境，直接执行
-      fullCommand = `bash -c "${gpuEnvVar}${cleanCommand} > ${logPath} 2>&1 &"`
+      serviceCommand = `${gpuEnvVar}${cleanCommand}`
     }
 
-    // 执行启动命令
-    const result = await this.execCommand(serverId, fullCommand)
+    return { serviceCommand, port }
+  }
+
+  /**
+   * 启动模型服务
+   * @param {string} serverId - 服务器ID
+   * @param {Object} serviceConfig - 服务配置
+   * @param {Object} serviceConfig.launchSpec - 结构化启动规格（优先使用）
+   * @param {string} serviceConfig.startCommand - 旧版自由文本启动命令（无启动规格时使用）
+   * @param {string} serviceConfig.serviceId - 服务ID（进程守护模式必填）
+   * @param {boolean} serviceConfig.supervised - 是否由守护进程管理并自动重启
+   * @param {Object} serviceConfig.restartPolicy - 重启策略
+   * @param {number} serviceConfig.readinessTimeout - 等待服务就绪的超时时间（秒），0 表示不等待
+   * @param {Function} onProgress - 等待就绪期间的进度回调，参数为 { readiness, lines, elapsed }
+   */
+  async startService(serverId, serviceConfig, onProgress) {
+    const { envType, envName, startCommand, launchSpec, logPath, serviceId, supervised, restartPolicy } = serviceConfig
+    const readinessTimeout = serviceConfig.readinessTimeout ?? DEFAULT_READINESS_TIMEOUT
+
+    // 创建日志目录（如果不存在）
+    const logDir = logPath.substring(0, logPath.lastIndexOf('/'))
+    await this.execCommand(serverId, `mkdir -p ${logDir}`)
+
+    // 构建在前台运行的服务命令
+    const { serviceCommand, port } = launchSpec
+      ? await this.buildServiceCommandFromSpec(serverId, launchSpec, envType, envName)
+      : await this.buildServiceCommandFromLegacy(serverId, startCommand, envType, envName)
+
+    if (port) {
+      // 检查端口是否被占用
+      const portCheckResult = await this.execCommand(serverId, `netstat -tuln 2>/dev/null | grep :${port}\\s || ss -tuln | grep :${port}\\s || lsof -i :${port} 2>/dev/null`)
 
-    if (!result.success) {
-      throw new Error(`启动服务失败: ${result.stderr}`)
+      if (portCheckResult.success && portCheckResult.stdout.trim()) {
+        throw new Error(`端口 ${port} 已被占用，请使用其他端口或停止占用该端口的进程`)
+      }
     }
 
-    // 检查stderr输出，可能有错误信息
-    if (result.stderr && result.stderr.trim()) {
-      console.warn('[startService] 命令stderr输出:', result.stderr)
+    const loginShell = envType === 'conda' && !!envName
+
+    // 启动后从该字节偏移开始读取日志
+    let logOffset = 0
+
+    if (supervised) {
+      // 守护模式的日志是追加写入的，从启动前的日志末尾开始读取，避免把上次运行的输出再推送一遍
+      const sizeResult = await this.execCommand(serverId, `wc -c < ${quotePath(logPath)} 2>/dev/null || echo 0`)
+      logOffset = parseInt(sizeResult.stdout, 10) || 0
+
+      // 进程守护模式：由主机上的守护脚本拉起并按策略自动重启
+      await this.serviceSupervisor.start(serverId, {
+        serviceId,
+        command: serviceCommand,
+        logPath,
+        restartPolicy,
+        loginShell
+      })
+    } else {
+      // 普通模式：后台运行，不做重启
+      const escapedCommand = serviceCommand.replace(/(["\\$`])/g, '\\$1')
+      const fullCommand = `bash ${loginShell ? '-l ' : ''}-c "${escapedCommand} > ${logPath} 2>&1 &"`
+      const result = await this.execCommand(serverId, fullCommand)
+
+      if (!result.success) {
+        throw new Error(`启动服务失败: ${result.stderr}`)
+      }
+
+      // 检查stderr输出，可能有错误信息
+      if (result.stderr && result.stderr.trim()) {
+        console.warn('[startService] 命令stderr输出:', result.stderr)
+      }
     }
 
     // 等待进程启动
@@ -1326,14 +1682,63 @@ class SSHManager {
 
     // 使用更健壮的方式检查服务是否成功启动
     // 结合端口检查和进程检查，类似 checkServiceRealStatus 的逻辑
-    const statusConfig = { port, startCommand }
-    const statusResult = await this.checkServiceRealStatus(serverId, statusConfig)
+    const statusConfig = {
+      port,
+      startCommand,
+      launchSpec,
+      framework: serviceConfig.framework,
+      serviceId: supervised ? serviceId : null
+    }
+    let statusResult = await this.checkServiceRealStatus(serverId, statusConfig)
+
+    // 进程已启动（或守护进程正在拉起进程）时，轮询健康检查直到模型加载完成
+    const supervisorRunning = !!statusResult.supervisor?.supervisorRunning
+    if ((statusResult.processRunning || supervisorRunning) && readinessTimeout > 0) {
+      statusResult = await this.waitForServiceReady(serverId, statusConfig, {
+        logPath,
+        logOffset,
+        timeout: readinessTimeout,
+        supervised,
+        onProgress
+      })
+    }
+
+    if (statusResult.readiness === READINESS.READY) {
+      return {
+        success: true,
+        ready: true,
+        readiness: statusResult.readiness,
+        pid: statusResult.pid,
+        message: '服务启动成功，模型已就绪'
+      }
+    }
 
-    if (statusResult.running && statusResult.pid) {
+    if (statusResult.processRunning && statusResult.pid) {
       return {
         success: true,
+        ready: false,
+        readiness: statusResult.readiness,
         pid: statusResult.pid,
-        message: '服务启动成功'
+        message: statusResult.timedOut
+          ? `服务进程已启动，但在 ${readinessTimeout} 秒内未就绪（${statusResult.readiness}），请查看日志`
+          : '服务进程已启动，正在加载模型'
+      }
+    }
+
+    // 守护模式下服务可能仍在加载，只要守护进程存活即视为启动成功
+    if (supervised) {
+      const supervisorStatus = await this.serviceSupervisor.getStatus(serverId, serviceId)
+      if (supervisorStatus.supervisorRunning) {
+        return {
+          success: true,
+          ready: false,
+          readiness: statusResult.readiness,
+          pid: supervisorStatus.childPid,
+          supervisor: supervisorStatus,
+          message: statusResult.timedOut
+            ? `服务已由守护进程启动，但在 ${readinessTimeout} 秒内未就绪（${statusResult.readiness}），请查看日志`
+            : '服务已由守护进程启动，正在重启或加载模型'
+        }
       }
     }
 
@@ -1350,18 +1755,119 @@ class SSHManager {
     throw new Error('服务启动失败，未能找到运行中的进程')
   }
 
+  /**
+   * 轮询服务状态直到就绪、进程退出或超时，期间增量读取日志
+   * @param {string} serverId - 服务器ID
+   * @param {Object} statusConfig - 状态检测配置（同 checkServiceRealStatus）
+   * @param {Object} options - 等待选项
+   * @param {string} options.logPath - 日志文件路径
+   * @param {number} options.logOffset - 开始读取日志的字节偏移（默认从头读取）
+   * @param {number} options.timeout - 超时时间（秒）
+   * @param {boolean} options.supervised - 是否由守护进程管理（守护进程存活时进程退出视为重启中）
+   * @param {Function} options.onProgress - 进度回调
+   * @returns {Promise<Object>} 最后一次状态检测结果，超时时带 timedOut 标记
+   */
+  async waitForServiceReady(serverId, statusConfig, options) {
+    const { logPath, timeout, supervised, onProgress } = options
+    const startedAt = Date.now()
+    let logOffset = options.logOffset || 0
+    let pendingLine = ''
+
+    // 按字节偏移增量读取，单次最多 64KB，避免大量输出阻塞轮询；
+    // execCommand 会去掉末尾换行，所以先输出日志大小，日志内容以 __END__ 结尾
+    const readNewLogLines = async (flush) => {
+      if (!logPath) return ''
+      const quotedLogPath = quotePath(logPath)
+      const command = [
+        `SIZE=$(wc -c < ${quotedLogPath} 2>/dev/null || echo 0)`,
+        `printf '%s\\n' $SIZE`,
+        `COUNT=$((SIZE - ${logOffset}))`,
+        `if [ $COUNT -gt 65536 ]; then COUNT=65536; fi`,
+        `if [ $COUNT -gt 0 ]; then tail -c +${logOffset + 1} ${quotedLogPath} 2>/dev/null | head -c $COUNT; fi`,
+        `printf '__END__'`
+      ].join('; ')
+      const result = await this.execCommand(serverId, command)
+      const match = (result.stdout || '').match(/^(\d+)\n([\s\S]*)__END__$/)
+      if (match) {
+        logOffset = Math.min(Number(match[1]), logOffset + 65536)
+        pendingLine += match[2]
+      }
+      // 结束等待时把没有换行结尾的最后一行也输出（例如崩溃信息）
+      if (flush) {
+        const rest = pendingLine
+        pendingLine = ''
+        return rest && !rest.endsWith('\n') ? `${rest}\n` : rest
+      }
+      const lastNewline = pendingLine.lastIndexOf('\n')
+      if (lastNewline < 0) return ''
+      const complete = pendingLine.substring(0, lastNewline + 1)
+      pendingLine = pendingLine.substring(lastNewline + 1)
+      return complete
+    }
+
+    while (true) {
+      const status = await this.checkServiceRealStatus(serverId, statusConfig)
+      const elapsed = Math.round((Date.now() - startedAt) / 1000)
+      // 守护模式下进程退出后可能正在被重新拉起
+      const restarting = supervised && !!status.supervisor?.supervisorRunning
+      const exited = !status.processRunning && !restarting
+      const timedOut = elapsed >= timeout
+      const done = status.readiness === READINESS.READY || exited || timedOut
+
+      let lines = ''
+      try {
+        lines = await readNewLogLines(done)
+      } catch {
+        // 日志读取失败不影响就绪判断
+      }
+
+      if (onProgress) {
+        onProgress({ readiness: status.readiness, lines, elapsed })
+      }
+
+      if (status.readiness === READINESS.READY || exited) {
+        return status
+      }
+
+      if (timedOut) {
+        return { ...status, timedOut: true }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, READINESS_POLL_INTERVAL))
+    }
+  }
+
   /**
    * 停止模型服务
    * @param {string} serverId - 服务器ID
    * @param {number} pid - 进程ID
    * @param {string} startCommand - 启动命令（用于查找进程）
+   * @param {string} serviceId - 服务ID（用于停止守护进程）
+   * @param {Object} launchSpec - 结构化启动规格（存在时用于精确匹配进程）
    */
-  async stopService(serverId, pid, startCommand) {
+  async stopService(serverId, pid, startCommand, serviceId, launchSpec) {
     const killedPids = []
 
-    // 从启动命令中提取模型路径，用于精确查找进程
+    // 先停止守护进程，避免服务进程被杀死后又被自动拉起
+    let supervisorStopped = false
+    if (serviceId) {
+      try {
+        supervisorStopped = await this.serviceSupervisor.stop(serverId, serviceId)
+      } catch (error) {
+        console.warn('[stopService] 停止守护进程失败:', error.message)
+      }
+    }
+
+    // 从启动规格或启动命令中提取模型路径，用于精确查找进程
     let modelPath = null
-    if (startCommand) {
+    let port = null
+    let processPatterns = ['vllm', 'lmdeploy']
+    if (launchSpec) {
+      const signature = getProcessSignature(launchSpec)
+      modelPath = signature.modelPath || null
+      port = signature.port ? String(signature.port) : null
+      processPatterns = [signature.processPattern]
+    } else if (startCommand) {
       const pathMatch = startCommand.match(/(?:vllm serve|lmdeploy serve api_server)\s+(\S+)/)
       if (pathMatch) {
         modelPath = pathMatch[1]
@@ -1369,8 +1875,7 @@ class SSHManager {
     }
 
     // 从启动命令中提取端口号
-    let port = null
-    if (startCommand) {
+    if (!launchSpec && startCommand) {
       const portMatch = startCommand.match(/--port\s+(\d+)|--server-port\s+(\d+)/)
       if (portMatch) {
         port = portMatch[1] || portMatch[2]
@@ -1478,9 +1983,9 @@ class SSHManager {
 
     // 方法4：使用 pkill 根据 Python 命令模式查找
     try {
-      // 查找所有 vllm 或 lmdeploy 相关的 Python 进程
-      let pkillPattern = 'vllm'
-      if (startCommand && startCommand.includes('lmdeploy')) {
+      // 查找该框架相关的进程（旧版命令只区分 vllm 和 lmdeploy）
+      let pkillPattern = processPatterns[0]
+      if (!launchSpec && startCommand && startCommand.includes('lmdeploy')) {
         pkillPattern = 'lmdeploy'
       }
 
@@ -1617,10 +2122,9 @@ class SSHManager {
 
               if (cmdResult.success && cmdResult.stdout) {
                 const cmd = cmdResult.stdout
-                // 如果命令中包含我们的模型路径或 vllm/lmdeploy 关键字，也要杀死
+                // 如果命令中包含我们的模型路径或框架进程关键字，也要杀死
                 if ((modelPath && cmd.includes(modelPath)) ||
-                    cmd.includes('vllm') ||
-                    cmd.includes('lmdeploy')) {
+                    processPatterns.some(pattern => cmd.includes(pattern))) {
                   try {
                     await this.execCommand(serverId, `kill -9 ${gpuPid}`)
                     if (!killedPids.includes(gpuPid.toString())) {
@@ -1649,6 +2153,10 @@ class SSHManager {
       }
     }
 
+    if (supervisorStopped) {
+      return { success: true, message: '守护进程及服务已停止' }
+    }
+
     // 如果所有方法都没有找到进程，可能已经停止了
     return { success: true, message: '服务已停止（未发现运行中的进程）' }
   }
@@ -1667,16 +2175,53 @@ class SSHManager {
     return { running: result.success && result.stdout.includes(pid.toString()) }
   }
 
+  /**
+   * 采集服务的 Prometheus 指标
+   * @param {string} serverId - 服务器ID
+   * @param {Object} options - 采集选项 { serviceId, port, host, framework }
+   * @returns {Promise<Object>} 本次数据点
+   */
+  async scrapeServiceMetrics(serverId, options) {
+    return this.metricsCollector.scrape(serverId, options)
+  }
+
+  /**
+   * 获取服务指标的历史数据点
+   * @param {string} serviceId - 服务ID
+   * @returns {Array<Object>} 数据点列表
+   */
+  getServiceMetricsHistory(serviceId) {
+    return this.metricsCollector.getHistory(serviceId)
+  }
+
+  /**
+   * 获取服务的守护状态和重启历史
+   * @param {string} serverId - 服务器ID
+   * @param {string} serviceId - 服务ID
+   * @param {number} limit - 读取的历史条数
+   * @returns {Promise<Object>} 守护状态和重启历史
+   */
+  async getServiceSupervision(serverId, serviceId, limit = 50) {
+    const status = await this.serviceSupervisor.getStatus(serverId, serviceId)
+    const history = await this.serviceSupervisor.getHistory(serverId, serviceId, limit)
+    return { status, history }
+  }
+
   /**
    * 检查服务的完整状态（通过端口和启动命令）
    * @param {string} serverId - 服务器ID
    * @param {Object} serviceConfig - 服务配置
    * @param {string} serviceConfig.port - 服务端口
    * @param {string} serviceConfig.startCommand - 启动命令
-   * @returns {Promise<Object>} 服务状态信息
+   * @param {string} serviceConfig.serviceId - 服务ID（守护模式下用于查询守护状态）
+   * @param {Object} serviceConfig.launchSpec - 结构化启动规格（存在时优先用于匹配端口和进程）
+   * @param {string} serviceConfig.framework - 框架名称（旧版服务无启动规格时用于选择健康检查接口）
+   * @returns {Promise<Object>} 服务状态信息，readiness 为就绪状态（见 READINESS）
    */
   async checkServiceRealStatus(serverId, serviceConfig) {
-    const { port, startCommand } = serviceConfig
+    const { startCommand, serviceId, launchSpec } = serviceConfig
+    const signature = launchSpec ? getProcessSignature(launchSpec) : null
+    const port = signature ? signature.port : serviceConfig.port
 
     // 检查1: 检查端口是否在监听
     let portListening = false
@@ -1715,19 +2260,30 @@ class SSHManager {
     let processRunning = false
     let processPid = null
 
-    if (startCommand) {
-      // 从启动命令中提取关键搜索词
-      const pathMatch = startCommand.match(/(?:vllm serve|lmdeploy serve api_server)\s+(\S+)/)
-      const searchKeyword = pathMatch ? pathMatch[1] : 'vllm'
+    if (signature || startCommand) {
+      let searchKeyword = 'vllm'
+      let cmdPort = null
+      let portFlags = ['--port', '--server-port']
 
-      // 从命令中提取端口号用于更精确的匹配
-      const portMatch = startCommand.match(/--port\s+(\d+)|--server-port\s+(\d+)/)
-      const cmdPort = portMatch ? (portMatch[1] || portMatch[2]) : null
+      if (signature) {
+        // 启动规格中的模型路径和端口参数是确定的；端口通过环境变量指定的框架只按进程特征匹配
+        searchKeyword = signature.modelPath || signature.processPattern
+        cmdPort = signature.portFlag && signature.port ? String(signature.port) : null
+        portFlags = signature.portFlag ? [signature.portFlag] : []
+      } else {
+        // 从启动命令中提取关键搜索词
+        const pathMatch = startCommand.match(/(?:vllm serve|lmdeploy serve api_server)\s+(\S+)/)
+        searchKeyword = pathMatch ? pathMatch[1] : searchKeyword
+
+        // 从命令中提取端口号用于更精确的匹配
+        const portMatch = startCommand.match(/--port\s+(\d+)|--server-port\s+(\d+)/)
+        cmdPort = portMatch ? (portMatch[1] || portMatch[2]) : null
+      }
 
       // 构建搜索命令，优先使用端口和模型路径的组合来精确匹配
       let searchPattern = searchKeyword
       if (cmdPort) {
-        searchPattern += `.*--port.*${cmdPort}|${searchPattern}.*--server-port.*${cmdPort}`
+        searchPattern = portFlags.map(flag => `${searchKeyword}.*${flag}.*${cmdPort}`).join('|')
       }
 
       // 使用 ps 命令查找匹配的进程
@@ -1745,7 +2301,7 @@ class SSHManager {
               const lines = result.stdout.trim().split('\n')
               for (const line of lines) {
                 // 验证端口匹配（如果指定了端口）
-                if (cmdPort && !line.includes(`--port ${cmdPort}`) && !line.includes(`--server-port ${cmdPort}`)) {
+                if (cmdPort && !portFlags.some(flag => line.includes(`${flag} ${cmdPort}`))) {
                   continue
                 }
                 const pidMatch = line.match(/^\S+\s+(\d+)/)
@@ -1777,11 +2333,39 @@ class SSHManager {
     // 如果端口在监听 且 有匹配的进程在运行，则认为服务正在运行
     const isRunning = portListening && processRunning
 
+    // 检查3: 端口监听后探测健康检查和模型列表接口
+    let probe = null
+    if (isRunning) {
+      try {
+        probe = await this.healthProbe.probe(serverId, {
+          port,
+          host: launchSpec ? launchSpec.host : null,
+          framework: (launchSpec && launchSpec.framework) || serviceConfig.framework
+        })
+      } catch (e) {
+        console.warn('[checkServiceRealStatus] 健康探测失败:', e.message)
+      }
+    }
+    const readiness = ServiceHealthProbe.classify({ processRunning, portListening, probe })
+
+    // 守护模式：附带守护进程状态（例如处于重启等待中）
+    let supervisor = null
+    if (serviceId) {
+      try {
+        supervisor = await this.serviceSupervisor.getStatus(serverId, serviceId)
+      } catch (e) {
+        // 守护状态查询失败不影响端口和进程检测结果
+      }
+    }
+
     return {
       running: isRunning,
+      readiness,
+      probe,
       portListening,
       processRunning,
-      pid: processPid || portPid
+      pid: processPid || portPid,
+      supervisor
     }
   }
 
@@ -2084,15 +2668,7 @@ class SSHManager {
         this.connections.set(serverId, conn)
       } else {
         // SSH 类型：尝试自动建立连接
-        const connectResult = await this.connect({
-          serverId: server.id,
-          type: server.type || 'ssh',
-          host: server.host,
-          port: server.port,
-          username: server.username,
-          password: server.password,
-          privateKey: server.privateKey
-        })
+        const connectResult = await this.connect(getConnectConfig(server))
 
         if (!connectResult.success) {
           throw new Error(`自动连接失败: ${connectResult.message}`)
@@ -2304,13 +2880,20 @@ class SSHManager {
   async upgradeFramework(serverId, upgradeConfig) {
     const { framework, envType, envName, gitUrl, branch } = upgradeConfig
 
+    // 已注册的框架使用插件中的 pip 包名，独立可执行文件的框架不支持自动升级
+    const plugin = getFramework(framework)
+    if (plugin && !plugin.packageName) {
+      throw new Error(plugin.upgradeHint || `${plugin.label} 不支持自动升级`)
+    }
+    const packageName = plugin ? plugin.packageName : framework
+
     let upgradeCmd = ''
     if (gitUrl && branch) {
       // 从GitHub分支安装
       upgradeCmd = `pip install --upgrade git+${gitUrl}@${branch}`
     } else {
       // 从PyPI升级
-      upgradeCmd = `pip install --upgrade ${framework}`
+      upgradeCmd = `pip install --upgrade ${packageName}`
     }
 
     let fullCommand = ''
@@ -2334,6 +2917,14 @@ class SSHManager {
 
     const result = await this.execCommand(serverId, fullCommand)
 
+    // 版本已变化，清除该环境下所有可执行文件路径的缓存
+    const cachePrefix = `${serverId}|${framework}|${envType}|${envName}|`
+    for (const cacheKey of this.frameworkVersionCache.keys()) {
+      if (cacheKey.startsWith(cachePrefix)) {
+        this.frameworkVersionCache.delete(cacheKey)
+      }
+    }
+
     if (result.success) {
       return { success: true, message: '升级成功', output: result.stdout }
     } else {
@@ -2347,8 +2938,23 @@ class SSHManager {
    * @param {string} framework - 框架名称
    * @param {string} envType - 环境类型
    * @param {string} envName - 环境名称
+   * @param {string} executablePath - 用户指定的可执行文件路径（仅独立可执行文件的框架）
    */
-  async getFrameworkVersion(serverId, framework, envType, envName) {
+  async getFrameworkVersion(serverId, framework, envType, envName, executablePath = '') {
+    const plugin = getFramework(framework)
+
+    // 独立可执行文件的框架通过自身的版本命令查询
+    if (plugin && !plugin.packageName) {
+      const condaBin = envType === 'conda' && envName
+        ? await this.getCondaBin(serverId).catch(() => 'conda')
+        : 'conda'
+      const executable = resolveExecutable(framework, envType, envName, condaBin, executablePath)
+      const result = await this.execCommand(serverId, `${executable} ${plugin.versionCommand} 2>&1`)
+      const match = `${result.stdout || ''}\n${result.stderr || ''}`.match(plugin.versionPattern)
+      return match ? match[1] : '未知'
+    }
+
+    const packageName = plugin ? plugin.packageName : framework
     let command = ''
 
     if (envType === 'conda') {
@@ -2361,11 +2967,14 @@ class SSHManager {
 
       const condaBin = condaPath.endsWith('conda') ? condaPath : `${condaPath}/conda`
       // 在指定的 conda 环境中执行命令
-      command = `${condaBin} run -n ${envName} --no-capture-output pip show ${framework} | grep Version`
+      command = `${condaBin} run -n ${envName} --no-capture-output pip show ${packageName} | grep Version`
+    } else if ((envType === 'uv' || envType === 'system') && /\/python[\d.]*$/.test(envName || '')) {
+      // uv 和 system 环境以 Python 解释器路径作为环境名称
+      command = `${envName} -m pip show ${packageName} | grep Version`
     } else if (envType === 'uv') {
-      command = `${envName}/bin/pip show ${framework} | grep Version`
+      command = `${envName}/bin/pip show ${packageName} | grep Version`
     } else {
-      command = `pip show ${framework} | grep Version`
+      command = `pip show ${packageName} | grep Version`
     }
 
     const result = await this.execCommand(serverId, command)
@@ -2377,6 +2986,29 @@ class SSHManager {
     return '未知'
   }
 
+  /**
+   * 获取框架版本（带缓存，避免每次启动服务都执行 pip show）
+   * @param {string} serverId - 服务器ID
+   * @param {string} framework - 框架名称
+   * @param {string} envType - 环境类型
+   * @param {string} envName - 环境名称
+   * @param {boolean} refresh - 是否忽略缓存重新获取
+   * @param {string} executablePath - 用户指定的可执行文件路径（仅独立可执行文件的框架）
+   */
+  async getCachedFrameworkVersion(serverId, framework, envType, envName, refresh = false, executablePath = '') {
+    const cacheKey = `${serverId}|${framework}|${envType}|${envName}|${executablePath || ''}`
+    if (!refresh && this.frameworkVersionCache.has(cacheKey)) {
+      return this.frameworkVersionCache.get(cacheKey)
+    }
+
+    const version = await this.getFrameworkVersion(serverId, framework, envType, envName, executablePath)
+    // 获取失败时不缓存，下次重试
+    if (version && version !== '未知') {
+      this.frameworkVersionCache.set(cacheKey, version)
+    }
+    return version
+  }
+
   /**
    * 获取适当的解析器
    */
@@ -2553,185 +3185,6 @@ class SSHManager {
     return false
   }
 
-  /**
-   * 下载模型
-   * @param {Object} config - 下载配置
-   */
-  async downloadModel(config) {
-    const { serverId, envType, envName, platform, modelId, installPath, downloadId, mainWindow } = config
-
-    console.log('[downloadModel] 开始下载，downloadId:', downloadId)
-    console.log('[downloadModel] mainWindow:', mainWindow ? '存在' : '不存在')
-
-    // 创建安装目录
-    const mkdirResult = await this.execCommand(serverId, `mkdir -p "${installPath}"`)
-    if (!mkdirResult.success) {
-      throw new Error('创建安装目录失败')
-    }
-
-    // 发送日志到前端的辅助函数
-    const sendLog = (log) => {
-      console.log('[下载日志]', log)
-      if (mainWindow && mainWindow.webContents) {
-        console.log(`[下载日志] 发送事件: download:log:${downloadId}`)
-        mainWindow.webContents.send(`download:log:${downloadId}`, { log })
-      } else {
-        console.warn('[下载日志] mainWindow 或 webContents 不存在，无法发送日志')
-      }
-    }
-
-    // 根据环境类型构建下载命令
-    let fullCommand = ''
-    if (envType === 'conda' && envName) {
-      // conda 环境：在指定的 conda 环境中执行下载命令
-      const condaPath = await this.findCondaPath(serverId)
-
-      if (!condaPath) {
-        throw new Error('找不到 conda 命令，请确保 conda 已安装')
-      }
-
-      const condaBin = condaPath.endsWith('conda') ? condaPath : `${condaPath}/conda`
-
-      // 构建下载命令
-      let downloadCmd = ''
-      if (platform === 'modelscope') {
-        downloadCmd = `modelscope download --model ${modelId} --local_dir "${installPath}"`
-      } else if (platform === 'huggingface') {
-        downloadCmd = `huggingface-cli download ${modelId} --local-dir "${installPath}" --local-dir-use-symlinks False`
-      }
-
-      // 在指定的 conda 环境中执行
-      fullCommand = `${condaBin} run -n ${envName} --no-capture-output ${downloadCmd}`
-      sendLog(`[下载] 在 conda 环境 "${envName}" 中执行下载`)
-    } else if (envType === 'uv' && envName) {
-      // uv 环境：使用 uv 环境的 Python 执行下载
-      if (platform === 'modelscope') {
-        fullCommand = `${envName}/bin/python -m modelscope download --model ${modelId} --local_dir "${installPath}"`
-      } else if (platform === 'huggingface') {
-        fullCommand = `${envName}/bin/python -m huggingface_hub.cli download ${modelId} --local-dir "${installPath}" --local-dir-use-symlinks False`
-      }
-      sendLog(`[下载] 在 uv 环境 "${envName}" 中执行下载`)
-    } else {
-      // system 环境：直接执行命令
-      if (platform === 'modelscope') {
-        fullCommand = `modelscope download --model ${modelId} --local_dir "${installPath}"`
-      } else if (platform === 'huggingface') {
-        fullCommand = `huggingface-cli download ${modelId} --local-dir "${installPath}" --local-dir-use-symlinks False`
-      }
-      sendLog(`[下载] 在系统环境中执行下载`)
-    }
-
-    console.log('[下载] 执行命令:', fullCommand)
-
-    // 获取连接
-    const conn = this.connections.get(serverId)
-    if (!conn) {
-      throw new Error('服务器未连接')
-    }
-
-    // 直接使用 SSH stream 执行命令
-    return new Promise((resolve, reject) => {
-      conn.exec(fullCommand, (err, stream) => {
-        if (err) {
-          console.error('[下载] SSH exec 错误:', err)
-          sendLog(`[错误] SSH 执行失败: ${err.message}`)
-          reject(err)
-          return
-        }
-
-        console.log('[下载] Stream 已创建')
-        sendLog('[下载] 命令已发送，开始下载...')
-
-        let currentProgress = 0
-        let dataCount = 0
-        let stderrCount = 0
-
-        // 处理 stdout
-        stream.on('data', (data) => {
-          dataCount++
-          console.log('[下载] 收到 stdout 数据 #', dataCount, '长度:', data.length)
-          const lines = data.toString().split('\n')
-          for (const line of lines) {
-            const trimmed = line.trim()
-            if (trimmed) {
-              sendLog(trimmed)
-
-              // 解析并发送进度
-              const parsedProgress = this.parseDownloadProgress(platform, trimmed)
-              if (parsedProgress !== null && parsedProgress !== currentProgress) {
-                currentProgress = parsedProgress
-                if (mainWindow && mainWindow.webContents) {
-                  mainWindow.webContents.send(`download:progress:${downloadId}`, {
-                    percentage: currentProgress
-                  })
-                }
-              }
-            }
-          }
-        })
-
-        // 处理 stderr - 下载工具通常将进度输出到 stderr
-        stream.stderr.on('data', (data) => {
-          stderrCount++
-          console.log('[下载] 收到 stderr 数据 #', stderrCount, '长度:', data.length)
-          const lines = data.toString().split('\n')
-          for (const line of lines) {
-            const trimmed = line.trim()
-            if (trimmed) {
-              sendLog(trimmed)
-
-              // 解析并发送进度
-              const parsedProgress = this.parseDownloadProgress(platform, trimmed)
-              if (parsedProgress !== null && parsedProgress !== currentProgress) {
-                currentProgress = parsedProgress
-                if (mainWindow && mainWindow.webContents) {
-                  mainWindow.webContents.send(`download:progress:${downloadId}`, {
-                    percentage: currentProgress
-                  })
-                }
-              }
-            }
-          }
-        })
-
-        stream.on('close', async (code) => {
-          console.log('[下载] Stream 关闭，退出码:', code, 'stdout 次数:', dataCount, 'stderr 次数:', stderrCount)
-          sendLog(`[下载] 进程退出，退出码: ${code}`)
-
-          if (code === 0) {
-            // 整理文件
-            await this.organizeDownloadedFiles(serverId, modelId, installPath, sendLog)
-            sendLog('[下载] 全部完成！')
-
-            if (mainWindow && mainWindow.webContents) {
-              mainWindow.webContents.send(`download:progress:${downloadId}`, {
-                percentage: 100,
-                status: 'completed'
-              })
-            }
-
-            resolve({ success: true })
-          } else {
-            sendLog(`[下载] 下载失败，退出码: ${code}`)
-            if (mainWindow && mainWindow.webContents) {
-              mainWindow.webContents.send(`download:progress:${downloadId}`, {
-                percentage: currentProgress,
-                status: 'error'
-              })
-            }
-            reject(new Error(`下载失败,退出码: ${code}`))
-          }
-        })
-
-        stream.on('error', (err) => {
-          console.error('[下载] Stream 错误:', err)
-          sendLog(`[错误] ${err.message}`)
-          reject(err)
-        })
-      })
-    })
-  }
-
   /**
    * 整理下载的文件
    */
@@ -2784,24 +3237,6 @@ class SSHManager {
     return null
   }
 
-  /**
-   * 取消下载
-   * @param {string} serverId - 服务器ID
-   * @param {string} modelId - 模型ID
-   */
-  async cancelDownload(serverId, modelId) {
-    try {
-      // 使用进程关键词查找并终止
-      const searchKeyword = modelId.split('/').pop()
-      await this.execCommand(serverId, `pkill -f "${searchKeyword}"`)
-      await this.execCommand(serverId, `pkill -f "modelscope download"`)
-      await this.execCommand(serverId, `pkill -f "huggingface-cli download"`)
-      return { success: true }
-    } catch (error) {
-      return { success: false, error: error.message }
-    }
-  }
-
   /**
    * 获取当前_conda数据源配置
    * @param {string} serverId - 服务器ID
@@ -3332,6 +3767,94 @@ class SSHManager {
     }
   }
 
+  /**
+   * 读取文本文件用于在线编辑（限制大小，拒绝二进制文件）
+   * @param {string} serverId - 服务器ID
+   * @param {string} path - 文件路径
+   * @returns {Promise<Object>} { success, data: { content, size, mtime, version, eol } }
+   */
+  async readTextFile(serverId, path) {
+    try {
+      const fileSystem = await this.getFileSystem(serverId)
+      const stat = await fileSystem.stat(path)
+      if (stat.isDirectory) {
+        return { success: false, error: '不能打开目录' }
+      }
+      if (stat.size > MAX_EDIT_FILE_SIZE) {
+        return {
+          success: false,
+          error: `文件过大（${(stat.size / 1024 / 1024).toFixed(1)} MB），仅支持编辑 ${MAX_EDIT_FILE_SIZE / 1024 / 1024} MB 以内的文本文件`
+        }
+      }
+
+      const buffer = await fileSystem.readFile(path)
+      const text = decodeTextBuffer(buffer)
+      if (text === null) {
+        return { success: false, error: '该文件不是 UTF-8 文本文件，无法编辑' }
+      }
+
+      const eol = text.includes('\r\n') ? 'crlf' : 'lf'
+      return {
+        success: true,
+        data: {
+          content: eol === 'crlf' ? text.replace(/\r\n/g, '\n') : text,
+          size: stat.size,
+          mtime: stat.mtime,
+          version: hashBuffer(buffer),
+          eol
+        }
+      }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * 写回文本文件；打开后文件被其他人修改时返回冲突（附当前内容），force 为 true 时直接覆盖
+   * @param {string} serverId - 服务器ID
+   * @param {string} path - 文件路径
+   * @param {string} content - 文件内容（换行为 \n）
+   * @param {Object} options
+   * @param {string} options.version - 打开时的内容版本（readTextFile 返回的 version）
+   * @param {string} options.eol - 换行风格 lf | crlf
+   * @param {boolean} options.force - 忽略冲突直接覆盖
+   * @returns {Promise<Object>} { success, data: { size, mtime, version } } 或 { success: false, conflict, data: { content, mtime } }
+   */
+  async writeTextFile(serverId, path, content, { version, eol = 'lf', force = false } = {}) {
+    try {
+      const fileSystem = await this.getFileSystem(serverId)
+
+      if (!force) {
+        let current = null
+        try {
+          current = await fileSystem.readFile(path)
+        } catch {
+          // 文件已被删除时视为冲突
+        }
+        if (!current || hashBuffer(current) !== version) {
+          const currentText = current ? decodeTextBuffer(current) : null
+          return {
+            success: false,
+            conflict: true,
+            error: current ? '文件在打开后已被修改' : '文件在打开后已被删除',
+            data: {
+              content: currentText === null ? null : currentText.replace(/\r\n/g, '\n'),
+              mtime: current ? (await fileSystem.stat(path)).mtime : null
+            }
+          }
+        }
+      }
+
+      // 原地写入以保留文件权限（如启动脚本的可执行权限）
+      const buffer = Buffer.from(eol === 'crlf' ? content.replace(/\n/g, '\r\n') : content, 'utf-8')
+      await fileSystem.writeFile(path, buffer)
+      const stat = await fileSystem.stat(path)
+      return { success: true, data: { size: stat.size, mtime: stat.mtime, version: hashBuffer(buffer) } }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
   /**
    * 删除文件或目录（支持批量）
    * @param {string} serverId - 服务器ID
@@ -0,0 +1,173 @@
+/**
+ * 已知主机（known_hosts）管理
+ * 保存已确认的 SSH 主机密钥，首次连接时由用户确认指纹，之后密钥变化将阻止连接。
+ * 数据保存在 ~/.vllm_front/known-hosts.json，整体由 cryptoManager 加密
+ */
+import { createHash } from 'crypto'
+import dataManager from '../data-manager.js'
+import cryptoManager from '../security/crypto.js'
+
+// 存储模块名
+const DATA_MODULE = 'known-hosts'
+// 最近使用时间的写盘间隔（毫秒），避免每次连接都写文件
+const LAST_SEEN_SAVE_INTERVAL = 3600 * 1000
+
+/**
+ * 解析 SSH 公钥信息
+ * @param {Buffer} key - 服务器发送的原始公钥（SSH wire 格式）
+ * @returns {{ keyType: string, fingerprint: string, key: string }} 密钥类型、SHA256 指纹和 base64 公钥
+ */
+export function describeHostKey(key) {
+  let keyType = 'unknown'
+  if (key.length > 4) {
+    const length = key.readUInt32BE(0)
+    if (length > 0 && length + 4 <= key.length) {
+      keyType = key.subarray(4, 4 + length).toString('ascii')
+    }
+  }
+  const fingerprint = 'SHA256:' + createHash('sha256').update(key).digest('base64').replace(/=+$/, '')
+  return { keyType, fingerprint, key: key.toString('base64') }
+}
+
+/**
+ * 生成主机记录键（与 OpenSSH 相同，非 22 端口写作 [host]:port）
+ */
+function hostKeyId(host, port) {
+  const portNumber = parseInt(port, 10) || 22
+  return portNumber === 22 ? host : `[${host}]:${portNumber}`
+}
+
+class KnownHostsStore {
+  constructor() {
+    // hostId -> { host, port, keyType, fingerprint, key, addedAt, lastSeenAt, mismatch }
+    this.entries = null
+    this.loading = null
+  }
+
+  /**
+   * 从磁盘加载（只加载一次）
+   */
+  async load() {
+    if (this.entries) return this.entries
+    if (!this.loading) {
+      this.loading = (async () => {
+        const stored = await dataManager.readData(DATA_MODULE, null)
+        let entries = {}
+        if (stored && stored.encrypted) {
+          const text = cryptoManager.decrypt(stored.encrypted)
+          if (text) {
+            entries = JSON.parse(text)
+          } else {
+            console.error('[KnownHosts] 已知主机数据解密失败，将重新确认主机指纹')
+          }
+        }
+        this.entries = entries
+        return entries
+      })().finally(() => {
+        this.loading = null
+      })
+    }
+    return this.loading
+  }
+
+  /**
+   * 加密保存到磁盘
+   */
+  async save() {
+    const result = await dataManager.writeData(DATA_MODULE, {
+      version: 1,
+      encrypted: cryptoManager.encrypt(JSON.stringify(this.entries))
+    })
+    if (result && result.success === false) {
+      throw new Error(result.error || '保存已知主机失败')
+    }
+  }
+
+  /**
+   * 校验主机密钥
+   * @param {string} host - 主机地址
+   * @param {number} port - 端口
+   * @param {Object} hostKey - describeHostKey 的结果
+   * @returns {Promise<{status: 'trusted'|'unknown'|'changed', entry?: Object}>} 校验结果
+   */
+  async check(host, port, hostKey) {
+    const entries = await this.load()
+    const id = hostKeyId(host, port)
+    const entry = entries[id]
+
+    if (!entry) {
+      return { status: 'unknown' }
+    }
+
+    if (entry.key === hostKey.key) {
+      const now = Date.now()
+      const shouldSave = entry.mismatch || !entry.lastSeenAt || now - entry.lastSeenAt > LAST_SEEN_SAVE_INTERVAL
+      entry.lastSeenAt = now
+      entry.mismatch = null
+      if (shouldSave) await this.save()
+      return { status: 'trusted', entry }
+    }
+
+    // 记录最近一次不一致的密钥，便于在管理界面中核对
+    entry.mismatch = { keyType: hostKey.keyType, fingerprint: hostKey.fingerprint, seenAt: Date.now() }
+    await this.save()
+    return { status: 'changed', entry }
+  }
+
+  /**
+   * 信任主机密钥（首次确认或重置后重新确认）
+   * @param {string} host - 主机地址
+   * @param {number} port - 端口
+   * @param {Object} hostKey - describeHostKey 的结果
+   */
+  async trust(host, port, hostKey) {
+    const entries = await this.load()
+    const now = Date.now()
+    entries[hostKeyId(host, port)] = {
+      host,
+      port: parseInt(port, 10) || 22,
+      keyType: hostKey.keyType,
+      fingerprint: hostKey.fingerprint,
+      key: hostKey.key,
+      addedAt: now,
+      lastSeenAt: now,
+      mismatch: null
+    }
+    await this.save()
+  }
+
+  /**
+   * 列出已知主机
+   * @returns {Promise<Array<Object>>} 已知主机列表（不含公钥原文）
+   */
+  async list() {
+    const entries = await this.load()
+    return Object.entries(entries)
+      .map(([id, entry]) => ({
+        id,
+        host: entry.host,
+        port: entry.port,
+        keyType: entry.keyType,
+        fingerprint: entry.fingerprint,
+        addedAt: entry.addedAt,
+        lastSeenAt: entry.lastSeenAt,
+        mismatch: entry.mismatch || null
+      }))
+      .sort((a, b) => a.id.localeCompare(b.id))
+  }
+
+  /**
+   * 删除已知主机，下次连接时重新确认指纹
+   * @param {string} id - 主机记录键
+   * @returns {Promise<boolean>} 是否存在并已删除
+   */
+  async remove(id) {
+    const entries = await this.load()
+    if (!entries[id]) return false
+    delete entries[id]
+    await this.save()
+    return true
+  }
+}
+
+export default KnownHostsStore
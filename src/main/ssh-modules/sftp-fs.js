@@ -0,0 +1,284 @@
+/**
+ * 文件传输的文件系统适配
+ * 将 SFTP 会话和本地文件系统包装为相同的接口，并提供按块并发、可断点续传的文件复制
+ */
+import { promises as fs } from 'fs'
+import { dirname as localDirname, join as localJoin, posix } from 'path'
+
+// 单个读写请求的大小（OpenSSH 支持的单次读写上限为 32KB 以上，这里取通用值）
+const CHUNK_SIZE = 32768
+// 同时进行的读写请求数，用于抵消网络往返延迟
+const CONCURRENCY = 32
+
+/**
+ * 在 SSH 连接上打开 SFTP 会话
+ * @param {Client} conn - ssh2 连接
+ * @returns {Promise<SFTPWrapper>} SFTP 会话
+ */
+export function openSftp(conn) {
+  return new Promise((resolve, reject) => {
+    conn.sftp((err, sftp) => {
+      if (err) {
+        reject(new Error(`打开 SFTP 会话失败: ${err.message}`))
+        return
+      }
+      resolve(sftp)
+    })
+  })
+}
+
+/**
+ * 将 ssh2 回调方法转换为 Promise
+ */
+function call(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (err, result) => (err ? reject(err) : resolve(result)))
+  })
+}
+
+/**
+ * 包装 SFTP 会话
+ * @param {SFTPWrapper} sftp - SFTP 会话
+ * @returns {Object} 文件系统接口
+ */
+export function createSftpFs(sftp) {
+  const remoteFs = {
+    join: posix.join,
+    dirname: posix.dirname,
+
+    async stat(path) {
+      const stats = await call(sftp, 'stat', path)
+      return { size: stats.size, mtime: stats.mtime * 1000, isDirectory: stats.isDirectory() }
+    },
+
+    async exists(path) {
+      try {
+        await call(sftp, 'stat', path)
+        return true
+      } catch {
+        return false
+      }
+    },
+
+    async readdir(path) {
+      const list = await call(sftp, 'readdir', path)
+      const entries = []
+      for (const item of list) {
+        let attrs = item.attrs
+        // 符号链接按其指向的目标处理
+        if (attrs.isSymbolicLink()) {
+          try {
+            attrs = await call(sftp, 'stat', posix.join(path, item.filename))
+          } catch {
+            continue
+          }
+        }
+        entries.push({ name: item.filename, isDirectory: attrs.isDirectory(), size: attrs.size, mtime: attrs.mtime * 1000 })
+      }
+      return entries
+    },
+
+    async mkdirp(path) {
+      const segments = path.split('/').filter(Boolean)
+      let current = path.startsWith('/') ? '/' : ''
+      for (const segment of segments) {
+        current = current ? posix.join(current, segment) : segment
+        if (await remoteFs.exists(current)) continue
+        try {
+          await call(sftp, 'mkdir', current)
+        } catch (error) {
+          // 并发传输可能同时创建同一目录
+          if (!(await remoteFs.exists(current))) {
+            throw new Error(`创建目录 ${current} 失败: ${error.message}`)
+          }
+        }
+      }
+    },
+
+    async open(path, flags) {
+      const handle = await call(sftp, 'open', path, flags)
+      return {
+        async read(position, length) {
+          // 服务器可能返回少于请求的字节数，需要补读
+          const buffer = Buffer.alloc(length)
+          let offset = 0
+          while (offset < length) {
+            const bytesRead = await new Promise((resolve, reject) => {
+              sftp.read(handle, buffer, offset, length - offset, position + offset, (err, bytes) => {
+                if (err) reject(err)
+                else resolve(bytes)
+              })
+            })
+            if (!bytesRead) {
+              throw new Error(`读取 ${path} 时文件提前结束，源文件可能正在被修改`)
+            }
+            offset += bytesRead
+          }
+          return buffer
+        },
+        write(buffer, position) {
+          return new Promise((resolve, reject) => {
+            sftp.write(handle, buffer, 0, buffer.length, position, (err) => (err ? reject(err) : resolve()))
+          })
+        },
+        close() {
+          return call(sftp, 'close', handle).catch(() => {})
+        }
+      }
+    },
+
+    async rename(from, to) {
+      // SFTP v3 的 rename 不覆盖已有文件，优先使用 OpenSSH 的 posix-rename 扩展
+      try {
+        await call(sftp, 'ext_openssh_rename', from, to)
+        return
+      } catch {
+        // 服务器不支持扩展时先删除再重命名
+      }
+      if (await remoteFs.exists(to)) {
+        await call(sftp, 'unlink', to)
+      }
+      await call(sftp, 'rename', from, to)
+    },
+
+    async unlink(path) {
+      await call(sftp, 'unlink', path)
+    },
+
+    readFile(path) {
+      return call(sftp, 'readFile', path)
+    },
+
+    writeFile(path, data) {
+      return call(sftp, 'writeFile', path, data)
+    }
+  }
+  return remoteFs
+}
+
+/**
+ * 本地文件系统（上传的来源、下载的目标，以及本机服务器）
+ * @returns {Object} 文件系统接口
+ */
+export function createLocalFs() {
+  return {
+    join: localJoin,
+    dirname: localDirname,
+
+    async stat(path) {
+      const stats = await fs.stat(path)
+      return { size: stats.size, mtime: stats.mtimeMs, isDirectory: stats.isDirectory() }
+    },
+
+    async exists(path) {
+      try {
+        await fs.stat(path)
+        return true
+      } catch {
+        return false
+      }
+    },
+
+    async readdir(path) {
+      const entries = []
+      for (const item of await fs.readdir(path)) {
+        try {
+          const stats = await fs.stat(localJoin(path, item))
+          entries.push({ name: item, isDirectory: stats.isDirectory(), size: stats.size, mtime: stats.mtimeMs })
+        } catch {
+          // 失效的符号链接等无法访问的条目跳过
+        }
+      }
+      return entries
+    },
+
+    async mkdirp(path) {
+      await fs.mkdir(path, { recursive: true })
+    },
+
+    async open(path, flags) {
+      const handle = await fs.open(path, flags)
+      return {
+        async read(position, length) {
+          const buffer = Buffer.alloc(length)
+          let offset = 0
+          while (offset < length) {
+            const { bytesRead } = await handle.read(buffer, offset, length - offset, position + offset)
+            if (!bytesRead) {
+              throw new Error(`读取 ${path} 时文件提前结束，源文件可能正在被修改`)
+            }
+            offset += bytesRead
+          }
+          return buffer
+        },
+        async write(buffer, position) {
+          await handle.write(buffer, 0, buffer.length, position)
+        },
+        close() {
+          return handle.close().catch(() => {})
+        }
+      }
+    },
+
+    async rename(from, to) {
+      await fs.rename(from, to)
+    },
+
+    async unlink(path) {
+      await fs.unlink(path)
+    },
+
+    readFile(path) {
+      return fs.readFile(path)
+    },
+
+    writeFile(path, data) {
+      return fs.writeFile(path, data)
+    }
+  }
+}
+
+/**
+ * 按块并发复制文件内容（写入位置固定，支持从任意已完成位置继续）
+ * @param {Object} options
+ * @param {Object} options.source - 源文件句柄（open 的返回值）
+ * @param {Object} options.target - 目标文件句柄
+ * @param {number} options.size - 文件大小
+ * @param {number} options.start - 起始位置（已传输的字节数）
+ * @param {AbortSignal} options.signal - 中止信号（暂停或取消）
+ * @param {Function} options.onProgress - 进度回调 (transferred) => void，transferred 为已连续写入的字节数
+ * @returns {Promise<number>} 已连续写入的字节数，中止时小于 size
+ */
+export async function copyRange({ source, target, size, start, signal, onProgress }) {
+  let nextOffset = start
+  let committed = start
+  // 已写入但前面仍有未完成块的区间：offset -> length
+  const finished = new Map()
+  let failure = null
+
+  const worker = async () => {
+    while (!failure && !signal.aborted && nextOffset < size) {
+      const offset = nextOffset
+      const length = Math.min(CHUNK_SIZE, size - offset)
+      nextOffset += length
+      try {
+        const data = await source.read(offset, length)
+        await target.write(data, offset)
+      } catch (error) {
+        failure = failure || error
+        return
+      }
+      finished.set(offset, length)
+      while (finished.has(committed)) {
+        const chunkLength = finished.get(committed)
+        finished.delete(committed)
+        committed += chunkLength
+      }
+      onProgress(committed)
+    }
+  }
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker))
+  if (failure) throw failure
+  return committed
+}
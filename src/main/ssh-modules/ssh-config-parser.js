@@ -0,0 +1,202 @@
+/**
+ * OpenSSH 配置文件解析
+ * 解析 ~/.ssh/config 中的 Host 段，按 OpenSSH 规则（同一选项以首次出现为准）合并匹配的配置，
+ * 用于将已有主机（含 ProxyJump 跳板机链）导入为服务器配置
+ */
+import { promises as fs } from 'fs'
+import { dirname, isAbsolute, join } from 'path'
+import { homedir } from 'os'
+import { expandHomePath } from './ssh-connector.js'
+
+// 跳板机链最大深度，防止配置循环引用
+const MAX_JUMP_DEPTH = 8
+
+/**
+ * 将 OpenSSH 通配符模式转换为正则
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')
+  return new RegExp(`^${escaped}$`, 'i')
+}
+
+/**
+ * 判断主机别名是否匹配 Host 段的模式列表（支持 ! 排除）
+ */
+function matchesPatterns(alias, patterns) {
+  let matched = false
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) {
+      if (patternToRegExp(pattern.slice(1)).test(alias)) return false
+    } else if (patternToRegExp(pattern).test(alias)) {
+      matched = true
+    }
+  }
+  return matched
+}
+
+/**
+ * 拆分一行配置为关键字和参数（支持 "Key Value" 与 "Key=Value"，以及带引号的参数）
+ */
+function splitLine(line) {
+  const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.*)$/)
+  if (!match) return null
+  const args = []
+  const argPattern = /"([^"]*)"|(\S+)/g
+  let arg
+  while ((arg = argPattern.exec(match[2])) !== null) {
+    args.push(arg[1] !== undefined ? arg[1] : arg[2])
+  }
+  return { key: match[1].toLowerCase(), args }
+}
+
+/**
+ * 解析配置文本
+ * @param {string} text - 配置内容
+ * @param {Object} options
+ * @param {Function} options.readInclude - 读取 Include 文件的函数 (path) => Promise<string|null>
+ * @param {string} options.baseDir - Include 相对路径的基准目录
+ * @returns {Promise<Array<{patterns: string[], options: Object}>>} Host 段列表（文件开头的全局配置视为 Host *）
+ */
+export async function parseSSHConfig(text, { readInclude = null, baseDir = join(homedir(), '.ssh') } = {}) {
+  const sections = [{ patterns: ['*'], options: {} }]
+  let current = sections[0]
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (!line || line.startsWith('#')) continue
+    const parsed = splitLine(line)
+    if (!parsed || parsed.args.length === 0) continue
+
+    if (parsed.key === 'host') {
+      current = { patterns: parsed.args, options: {} }
+      sections.push(current)
+    } else if (parsed.key === 'match') {
+      // Match 段的条件无法静态判定，其中的选项不参与导入
+      current = { patterns: [], options: {} }
+      sections.push(current)
+    } else if (parsed.key === 'include' && readInclude) {
+      for (const includePath of parsed.args) {
+        const fullPath = isAbsolute(expandHomePath(includePath)) ? expandHomePath(includePath) : join(baseDir, includePath)
+        const content = await readInclude(fullPath)
+        if (content) {
+          const included = await parseSSHConfig(content, { readInclude, baseDir })
+          // 被包含文件开头的全局配置属于当前 Host 段
+          Object.entries(included[0].options).forEach(([key, value]) => {
+            if (!(key in current.options)) current.options[key] = value
+          })
+          sections.push(...included.slice(1))
+        }
+      }
+    } else if (!(parsed.key in current.options)) {
+      current.options[parsed.key] = parsed.key === 'identityfile' ? parsed.args.join(' ') : parsed.args[0]
+    }
+  }
+
+  return sections
+}
+
+/**
+ * 读取并解析配置文件（Include 中不含通配符的文件会一并读取）
+ * @param {string} configPath - 配置文件路径，默认 ~/.ssh/config
+ * @returns {Promise<Array<Object>>} Host 段列表
+ */
+export async function readSSHConfig(configPath = join(homedir(), '.ssh', 'config')) {
+  const fullPath = expandHomePath(configPath)
+  const text = await fs.readFile(fullPath, 'utf-8')
+  const readInclude = async (includePath) => {
+    if (/[*?]/.test(includePath)) return null
+    try {
+      return await fs.readFile(includePath, 'utf-8')
+    } catch {
+      return null
+    }
+  }
+  return parseSSHConfig(text, { readInclude, baseDir: dirname(fullPath) })
+}
+
+/**
+ * 合并匹配主机别名的所有配置
+ * @param {Array<Object>} sections - Host 段列表
+ * @param {string} alias - 主机别名
+ * @returns {Object} 合并后的选项（关键字为小写）
+ */
+export function resolveHostOptions(sections, alias) {
+  const options = {}
+  for (const section of sections) {
+    if (!matchesPatterns(alias, section.patterns)) continue
+    for (const [key, value] of Object.entries(section.options)) {
+      if (!(key in options)) options[key] = value
+    }
+  }
+  return options
+}
+
+/**
+ * 解析 [user@]host[:port] 形式的跳板机地址
+ */
+function parseJumpSpec(spec) {
+  const match = spec.replace(/^ssh:\/\//, '').match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/)
+  if (!match) return null
+  return { username: match[1] || '', alias: match[2].replace(/^\[|\]$/g, ''), port: match[3] ? parseInt(match[3], 10) : null }
+}
+
+/**
+ * 根据别名生成主机连接配置（递归展开 ProxyJump）
+ * @param {Array<Object>} sections - Host 段列表
+ * @param {string} alias - 主机别名
+ * @param {Object} overrides - ProxyJump 中指定的用户名和端口
+ * @param {number} depth - 当前展开深度
+ * @returns {Object} { host, port, username, authType, privateKey, jumpHosts }
+ */
+function resolveHost(sections, alias, overrides = {}, depth = 0) {
+  const options = resolveHostOptions(sections, alias)
+  const identityFile = options.identityfile ? options.identityfile.replace(/%d/g, homedir()) : ''
+  const host = {
+    host: options.hostname ? options.hostname.replace(/%h/g, alias) : alias,
+    port: overrides.port || parseInt(options.port, 10) || 22,
+    username: overrides.username || options.user || '',
+    // 指定了 IdentityFile 时使用私钥文件，否则使用 SSH Agent
+    authType: identityFile ? 'privateKey' : 'agent',
+    privateKey: identityFile,
+    jumpHosts: []
+  }
+
+  const proxyJump = options.proxyjump
+  if (proxyJump && proxyJump.toLowerCase() !== 'none') {
+    if (depth >= MAX_JUMP_DEPTH) {
+      throw new Error(`主机 ${alias} 的 ProxyJump 层级过深，请检查是否存在循环引用`)
+    }
+    const jumps = proxyJump.split(',').map(spec => parseJumpSpec(spec.trim())).filter(Boolean)
+    jumps.forEach((jump, index) => {
+      const { jumpHosts: nestedJumps, ...hop } = resolveHost(sections, jump.alias, jump, depth + 1)
+      // 与 OpenSSH 一致：只有链上第一跳使用它自己配置的跳板机，后续各跳经由前一跳到达
+      if (index === 0) host.jumpHosts.push(...nestedJumps)
+      host.jumpHosts.push(hop)
+    })
+  }
+
+  return host
+}
+
+/**
+ * 列出配置中可导入的主机（不含通配符的 Host 别名）
+ * @param {Array<Object>} sections - Host 段列表
+ * @returns {Array<Object>} 主机列表 { alias, host, port, username, authType, privateKey, jumpHosts, error }
+ */
+export function listSSHConfigHosts(sections) {
+  const aliases = []
+  for (const section of sections) {
+    for (const pattern of section.patterns) {
+      if (pattern.startsWith('!') || /[*?]/.test(pattern) || aliases.includes(pattern)) continue
+      aliases.push(pattern)
+    }
+  }
+
+  return aliases.map(alias => {
+    try {
+      return { alias, ...resolveHost(sections, alias), error: null }
+    } catch (error) {
+      return { alias, host: alias, port: 22, username: '', authType: 'agent', privateKey: '', jumpHosts: [], error: error.message }
+    }
+  })
+}
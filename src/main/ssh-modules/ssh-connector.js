@@ -0,0 +1,254 @@
+/**
+ * SSH 连接建立
+ * 支持密码、私钥（含加密私钥）、SSH Agent 和 keyboard-interactive（二次验证）认证，
+ * 以及经由跳板机（ProxyJump）链式转发建立连接
+ */
+import { Client, utils } from 'ssh2'
+import { readFileSync } from 'fs'
+import { homedir } from 'os'
+import { join } from 'path'
+
+// 连接就绪超时（毫秒），包含等待用户输入验证码的时间
+const READY_TIMEOUT = 120000
+
+// 认证方式
+export const SSH_AUTH_TYPES = {
+  password: '密码',
+  privateKey: '私钥',
+  agent: 'SSH Agent'
+}
+
+/**
+ * 展开路径开头的 ~
+ * @param {string} filePath - 路径
+ * @returns {string} 展开后的路径
+ */
+export function expandHomePath(filePath) {
+  if (filePath === '~') return homedir()
+  if (filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+    return join(homedir(), filePath.slice(2))
+  }
+  return filePath
+}
+
+/**
+ * 推断认证方式（兼容没有 authType 字段的旧配置）
+ * @param {Object} target - 主机配置
+ * @returns {string} password | privateKey | agent
+ */
+export function resolveAuthType(target) {
+  if (SSH_AUTH_TYPES[target.authType]) return target.authType
+  return target.privateKey ? 'privateKey' : 'password'
+}
+
+/**
+ * 读取私钥：既支持直接粘贴的私钥内容，也支持私钥文件路径
+ * @param {string} privateKey - 私钥内容或路径
+ * @returns {string} 私钥内容
+ */
+export function loadPrivateKey(privateKey) {
+  const value = privateKey.trim()
+  if (value.includes('-----BEGIN') || value.includes('PuTTY-User-Key-File')) {
+    return value
+  }
+  try {
+    return readFileSync(expandHomePath(value), 'utf-8')
+  } catch (error) {
+    throw new Error(`读取私钥文件 ${value} 失败: ${error.message}`)
+  }
+}
+
+/**
+ * 检查私钥是否可用，加密私钥缺少密码或密码错误时给出明确提示
+ * @param {string} keyData - 私钥内容
+ * @param {string} passphrase - 私钥密码
+ */
+function checkPrivateKey(keyData, passphrase) {
+  const parsed = utils.parseKey(keyData, passphrase || undefined)
+  if (!(parsed instanceof Error)) return
+
+  if (/no passphrase given/i.test(parsed.message)) {
+    throw new Error('私钥已加密，请填写私钥密码')
+  }
+  if (/bad passphrase|integrity check failed|bad decrypt/i.test(parsed.message)) {
+    throw new Error('私钥密码错误')
+  }
+  throw new Error(`无法解析私钥: ${parsed.message}`)
+}
+
+/**
+ * 获取 SSH Agent 地址
+ * @returns {string} Unix socket 路径（Windows 下使用 Pageant 或 OpenSSH Agent 命名管道）
+ */
+function getAgentPath() {
+  if (process.env.SSH_AUTH_SOCK) return process.env.SSH_AUTH_SOCK
+  if (process.platform === 'win32') return 'pageant'
+  throw new Error('未检测到 SSH Agent（SSH_AUTH_SOCK 未设置），请先启动 ssh-agent 并添加密钥')
+}
+
+/**
+ * 构建单个主机的 ssh2 连接参数
+ * @param {Object} target - 主机配置 { host, port, username, authType, password, privateKey, passphrase }
+ * @returns {Object} ssh2 连接参数
+ */
+export function buildConnectOptions(target) {
+  if (!target.host) {
+    throw new Error('主机地址不能为空')
+  }
+  if (!target.username) {
+    throw new Error(`主机 ${target.host} 未设置用户名`)
+  }
+
+  const options = {
+    host: target.host,
+    port: parseInt(target.port, 10) || 22,
+    username: target.username,
+    readyTimeout: READY_TIMEOUT,
+    // 主认证方式之外再尝试 keyboard-interactive，用于二次验证
+    tryKeyboard: true
+  }
+
+  const authType = resolveAuthType(target)
+  if (authType === 'agent') {
+    options.agent = getAgentPath()
+  } else if (authType === 'privateKey') {
+    if (!target.privateKey) {
+      throw new Error(`主机 ${target.host} 未设置私钥`)
+    }
+    const keyData = loadPrivateKey(target.privateKey)
+    checkPrivateKey(keyData, target.passphrase)
+    options.privateKey = keyData
+    if (target.passphrase) options.passphrase = target.passphrase
+  } else if (target.password) {
+    options.password = target.password
+  } else {
+    throw new Error('需要提供密码或私钥')
+  }
+
+  return options
+}
+
+/**
+ * 建立单跳连接
+ * @param {Object} target - 主机配置
+ * @param {Object} options
+ * @param {Object} options.sock - 经由上一跳转发的通道（直连时为空）
+ * @param {Function} options.onKeyboardInteractive - 验证码提示回调 (request) => Promise<string[]>
+ * @param {Function} options.verifyHostKey - 主机密钥校验 ({ host, port }, key) => Promise，拒绝时抛出原因
+ * @returns {Promise<Client>} 已就绪的连接
+ */
+function connectHop(target, { sock, onKeyboardInteractive, verifyHostKey }) {
+  const connectOptions = buildConnectOptions(target)
+  if (sock) connectOptions.sock = sock
+
+  // 主机密钥校验失败的原因，优先于 ssh2 的通用错误信息返回
+  let hostKeyError = null
+  if (verifyHostKey) {
+    connectOptions.hostVerifier = (key, verify) => {
+      verifyHostKey({ host: target.host, port: connectOptions.port }, key)
+        .then(() => verify(true))
+        .catch((error) => {
+          hostKeyError = error
+          verify(false)
+        })
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const conn = new Client()
+    let settled = false
+
+    conn
+      .on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+        // 只有一个不回显的密码提示时直接使用已保存的密码
+        if (target.password && prompts.length === 1 && !prompts[0].echo && /password/i.test(prompts[0].prompt)) {
+          finish([target.password])
+          return
+        }
+        if (!onKeyboardInteractive) {
+          finish([])
+          return
+        }
+        onKeyboardInteractive({
+          host: target.host,
+          username: target.username,
+          name,
+          instructions,
+          prompts: prompts.map(prompt => ({ prompt: prompt.prompt, echo: !!prompt.echo }))
+        })
+          .then(answers => finish(Array.isArray(answers) ? answers : []))
+          .catch(() => finish([]))
+      })
+      .on('ready', () => {
+        settled = true
+        resolve(conn)
+      })
+      .on('error', (err) => {
+        if (!settled) {
+          settled = true
+          reject(hostKeyError || new Error(`${target.host}: ${err.message}`))
+        }
+      })
+
+    try {
+      conn.connect(connectOptions)
+    } catch (error) {
+      settled = true
+      reject(new Error(`${target.host}: ${error.message}`))
+    }
+  })
+}
+
+/**
+ * 在已建立的连接上打开到下一跳的转发通道
+ * @param {Client} conn - 上一跳连接
+ * @param {Object} target - 下一跳主机配置
+ * @returns {Promise<Object>} 转发通道
+ */
+function forwardToHop(conn, target) {
+  return new Promise((resolve, reject) => {
+    conn.forwardOut('127.0.0.1', 0, target.host, parseInt(target.port, 10) || 22, (err, stream) => {
+      if (err) {
+        reject(new Error(`跳板机无法连接到 ${target.host}:${target.port || 22}: ${err.message}`))
+        return
+      }
+      resolve(stream)
+    })
+  })
+}
+
+/**
+ * 建立 SSH 连接（按跳板机链逐跳转发）
+ * @param {Object} config - 服务器配置 { host, port, username, authType, password, privateKey, passphrase, jumpHosts }
+ * @param {Object} options
+ * @param {Function} options.onKeyboardInteractive - 验证码提示回调
+ * @param {Function} options.verifyHostKey - 主机密钥校验（每一跳都会校验）
+ * @returns {Promise<Client>} 到目标主机的连接，关闭时一并关闭跳板机连接
+ */
+export async function openSSHConnection(config, { onKeyboardInteractive, verifyHostKey } = {}) {
+  const hops = [...(config.jumpHosts || []).filter(hop => hop && hop.host), config]
+  const clients = []
+
+  try {
+    let sock = null
+    for (const hop of hops) {
+      if (clients.length > 0) {
+        sock = await forwardToHop(clients[clients.length - 1], hop)
+      }
+      clients.push(await connectHop(hop, { sock, onKeyboardInteractive, verifyHostKey }))
+    }
+  } catch (error) {
+    for (const client of clients) client.end()
+    throw error
+  }
+
+  const conn = clients[clients.length - 1]
+  const jumpClients = clients.slice(0, -1)
+  if (jumpClients.length > 0) {
+    conn.on('close', () => {
+      for (const client of jumpClients.reverse()) client.end()
+    })
+  }
+  return conn
+}
+
@@ -0,0 +1,447 @@
+/**
+ * 文件传输队列
+ * 通过 SFTP 在本机与服务器之间上传、下载文件和文件夹（本机服务器直接复制），
+ * 每个文件一个任务，支持暂停、继续、取消和中断后续传；
+ * 传输中的数据先写入 .part 文件，完成后再重命名为目标文件，
+ * 队列保存在 ~/.vllm_front/transfers.json，应用退出时正在传输的任务转为暂停
+ */
+import { BrowserWindow } from 'electron'
+import { basename, posix } from 'path'
+import sshManager from './ssh-manager'
+import dataManager from './data-manager'
+import { createLocalFs, copyRange } from './ssh-modules/sftp-fs.js'
+
+// 存储模块名
+const DATA_MODULE = 'transfers'
+// 同时传输的文件数
+const MAX_CONCURRENT = 2
+// 未完成文件的后缀
+const PART_SUFFIX = '.part'
+// 进度推送与保存间隔（毫秒）
+const NOTIFY_INTERVAL = 500
+const SAVE_INTERVAL = 10000
+// 已结束的任务最多保留条数
+const MAX_FINISHED = 200
+
+// 已结束的状态
+const FINISHED_STATUSES = ['completed', 'failed', 'canceled']
+
+class TransferManager {
+  constructor() {
+    this.tasks = []
+    // taskId -> AbortController（正在传输的任务）
+    this.controllers = new Map()
+    // taskId -> 上次推送进度的时间
+    this.notifiedAt = new Map()
+    this.saveTimer = null
+    this.ensureServerLoaded = null
+    this.localFs = createLocalFs()
+  }
+
+  /**
+   * 初始化：读取上次的队列，中断的任务转为暂停
+   * @param {Object} options
+   * @param {Function} options.ensureServerLoaded - 确保服务器已加载到 sshManager 的函数
+   */
+  async init({ ensureServerLoaded }) {
+    this.ensureServerLoaded = ensureServerLoaded
+    const stored = await dataManager.readData(DATA_MODULE, [])
+    this.tasks = (Array.isArray(stored) ? stored : []).map(task => ({
+      ...task,
+      status: task.status === 'running' || task.status === 'queued' ? 'paused' : task.status,
+      speed: 0
+    }))
+  }
+
+  /**
+   * 获取任务列表
+   * @param {string} serverId - 服务器ID，为空时返回全部
+   * @returns {Array<Object>} 任务列表
+   */
+  list(serverId) {
+    return this.tasks.filter(task => !serverId || task.serverId === serverId)
+  }
+
+  /**
+   * 获取服务器的文件系统接口（远程为 SFTP，本机服务器为本地文件系统）
+   * @param {string} serverId - 服务器ID
+   * @returns {Promise<Object>} 文件系统接口
+   */
+  async getServerFs(serverId) {
+    await this.ensureServerLoaded(serverId)
+    return sshManager.getFileSystem(serverId)
+  }
+
+  /**
+   * 收集要传输的文件（目录递归展开，并预先创建目标目录）
+   * @param {Object} sourceFs - 来源文件系统
+   * @param {Object} targetFs - 目标文件系统
+   * @param {string} sourcePath - 来源路径
+   * @param {string} targetPath - 目标路径
+   * @returns {Promise<Array<Object>>} { sourcePath, targetPath, size, mtime }
+   */
+  async collectFiles(sourceFs, targetFs, sourcePath, targetPath) {
+    const stat = await sourceFs.stat(sourcePath)
+    if (!stat.isDirectory) {
+      return [{ sourcePath, targetPath, size: stat.size, mtime: stat.mtime }]
+    }
+
+    await targetFs.mkdirp(targetPath)
+    const files = []
+    for (const entry of await sourceFs.readdir(sourcePath)) {
+      files.push(...await this.collectFiles(
+        sourceFs,
+        targetFs,
+        sourceFs.join(sourcePath, entry.name),
+        targetFs.join(targetPath, entry.name)
+      ))
+    }
+    return files
+  }
+
+  /**
+   * 上传本地文件或文件夹到服务器目录
+   * @param {string} serverId - 服务器ID
+   * @param {string[]} localPaths - 本地路径列表
+   * @param {string} remoteDir - 服务器上的目标目录
+   * @returns {Promise<Array<Object>>} 新建的任务
+   */
+  async upload(serverId, localPaths, remoteDir) {
+    const remoteFs = await this.getServerFs(serverId)
+    const files = []
+    for (const localPath of localPaths) {
+      files.push(...await this.collectFiles(this.localFs, remoteFs, localPath, remoteFs.join(remoteDir, basename(localPath))))
+    }
+    return this.enqueue(serverId, 'upload', files.map(file => ({
+      localPath: file.sourcePath,
+      remotePath: file.targetPath,
+      size: file.size,
+      sourceMtime: file.mtime
+    })))
+  }
+
+  /**
+   * 下载服务器上的文件或文件夹到本地目录
+   * @param {string} serverId - 服务器ID
+   * @param {string[]} remotePaths - 服务器路径列表
+   * @param {string} localDir - 本地目标目录
+   * @returns {Promise<Array<Object>>} 新建的任务
+   */
+  async download(serverId, remotePaths, localDir) {
+    const remoteFs = await this.getServerFs(serverId)
+    const files = []
+    for (const remotePath of remotePaths) {
+      files.push(...await this.collectFiles(remoteFs, this.localFs, remotePath, this.localFs.join(localDir, posix.basename(remotePath))))
+    }
+    return this.enqueue(serverId, 'download', files.map(file => ({
+      localPath: file.targetPath,
+      remotePath: file.sourcePath,
+      size: file.size,
+      sourceMtime: file.mtime
+    })))
+  }
+
+  /**
+   * 加入队列
+   */
+  enqueue(serverId, direction, files) {
+    const batchId = `batch-${Date.now()}`
+    const now = Date.now()
+    const created = files.map((file, index) => ({
+      id: `transfer-${now}-${index}-${Math.random().toString(36).slice(2, 8)}`,
+      batchId,
+      serverId,
+      direction,
+      name: direction === 'upload' ? posix.basename(file.remotePath) : basename(file.localPath),
+      localPath: file.localPath,
+      remotePath: file.remotePath,
+      size: file.size,
+      sourceMtime: file.sourceMtime,
+      transferred: 0,
+      speed: 0,
+      status: 'queued',
+      error: null,
+      createdAt: now,
+      finishedAt: null
+    }))
+
+    this.tasks.push(...created)
+    created.forEach(task => this.notify(task))
+    this.save()
+    this.schedule()
+    return created
+  }
+
+  /**
+   * 按顺序启动排队中的任务
+   */
+  schedule() {
+    let running = this.tasks.filter(task => task.status === 'running').length
+    for (const task of this.tasks) {
+      if (running >= MAX_CONCURRENT) break
+      if (task.status !== 'queued') continue
+      running++
+      this.run(task)
+    }
+  }
+
+  /**
+   * 传输单个文件
+   * @param {Object} task - 任务
+   */
+  async run(task) {
+    const controller = new AbortController()
+    this.controllers.set(task.id, controller)
+    task.status = 'running'
+    task.error = null
+    task.speed = 0
+    this.notify(task)
+
+    let source = null
+    let target = null
+    try {
+      const serverFs = await this.getServerFs(task.serverId)
+      const [sourceFs, targetFs] = task.direction === 'upload' ? [this.localFs, serverFs] : [serverFs, this.localFs]
+      const [sourcePath, targetPath] = task.direction === 'upload'
+        ? [task.localPath, task.remotePath]
+        : [task.remotePath, task.localPath]
+      const partPath = targetPath + PART_SUFFIX
+
+      const stat = await sourceFs.stat(sourcePath)
+      if (stat.isDirectory) {
+        throw new Error(`${sourcePath} 是目录`)
+      }
+
+      // 来源文件未变化且存在未完成文件时从已传输位置继续
+      let start = 0
+      if (task.transferred > 0 && stat.size === task.size && stat.mtime === task.sourceMtime) {
+        try {
+          start = Math.min(task.transferred, (await targetFs.stat(partPath)).size)
+        } catch {
+          start = 0
+        }
+      }
+      task.size = stat.size
+      task.sourceMtime = stat.mtime
+      task.transferred = start
+
+      await targetFs.mkdirp(targetFs.dirname(targetPath))
+      source = await sourceFs.open(sourcePath, 'r')
+      target = await targetFs.open(partPath, start > 0 ? 'r+' : 'w')
+
+      const meter = { at: Date.now(), bytes: start }
+      const transferred = await copyRange({
+        source,
+        target,
+        size: task.size,
+        start,
+        signal: controller.signal,
+        onProgress: (bytes) => {
+          task.transferred = bytes
+          this.updateSpeed(task, meter)
+          this.notify(task, true)
+        }
+      })
+
+      await Promise.all([source.close(), target.close()])
+      source = null
+      target = null
+
+      // 暂停或取消，状态已由 pause/cancel 设置
+      if (transferred < task.size) return
+
+      await targetFs.rename(partPath, targetPath)
+      task.status = 'completed'
+      task.finishedAt = Date.now()
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        task.status = 'failed'
+        task.error = error.message
+        task.finishedAt = Date.now()
+      }
+    } finally {
+      await Promise.all([source && source.close(), target && target.close()])
+      this.controllers.delete(task.id)
+      task.speed = 0
+      if (task.status === 'canceled') {
+        await this.removePartFile(task)
+      }
+      this.notify(task)
+      this.save()
+      this.schedule()
+    }
+  }
+
+  /**
+   * 计算传输速度（每秒更新一次，平滑处理）
+   */
+  updateSpeed(task, meter) {
+    const now = Date.now()
+    const elapsed = now - meter.at
+    if (elapsed < 1000) return
+    const current = ((task.transferred - meter.bytes) * 1000) / elapsed
+    task.speed = task.speed ? task.speed * 0.6 + current * 0.4 : current
+    meter.at = now
+    meter.bytes = task.transferred
+  }
+
+  /**
+   * 删除未完成文件（取消任务时）
+   */
+  async removePartFile(task) {
+    try {
+      const targetFs = task.direction === 'upload' ? await this.getServerFs(task.serverId) : this.localFs
+      const targetPath = task.direction === 'upload' ? task.remotePath : task.localPath
+      await targetFs.unlink(targetPath + PART_SUFFIX)
+    } catch {
+      // 文件不存在或连接不可用时忽略
+    }
+  }
+
+  /**
+   * 暂停任务
+   * @param {string} taskId - 任务ID
+   */
+  pause(taskId) {
+    const task = this.getTask(taskId)
+    if (task.status !== 'running' && task.status !== 'queued') {
+      throw new Error('只能暂停排队中或传输中的任务')
+    }
+    task.status = 'paused'
+    const controller = this.controllers.get(taskId)
+    if (controller) {
+      controller.abort()
+    } else {
+      this.notify(task)
+      this.save()
+    }
+  }
+
+  /**
+   * 继续任务（暂停或失败的任务从已传输位置继续）
+   * @param {string} taskId - 任务ID
+   */
+  resume(taskId) {
+    const task = this.getTask(taskId)
+    if (task.status !== 'paused' && task.status !== 'failed') {
+      throw new Error('只能继续已暂停或失败的任务')
+    }
+    if (this.controllers.has(taskId)) {
+      throw new Error('任务正在停止，请稍后再试')
+    }
+    task.status = 'queued'
+    task.error = null
+    task.finishedAt = null
+    this.notify(task)
+    this.save()
+    this.schedule()
+  }
+
+  /**
+   * 取消任务并删除未完成文件
+   * @param {string} taskId - 任务ID
+   */
+  async cancel(taskId) {
+    const task = this.getTask(taskId)
+    if (task.status === 'completed' || task.status === 'canceled') {
+      throw new Error('任务已结束')
+    }
+    task.status = 'canceled'
+    task.finishedAt = Date.now()
+    const controller = this.controllers.get(taskId)
+    if (controller) {
+      controller.abort()
+      return
+    }
+    this.notify(task)
+    this.save()
+    await this.removePartFile(task)
+  }
+
+  /**
+   * 清除已结束的任务
+   * @param {string} serverId - 服务器ID，为空时清除全部
+   * @returns {Array<Object>} 剩余任务
+   */
+  clearFinished(serverId) {
+    this.tasks = this.tasks.filter(task =>
+      !FINISHED_STATUSES.includes(task.status) || (serverId && task.serverId !== serverId)
+    )
+    this.save()
+    return this.list(serverId)
+  }
+
+  getTask(taskId) {
+    const task = this.tasks.find(item => item.id === taskId)
+    if (!task) {
+      throw new Error('传输任务不存在')
+    }
+    return task
+  }
+
+  /**
+   * 推送任务状态到界面
+   * @param {Object} task - 任务
+   * @param {boolean} throttle - 是否限制推送频率（传输进度）
+   */
+  notify(task, throttle = false) {
+    const now = Date.now()
+    if (throttle) {
+      if (now - (this.notifiedAt.get(task.id) || 0) < NOTIFY_INTERVAL) return
+      this.scheduleSave()
+    }
+    this.notifiedAt.set(task.id, now)
+    if (task.status !== 'running') this.notifiedAt.delete(task.id)
+
+    for (const window of BrowserWindow.getAllWindows()) {
+      window.webContents.send('transfer:update', { ...task })
+    }
+  }
+
+  /**
+   * 传输过程中定期保存进度，用于应用异常退出后续传
+   */
+  scheduleSave() {
+    if (this.saveTimer) return
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null
+      this.save()
+    }, SAVE_INTERVAL)
+  }
+
+  /**
+   * 保存队列（已结束的任务只保留最近的部分）
+   */
+  async save() {
+    const finished = this.tasks.filter(task => FINISHED_STATUSES.includes(task.status))
+    if (finished.length > MAX_FINISHED) {
+      const dropped = new Set(
+        finished.sort((a, b) => (a.finishedAt || 0) - (b.finishedAt || 0)).slice(0, finished.length - MAX_FINISHED)
+      )
+      this.tasks = this.tasks.filter(task => !dropped.has(task))
+    }
+    try {
+      await dataManager.writeData(DATA_MODULE, this.tasks.map(task => ({ ...task, speed: 0 })))
+    } catch (error) {
+      console.error('[TransferManager] 保存传输队列失败:', error.message)
+    }
+  }
+
+  /**
+   * 退出前停止传输并保存进度
+   */
+  async shutdown() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer)
+      this.saveTimer = null
+    }
+    for (const [taskId, controller] of this.controllers) {
+      const task = this.tasks.find(item => item.id === taskId)
+      if (task) task.status = 'paused'
+      controller.abort()
+    }
+    await this.save()
+  }
+}
+
+export default new TransferManager()
@@ -1,4 +1,4 @@
-import { contextBridge, ipcRenderer } from 'electron'
+import { contextBridge, ipcRenderer, webUtils } from 'electron'
 
 // SSH API
 const sshAPI = {
@@ -17,15 +17,31 @@ const sshAPI = {
     ipcRenderer.invoke('ssh:detectEnvironments', serverId),
   getCondaEnvironments: (serverId, condaPath) =>
     ipcRenderer.invoke('ssh:getCondaEnvironments', serverId, condaPath),
-  getServerGPUs: (serverId) => ipcRenderer.invoke('ssh:getServerGPUs', serverId)
+  getServerGPUs: (serverId) => ipcRenderer.invoke('ssh:getServerGPUs', serverId),
+  replyKeyboardInteractive: (requestId, answers) =>
+    ipcRenderer.invoke('ssh:keyboardInteractiveReply', requestId, answers),
+  listConfigHosts: (configPath) => ipcRenderer.invoke('ssh:listConfigHosts', configPath),
+  replyHostKey: (requestId, accepted) => ipcRenderer.invoke('ssh:hostKeyReply', requestId, accepted),
+  listKnownHosts: () => ipcRenderer.invoke('ssh:listKnownHosts'),
+  removeKnownHost: (id) => ipcRenderer.invoke('ssh:removeKnownHost', id)
 }
 
 // 服务管理API
 const serviceAPI = {
-  start: (serverId, serviceConfig) => ipcRenderer.invoke('service:start', serverId, serviceConfig),
-  stop: (serverId, pid, startCommand) => ipcRenderer.invoke('service:stop', serverId, pid, startCommand),
+  start: (serverId, serviceConfig, progressId) => ipcRenderer.invoke('service:start', serverId, serviceConfig, progressId),
+  stop: (serverId, pid, startCommand, serviceId, launchSpec) =>
+    ipcRenderer.invoke('service:stop', serverId, pid, startCommand, serviceId, launchSpec),
   checkStatus: (serverId, pid) => ipcRenderer.invoke('service:checkStatus', serverId, pid),
-  checkAllStatus: (services) => ipcRenderer.invoke('service:checkAllStatus', services)
+  checkAllStatus: (services) => ipcRenderer.invoke('service:checkAllStatus', services),
+  renderCommand: (launchSpec, envType, envName, frameworkVersion) =>
+    ipcRenderer.invoke('service:renderCommand', launchSpec, envType, envName, frameworkVersion),
+  parseCommand: (startCommand) => ipcRenderer.invoke('service:parseCommand', startCommand),
+  estimateMemory: (serverId, launchSpec) =>
+    ipcRenderer.invoke('service:estimateMemory', serverId, launchSpec),
+  getSupervision: (serverId, serviceId, limit) =>
+    ipcRenderer.invoke('service:getSupervision', serverId, serviceId, limit),
+  scrapeMetrics: (serverId, options) => ipcRenderer.invoke('service:scrapeMetrics', serverId, options),
+  getMetricsHistory: (serviceId) => ipcRenderer.invoke('service:getMetricsHistory', serviceId)
 }
 
 // 日志管理API
@@ -35,9 +51,12 @@ const logAPI = {
 
 // 框架升级API
 const frameworkAPI = {
+  list: () => ipcRenderer.invoke('framework:list'),
   upgrade: (serverId, upgradeConfig) => ipcRenderer.invoke('framework:upgrade', serverId, upgradeConfig),
   getVersion: (serverId, framework, envType, envName) =>
-    ipcRenderer.invoke('framework:getVersion', serverId, framework, envType, envName)
+    ipcRenderer.invoke('framework:getVersion', serverId, framework, envType, envName),
+  getParameterSchema: (serverId, framework, envType, envName, executablePath) =>
+    ipcRenderer.invoke('framework:getParameterSchema', serverId, framework, envType, envName, executablePath)
 }
 
 // 数据持久化API
@@ -54,20 +73,45 @@ const dataAPI = {
 // 模型市场API
 const modelHubAPI = {
   getModels: (platform, params) => ipcRenderer.invoke('modelHub:getModels', platform, params),
+  getModelFiles: (platform, modelId, revision) =>
+    ipcRenderer.invoke('modelHub:getModelFiles', platform, modelId, revision),
+  getModelDetail: (platform, modelId) =>
+    ipcRenderer.invoke('modelHub:getModelDetail', platform, modelId),
+  checkAccess: (platform, modelId) => ipcRenderer.invoke('modelHub:checkAccess', platform, modelId),
+  getHubConfig: () => ipcRenderer.invoke('modelHub:getHubConfig'),
+  saveHubConfig: (platform, config) => ipcRenderer.invoke('modelHub:saveHubConfig', platform, config),
   checkCommand: (serverId, envType, envName, command) =>
     ipcRenderer.invoke('modelHub:checkCommand', serverId, envType, envName, command),
   startDownload: (downloadConfig) => ipcRenderer.invoke('modelHub:startDownload', downloadConfig),
-  cancelDownload: (serverId, modelId) => ipcRenderer.invoke('modelHub:cancelDownload', serverId, modelId)
+  cancelDownload: (downloadId) => ipcRenderer.invoke('modelHub:cancelDownload', downloadId),
+  listDownloads: () => ipcRenderer.invoke('modelHub:listDownloads'),
+  removeDownload: (downloadId) => ipcRenderer.invoke('modelHub:removeDownload', downloadId),
+  getDownloadSettings: () => ipcRenderer.invoke('modelHub:getDownloadSettings'),
+  setDownloadSettings: (settings) => ipcRenderer.invoke('modelHub:setDownloadSettings', settings),
+  copyModel: (copyConfig) => ipcRenderer.invoke('modelHub:copyModel', copyConfig),
+  cancelCopy: (downloadId) => ipcRenderer.invoke('modelHub:cancelCopy', downloadId)
 }
 
 // 模型测试API
 const modelTestAPI = {
-  testConnection: (protocol, serverUrl, apiKey, model) =>
-    ipcRenderer.invoke('modelTest:testConnection', protocol, serverUrl, apiKey, model),
+  testConnection: (protocol, serverUrl, apiKey, model, testType) =>
+    ipcRenderer.invoke('modelTest:testConnection', protocol, serverUrl, apiKey, model, testType),
   listModels: (protocol, serverUrl, apiKey) =>
     ipcRenderer.invoke('modelTest:listModels', protocol, serverUrl, apiKey),
-  chat: (protocol, serverUrl, apiKey, model, messages, params) =>
-    ipcRenderer.invoke('modelTest:chat', protocol, serverUrl, apiKey, model, messages, params)
+  chat: (protocol, serverUrl, apiKey, model, messages, params, streamId) =>
+    ipcRenderer.invoke('modelTest:chat', protocol, serverUrl, apiKey, model, messages, params, streamId),
+  abortChat: (streamId) => ipcRenderer.invoke('modelTest:abortChat', streamId),
+  embeddings: (protocol, serverUrl, apiKey, model, input) =>
+    ipcRenderer.invoke('modelTest:embeddings', protocol, serverUrl, apiKey, model, input),
+  rerank: (protocol, serverUrl, apiKey, model, query, documents, options) =>
+    ipcRenderer.invoke('modelTest:rerank', protocol, serverUrl, apiKey, model, query, documents, options),
+  completion: (protocol, serverUrl, apiKey, model, prompt, params) =>
+    ipcRenderer.invoke('modelTest:completion', protocol, serverUrl, apiKey, model, prompt, params),
+  startBenchmark: (target, options) => ipcRenderer.invoke('modelTest:startBenchmark', target, options),
+  cancelBenchmark: (runId) => ipcRenderer.invoke('modelTest:cancelBenchmark', runId),
+  listBenchmarks: () => ipcRenderer.invoke('modelTest:listBenchmarks'),
+  deleteBenchmark: (runId) => ipcRenderer.invoke('modelTest:deleteBenchmark', runId),
+  selectDataset: () => ipcRenderer.invoke('modelTest:selectDataset')
 }
 
 // 数据源管理API
@@ -97,7 +141,34 @@ const fileManagerAPI = {
   rename: (serverId, oldPath, newName) =>
     ipcRenderer.invoke('fileManager:rename', serverId, oldPath, newName),
   delete: (serverId, paths) =>
-    ipcRenderer.invoke('fileManager:delete', serverId, paths)
+    ipcRenderer.invoke('fileManager:delete', serverId, paths),
+  readTextFile: (serverId, path) =>
+    ipcRenderer.invoke('fileManager:readTextFile', serverId, path),
+  writeTextFile: (serverId, path, content, options) =>
+    ipcRenderer.invoke('fileManager:writeTextFile', serverId, path, content, options),
+  selectLocalPaths: (mode) => ipcRenderer.invoke('fileManager:selectLocalPaths', mode),
+  // 拖放的文件对应的本地路径
+  getPathForFile: (file) => webUtils.getPathForFile(file)
+}
+
+// 文件传输API
+const transferAPI = {
+  upload: (serverId, localPaths, remoteDir) =>
+    ipcRenderer.invoke('transfer:upload', serverId, localPaths, remoteDir),
+  download: (serverId, remotePaths, localDir) =>
+    ipcRenderer.invoke('transfer:download', serverId, remotePaths, localDir),
+  list: (serverId) => ipcRenderer.invoke('transfer:list', serverId),
+  pause: (taskId) => ipcRenderer.invoke('transfer:pause', taskId),
+  resume: (taskId) => ipcRenderer.invoke('transfer:resume', taskId),
+  cancel: (taskId) => ipcRenderer.invoke('transfer:cancel', taskId),
+  clearFinished: (serverId) => ipcRenderer.invoke('transfer:clearFinished', serverId)
+}
+
+// 模型库API
+const modelInventoryAPI = {
+  list: () => ipcRenderer.invoke('modelInventory:list'),
+  scan: (serverId) => ipcRenderer.invoke('modelInventory:scan', serverId),
+  setRoots: (serverId, roots) => ipcRenderer.invoke('modelInventory:setRoots', serverId, roots)
 }
 
 // GPU 进程管理API
@@ -107,6 +178,23 @@ const gpuAPI = {
   killBatchProcesses: (serverId, pids) => ipcRenderer.invoke('gpu:killBatchProcesses', serverId, pids)
 }
 
+// 资源监控API
+const monitorAPI = {
+  getConfig: (serverId) => ipcRenderer.invoke('monitor:getConfig', serverId),
+  setConfig: (serverId, config) => ipcRenderer.invoke('monitor:setConfig', serverId, config),
+  getHistory: (serverId, range) => ipcRenderer.invoke('monitor:getHistory', serverId, range),
+  sampleNow: (serverId) => ipcRenderer.invoke('monitor:sampleNow', serverId)
+}
+
+// 告警API
+const alertAPI = {
+  getConfig: () => ipcRenderer.invoke('alert:getConfig'),
+  saveConfig: (config) => ipcRenderer.invoke('alert:saveConfig', config),
+  testWebhook: (webhook) => ipcRenderer.invoke('alert:testWebhook', webhook),
+  getHistory: (limit) => ipcRenderer.invoke('alert:getHistory', limit),
+  clearHistory: () => ipcRenderer.invoke('alert:clearHistory')
+}
+
 contextBridge.exposeInMainWorld('api', {
   ssh: sshAPI,
   service: serviceAPI,
@@ -117,21 +205,28 @@ contextBridge.exposeInMainWorld('api', {
   modelTest: modelTestAPI,
   datasource: datasourceAPI,
   fileManager: fileManagerAPI,
-  gpu: gpuAPI
+  transfer: transferAPI,
+  modelInventory: modelInventoryAPI,
+  gpu: gpuAPI,
+  monitor: monitorAPI,
+  alert: alertAPI
 })
 
 // 暴露 electron 对象用于事件监听（主要用于下载进度和模型测试流式输出）
 contextBridge.exposeInMainWorld('electron', {
   ipcRenderer: {
     on: (channel, func) => {
-      const validChannels = ['download:progress:', 'download:log:', 'modelTest:chunk', 'ssh:stream:data', 'ssh:stream:close']
+      const validChannels = ['download:progress:', 'download:log:', 'modelTest:chunk', 'ssh:stream:data', 'ssh:stream:close', 'service:start:progress:', 'ssh:keyboardInteractive', 'ssh:hostKeyConfirm', 'transfer:update', 'modelTest:benchmark']
       if (validChannels.some(vc => channel.startsWith(vc))) {
         // 修复：需要同时传递 event 和 args
-        ipcRenderer.on(channel, (event, ...args) => func(event, ...args))
+        const listener = (event, ...args) => func(event, ...args)
+        ipcRenderer.on(channel, listener)
+        // 经 contextBridge 传入的函数每次都是新的代理，removeListener 找不到它，需用返回的函数取消监听
+        return () => ipcRenderer.removeListener(channel, listener)
       }
     },
     removeListener: (channel, func) => {
-      const validChannels = ['download:progress:', 'download:log:', 'modelTest:chunk', 'ssh:stream:data', 'ssh:stream:close']
+      const validChannels = ['download:progress:', 'download:log:', 'modelTest:chunk', 'ssh:stream:data', 'ssh:stream:close', 'service:start:progress:', 'ssh:keyboardInteractive', 'ssh:hostKeyConfirm', 'transfer:update', 'modelTest:benchmark']
       if (validChannels.some(vc => channel.startsWith(vc))) {
         ipcRenderer.removeListener(channel, func)
       }
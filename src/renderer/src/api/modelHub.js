@@ -4,24 +4,68 @@
  */
 import axios from 'axios'
 
-// 平台配置
+// 平台官方地址（未配置镜像时使用）
+export const DEFAULT_ENDPOINTS = {
+  modelscope: 'https://modelscope.cn',
+  huggingface: 'https://huggingface.co'
+}
+
+// 平台配置（path 相对接口地址）
 const PLATFORMS = {
   modelscope: {
-    baseUrl: 'https://modelscope.cn/api/v1/dolphin/models',
+    path: '/api/v1/dolphin/models',
     method: 'PUT',
     supportsPagination: true
   },
   huggingface: {
-    baseUrl: 'https://huggingface.co/models-json',
+    path: '/models-json',
     method: 'GET',
     supportsPagination: true
   }
 }
 
+/**
+ * 获取平台的接口地址
+ * @param {string} platform - 平台
+ * @param {Object} [options] - 访问配置 { endpoint, token }
+ * @returns {string}
+ */
+export function getEndpoint(platform, options = {}) {
+  return (options.endpoint || DEFAULT_ENDPOINTS[platform] || '').replace(/\/+$/, '')
+}
+
+/**
+ * 获取模型页面地址
+ * @param {string} platform - 平台
+ * @param {string} modelId - 模型ID
+ * @param {Object} [options] - 访问配置 { endpoint }
+ * @returns {string}
+ */
+export function getModelPageUrl(platform, modelId, options = {}) {
+  const endpoint = getEndpoint(platform, options)
+  return platform === 'modelscope' ? `${endpoint}/models/${modelId}` : `${endpoint}/${modelId}`
+}
+
+/**
+ * 生成请求头，配置了访问令牌时带上认证信息
+ */
+function buildHeaders(options = {}) {
+  const headers = {
+    'Accept': 'application/json'
+  }
+  if (options.token) {
+    headers['Authorization'] = `Bearer ${options.token}`
+  }
+  return headers
+}
+
 /**
  * 统一的模型获取接口
+ * @param {string} platform - 平台
+ * @param {Object} params - { search, pageSize, pageIndex }
+ * @param {Object} [options] - 访问配置 { endpoint（镜像地址）, token }
  */
-export async function getModels(platform, params = {}) {
+export async function getModels(platform, params = {}, options = {}) {
   const { search = '', pageSize = 30, pageIndex = 0 } = params
   const config = PLATFORMS[platform]
 
@@ -37,9 +81,7 @@ export async function getModels(platform, params = {}) {
   try {
     let requestConfig = {
       timeout: 15000,
-      headers: {
-        'Accept': 'application/json'
-      }
+      headers: buildHeaders(options)
     }
 
     let requestData = null
@@ -73,7 +115,7 @@ export async function getModels(platform, params = {}) {
 
     const response = await axios({
       method: config.method,
-      url: config.baseUrl,
+      url: `${getEndpoint(platform, options)}${config.path}`,
       data: requestData,
       params: requestParams,
       ...requestConfig
@@ -150,3 +192,327 @@ function parseResponse(platform, data) {
     total: totalCount
   }
 }
+
+// 仓库文件列表接口（路径相对接口地址，revision 为空时使用默认分支）
+const FILE_LIST_PATHS = {
+  modelscope: (modelId, revision) =>
+    `/api/v1/models/${modelId}/repo/files?Recursive=true&Revision=${encodeURIComponent(revision || 'master')}`,
+  huggingface: (modelId, revision) =>
+    revision
+      ? `/api/models/${modelId}/revision/${encodeURIComponent(revision)}?blobs=true`
+      : `/api/models/${modelId}?blobs=true`
+}
+
+/**
+ * 获取模型仓库的文件列表和大小
+ * @param {string} platform - 平台
+ * @param {string} modelId - 模型ID
+ * @param {string} [revision] - 分支、标签或提交
+ * @param {Object} [options] - 访问配置 { endpoint, token }
+ * @returns {Promise<Object>} { success, data: [{ path, size }], total }
+ */
+export async function getModelFiles(platform, modelId, revision = '', options = {}) {
+  const buildPath = FILE_LIST_PATHS[platform]
+  if (!buildPath) {
+    return { success: false, error: '不支持的平台', data: [], total: 0 }
+  }
+
+  try {
+    const response = await axios.get(`${getEndpoint(platform, options)}${buildPath(modelId, revision)}`, {
+      timeout: 15000,
+      headers: buildHeaders(options)
+    })
+
+    let files = []
+    if (platform === 'modelscope') {
+      // ModelScope 响应: { Code, Data: { Files: [{ Path, Size, Type }] } }
+      files = (response.data?.Data?.Files || [])
+        .filter(file => file.Type === 'blob')
+        .map(file => ({ path: file.Path, size: file.Size || 0 }))
+    } else {
+      // HuggingFace 响应: { siblings: [{ rfilename, size }] }
+      files = (response.data?.siblings || []).map(file => ({
+        path: file.rfilename,
+        size: file.size || 0
+      }))
+    }
+
+    return {
+      success: true,
+      data: files,
+      total: files.reduce((sum, file) => sum + file.size, 0)
+    }
+  } catch (error) {
+    console.error(`获取 ${platform} 模型文件列表失败:`, error.message)
+    return { success: false, error: error.message, data: [], total: 0 }
+  }
+}
+
+/**
+ * 去掉模型卡片开头的 YAML 元数据
+ */
+function stripFrontMatter(markdown) {
+  return String(markdown || '').replace(/^\uFEFF?---\r?\n[\s\S]*?\r?\n---\r?\n?/, '')
+}
+
+/**
+ * 将模型卡片中图片的相对路径改为仓库文件地址
+ * @param {string} markdown - 模型卡片
+ * @param {Function} resolveFile - 文件路径 -> 下载地址
+ */
+function resolveReadmeImages(markdown, resolveFile) {
+  const isRelative = (url) => !/^([a-z][a-z0-9+.-]*:|\/\/|#|data:)/i.test(url)
+  const resolve = (url) => resolveFile(url.replace(/^\.?\//, ''))
+  return markdown
+    .replace(/(!\[[^\]]*\]\()\s*([^)\s]+)/g, (match, prefix, url) =>
+      isRelative(url) ? `${prefix}${resolve(url)}` : match
+    )
+    .replace(/(<img\b[^>]*?\bsrc=["'])([^"']+)/gi, (match, prefix, url) =>
+      isRelative(url) ? `${prefix}${resolve(url)}` : match
+    )
+}
+
+/**
+ * 获取模型详情：模型卡片、许可证、标签、文件列表、总大小和最后更新时间
+ * @param {string} platform - 平台
+ * @param {string} modelId - 模型ID
+ * @param {Object} [options] - 访问配置 { endpoint, token }
+ * @returns {Promise<Object>} { success, data: { id, name, author, description, license, tags, task,
+ *   downloads, likes, gated, lastModified（毫秒时间戳）, readme, files: [{ path, size }], totalSize } }
+ */
+export async function getModelDetail(platform, modelId, options = {}) {
+  if (!PLATFORMS[platform]) {
+    return { success: false, error: '不支持的平台' }
+  }
+
+  const endpoint = getEndpoint(platform, options)
+  const requestConfig = {
+    timeout: 15000,
+    headers: buildHeaders(options)
+  }
+
+  try {
+    let detail
+    if (platform === 'modelscope') {
+      // ModelScope 响应: { Code, Message, Data: { Name, ChineseName, Description, License, Tags, Tasks,
+      //   Downloads, Stars, LastUpdatedTime（秒）, ReadMeContent } }
+      const [response, filesResult] = await Promise.all([
+        axios.get(`${endpoint}/api/v1/models/${modelId}`, requestConfig),
+        getModelFiles(platform, modelId, '', options)
+      ])
+      const data = response.data?.Data
+      if (!data) {
+        throw new Error(response.data?.Message || '模型不存在')
+      }
+
+      const resolveFile = (path) =>
+        `${endpoint}/api/v1/models/${modelId}/repo?Revision=master&FilePath=${encodeURIComponent(path)}`
+      let readme = data.ReadMeContent || ''
+      if (!readme && filesResult.data.some(file => file.path === 'README.md')) {
+        const readmeResponse = await axios.get(resolveFile('README.md'), {
+          ...requestConfig,
+          responseType: 'text'
+        }).catch(() => null)
+        readme = readmeResponse?.data || ''
+      }
+
+      detail = {
+        id: modelId,
+        name: data.ChineseName || data.Name || modelId.split('/').pop(),
+        author: modelId.split('/')[0],
+        description: data.Description || '',
+        license: data.License || '',
+        tags: [...(data.Tags || []), ...(data.Frameworks || [])].filter(tag => typeof tag === 'string'),
+        task: data.Tasks?.[0]?.Name || null,
+        downloads: data.Downloads || 0,
+        likes: data.Stars || 0,
+        gated: false,
+        lastModified: data.LastUpdatedTime ? data.LastUpdatedTime * 1000 : null,
+        readme: resolveReadmeImages(stripFrontMatter(readme), resolveFile),
+        files: filesResult.data
+      }
+    } else {
+      // HuggingFace 响应: { id, author, tags, pipeline_tag, downloads, likes, gated, lastModified,
+      //   cardData: { license }, siblings: [{ rfilename, size }] }
+      const response = await axios.get(`${endpoint}/api/models/${modelId}?blobs=true`, requestConfig)
+      const data = response.data || {}
+      const files = (data.siblings || []).map(file => ({
+        path: file.rfilename,
+        size: file.size || 0
+      }))
+
+      const resolveFile = (path) => `${endpoint}/${modelId}/resolve/main/${path}`
+      let readme = ''
+      if (files.some(file => file.path === 'README.md')) {
+        const readmeResponse = await axios.get(resolveFile('README.md'), {
+          ...requestConfig,
+          responseType: 'text'
+        }).catch(() => null)
+        readme = readmeResponse?.data || ''
+      }
+
+      const tags = (data.tags || []).filter(tag => !tag.includes(':'))
+      const licenseTag = (data.tags || []).find(tag => tag.startsWith('license:'))
+      detail = {
+        id: data.id || modelId,
+        name: (data.id || modelId).split('/').pop(),
+        author: data.author || modelId.split('/')[0],
+        description: '',
+        license: data.cardData?.license || (licenseTag ? licenseTag.slice('license:'.length) : ''),
+        tags,
+        task: data.pipeline_tag || null,
+        downloads: data.downloads || 0,
+        likes: data.likes || 0,
+        gated: !!data.gated,
+        lastModified: data.lastModified ? new Date(data.lastModified).getTime() : null,
+        readme: resolveReadmeImages(stripFrontMatter(readme), resolveFile),
+        files
+      }
+    }
+
+    detail.license = Array.isArray(detail.license) ? detail.license.join(', ') : String(detail.license || '')
+    detail.totalSize = detail.files.reduce((sum, file) => sum + file.size, 0)
+    return { success: true, data: detail }
+  } catch (error) {
+    console.error(`获取 ${platform} 模型详情失败:`, error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * 检查是否可以下载模型：模型是否存在、是否为需要申请访问的受限模型（gated）、令牌是否有效
+ * @param {string} platform - 平台
+ * @param {string} modelId - 模型ID
+ * @param {Object} [options] - 访问配置 { endpoint, token }
+ * @returns {Promise<Object>} { success, data: { accessible, gated, reason } }
+ */
+export async function checkModelAccess(platform, modelId, options = {}) {
+  if (!PLATFORMS[platform]) {
+    return { success: false, error: '不支持的平台' }
+  }
+
+  const endpoint = getEndpoint(platform, options)
+  const requestConfig = {
+    timeout: 15000,
+    headers: buildHeaders(options),
+    // 根据状态码判断，不抛出异常
+    validateStatus: () => true
+  }
+  const denied = (reason, gated = false) => ({
+    success: true,
+    data: { accessible: false, gated, reason }
+  })
+
+  try {
+    if (platform === 'modelscope') {
+      // ModelScope 响应: { Code, Message, Data }
+      const response = await axios.get(`${endpoint}/api/v1/models/${modelId}`, requestConfig)
+      if (response.status === 401 || response.status === 403) {
+        return denied(options.token ? '访问令牌无效或无权访问该模型' : '该模型需要登录访问，请先配置访问令牌')
+      }
+      if (response.status === 404 || (response.data?.Code && response.data.Code !== 200)) {
+        return denied(`模型不存在或无权访问${response.data?.Message ? `: ${response.data.Message}` : ''}`)
+      }
+      if (response.status >= 400) {
+        return { success: false, error: `请求失败: HTTP ${response.status}` }
+      }
+      return { success: true, data: { accessible: true, gated: false, reason: '' } }
+    }
+
+    // HuggingFace 的私有模型和不存在的模型都返回 401/404
+    const response = await axios.get(`${endpoint}/api/models/${modelId}`, requestConfig)
+    if (response.status === 401 || response.status === 404) {
+      return denied(options.token
+        ? '模型不存在，或访问令牌无效、无权访问该模型'
+        : '模型不存在或为私有模型，如为私有模型请先配置访问令牌')
+    }
+    if (response.status >= 400) {
+      return { success: false, error: `请求失败: HTTP ${response.status}` }
+    }
+
+    const gated = !!response.data?.gated
+    if (!gated) {
+      return { success: true, data: { accessible: true, gated: false, reason: '' } }
+    }
+    if (!options.token) {
+      return denied('该模型需要在 Hugging Face 上同意使用协议并申请访问，请先配置访问令牌', true)
+    }
+
+    // 受限模型的元数据可以公开读取，需要请求一个文件确认令牌已获得访问授权
+    const file = response.data?.siblings?.[0]?.rfilename || 'config.json'
+    const fileResponse = await axios.head(`${endpoint}/${modelId}/resolve/main/${file}`, {
+      ...requestConfig,
+      maxRedirects: 0
+    })
+    if (fileResponse.status === 401) {
+      return denied('访问令牌无效，请检查访问设置', true)
+    }
+    if (fileResponse.status === 403) {
+      return denied('尚未获得该模型的访问授权，请在 Hugging Face 模型页面申请访问并等待审核通过', true)
+    }
+    return { success: true, data: { accessible: true, gated: true, reason: '' } }
+  } catch (error) {
+    console.error(`检查 ${platform} 模型访问权限失败:`, error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * 将逗号、空格或换行分隔的通配符规则拆分为数组
+ * @param {string|Array<string>} text - 规则文本
+ * @returns {Array<string>}
+ */
+export function parsePatterns(text) {
+  if (Array.isArray(text)) return text.filter(Boolean)
+  return String(text || '')
+    .split(/[\s,]+/)
+    .map(pattern => pattern.trim())
+    .filter(Boolean)
+}
+
+/**
+ * 将通配符规则转换为正则（与下载工具一致按 fnmatch 匹配：* 可以匹配 /，以 / 结尾的规则匹配整个目录）
+ */
+function globToRegExp(pattern) {
+  const glob = pattern.endsWith('/') ? `${pattern}*` : pattern
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*') {
+      source += '.*'
+    } else if (char === '?') {
+      source += '.'
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1)
+      if (end === -1) {
+        source += '\\['
+      } else {
+        const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')
+        source += `[${body}]`
+        i = end
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * 按下载选项筛选仓库文件
+ * @param {Array<Object>} files - 仓库文件列表 [{ path, size }]
+ * @param {Object} selection - { files: 手动选择的文件路径（为数组时忽略规则）, include: 包含规则, exclude: 排除规则 }
+ * @returns {Array<Object>} 会被下载的文件
+ */
+export function filterModelFiles(files, selection = {}) {
+  if (Array.isArray(selection.files)) {
+    const selected = new Set(selection.files)
+    return files.filter(file => selected.has(file.path))
+  }
+  const include = parsePatterns(selection.include).map(globToRegExp)
+  const exclude = parsePatterns(selection.exclude).map(globToRegExp)
+  return files.filter(file =>
+    (include.length === 0 || include.some(regexp => regexp.test(file.path))) &&
+    !exclude.some(regexp => regexp.test(file.path))
+  )
+}
@@ -37,10 +37,24 @@ class BaseModelStrategy {
  * 使用 fetch API 直接调用
  */
 class OpenAIStrategy extends BaseModelStrategy {
-  async chat(messages, params = {}, onChunk = null) {
+  /**
+   * @param {Function} onToolCalls - 工具调用回调，收到目前为止拼接好的全部 tool_calls
+   */
+  async chat(messages, params = {}, onChunk = null, onToolCalls = null) {
     const requestBody = {
       model: this.config.model,
-      messages: messages.map(m => ({ role: m.role, content: m.content })),
+      // 保留工具调用相关字段，才能把工具结果带回给模型；图片（data URL）转为 image_url 片段
+      messages: messages.map(m => ({
+        role: m.role,
+        content: m.images?.length
+          ? [
+              ...(m.content ? [{ type: 'text', text: m.content }] : []),
+              ...m.images.map(url => ({ type: 'image_url', image_url: { url } }))
+            ]
+          : m.content,
+        ...(m.tool_calls ? { tool_calls: m.tool_calls } : {}),
+        ...(m.tool_call_id ? { tool_call_id: m.tool_call_id } : {})
+      })),
       temperature: params.temperature ?? 0.7,
       max_tokens: params.maxTokens ?? 2000,
       top_p: params.topP ?? 1.0,
@@ -48,15 +62,19 @@ class OpenAIStrategy extends BaseModelStrategy {
       presence_penalty: params.presencePenalty ?? 0,
       stream: params.stream ?? true
     }
+    if (params.tools?.length) {
+      requestBody.tools = params.tools
+      requestBody.tool_choice = params.toolChoice ?? 'auto'
+    }
 
     if (params.stream) {
-      return await this._streamChat(requestBody, onChunk)
+      return await this._streamChat(requestBody, onChunk, onToolCalls)
     } else {
-      return await this._nonStreamChat(requestBody)
+      return await this._nonStreamChat(requestBody, onToolCalls)
     }
   }
 
-  async _streamChat(requestBody, onChunk) {
+  async _streamChat(requestBody, onChunk, onToolCalls) {
     const response = await fetch(`${this.config.serverUrl}/chat/completions`, {
       method: 'POST',
       headers: {
@@ -74,6 +92,7 @@ class OpenAIStrategy extends BaseModelStrategy {
     const reader = response.body.getReader()
     const decoder = new TextDecoder()
     let fullContent = ''
+    const toolCalls = []
 
     while (true) {
       const { done, value } = await reader.read()
@@ -94,6 +113,15 @@ class OpenAIStrategy extends BaseModelStrategy {
               fullContent += content
               if (onChunk) onChunk(content)
             }
+            // 工具调用按 index 分片返回，arguments 需要拼接
+            for (const delta of parsed.choices[0]?.delta?.tool_calls || []) {
+              const index = delta.index ?? toolCalls.length
+              toolCalls[index] ??= { id: '', type: 'function', function: { name: '', arguments: '' } }
+              if (delta.id) toolCalls[index].id = delta.id
+              if (delta.function?.name) toolCalls[index].function.name += delta.function.name
+              if (delta.function?.arguments) toolCalls[index].function.arguments += delta.function.arguments
+              if (onToolCalls) onToolCalls(toolCalls)
+            }
           } catch (e) {
             // Ignore parse errors for keep-alive lines
           }
@@ -104,7 +132,7 @@ class OpenAIStrategy extends BaseModelStrategy {
     return fullContent
   }
 
-  async _nonStreamChat(requestBody) {
+  async _nonStreamChat(requestBody, onToolCalls) {
     const response = await fetch(`${this.config.serverUrl}/chat/completions`, {
       method: 'POST',
       headers: {
@@ -120,6 +148,8 @@ class OpenAIStrategy extends BaseModelStrategy {
     }
 
     const data = await response.json()
+    const toolCalls = data.choices[0]?.message?.tool_calls
+    if (toolCalls?.length && onToolCalls) onToolCalls(toolCalls)
     return data.choices[0]?.message?.content || ''
   }
 
@@ -180,7 +210,10 @@ class OllamaStrategy extends BaseModelStrategy {
   async chat(messages, params = {}, onChunk = null) {
     const requestBody = {
       model: this.config.model,
-      messages: messages,
+      // Ollama 的图片为不带 data URL 前缀的 base64
+      messages: messages.map(({ images, ...m }) =>
+        images?.length ? { ...m, images: images.map(url => url.replace(/^data:[^,]*;base64,/, '')) } : m
+      ),
       stream: params.stream ?? true,
       options: {
         temperature: params.temperature ?? 0.7,
@@ -29,11 +29,21 @@ const router = createRouter({
           name: "日志监控",
           component: () => import("@renderer/views/logs/LogViewer.vue"),
         },
+        {
+          path: "alerts",
+          name: "告警中心",
+          component: () => import("@renderer/views/alerts/AlertCenter.vue"),
+        },
         {
           path: "market",
           name: "模型市场",
           component: () => import("@renderer/views/market/ModelMarket.vue"),
         },
+        {
+          path: "models",
+          name: "模型库",
+          component: () => import("@renderer/views/models/ModelInventory.vue"),
+        },
         {
           path: "model-tests",
           name: "模型测试",
@@ -45,6 +55,24 @@ const router = createRouter({
           component: () => import("@renderer/views/model-tests/ChatTestPanel.vue"),
           props: true
         },
+        {
+          path: "model-tests/benchmark/:testId?",
+          name: "性能压测",
+          component: () => import("@renderer/views/model-tests/BenchmarkPanel.vue"),
+          props: true
+        },
+        {
+          path: "model-tests/compare/:comparisonId?",
+          name: "对比测试",
+          component: () => import("@renderer/views/model-tests/ComparePanel.vue"),
+          props: true
+        },
+        {
+          path: "model-tests/endpoint/:testId?",
+          name: "接口测试",
+          component: () => import("@renderer/views/model-tests/EndpointTestPanel.vue"),
+          props: true
+        },
         {
           path: "datasource",
           name: "数据源管理",
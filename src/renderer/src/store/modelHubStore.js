@@ -3,6 +3,7 @@
  */
 import { defineStore } from 'pinia'
 import { ref } from 'vue'
+import { getModelPageUrl } from '@renderer/api/modelHub'
 
 export const useModelHubStore = defineStore('modelHub', () => {
   // 模型缓存（按平台分类）
@@ -14,8 +15,20 @@ export const useModelHubStore = defineStore('modelHub', () => {
   // 下载任务列表
   const downloadTasks = ref([])
 
+  // 平台访问设置 platform -> { endpoint, hasToken, tokenHint }（令牌明文只保存在主进程）
+  const hubConfig = ref({
+    modelscope: { endpoint: '', hasToken: false, tokenHint: '' },
+    huggingface: { endpoint: '', hasToken: false, tokenHint: '' }
+  })
+
   const DATA_MODULE = 'modelHub'
 
+  // 已注册进度监听的任务（preload 包装了回调，无法移除监听，每个任务只注册一次）
+  const watchedTasks = new Set()
+
+  // 是否已从磁盘加载并与主进程下载队列同步
+  let tasksLoaded = false
+
   /**
    * 获取模型列表
    */
@@ -37,7 +50,21 @@ export const useModelHubStore = defineStore('modelHub', () => {
   }
 
   /**
-   * 开始下载任务
+   * 获取模型详情（模型卡片、文件列表、许可证、标签等）
+   */
+  const fetchModelDetail = async (platform, modelId) => {
+    const response = await window.api.modelHub.getModelDetail(platform, modelId)
+    if (!response.success) {
+      throw new Error(response.error || '获取模型详情失败')
+    }
+    return response.data
+  }
+
+  /**
+   * 开始下载任务：加入主进程的下载队列，下载在服务器后台运行，关闭应用不会中断
+   * @param {Object} downloadConfig - { serverId, envType, envName, platform, modelId, installPath,
+   *   revision, selectedFiles, include, exclude }
+   * @returns {Promise<string>} 任务ID
    */
   const startDownload = async (downloadConfig) => {
     const taskId = Date.now().toString()
@@ -53,10 +80,105 @@ export const useModelHubStore = defineStore('modelHub', () => {
 
     downloadTasks.value.push(task)
     await saveDownloadTasks()
+    await runDownload(getDownloadTask(taskId))
+
+    return taskId
+  }
+
+  /**
+   * 注册任务的进度和日志监听
+   */
+  const watchTask = (taskId) => {
+    if (watchedTasks.has(taskId)) return
+    watchedTasks.add(taskId)
+    window.electron.ipcRenderer.on(`download:progress:${taskId}`, (event, data) => {
+      updateDownloadProgress(taskId, data)
+    })
+    window.electron.ipcRenderer.on(`download:log:${taskId}`, (event, data) => {
+      updateDownloadProgress(taskId, { log: data.log })
+    })
+  }
+
+  /**
+   * 将下载任务加入主进程队列，进度和日志写入任务记录
+   */
+  const runDownload = async (task) => {
+    watchTask(task.id)
+
+    const result = await window.api.modelHub.startDownload({
+      downloadId: task.id,
+      serverId: task.serverId,
+      envType: task.envType,
+      envName: task.envName,
+      platform: task.platform,
+      modelId: task.modelId,
+      installPath: task.installPath,
+      revision: task.revision,
+      selectedFiles: task.selectedFiles,
+      include: task.include,
+      exclude: task.exclude
+    })
+
+    if (!result.success) {
+      updateDownloadProgress(task.id, { status: 'error', log: `[错误] ${result.error}` })
+      throw new Error(result.error)
+    }
+  }
+
+  /**
+   * 在服务器之间复制模型，复制任务与下载任务记录在同一列表中
+   * @param {Object} copyConfig - { sourceServerId, sourcePath, targetServerId, targetDir }
+   * @returns {Promise<string>} 任务ID
+   */
+  const startCopy = async (copyConfig) => {
+    const taskId = Date.now().toString()
+    const sourcePath = copyConfig.sourcePath.replace(/(.)\/+$/, '$1')
+    const modelName = sourcePath.split('/').pop()
+
+    const task = {
+      id: taskId,
+      type: 'copy',
+      serverId: copyConfig.targetServerId,
+      sourceServerId: copyConfig.sourceServerId,
+      sourcePath,
+      targetDir: copyConfig.targetDir,
+      modelId: modelName,
+      installPath: `${copyConfig.targetDir.replace(/\/+$/, '')}/${modelName}`,
+      status: 'pending',
+      progress: 0,
+      logs: [],
+      createdAt: new Date().toISOString()
+    }
+
+    downloadTasks.value.push(task)
+    await saveDownloadTasks()
+    await runCopy(getDownloadTask(taskId))
 
     return taskId
   }
 
+  /**
+   * 调用后端开始复制，进度和日志写入任务记录
+   */
+  const runCopy = async (task) => {
+    const taskId = task.id
+    watchTask(taskId)
+
+    const result = await window.api.modelHub.copyModel({
+      downloadId: taskId,
+      sourceServerId: task.sourceServerId,
+      sourcePath: task.sourcePath,
+      targetServerId: task.serverId,
+      targetDir: task.targetDir
+    })
+
+    if (!result.success) {
+      updateDownloadProgress(taskId, { status: 'error', log: `[错误] ${result.error}` })
+      throw new Error(result.error)
+    }
+    task.installPath = result.data.targetPath
+  }
+
   /**
    * 更新下载进度
    */
@@ -66,6 +188,16 @@ export const useModelHubStore = defineStore('modelHub', () => {
       if (progressData.percentage !== undefined) {
         task.progress = progressData.percentage
       }
+      // 按文件字节数统计的进度（速度、剩余时间和文件状态只保存在内存中）
+      if (progressData.totalBytes !== undefined) {
+        task.downloadedBytes = progressData.downloadedBytes
+        task.totalBytes = progressData.totalBytes
+        task.speed = progressData.speed
+        task.eta = progressData.eta
+        task.fileCount = progressData.fileCount
+        task.completedFiles = progressData.completedFiles
+        task.files = progressData.files
+      }
       if (progressData.log) {
         task.logs.push({
           timestamp: new Date().toISOString(),
@@ -80,16 +212,23 @@ export const useModelHubStore = defineStore('modelHub', () => {
   }
 
   /**
-   * 取消下载任务
+   * 取消下载任务（排队中的下载直接移出队列）
    */
   const cancelDownload = async (taskId) => {
     const task = downloadTasks.value.find(t => t.id === taskId)
-    if (task && task.status === 'downloading') {
-      // 调用后端取消下载
-      await window.api.modelHub.cancelDownload(task.serverId, taskId)
-      task.status = 'cancelled'
-      await saveDownloadTasks()
+    if (!task) return
+    if (task.type === 'copy') {
+      if (task.status !== 'downloading') return
+      await window.api.modelHub.cancelCopy(taskId)
+    } else {
+      if (!['pending', 'downloading'].includes(task.status)) return
+      const result = await window.api.modelHub.cancelDownload(taskId)
+      if (!result.success) {
+        throw new Error(result.error)
+      }
     }
+    task.status = 'cancelled'
+    await saveDownloadTasks()
   }
 
   /**
@@ -102,21 +241,15 @@ export const useModelHubStore = defineStore('modelHub', () => {
       task.progress = 0
       task.logs = []
 
-      // 重新调用下载
-      const result = await window.api.modelHub.startDownload({
-        serverId: task.serverId,
-        environmentId: task.environmentId,
-        platform: task.platform,
-        modelId: task.modelId,
-        installPath: task.installPath,
-        downloadId: taskId
-      })
-
-      if (result.success) {
-        task.status = 'downloading'
-        await saveDownloadTasks()
+      if (task.type === 'copy') {
+        await runCopy(task)
         return true
       }
+
+      // 重新加入下载队列（下载工具会跳过已下载完整的文件）
+      await saveDownloadTasks()
+      await runDownload(task)
+      return true
     }
     return false
   }
@@ -127,8 +260,11 @@ export const useModelHubStore = defineStore('modelHub', () => {
   const deleteDownloadTask = async (taskId) => {
     const index = downloadTasks.value.findIndex(t => t.id === taskId)
     if (index !== -1) {
-      downloadTasks.value.splice(index, 1)
+      const [task] = downloadTasks.value.splice(index, 1)
       await saveDownloadTasks()
+      if (task.type !== 'copy') {
+        await window.api.modelHub.removeDownload(taskId)
+      }
     }
   }
 
@@ -147,13 +283,25 @@ export const useModelHubStore = defineStore('modelHub', () => {
       // 将对象转换为可序列化的纯 JSON
       const rawData = downloadTasks.value.map(task => ({
         id: task.id,
+        type: task.type,
         serverId: task.serverId,
+        sourceServerId: task.sourceServerId,
+        sourcePath: task.sourcePath,
+        targetDir: task.targetDir,
         environmentId: task.environmentId,
+        envType: task.envType,
+        envName: task.envName,
         platform: task.platform,
         modelId: task.modelId,
         installPath: task.installPath,
+        revision: task.revision,
+        selectedFiles: task.selectedFiles,
+        include: task.include,
+        exclude: task.exclude,
         status: task.status,
         progress: task.progress,
+        downloadedBytes: task.downloadedBytes,
+        totalBytes: task.totalBytes,
         logs: task.logs,
         createdAt: task.createdAt
       }))
@@ -174,19 +322,131 @@ export const useModelHubStore = defineStore('modelHub', () => {
   }
 
   /**
-   * 加载下载任务
+   * 加载下载任务，并与主进程的下载队列同步状态（应用重启后继续接收进行中下载的进度）
+   * @param {boolean} force - 是否重新从磁盘加载
    */
-  const loadDownloadTasks = async () => {
+  const loadDownloadTasks = async (force = false) => {
+    if (tasksLoaded && !force) return
     try {
       const data = await window.api.data.read(DATA_MODULE, [])
       if (Array.isArray(data)) {
         downloadTasks.value = data
       }
+      tasksLoaded = true
+      await syncDownloadJobs()
     } catch (error) {
       console.error('加载下载任务失败:', error)
     }
   }
 
+  /**
+   * 用主进程队列中的状态更新未结束的下载任务，队列中不存在的任务标记为失败
+   */
+  const syncDownloadJobs = async () => {
+    const result = await window.api.modelHub.listDownloads()
+    if (!result.success) return
+    const jobs = new Map(result.data.map(job => [job.id, job]))
+
+    let changed = false
+    for (const task of downloadTasks.value) {
+      if (task.type === 'copy' || !['pending', 'downloading'].includes(task.status)) continue
+      const job = jobs.get(task.id)
+      if (!job) {
+        task.status = 'error'
+        task.logs.push({
+          timestamp: new Date().toISOString(),
+          message: '[错误] 下载队列中没有该任务，请重试'
+        })
+        changed = true
+        continue
+      }
+      if (task.status !== job.status || task.progress !== job.progress) {
+        task.status = job.status
+        task.progress = job.progress
+        task.downloadedBytes = job.downloadedBytes
+        task.totalBytes = job.totalBytes
+        changed = true
+      }
+      if (!['completed', 'error', 'cancelled'].includes(job.status)) {
+        watchTask(task.id)
+      }
+    }
+    if (changed) {
+      await saveDownloadTasks()
+    }
+  }
+
+  /**
+   * 获取下载队列设置
+   * @returns {Promise<Object>} { maxConcurrentPerServer }
+   */
+  const getDownloadSettings = async () => {
+    const result = await window.api.modelHub.getDownloadSettings()
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    return result.data
+  }
+
+  /**
+   * 修改下载队列设置
+   * @param {Object} settings - { maxConcurrentPerServer }
+   */
+  const setDownloadSettings = async (settings) => {
+    const result = await window.api.modelHub.setDownloadSettings(settings)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    return result.data
+  }
+
+  /**
+   * 加载平台访问设置
+   */
+  const loadHubConfig = async () => {
+    const result = await window.api.modelHub.getHubConfig()
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    hubConfig.value = result.data
+    return result.data
+  }
+
+  /**
+   * 保存平台访问设置
+   * @param {string} platform - 平台
+   * @param {Object} config - { endpoint, token（为空时不修改）, clearToken }
+   */
+  const saveHubConfig = async (platform, config) => {
+    const result = await window.api.modelHub.saveHubConfig(platform, config)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    hubConfig.value = result.data
+    // 接口地址变化后缓存的列表可能不一致
+    clearModelCache(platform)
+    return result.data
+  }
+
+  /**
+   * 检查模型访问权限
+   * @returns {Promise<Object>} { accessible, gated, reason }，检查请求失败时抛出异常
+   */
+  const checkModelAccess = async (platform, modelId) => {
+    const result = await window.api.modelHub.checkAccess(platform, modelId)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    return result.data
+  }
+
+  /**
+   * 获取模型页面地址（使用配置的镜像地址）
+   */
+  const getModelUrl = (platform, modelId) => {
+    return getModelPageUrl(platform, modelId, hubConfig.value[platform])
+  }
+
   /**
    * 清空模型缓存
    */
@@ -204,14 +464,23 @@ export const useModelHubStore = defineStore('modelHub', () => {
   return {
     modelCache,
     downloadTasks,
+    hubConfig,
     fetchModels,
+    fetchModelDetail,
     startDownload,
+    startCopy,
     updateDownloadProgress,
     cancelDownload,
     retryDownload,
     deleteDownloadTask,
     getDownloadTask,
     loadDownloadTasks,
+    getDownloadSettings,
+    setDownloadSettings,
+    loadHubConfig,
+    saveHubConfig,
+    checkModelAccess,
+    getModelUrl,
     clearModelCache
   }
 })
@@ -0,0 +1,82 @@
+/**
+ * 模型库状态管理
+ * 扫描结果由主进程保存，这里缓存各服务器的模型目录和扫描结果
+ */
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+
+export const useModelInventoryStore = defineStore('modelInventory', () => {
+  // serverId -> 模型目录列表
+  const roots = ref({})
+  // serverId -> { scannedAt, models, errors }
+  const scans = ref({})
+  // serverId -> 是否正在扫描
+  const scanning = ref({})
+
+  let loaded = false
+
+  /**
+   * 调用模型库接口，失败时抛出错误
+   */
+  const invoke = async (method, ...args) => {
+    const result = await window.api.modelInventory[method](...args)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    return result.data
+  }
+
+  /**
+   * 加载模型目录和上次的扫描结果
+   * @param {boolean} force - 是否重新加载
+   */
+  const load = async (force = false) => {
+    if (loaded && !force) return
+    const data = await invoke('list')
+    roots.value = data.roots || {}
+    scans.value = data.scans || {}
+    loaded = true
+  }
+
+  /**
+   * 扫描服务器上的模型
+   * @param {string} serverId - 服务器ID
+   */
+  const scan = async (serverId) => {
+    scanning.value[serverId] = true
+    try {
+      const result = await invoke('scan', serverId)
+      scans.value[serverId] = result
+      return result
+    } finally {
+      scanning.value[serverId] = false
+    }
+  }
+
+  /**
+   * 设置服务器的模型目录
+   * @param {string} serverId - 服务器ID
+   * @param {string[]} serverRoots - 绝对路径列表
+   */
+  const setRoots = async (serverId, serverRoots) => {
+    roots.value[serverId] = await invoke('setRoots', serverId, serverRoots)
+    return roots.value[serverId]
+  }
+
+  /**
+   * 获取服务器的模型列表
+   */
+  const getModels = (serverId) => {
+    return scans.value[serverId]?.models || []
+  }
+
+  return {
+    roots,
+    scans,
+    scanning,
+    load,
+    scan,
+    setRoots,
+    getModels
+  }
+})
@@ -11,6 +11,9 @@ export const useModelServiceStore = defineStore('modelService', () => {
   // 当前选中的服务
   const currentService = ref(null)
 
+  // 服务守护状态和重启历史（serviceId -> { status, history, loadedAt }），以主机上的记录为准，不做持久化
+  const supervision = ref({})
+
   // 数据模块名称
   const DATA_MODULE = 'services'
 
@@ -23,16 +26,20 @@ export const useModelServiceStore = defineStore('modelService', () => {
    * @param {string} service.envType - 环境类型 (conda | uv)
    * @param {string} service.envName - 环境名称
    * @param {string} service.modelPath - 模型路径
-   * @param {string} service.startCommand - 启动命令
+   * @param {Object} service.launchSpec - 启动规格 { framework, modelPath, modelName, host, port, gpuIds, envVars, args }
+   * @param {string} service.startCommand - 启动命令预览（由启动规格渲染，旧版服务为手写命令）
    * @param {string} service.logPath - 日志路径
    * @param {string} service.port - 服务端口
+   * @param {boolean} service.supervised - 是否启用进程守护
+   * @param {Object} service.restartPolicy - 重启策略 { policy, maxRetries, backoffSeconds, maxBackoffSeconds }
+   * @param {number} service.readinessTimeout - 启动时等待模型就绪的超时时间（秒），0 表示不等待
    */
   const addService = async (service) => {
     const newService = {
       ...service,
       id: service.id || Date.now().toString(),
       createdAt: new Date().toISOString(),
-      status: 'stopped', // stopped, starting, running, stopping, error
+      status: 'stopped', // stopped, starting, loading, running, unhealthy, restarting, stopping, error
       pid: null
     }
     services.value.push(newService)
@@ -61,6 +68,7 @@ export const useModelServiceStore = defineStore('modelService', () => {
       if (currentService.value?.id === id) {
         currentService.value = null
       }
+      delete supervision.value[id]
       await saveServices()
     }
   }
@@ -88,7 +96,33 @@ export const useModelServiceStore = defineStore('modelService', () => {
           })
         }
       }
-    /**
+
+  /**
+   * 从服务器加载服务的守护状态和重启历史
+   * @param {Object} service - 服务
+   * @param {number} limit - 读取的历史条数
+   */
+  const loadSupervision = async (service, limit = 50) => {
+    const result = await window.api.service.getSupervision(service.serverId, service.id, limit)
+    if (!result.success) {
+      throw new Error(result.error || '获取守护状态失败')
+    }
+    supervision.value[service.id] = {
+      ...result.data,
+      loadedAt: Date.now()
+    }
+    return supervision.value[service.id]
+  }
+
+  /**
+   * 获取服务最近一次加载的重启次数
+   */
+  const getRestartCount = (id) => {
+    const history = supervision.value[id]?.history || []
+    return history.filter(item => item.event === 'restarting').length
+  }
+
+  /**
    * 根据服务器ID获取服务列表
    */
   const getServicesByServerId = (serverId) => {
@@ -114,10 +148,14 @@ export const useModelServiceStore = defineStore('modelService', () => {
         port: service.port,
         logPath: service.logPath,
         startCommand: service.startCommand,
+        launchSpec: service.launchSpec || null,
         status: service.status,
         pid: service.pid,
         createdAt: service.createdAt,
-        gpuIds: service.gpuIds || []
+        gpuIds: service.gpuIds || [],
+        supervised: !!service.supervised,
+        restartPolicy: service.restartPolicy || null,
+        readinessTimeout: service.readinessTimeout ?? 600
       }))
 
       // 使用 JSON 序列化/反序列化来深拷贝，移除任何不可序列化的数据
@@ -182,11 +220,14 @@ export const useModelServiceStore = defineStore('modelService', () => {
   return {
     services,
     currentService,
+    supervision,
     addService,
     updateService,
     deleteService,
     setCurrentService,
     updateServiceStatus,
+    loadSupervision,
+    getRestartCount,
     getServicesByServerId,
     loadServices,
     loadServicesWithResetStatus
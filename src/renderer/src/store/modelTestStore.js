@@ -12,12 +12,27 @@ export const useModelTestStore = defineStore('modelTest', () => {
   // 当前选中的测试配置
   const currentTestConfig = ref(null)
 
-  // 聊天记录 { testId: [{ role, content, timestamp }] }
+  // 聊天记录 { testId: [{ role, content, toolCalls, toolCallId, timestamp }] }，role 为 tool 时是工具返回结果
   const chatHistories = ref({})
 
   // 是否正在加载
   const loading = ref(false)
 
+  // 压测记录（由主进程保存，最新的在前）
+  const benchmarkRuns = ref([])
+
+  // 是否已监听压测进度推送（只注册一次）
+  let benchmarkListening = false
+
+  // 对比测试记录 [{ id, name, targets, rounds, createdAt, updatedAt }]
+  const comparisons = ref([])
+
+  // 正在接收流式数据的对比回答 { streamId: { response, startTime, chunks } }
+  const comparisonStreams = new Map()
+
+  // 是否已监听对比测试的流式数据（只注册一次）
+  let comparisonListening = false
+
   // 计算属性：按创建时间排序的测试配置
   const sortedConfigs = computed(() => {
     return [...testConfigs.value].sort((a, b) => {
@@ -69,6 +84,10 @@ export const useModelTestStore = defineStore('modelTest', () => {
         apiKey: config.apiKey || '',
         model: config.model,
         advancedParams: config.advancedParams || {},
+        testType: config.testType || 'chat',
+        tools: config.tools || [],
+        toolChoice: config.toolChoice || 'auto',
+        autoMockTools: !!config.autoMockTools,
         createdAt: config.createdAt,
         updatedAt: config.updatedAt
       }))
@@ -105,6 +124,12 @@ export const useModelTestStore = defineStore('modelTest', () => {
       apiKey: config.apiKey || '',
       model: config.model,
       advancedParams: config.advancedParams || {},
+      // 测试类型：chat | embedding | rerank | completion
+      testType: config.testType || 'chat',
+      // 工具调用测试：工具定义、tool_choice 和是否自动使用模拟结果
+      tools: config.tools || [],
+      toolChoice: config.toolChoice || 'auto',
+      autoMockTools: !!config.autoMockTools,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     }
@@ -212,6 +237,374 @@ export const useModelTestStore = defineStore('modelTest', () => {
     chatHistories.value[testId] = []
   }
 
+  /**
+   * 应用主进程推送的压测状态
+   */
+  function applyBenchmarkUpdate(run) {
+    const index = benchmarkRuns.value.findIndex(item => item.id === run.id)
+    if (index > -1) {
+      benchmarkRuns.value.splice(index, 1, run)
+    } else {
+      benchmarkRuns.value.unshift(run)
+    }
+  }
+
+  /**
+   * 加载压测记录并开始监听压测进度
+   */
+  async function loadBenchmarkRuns() {
+    if (!benchmarkListening) {
+      benchmarkListening = true
+      window.electron.ipcRenderer.on('modelTest:benchmark', (event, run) => applyBenchmarkUpdate(run))
+    }
+    const result = await window.api.modelTest.listBenchmarks()
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    benchmarkRuns.value = result.data
+    return result.data
+  }
+
+  /**
+   * 开始压测
+   * @param {Object} config - 测试配置
+   * @param {Object} options - 压测参数 { name, concurrency, totalRequests, maxTokens, temperature,
+   *   ignoreEos, timeout, promptSource, prompts, inputLength, datasetPath }
+   * @returns {Promise<Object>} 压测记录
+   */
+  async function startBenchmark(config, options) {
+    const target = {
+      id: config.id,
+      name: config.name,
+      protocol: config.protocol,
+      serverUrl: config.serverUrl,
+      apiKey: config.apiKey || '',
+      model: config.model
+    }
+    const result = await window.api.modelTest.startBenchmark(
+      target,
+      JSON.parse(JSON.stringify(options))
+    )
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    applyBenchmarkUpdate(result.data)
+    return result.data
+  }
+
+  /**
+   * 停止压测
+   */
+  async function cancelBenchmark(runId) {
+    const result = await window.api.modelTest.cancelBenchmark(runId)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+  }
+
+  /**
+   * 删除压测记录
+   */
+  async function deleteBenchmarkRun(runId) {
+    const result = await window.api.modelTest.deleteBenchmark(runId)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    benchmarkRuns.value = benchmarkRuns.value.filter(run => run.id !== runId)
+  }
+
+  /**
+   * 加载对比测试记录
+   */
+  async function loadComparisons() {
+    if (!comparisonListening) {
+      comparisonListening = true
+      window.electron.ipcRenderer.on('modelTest:chunk', (event, data) => applyComparisonChunk(data))
+    }
+    // 还有回答在生成时保留内存中的记录，避免覆盖正在更新的数据
+    if (comparisonStreams.size > 0) {
+      return comparisons.value
+    }
+    const result = await window.api.data.read('model-comparisons', [])
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    // 应用退出时未完成的回答视为已停止
+    comparisons.value = (result.data || []).map(comparison => ({
+      ...comparison,
+      rounds: comparison.rounds.map(round => ({
+        ...round,
+        responses: Object.fromEntries(
+          Object.entries(round.responses).map(([testId, response]) => [
+            testId,
+            response.status === 'streaming' ? { ...response, status: 'stopped' } : response
+          ])
+        )
+      }))
+    }))
+    return comparisons.value
+  }
+
+  /**
+   * 保存对比测试记录
+   */
+  async function saveComparisons() {
+    const safeData = JSON.parse(JSON.stringify(comparisons.value))
+    const result = await window.api.data.write('model-comparisons', safeData)
+    if (!result?.success) {
+      throw new Error(result?.error || '保存对比记录失败')
+    }
+  }
+
+  /**
+   * 获取对比测试记录
+   */
+  function getComparisonById(id) {
+    return comparisons.value.find(c => c.id === id)
+  }
+
+  /**
+   * 新建对比测试
+   * @param {Array<string>} testIds - 参与对比的测试配置ID（2-4 个）
+   * @param {string} name - 对比名称
+   * @returns {Promise<Object>} 对比记录
+   */
+  async function createComparison(testIds, name) {
+    if (testIds.length < 2 || testIds.length > 4) {
+      throw new Error('请选择 2 到 4 个测试配置')
+    }
+    const targets = testIds.map(testId => {
+      const config = getTestConfigById(testId)
+      if (!config) {
+        throw new Error('测试配置不存在')
+      }
+      // 保存名称和模型，配置删除后仍能查看历史记录
+      return { testId, name: config.name, model: config.model, protocol: config.protocol }
+    })
+    const comparison = {
+      id: `cmp_${Date.now()}`,
+      name: name || targets.map(target => target.name).join(' vs '),
+      targets,
+      rounds: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }
+    comparisons.value.unshift(comparison)
+    await saveComparisons()
+    return comparisons.value[0]
+  }
+
+  /**
+   * 删除对比测试
+   */
+  async function deleteComparison(id) {
+    comparisons.value = comparisons.value.filter(c => c.id !== id)
+    await saveComparisons()
+  }
+
+  /**
+   * 清空对比测试的对话
+   */
+  async function clearComparison(id) {
+    const comparison = getComparisonById(id)
+    if (!comparison) return
+    comparison.rounds = []
+    comparison.updatedAt = new Date().toISOString()
+    await saveComparisons()
+  }
+
+  /**
+   * 处理对比测试的流式数据
+   */
+  function applyComparisonChunk(data) {
+    const stream = data.streamId && comparisonStreams.get(data.streamId)
+    if (!stream) return
+    const { response } = stream
+    if (data.content) {
+      if (response.ttft === null) {
+        response.ttft = performance.now() - stream.startTime
+      }
+      response.content += data.content
+      stream.chunks++
+    }
+    if (data.usage) {
+      response.promptTokens = data.usage.promptTokens ?? null
+      response.outputTokens = data.usage.completionTokens ?? null
+    }
+  }
+
+  /**
+   * 结束一个对比回答并计算统计
+   */
+  function finishComparisonResponse(stream, status, error = '') {
+    const { response } = stream
+    response.status = status
+    response.error = error
+    response.latency = performance.now() - stream.startTime
+    // 服务没有返回 usage 时按数据块数估算输出令牌数
+    if (response.outputTokens === null && stream.chunks > 0) {
+      response.outputTokens = stream.chunks
+      response.tokensEstimated = true
+    }
+    const decodeTime = response.latency - (response.ttft ?? 0)
+    response.tokensPerSecond =
+      response.outputTokens && decodeTime > 0 ? response.outputTokens / (decodeTime / 1000) : null
+  }
+
+  /**
+   * 构建某个测试配置在对比中的对话历史（只包含它自己的回答）
+   */
+  function buildComparisonMessages(comparison, testId, prompt) {
+    const messages = []
+    for (const round of comparison.rounds) {
+      const response = round.responses[testId]
+      if (response && response.status !== 'error' && response.content) {
+        messages.push({ role: 'user', content: round.prompt })
+        messages.push({ role: 'assistant', content: response.content })
+      }
+    }
+    messages.push({ role: 'user', content: prompt })
+    return messages
+  }
+
+  /**
+   * 向对比中的所有测试配置同时发送消息
+   * @param {string} id - 对比记录ID
+   * @param {string} prompt - 用户消息
+   */
+  async function sendComparisonMessage(id, prompt) {
+    const comparison = getComparisonById(id)
+    if (!comparison) {
+      throw new Error('对比记录不存在')
+    }
+
+    const histories = Object.fromEntries(
+      comparison.targets.map(target => [
+        target.testId,
+        buildComparisonMessages(comparison, target.testId, prompt)
+      ])
+    )
+    comparison.rounds.push({
+      id: `round_${Date.now()}`,
+      prompt,
+      responses: Object.fromEntries(
+        comparison.targets.map(target => [
+          target.testId,
+          {
+            content: '',
+            status: 'streaming',
+            error: '',
+            ttft: null,
+            latency: null,
+            promptTokens: null,
+            outputTokens: null,
+            tokensEstimated: false,
+            tokensPerSecond: null
+          }
+        ])
+      ),
+      // 投票结果：更好的测试配置ID，或 'tie'（差不多）
+      vote: null,
+      note: '',
+      createdAt: new Date().toISOString()
+    })
+    // 通过响应式代理修改，界面才能实时更新
+    const round = comparison.rounds[comparison.rounds.length - 1]
+
+    await Promise.all(
+      comparison.targets.map(async target => {
+        const streamId = `${round.id}_${target.testId}`
+        const stream = {
+          response: round.responses[target.testId],
+          startTime: performance.now(),
+          chunks: 0
+        }
+        const config = getTestConfigById(target.testId)
+        if (!config) {
+          finishComparisonResponse(stream, 'error', '测试配置已删除')
+          return
+        }
+
+        comparisonStreams.set(streamId, stream)
+        try {
+          const params = { ...(config.advancedParams || {}), stream: true, includeUsage: true }
+          const result = await window.api.modelTest.chat(
+            config.protocol,
+            config.serverUrl,
+            config.apiKey || '',
+            config.model,
+            histories[target.testId],
+            params,
+            streamId
+          )
+          // 已停止的回答不再更新
+          if (!comparisonStreams.has(streamId)) return
+          if (!result.success) {
+            throw new Error(result.error)
+          }
+          if (!stream.response.content && result.data) {
+            stream.response.content = result.data
+          }
+          finishComparisonResponse(stream, 'done')
+        } catch (error) {
+          if (comparisonStreams.has(streamId)) {
+            finishComparisonResponse(stream, 'error', error.message)
+          }
+        } finally {
+          comparisonStreams.delete(streamId)
+        }
+      })
+    )
+
+    comparison.updatedAt = new Date().toISOString()
+    await saveComparisons()
+  }
+
+  /**
+   * 停止对比中正在生成的回答：中断请求让服务端停止生成，已收到的内容会保留
+   */
+  function stopComparison(id) {
+    const comparison = getComparisonById(id)
+    const round = comparison?.rounds[comparison.rounds.length - 1]
+    if (!round) return
+    for (const testId of Object.keys(round.responses)) {
+      const streamId = `${round.id}_${testId}`
+      const stream = comparisonStreams.get(streamId)
+      if (stream) {
+        comparisonStreams.delete(streamId)
+        finishComparisonResponse(stream, 'stopped')
+        window.api.modelTest.abortChat(streamId)
+      }
+    }
+  }
+
+  /**
+   * 为一轮对比投票或填写备注
+   * @param {string} id - 对比记录ID
+   * @param {string} roundId - 轮次ID
+   * @param {Object} updates - { vote, note }
+   */
+  async function updateComparisonRound(id, roundId, updates) {
+    const round = getComparisonById(id)?.rounds.find(r => r.id === roundId)
+    if (!round) {
+      throw new Error('对比记录不存在')
+    }
+    Object.assign(round, updates)
+    await saveComparisons()
+  }
+
+  /**
+   * 获取测试类型选项
+   */
+  function getTestTypes() {
+    return [
+      { label: '聊天', value: 'chat', description: '/chat/completions 对话、工具调用和图片输入' },
+      { label: '向量', value: 'embedding', description: '/embeddings 向量维度、范数和余弦相似度' },
+      { label: '重排序', value: 'rerank', description: '/rerank 或 /score 文档相关性排序' },
+      { label: '文本补全', value: 'completion', description: '/completions 原始补全和 logprobs' }
+    ]
+  }
+
   /**
    * 获取协议的默认参数
    */
@@ -267,6 +660,8 @@ export const useModelTestStore = defineStore('modelTest', () => {
     currentTestConfig,
     chatHistories,
     loading,
+    benchmarkRuns,
+    comparisons,
     sortedConfigs,
     groupedConfigs,
     loadTestConfigs,
@@ -279,6 +674,19 @@ export const useModelTestStore = defineStore('modelTest', () => {
     getChatHistory,
     addChatMessage,
     clearChatHistory,
+    loadBenchmarkRuns,
+    startBenchmark,
+    cancelBenchmark,
+    deleteBenchmarkRun,
+    loadComparisons,
+    getComparisonById,
+    createComparison,
+    deleteComparison,
+    clearComparison,
+    sendComparisonMessage,
+    stopComparison,
+    updateComparisonRound,
+    getTestTypes,
     getDefaultParams,
     getProtocolParams
   }
@@ -1,5 +1,6 @@
 import { defineStore } from 'pinia'
 import { ref } from 'vue'
+import { getConnectConfig as buildConnectConfig } from '@renderer/utils/connect-config.js'
 
 /**
  * 服务器管理 Store
@@ -25,7 +26,10 @@ export const useServerStore = defineStore('server', () => {
    * @param {number} server.port - SSH端口 (SSH 类型)
    * @param {string} server.username - 用户名 (SSH 类型)
    * @param {string} server.password - 密码 (可选, SSH 类型)
-   * @param {string} server.privateKey - 私钥路径 (可选, SSH 类型)
+   * @param {string} server.authType - 认证方式: 'password' | 'privateKey' | 'agent' (SSH 类型)
+   * @param {string} server.privateKey - 私钥路径或内容 (可选, SSH 类型)
+   * @param {string} server.passphrase - 加密私钥的密码 (可选, SSH 类型)
+   * @param {Array<Object>} server.jumpHosts - 跳板机链 [{ host, port, username, authType, password, privateKey, passphrase }]
    * @param {string} server.description - 描述
    */
   const addServer = async (server) => {
@@ -134,8 +138,11 @@ export const useServerStore = defineStore('server', () => {
         host: server.host,
         port: server.port,
         username: server.username,
+        authType: server.authType || (server.privateKey ? 'privateKey' : 'password'),
         password: server.password || '',
         privateKey: server.privateKey || '',
+        passphrase: server.passphrase || '',
+        jumpHosts: server.jumpHosts || [],
         description: server.description || '',
         status: server.status,
         createdAt: server.createdAt
@@ -181,6 +188,15 @@ export const useServerStore = defineStore('server', () => {
     }
   }
 
+  /**
+   * 生成 SSH 连接参数（纯 JSON，可直接通过 IPC 传递）
+   * @param {Object} server - 服务器配置
+   * @returns {Object} 连接参数
+   */
+  const getConnectConfig = (server) => {
+    return JSON.parse(JSON.stringify(buildConnectConfig(server)))
+  }
+
   return {
     servers,
     currentServer,
@@ -189,6 +205,7 @@ export const useServerStore = defineStore('server', () => {
     deleteServer,
     setCurrentServer,
     updateServerStatus,
-    loadServers
+    loadServers,
+    getConnectConfig
   }
 })
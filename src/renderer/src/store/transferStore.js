@@ -0,0 +1,113 @@
+/**
+ * 文件传输队列状态管理
+ * 队列由主进程维护，这里只保存最新状态并转发操作
+ */
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+
+export const useTransferStore = defineStore('transfer', () => {
+  // 传输任务列表
+  const tasks = ref([])
+
+  // 是否已监听主进程推送（只注册一次）
+  let listening = false
+  // 任务完成时的回调
+  const completeListeners = new Set()
+
+  /**
+   * 应用主进程推送的任务状态
+   */
+  const applyUpdate = (task) => {
+    const index = tasks.value.findIndex(item => item.id === task.id)
+    const previous = index > -1 ? tasks.value[index] : null
+    if (index > -1) {
+      tasks.value.splice(index, 1, task)
+    } else {
+      tasks.value.push(task)
+    }
+    if (task.status === 'completed' && previous?.status !== 'completed') {
+      completeListeners.forEach(listener => listener(task))
+    }
+  }
+
+  /**
+   * 加载任务列表并开始监听状态变化
+   */
+  const init = async () => {
+    if (!listening) {
+      listening = true
+      window.electron.ipcRenderer.on('transfer:update', (event, task) => applyUpdate(task))
+    }
+    const result = await window.api.transfer.list()
+    if (result.success) {
+      tasks.value = result.data
+    }
+  }
+
+  /**
+   * 注册任务完成回调
+   * @param {Function} listener - (task) => void
+   * @returns {Function} 取消注册
+   */
+  const onComplete = (listener) => {
+    completeListeners.add(listener)
+    return () => completeListeners.delete(listener)
+  }
+
+  /**
+   * 获取服务器的传输任务
+   */
+  const getServerTasks = (serverId) => {
+    return tasks.value.filter(task => task.serverId === serverId)
+  }
+
+  /**
+   * 调用传输接口，失败时抛出错误
+   */
+  const invoke = async (method, ...args) => {
+    const result = await window.api.transfer[method](...args)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    return result.data
+  }
+
+  /**
+   * 上传本地文件或文件夹
+   */
+  const upload = (serverId, localPaths, remoteDir) => invoke('upload', serverId, localPaths, remoteDir)
+
+  /**
+   * 下载服务器文件或文件夹
+   */
+  const download = (serverId, remotePaths, localDir) => invoke('download', serverId, remotePaths, localDir)
+
+  const pause = (taskId) => invoke('pause', taskId)
+
+  const resume = (taskId) => invoke('resume', taskId)
+
+  const cancel = (taskId) => invoke('cancel', taskId)
+
+  /**
+   * 清除服务器已结束的任务
+   */
+  const clearFinished = async (serverId) => {
+    await invoke('clearFinished', serverId)
+    tasks.value = tasks.value.filter(task =>
+      task.serverId !== serverId || !['completed', 'failed', 'canceled'].includes(task.status)
+    )
+  }
+
+  return {
+    tasks,
+    init,
+    onComplete,
+    getServerTasks,
+    upload,
+    download,
+    pause,
+    resume,
+    cancel,
+    clearFinished
+  }
+})
@@ -0,0 +1,136 @@
+/**
+ * 代码高亮工具
+ * 基于正则的轻量高亮，覆盖模型目录中常见的 JSON、YAML、Shell、Python 和 Jinja 模板
+ */
+
+// 文件扩展名与语言的对应关系
+const EXTENSION_LANGUAGES = {
+  json: 'json',
+  jsonl: 'json',
+  yaml: 'yaml',
+  yml: 'yaml',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  env: 'shell',
+  py: 'python',
+  jinja: 'jinja',
+  jinja2: 'jinja',
+  j2: 'jinja'
+}
+
+// 语言显示名称
+export const LANGUAGE_LABELS = {
+  json: 'JSON',
+  yaml: 'YAML',
+  shell: 'Shell',
+  python: 'Python',
+  jinja: 'Jinja',
+  text: '纯文本'
+}
+
+// 各语言的高亮规则，按顺序匹配（规则中只能使用非捕获分组）
+const LANGUAGE_RULES = {
+  json: [
+    ['key', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/],
+    ['string', /"(?:[^"\\\n]|\\.)*"/],
+    ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+    ['literal', /\b(?:true|false|null)\b/]
+  ],
+  yaml: [
+    ['comment', /(?<=^|\s)#.*/],
+    ['key', /(?<=^[ \t]*(?:- )?)[^\s#:'"-][^:#\n]*?(?=:(?:\s|$))/],
+    ['string', /"(?:[^"\\\n]|\\.)*"|'(?:[^'\n]|'')*'/],
+    ['literal', /\b(?:true|false|null|yes|no|on|off)\b|~/],
+    ['number', /(?<![\w.])-?\d+(?:\.\d+)?(?![\w.])/],
+    ['keyword', /^---$|^\.\.\.$/]
+  ],
+  shell: [
+    ['comment', /(?<=^|\s)#.*/],
+    ['string', /"(?:[^"\\]|\\.)*"|'[^']*'/],
+    ['variable', /\$\{[^}\n]*\}|\$[\w@#?*!$-]/],
+    [
+      'keyword',
+      /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|exit|export|local|source|set|unset)\b/
+    ],
+    ['number', /(?<![\w.-])\d+(?![\w.])/]
+  ],
+  python: [
+    ['comment', /#.*/],
+    [
+      'string',
+      /[rbfuRBFU]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')/
+    ],
+    ['function', /(?<=\b(?:def|class)\s+)\w+/],
+    [
+      'keyword',
+      /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield)\b/
+    ],
+    ['literal', /\b(?:True|False|None|self)\b/],
+    ['variable', /@[\w.]+/],
+    ['number', /\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+  ],
+  jinja: [
+    ['comment', /\{#[\s\S]*?#\}/],
+    ['keyword', /\{%-?[\s\S]*?-?%\}/],
+    ['variable', /\{\{-?[\s\S]*?-?\}\}/]
+  ]
+}
+
+// 编译后的规则缓存
+const compiledPatterns = {}
+
+/**
+ * 根据文件名推断语言
+ * @param {string} fileName - 文件名
+ * @returns {string} json | yaml | shell | python | jinja | text
+ */
+export function detectLanguage(fileName) {
+  const name = (fileName || '').toLowerCase()
+  const ext = name.includes('.') ? name.split('.').pop() : ''
+  if (EXTENSION_LANGUAGES[ext]) return EXTENSION_LANGUAGES[ext]
+  if (name === '.bashrc' || name === '.profile' || name === '.bash_profile') return 'shell'
+  return 'text'
+}
+
+/**
+ * 转义 HTML 特殊字符
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * 将代码转换为带高亮标记的 HTML
+ * @param {string} code - 代码
+ * @param {string} language - 语言
+ * @returns {string} HTML，高亮部分为 <span class="tok-类型">
+ */
+export function highlightCode(code, language) {
+  const rules = LANGUAGE_RULES[language]
+  if (!rules) return escapeHtml(code)
+
+  if (!compiledPatterns[language]) {
+    compiledPatterns[language] = new RegExp(
+      rules.map(([, rule]) => `(${rule.source})`).join('|'),
+      'gm'
+    )
+  }
+  const pattern = compiledPatterns[language]
+  pattern.lastIndex = 0
+
+  let html = ''
+  let lastIndex = 0
+  let match
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex++
+      continue
+    }
+    const ruleIndex = match.findIndex((group, index) => index > 0 && group !== undefined) - 1
+    html += escapeHtml(code.slice(lastIndex, match.index))
+    html += `<span class="tok-${rules[ruleIndex][0]}">${escapeHtml(match[0])}</span>`
+    lastIndex = match.index + match[0].length
+  }
+  return html + escapeHtml(code.slice(lastIndex))
+}
@@ -0,0 +1,24 @@
+/**
+ * SSH 连接参数
+ * 界面和主进程共用，保证两边传给 connect() 的字段一致
+ */
+
+/**
+ * 从服务器配置中提取连接参数
+ * @param {Object} server - 服务器配置
+ * @returns {Object} connect() 使用的配置
+ */
+export function getConnectConfig(server) {
+  return {
+    serverId: server.id,
+    type: server.type || 'ssh',
+    host: server.host,
+    port: server.port,
+    username: server.username,
+    authType: server.authType,
+    password: server.password,
+    privateKey: server.privateKey,
+    passphrase: server.passphrase,
+    jumpHosts: server.jumpHosts || []
+  }
+}
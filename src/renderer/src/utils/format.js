@@ -120,3 +120,16 @@ export function formatNumber(num) {
   if (num === null || num === undefined) return '0'
   return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')
 }
+
+/**
+ * 格式化模型参数量
+ * @param {number} count - 参数个数
+ * @returns {string} 例如 7.24B、350M
+ */
+export function formatParameterCount(count) {
+  if (!count) return '-'
+  if (count >= 1e12) return `${parseFloat((count / 1e12).toFixed(2))}T`
+  if (count >= 1e9) return `${parseFloat((count / 1e9).toFixed(2))}B`
+  if (count >= 1e6) return `${parseFloat((count / 1e6).toFixed(1))}M`
+  return `${parseFloat((count / 1e3).toFixed(1))}K`
+}
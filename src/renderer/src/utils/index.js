@@ -24,3 +24,12 @@ export * from './error-handler.js'
 
 // 性能工具
 export * from './performance.js'
+
+// 代码高亮
+export * from './code-highlight.js'
+
+// 文本差异
+export * from './text-diff.js'
+
+// 工具调用测试
+export * from './tool-calls.js'
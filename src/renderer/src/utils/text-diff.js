@@ -0,0 +1,165 @@
+/**
+ * 文本差异比较工具
+ * 按行比较（Myers 算法），用于保存远程文件前预览修改
+ */
+
+// 编辑距离（增删行数）超过该值时不再逐行比较，直接视为整体替换，避免占用过多内存
+const MAX_EDIT_DISTANCE = 2000
+
+/**
+ * Myers 最短编辑路径
+ * @returns {Array<{type: string, oldIndex: number, newIndex: number}>|null} 编辑序列，超过编辑距离上限时返回 null
+ */
+function myersDiff(oldLines, newLines) {
+  const n = oldLines.length
+  const m = newLines.length
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  // 每一步只记录 k ∈ [-d-1, d+1] 范围内的值
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        return backtrack(trace, oldLines, newLines, d)
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * 从记录的路径回溯出编辑序列
+ */
+function backtrack(trace, oldLines, newLines, depth) {
+  const ops = []
+  let x = oldLines.length
+  let y = newLines.length
+
+  for (let d = depth; d > 0; d--) {
+    const window = trace[d]
+    const at = (k) => window[k + d + 1]
+    const k = x - y
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const prevX = at(prevK)
+    const prevY = prevX - prevK
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', oldIndex: --x, newIndex: --y })
+    }
+    if (x === prevX) {
+      ops.push({ type: 'add', oldIndex: x, newIndex: --y })
+    } else {
+      ops.push({ type: 'remove', oldIndex: --x, newIndex: y })
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', oldIndex: --x, newIndex: --y })
+  }
+  return ops.reverse()
+}
+
+/**
+ * 按行比较两段文本
+ * @param {string} oldText - 原文本
+ * @param {string} newText - 新文本
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string, oldNumber: number|null, newNumber: number|null}>} 逐行差异（行号从 1 开始）
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n')
+  const newLines = newText.split('\n')
+
+  // 先去掉相同的开头和结尾，通常修改只集中在少数位置
+  let start = 0
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++
+  }
+  let oldEnd = oldLines.length
+  let newEnd = newLines.length
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--
+    newEnd--
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd)
+  const newMiddle = newLines.slice(start, newEnd)
+  const ops = myersDiff(oldMiddle, newMiddle) || [
+    ...oldMiddle.map((_, index) => ({ type: 'remove', oldIndex: index, newIndex: 0 })),
+    ...newMiddle.map((_, index) => ({ type: 'add', oldIndex: oldMiddle.length, newIndex: index }))
+  ]
+
+  const result = []
+  for (let i = 0; i < start; i++) {
+    result.push({ type: 'equal', text: oldLines[i], oldNumber: i + 1, newNumber: i + 1 })
+  }
+  for (const op of ops) {
+    result.push({
+      type: op.type,
+      text: op.type === 'add' ? newMiddle[op.newIndex] : oldMiddle[op.oldIndex],
+      oldNumber: op.type === 'add' ? null : start + op.oldIndex + 1,
+      newNumber: op.type === 'remove' ? null : start + op.newIndex + 1
+    })
+  }
+  for (let i = oldEnd; i < oldLines.length; i++) {
+    result.push({
+      type: 'equal',
+      text: oldLines[i],
+      oldNumber: i + 1,
+      newNumber: newEnd + (i - oldEnd) + 1
+    })
+  }
+  return result
+}
+
+/**
+ * 将逐行差异折叠为修改块，只保留修改处前后的若干行
+ * @param {Array<Object>} lines - diffLines 的结果
+ * @param {number} context - 上下文行数
+ * @returns {{ hunks: Array<{ lines: Array<Object> }>, added: number, removed: number }} 修改块与增删行数
+ */
+export function buildHunks(lines, context = 3) {
+  const changeIndexes = []
+  lines.forEach((line, index) => {
+    if (line.type !== 'equal') changeIndexes.push(index)
+  })
+
+  const hunks = []
+  let current = null
+  let pointer = 0
+  lines.forEach((line, index) => {
+    // pointer 指向当前行及之后的第一处修改
+    while (pointer < changeIndexes.length && changeIndexes[pointer] < index) pointer++
+    const previousChange = pointer > 0 ? changeIndexes[pointer - 1] : -Infinity
+    const nextChange = pointer < changeIndexes.length ? changeIndexes[pointer] : Infinity
+    if (index - previousChange > context && nextChange - index > context) {
+      current = null
+      return
+    }
+    if (!current) {
+      current = { lines: [] }
+      hunks.push(current)
+    }
+    current.lines.push(line)
+  })
+
+  return {
+    hunks,
+    added: lines.filter((line) => line.type === 'add').length,
+    removed: lines.filter((line) => line.type === 'remove').length
+  }
+}
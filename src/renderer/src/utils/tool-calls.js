@@ -0,0 +1,116 @@
+/**
+ * 工具调用（Function Calling）测试辅助函数
+ * 测试配置中的工具以 { name, description, parameters, mock } 保存，parameters 为 JSON Schema 文本，
+ * mock 为模拟返回结果，可以用 {{参数名}} 引用模型传入的参数，{{arguments}} 引用完整参数
+ */
+
+// 函数名规则（与 OpenAI 接口一致）
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/
+
+// 示例工具
+export const EXAMPLE_TOOL = {
+  name: 'get_current_weather',
+  description: '获取指定城市的当前天气',
+  parameters: JSON.stringify(
+    {
+      type: 'object',
+      properties: {
+        city: { type: 'string', description: '城市名称，例如：北京' },
+        unit: { type: 'string', enum: ['celsius', 'fahrenheit'], description: '温度单位' }
+      },
+      required: ['city']
+    },
+    null,
+    2
+  ),
+  mock: '{"city": "{{city}}", "temperature": 22, "unit": "celsius", "condition": "晴"}'
+}
+
+/**
+ * 创建空白工具
+ * @returns {Object}
+ */
+export function createTool() {
+  return {
+    name: '',
+    description: '',
+    parameters: JSON.stringify({ type: 'object', properties: {}, required: [] }, null, 2),
+    mock: ''
+  }
+}
+
+/**
+ * 校验工具定义
+ * @param {Array<Object>} tools - 工具列表
+ * @returns {string|null} 错误信息，没有错误时为 null
+ */
+export function validateTools(tools) {
+  const names = new Set()
+  for (const [index, tool] of tools.entries()) {
+    const label = tool.name || `第 ${index + 1} 个工具`
+    if (!TOOL_NAME_PATTERN.test(tool.name || '')) {
+      return `${label}：函数名只能包含字母、数字、下划线和短横线，且不超过 64 个字符`
+    }
+    if (names.has(tool.name)) {
+      return `函数名重复：${tool.name}`
+    }
+    names.add(tool.name)
+    try {
+      const schema = JSON.parse(tool.parameters || '{}')
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return `${label}：参数定义必须是 JSON 对象`
+      }
+    } catch (error) {
+      return `${label}：参数定义不是有效的 JSON（${error.message}）`
+    }
+  }
+  return null
+}
+
+/**
+ * 转换为请求中的 tools 字段
+ * @param {Array<Object>} tools - 测试配置中的工具
+ * @returns {Array<Object>}
+ */
+export function toOpenAITools(tools) {
+  return tools.map((tool) => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: JSON.parse(tool.parameters || '{}')
+    }
+  }))
+}
+
+/**
+ * 解析模型返回的参数
+ * @param {string} text - tool_calls[].function.arguments
+ * @returns {{ value: Object|null, error: string|null }}
+ */
+export function parseToolArguments(text) {
+  if (!text || !text.trim()) {
+    return { value: {}, error: null }
+  }
+  try {
+    return { value: JSON.parse(text), error: null }
+  } catch (error) {
+    return { value: null, error: error.message }
+  }
+}
+
+/**
+ * 按模拟结果模板生成工具返回值
+ * @param {string} mock - 模拟结果模板
+ * @param {string} argumentsText - 模型传入的参数（JSON 文本）
+ * @returns {string}
+ */
+export function renderMockResult(mock, argumentsText) {
+  const { value } = parseToolArguments(argumentsText)
+  return mock.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+    if (key === 'arguments') return argumentsText || '{}'
+    const arg = value?.[key]
+    if (arg === undefined) return ''
+    return typeof arg === 'string' ? arg : JSON.stringify(arg)
+  })
+}
@@ -47,7 +47,7 @@ export function validateServer(server) {
       errors.push('用户名不能为空')
     }
 
-    if (!server.password && !server.privateKey) {
+    if (server.authType !== 'agent' && !server.password && !server.privateKey) {
       errors.push('密码或私钥至少需要一个')
     }
   }
@@ -8,6 +8,8 @@ export {}
 /* prettier-ignore */
 declare module 'vue' {
   export interface GlobalComponents {
+    CopyModelDialog: typeof import('./../renderer/src/components/CopyModelDialog.vue')['default']
+    DownloadProgressDetail: typeof import('./../renderer/src/components/DownloadProgressDetail.vue')['default']
     ElAlert: typeof import('element-plus/es')['ElAlert']
     ElAside: typeof import('element-plus/es')['ElAside']
     ElBadge: typeof import('element-plus/es')['ElBadge']
@@ -16,13 +18,17 @@ declare module 'vue' {
     ElButton: typeof import('element-plus/es')['ElButton']
     ElCard: typeof import('element-plus/es')['ElCard']
     ElCheckbox: typeof import('element-plus/es')['ElCheckbox']
+    ElCheckboxGroup: typeof import('element-plus/es')['ElCheckboxGroup']
     ElCol: typeof import('element-plus/es')['ElCol']
+    ElCollapse: typeof import('element-plus/es')['ElCollapse']
+    ElCollapseItem: typeof import('element-plus/es')['ElCollapseItem']
     ElCollapseTransition: typeof import('element-plus/es')['ElCollapseTransition']
     ElContainer: typeof import('element-plus/es')['ElContainer']
     ElDescriptions: typeof import('element-plus/es')['ElDescriptions']
     ElDescriptionsItem: typeof import('element-plus/es')['ElDescriptionsItem']
     ElDialog: typeof import('element-plus/es')['ElDialog']
     ElDivider: typeof import('element-plus/es')['ElDivider']
+    ElDrawer: typeof import('element-plus/es')['ElDrawer']
     ElDropdown: typeof import('element-plus/es')['ElDropdown']
     ElDropdownItem: typeof import('element-plus/es')['ElDropdownItem']
     ElDropdownMenu: typeof import('element-plus/es')['ElDropdownMenu']
@@ -31,8 +37,10 @@ declare module 'vue' {
     ElFormItem: typeof import('element-plus/es')['ElFormItem']
     ElHeader: typeof import('element-plus/es')['ElHeader']
     ElIcon: typeof import('element-plus/es')['ElIcon']
+    ElImage: typeof import('element-plus/es')['ElImage']
     ElInput: typeof import('element-plus/es')['ElInput']
     ElInputNumber: typeof import('element-plus/es')['ElInputNumber']
+    ElInputTag: typeof import('element-plus/es')['ElInputTag']
     ElMain: typeof import('element-plus/es')['ElMain']
     ElMenu: typeof import('element-plus/es')['ElMenu']
     ElMenuItem: typeof import('element-plus/es')['ElMenuItem']
@@ -43,6 +51,7 @@ declare module 'vue' {
     ElRadio: typeof import('element-plus/es')['ElRadio']
     ElRadioButton: typeof import('element-plus/es')['ElRadioButton']
     ElRadioGroup: typeof import('element-plus/es')['ElRadioGroup']
+    ElResult: typeof import('element-plus/es')['ElResult']
     ElRow: typeof import('element-plus/es')['ElRow']
     ElScrollbar: typeof import('element-plus/es')['ElScrollbar']
     ElSelect: typeof import('element-plus/es')['ElSelect']
@@ -55,8 +64,20 @@ declare module 'vue' {
     ElTooltip: typeof import('element-plus/es')['ElTooltip']
     FileManager: typeof import('./../renderer/src/components/FileManager.vue')['default']
     GPUProcessManager: typeof import('./../renderer/src/components/GPUProcessManager.vue')['default']
+    HostKeyConfirmDialog: typeof import('./../renderer/src/components/HostKeyConfirmDialog.vue')['default']
+    KeyboardInteractiveDialog: typeof import('./../renderer/src/components/KeyboardInteractiveDialog.vue')['default']
+    KnownHostsDialog: typeof import('./../renderer/src/components/KnownHostsDialog.vue')['default']
+    MemoryFitPanel: typeof import('./../renderer/src/components/MemoryFitPanel.vue')['default']
+    MetricsChart: typeof import('./../renderer/src/components/MetricsChart.vue')['default']
+    ModelFileSelector: typeof import('./../renderer/src/components/ModelFileSelector.vue')['default']
+    ModelInventoryPicker: typeof import('./../renderer/src/components/ModelInventoryPicker.vue')['default']
+    RemoteFileEditor: typeof import('./../renderer/src/components/RemoteFileEditor.vue')['default']
+    ResourceTrends: typeof import('./../renderer/src/components/ResourceTrends.vue')['default']
     RouterLink: typeof import('vue-router')['RouterLink']
     RouterView: typeof import('vue-router')['RouterView']
+    ServiceMetricsPanel: typeof import('./../renderer/src/components/ServiceMetricsPanel.vue')['default']
+    SSHConfigImportDialog: typeof import('./../renderer/src/components/SSHConfigImportDialog.vue')['default']
+    TransferQueue: typeof import('./../renderer/src/components/TransferQueue.vue')['default']
   }
   export interface GlobalDirectives {
     vLoading: typeof import('element-plus/es')['ElLoadingDirective']
@@ -33,19 +33,49 @@ interface ElectronAPI {
     checkEnvironment: (serverId: string, envType: string, envName: string) => Promise<SSHResult>
     getEnvironmentList: (serverId: string, envType: string) => Promise<SSHResult>
     getServerGPUs: (serverId: string) => Promise<SSHResult>
+    replyKeyboardInteractive: (requestId: string, answers: string[] | null) => Promise<SSHResult>
+    listConfigHosts: (configPath?: string) => Promise<SSHResult>
+    replyHostKey: (requestId: string, accepted: boolean) => Promise<SSHResult>
+    listKnownHosts: () => Promise<SSHResult>
+    removeKnownHost: (id: string) => Promise<SSHResult>
   }
   service: {
-    start: (serverId: string, serviceConfig: ServiceConfig) => Promise<SSHResult>
-    stop: (serverId: string, pid: number, startCommand: string) => Promise<SSHResult>
+    start: (serverId: string, serviceConfig: ServiceConfig, progressId?: string) => Promise<SSHResult>
+    stop: (
+      serverId: string,
+      pid: number,
+      startCommand: string,
+      serviceId?: string,
+      launchSpec?: LaunchSpec
+    ) => Promise<SSHResult>
     checkStatus: (serverId: string, pid: number) => Promise<SSHResult>
     checkAllStatus: (services: Service[]) => Promise<SSHResult>
+    renderCommand: (
+      launchSpec: LaunchSpec,
+      envType: string,
+      envName: string,
+      frameworkVersion?: string
+    ) => Promise<SSHResult>
+    parseCommand: (startCommand: string) => Promise<SSHResult>
+    estimateMemory: (serverId: string, launchSpec: object) => Promise<SSHResult>
+    getSupervision: (serverId: string, serviceId: string, limit?: number) => Promise<SSHResult>
+    scrapeMetrics: (serverId: string, options: MetricsScrapeOptions) => Promise<SSHResult>
+    getMetricsHistory: (serviceId: string) => Promise<SSHResult>
   }
   log: {
     read: (serverId: string, logPath: string, lines: number) => Promise<SSHResult>
   }
   framework: {
+    list: () => Promise<SSHResult>
     upgrade: (serverId: string, upgradeConfig: any) => Promise<SSHResult>
     getVersion: (serverId: string, framework: string, envType: string, envName: string) => Promise<SSHResult>
+    getParameterSchema: (
+      serverId: string,
+      framework: string,
+      envType: string,
+      envName: string,
+      executablePath?: string
+    ) => Promise<SSHResult>
   }
   data: {
     read: (moduleName: string, defaultValue?: any) => Promise<DataResult>
@@ -56,6 +86,318 @@ interface ElectronAPI {
     clearAll: () => Promise<DataResult>
     getPath: () => Promise<DataResult>
   }
+  monitor: {
+    getConfig: (serverId: string) => Promise<SSHResult>
+    setConfig: (serverId: string, config: { enabled?: boolean; intervalSeconds?: number }) => Promise<SSHResult>
+    getHistory: (serverId: string, range: '1h' | '24h' | '7d') => Promise<SSHResult>
+    sampleNow: (serverId: string) => Promise<SSHResult>
+  }
+  alert: {
+    getConfig: () => Promise<SSHResult>
+    saveConfig: (config: AlertConfig) => Promise<SSHResult>
+    testWebhook: (webhook: AlertWebhook) => Promise<SSHResult>
+    getHistory: (limit?: number) => Promise<SSHResult>
+    clearHistory: () => Promise<SSHResult>
+  }
+  transfer: {
+    upload: (serverId: string, localPaths: string[], remoteDir: string) => Promise<SSHResult>
+    download: (serverId: string, remotePaths: string[], localDir: string) => Promise<SSHResult>
+    list: (serverId?: string) => Promise<SSHResult>
+    pause: (taskId: string) => Promise<SSHResult>
+    resume: (taskId: string) => Promise<SSHResult>
+    cancel: (taskId: string) => Promise<SSHResult>
+    clearFinished: (serverId?: string) => Promise<SSHResult>
+  }
+  modelHub: {
+    getModels: (platform: string, params: any) => Promise<SSHResult>
+    getModelFiles: (platform: string, modelId: string, revision?: string) => Promise<SSHResult>
+    getModelDetail: (platform: string, modelId: string) => Promise<SSHResult>
+    checkAccess: (platform: string, modelId: string) => Promise<SSHResult>
+    getHubConfig: () => Promise<SSHResult>
+    saveHubConfig: (platform: string, config: ModelHubPlatformConfigInput) => Promise<SSHResult>
+    checkCommand: (
+      serverId: string,
+      envType: string,
+      envName: string,
+      command: string
+    ) => Promise<SSHResult>
+    startDownload: (downloadConfig: ModelDownloadConfig) => Promise<SSHResult>
+    cancelDownload: (downloadId: string) => Promise<SSHResult>
+    listDownloads: () => Promise<SSHResult>
+    removeDownload: (downloadId: string) => Promise<SSHResult>
+    getDownloadSettings: () => Promise<SSHResult>
+    setDownloadSettings: (settings: { maxConcurrentPerServer: number }) => Promise<SSHResult>
+    copyModel: (copyConfig: any) => Promise<SSHResult>
+    cancelCopy: (downloadId: string) => Promise<SSHResult>
+  }
+  modelTest: {
+    testConnection: (
+      protocol: string,
+      serverUrl: string,
+      apiKey: string,
+      model: string,
+      testType?: ModelTestType
+    ) => Promise<SSHResult>
+    listModels: (protocol: string, serverUrl: string, apiKey: string) => Promise<SSHResult>
+    chat: (
+      protocol: string,
+      serverUrl: string,
+      apiKey: string,
+      model: string,
+      messages: any[],
+      params: any,
+      streamId?: string
+    ) => Promise<SSHResult>
+    abortChat: (streamId: string) => Promise<SSHResult>
+    embeddings: (
+      protocol: string,
+      serverUrl: string,
+      apiKey: string,
+      model: string,
+      input: string[]
+    ) => Promise<SSHResult>
+    rerank: (
+      protocol: string,
+      serverUrl: string,
+      apiKey: string,
+      model: string,
+      query: string,
+      documents: string[],
+      options?: { endpoint?: 'rerank' | 'score'; topN?: number }
+    ) => Promise<SSHResult>
+    completion: (
+      protocol: string,
+      serverUrl: string,
+      apiKey: string,
+      model: string,
+      prompt: string,
+      params?: { maxTokens?: number; temperature?: number; topP?: number; logprobs?: number }
+    ) => Promise<SSHResult>
+    startBenchmark: (target: BenchmarkTarget, options: BenchmarkOptions) => Promise<SSHResult>
+    cancelBenchmark: (runId: string) => Promise<SSHResult>
+    listBenchmarks: () => Promise<SSHResult>
+    deleteBenchmark: (runId: string) => Promise<SSHResult>
+    selectDataset: () => Promise<SSHResult>
+  }
+  modelInventory: {
+    list: () => Promise<SSHResult>
+    scan: (serverId: string) => Promise<SSHResult>
+    setRoots: (serverId: string, roots: string[]) => Promise<SSHResult>
+  }
+}
+
+type TransferStatus = 'queued' | 'running' | 'paused' | 'completed' | 'failed' | 'canceled'
+
+interface TransferTask {
+  id: string
+  batchId: string
+  serverId: string
+  direction: 'upload' | 'download'
+  name: string
+  localPath: string
+  remotePath: string
+  size: number
+  sourceMtime: number
+  transferred: number
+  // 字节/秒
+  speed: number
+  status: TransferStatus
+  error: string | null
+  createdAt: number
+  finishedAt: number | null
+}
+
+// 测试配置的测试类型
+type ModelTestType = 'chat' | 'embedding' | 'rerank' | 'completion'
+
+interface BenchmarkTarget {
+  id?: string
+  name?: string
+  protocol: 'openai' | 'ollama'
+  serverUrl: string
+  apiKey?: string
+  model: string
+}
+
+interface BenchmarkOptions {
+  name?: string
+  concurrency?: number
+  totalRequests?: number
+  maxTokens?: number
+  temperature?: number
+  // 忽略结束符，固定输出长度（vLLM）
+  ignoreEos?: boolean
+  // 单个请求超时（秒）
+  timeout?: number
+  promptSource?: 'fixed' | 'random' | 'dataset'
+  prompts?: string[]
+  // 随机提示词的长度范围（单词数）
+  inputLength?: { min: number; max: number }
+  datasetPath?: string
+}
+
+interface ModelHubPlatformConfig {
+  // 接口地址（镜像站），为空时使用官方地址
+  endpoint: string
+  hasToken: boolean
+  // 令牌末尾几位，用于界面提示
+  tokenHint: string
+}
+
+interface ModelHubPlatformConfigInput {
+  endpoint?: string
+  // 为空时不修改已保存的令牌
+  token?: string
+  clearToken?: boolean
+}
+
+interface ModelDownloadConfig {
+  downloadId: string
+  serverId: string
+  envType: string
+  envName: string
+  platform: 'modelscope' | 'huggingface'
+  modelId: string
+  installPath: string
+  // 分支、标签或提交
+  revision?: string
+  // 手动选择的文件，非空时忽略 include/exclude
+  selectedFiles?: string[]
+  include?: string[]
+  exclude?: string[]
+}
+
+// 主进程下载队列中的任务（status 与渲染进程下载记录一致）
+interface ModelDownloadJob {
+  id: string
+  serverId: string
+  status: 'pending' | 'downloading' | 'completed' | 'error' | 'cancelled'
+  queued: boolean
+  progress: number
+  downloadedBytes: number
+  totalBytes: number
+  pid: number | null
+  error: string | null
+  startedAt: number | null
+  finishedAt: number | null
+}
+
+interface InventoryModel {
+  path: string
+  name: string
+  source: 'local' | 'huggingface' | 'modelscope'
+  repoId: string | null
+  revision: string | null
+  format: 'safetensors' | 'pytorch' | 'gguf'
+  architecture: string | null
+  modelType: string | null
+  parameterCount: number | null
+  // 参数量由模型名称推断
+  parameterEstimated: boolean
+  dtype: string | null
+  quantization: string | null
+  contextLength: number | null
+  dimensions: {
+    hiddenSize: number | null
+    numLayers: number | null
+    numAttentionHeads: number | null
+    numKeyValueHeads: number | null
+    headDim: number | null
+    vocabSize: number | null
+  }
+  sizeBytes: number
+  // 框架加载的权重文件大小
+  weightBytes: number
+  fileCount: number
+  modifiedAt: number
+}
+
+interface ModelInventoryScan {
+  scannedAt: number
+  models: InventoryModel[]
+  errors: string[]
+}
+
+type AlertRuleType = 'gpu_temperature' | 'gpu_memory' | 'disk_free' | 'service_stopped' | 'health_failing'
+
+interface AlertRule {
+  id: string
+  name: string
+  type: AlertRuleType
+  enabled: boolean
+  serverId: string
+  serviceId: string
+  threshold: number
+  notifyDesktop: boolean
+  notifyResolved: boolean
+  webhookIds: string[]
+}
+
+interface AlertWebhook {
+  id: string
+  name: string
+  format: 'generic' | 'dingtalk' | 'feishu' | 'wecom'
+  url: string
+  secret?: string
+  enabled: boolean
+}
+
+interface AlertConfig {
+  rules: AlertRule[]
+  webhooks: AlertWebhook[]
+  settings: { serviceCheckInterval: number }
+}
+
+interface AlertRecord {
+  id: string
+  ruleId: string
+  ruleName: string
+  type: AlertRuleType
+  status: 'firing' | 'resolved'
+  serverId: string
+  serverName: string
+  target: string
+  message: string
+  value: number | null
+  threshold: number | null
+  time: number
+  deliveries: Array<{ webhookId: string; name: string; success: boolean; error: string | null }>
+}
+
+interface GPUSample {
+  index: number
+  name: string
+  utilization: number | null
+  memoryUsed: number | null
+  memoryTotal: number | null
+  temperature: number | null
+  powerDraw: number | null
+  powerLimit: number | null
+}
+
+interface ResourceSample {
+  timestamp: number
+  cpu: number | null
+  load1: number | null
+  memPercent: number | null
+  memUsed: number | null
+  memTotal: number | null
+  diskPercent: number | null
+  diskUsed: number | null
+  diskTotal: number | null
+  gpus: GPUSample[]
+}
+
+type SSHAuthType = 'password' | 'privateKey' | 'agent'
+
+interface SSHJumpHost {
+  host: string
+  port?: number
+  username: string
+  authType?: SSHAuthType
+  password?: string
+  privateKey?: string
+  passphrase?: string
 }
 
 interface SSHConfig {
@@ -63,8 +405,47 @@ interface SSHConfig {
   host: string
   port?: number
   username: string
+  authType?: SSHAuthType
   password?: string
   privateKey?: string
+  passphrase?: string
+  jumpHosts?: SSHJumpHost[]
+}
+
+interface SSHKeyboardInteractiveRequest {
+  requestId: string
+  serverId: string
+  host: string
+  username: string
+  name: string
+  instructions: string
+  prompts: Array<{ prompt: string; echo: boolean }>
+}
+
+interface SSHHostKeyConfirmRequest {
+  requestId: string
+  serverId: string
+  host: string
+  port: number
+  keyType: string
+  fingerprint: string
+}
+
+interface KnownHost {
+  id: string
+  host: string
+  port: number
+  keyType: string
+  fingerprint: string
+  addedAt: number
+  lastSeenAt: number
+  mismatch: { keyType: string; fingerprint: string; seenAt: number } | null
+}
+
+interface SSHConfigHost extends SSHJumpHost {
+  alias: string
+  jumpHosts: SSHJumpHost[]
+  error: string | null
 }
 
 interface SSHResult {
@@ -73,6 +454,29 @@ interface SSHResult {
   error?: string
   stdout?: string
   stderr?: string
+  // 保存文本文件时远程文件已被修改
+  conflict?: boolean
+  // 模型测试聊天返回的工具调用
+  toolCalls?: any[]
+}
+
+interface RestartPolicy {
+  policy: 'never' | 'on-failure' | 'always'
+  maxRetries: number
+  backoffSeconds: number
+  maxBackoffSeconds: number
+}
+
+interface LaunchSpec {
+  framework: string
+  modelPath: string
+  modelName?: string
+  host?: string
+  port: number
+  executablePath?: string
+  gpuIds: string[]
+  envVars: { key: string; value: string }[]
+  args: Record<string, string | number | boolean | string[]>
 }
 
 interface ServiceConfig {
@@ -83,7 +487,46 @@ interface ServiceConfig {
   modelPath: string
   port: string
   logPath: string
-  startCommand: string
+  startCommand?: string
+  launchSpec?: LaunchSpec
+  serviceId?: string
+  supervised?: boolean
+  restartPolicy?: RestartPolicy
+  readinessTimeout?: number
+}
+
+type ServiceReadiness = 'stopped' | 'starting' | 'loading' | 'ready' | 'unhealthy'
+
+interface ServiceStartProgress {
+  readiness: ServiceReadiness
+  lines: string
+  elapsed: number
+}
+
+interface MetricsScrapeOptions {
+  serviceId: string
+  port: number
+  host?: string
+  framework: string
+}
+
+interface LatencyPercentiles {
+  p50: number | null
+  p95: number | null
+  p99: number | null
+}
+
+interface ServiceMetricsPoint {
+  timestamp: number
+  running: number | null
+  waiting: number | null
+  cacheUsage: number | null
+  promptThroughput: number | null
+  generationThroughput: number | null
+  requestsFinished: number | null
+  ttft: LatencyPercentiles
+  tpot: LatencyPercentiles
+  e2e: LatencyPercentiles
 }
 
 interface Service {
@@ -100,6 +543,11 @@ interface Service {
   status: string
   pid?: number
   createdAt?: string
+  launchSpec?: LaunchSpec
+  supervised?: boolean
+  restartPolicy?: RestartPolicy
+  readinessTimeout?: number
+  readiness?: ServiceReadiness
 }
 
 interface Server {